@@ -0,0 +1,13 @@
+/**
+ * Hide the API Keys File
+ *
+ * Earlier versions kept API key hashes in api-keys.json in the repository that
+ * Cloudflare Pages deploys; keys now need the kv or d1 backend. This route takes
+ * precedence over a leftover static file so the hashes are never served to browsers.
+ *
+ * Endpoint: /api-keys.json (all methods)
+ */
+
+export async function onRequest() {
+  return new Response('Not Found', { status: 404 });
+}
@@ -0,0 +1,242 @@
+/**
+ * API Keys for Restaurant Picker API
+ *
+ * API keys let bots and scripts call the API without signing in. Admins create them
+ * with a label and a scope:
+ * - read: acts as a viewer
+ * - write: acts as an editor
+ * An optional profiles list limits the key to those profiles, like a scoped account.
+ * Keys never have the admin role.
+ *
+ * A key looks like "rpk_<id>_<secret>". Only a SHA-256 hash of it is stored, in the
+ * "apiKeys" document of the configured storage backend
+ * ({ apiKeys: [{ id, label, scope, profiles?, keyHash, createdAt, createdBy, revokedAt?,
+ *   revokedBy? }] }),
+ * so the key is shown once when it is created. Revoked keys stay in the list so it
+ * shows when they stopped working. Like user accounts, keys need the kv or d1 backend:
+ * the GitHub backend never stores this document (see getStorage).
+ *
+ * The last time each key was used is kept in the KV namespace bound as AUTH_KV rather
+ * than in the document, so using a key never writes to storage. Without AUTH_KV each
+ * Worker instance remembers only the uses it served, until it restarts, so the key list
+ * can show an older last use or none.
+ *
+ * @module api/_apikeys
+ */
+
+import { getStorage, isUnavailableError, withActor } from './_storage.js';
+import { randomHex, sha256Hex } from './_crypto.js';
+
+export const API_KEY_PREFIX = 'rpk_';
+
+// Role each API key scope acts as
+export const API_KEY_SCOPES = { read: 'viewer', write: 'editor' };
+
+const API_KEY_PATTERN = /^rpk_([0-9a-f]{12})_[0-9a-f]{64}$/;
+const ID_BYTES = 6;
+const SECRET_BYTES = 32;
+
+// Use is recorded at most once a minute per key and Worker instance
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+const LAST_USED_TTL = 365 * 24 * 60 * 60; // Forget use after a year, in seconds
+
+// In-memory last-used times used when AUTH_KV is not bound, and times this instance
+// last recorded a use
+const lastUsedStore = new Map();
+const recordedAt = new Map();
+
+/**
+ * Compare two strings in constant time
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} - True if equal
+ */
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return difference === 0;
+}
+
+/**
+ * Check whether a credential looks like an API key rather than a JWT
+ *
+ * @param {string} value - Credential from a request header
+ * @returns {boolean} - True if it has the API key prefix
+ */
+export function isApiKey(value) {
+  return typeof value === 'string' && value.startsWith(API_KEY_PREFIX);
+}
+
+/**
+ * Remove the key hash from an API key record before returning it to a client
+ *
+ * @param {Object} apiKey - Stored API key record
+ * @param {string|null} lastUsedAt - ISO time the key was last used, if known
+ * @returns {Object} - Record without keyHash, with lastUsedAt
+ */
+export function publicApiKey(apiKey, lastUsedAt = null) {
+  const { keyHash, ...rest } = apiKey;
+  return { ...rest, lastUsedAt: lastUsedAt };
+}
+
+/**
+ * Read all API keys, including revoked ones
+ *
+ * @param {Object} env - Environment variables selecting the storage backend
+ * @returns {Promise<Object>} - { apiKeys, version }
+ */
+export async function readApiKeys(env) {
+  const { data, version } = await getStorage(env, 'apiKeys').read();
+  return { apiKeys: data.apiKeys || [], version: version };
+}
+
+/**
+ * Change the API keys and save them
+ * Works like updateUsers in _users.js: the change function modifies the list in place
+ * and returns nothing on success, or { status, error } to abandon the change.
+ *
+ * @param {Object} env - Environment variables selecting the storage backend
+ * @param {Function} change - (apiKeys) => void | { status, error }
+ * @param {string} message - Description of the change (a commit message on GitHub)
+ * @param {Object} [user] - Token claims of the admin making the change
+ * @returns {Promise<Object>} - { success: true, apiKeys, previous } or
+ *   { success: false, status, error }, with status 501 when the backend cannot hold keys
+ * @throws {Error} - If storage is unreachable or the keys changed since they were
+ *   read (status 409)
+ */
+export async function updateApiKeys(env, change, message, user = null) {
+  const storage = getStorage(env, 'apiKeys');
+  const { data, version } = await storage.read();
+  const apiKeys = structuredClone(data.apiKeys || []);
+
+  const failure = change(apiKeys);
+  if (failure) {
+    return { success: false, status: failure.status, error: failure.error };
+  }
+
+  try {
+    await storage.write({ ...data, apiKeys: apiKeys }, version, withActor(message, user));
+  } catch (error) {
+    if (isUnavailableError(error)) {
+      return { success: false, status: error.status, error: error.message };
+    }
+    throw error;
+  }
+  return { success: true, apiKeys: apiKeys, previous: data.apiKeys || [] };
+}
+
+/**
+ * Generate a new API key and the record to store for it
+ *
+ * @param {Object} details - { label, scope, profiles? } (validated by validateApiKeyData)
+ * @param {string} createdBy - Username of the admin creating the key
+ * @returns {Promise<Object>} - { key, apiKey } where key is the secret to show once
+ *
+ * @example
+ * const { key, apiKey } = await generateApiKey({ label: 'Lunch bot', scope: 'read' }, 'admin');
+ */
+export async function generateApiKey(details, createdBy) {
+  const id = randomHex(ID_BYTES);
+  const secret = randomHex(SECRET_BYTES);
+  const key = `${API_KEY_PREFIX}${id}_${secret}`;
+
+  return {
+    key: key,
+    apiKey: {
+      id: id,
+      label: details.label.trim(),
+      scope: details.scope,
+      ...(details.profiles ? { profiles: details.profiles } : {}),
+      keyHash: await sha256Hex(key),
+      createdAt: new Date().toISOString(),
+      createdBy: createdBy
+    }
+  };
+}
+
+/**
+ * Check an API key and build the claims a request made with it acts with
+ *
+ * @param {Object} env - Environment variables selecting the storage backend
+ * @param {string} key - API key from the request
+ * @returns {Promise<Object|null>} - Claims ({ sub: "api-key:<id>", role, profiles?,
+ *   apiKeyId, label }) shaped like access token claims, or null if the key is unknown,
+ *   malformed or revoked
+ */
+export async function authenticateApiKey(env, key) {
+  const match = API_KEY_PATTERN.exec(key);
+  if (!match) {
+    return null;
+  }
+
+  const { apiKeys } = await readApiKeys(env);
+  const apiKey = apiKeys.find((k) => k.id === match[1]);
+  if (!apiKey || apiKey.revokedAt || !API_KEY_SCOPES[apiKey.scope]) {
+    return null;
+  }
+  if (!timingSafeEqual(await sha256Hex(key), apiKey.keyHash)) {
+    return null;
+  }
+
+  await recordApiKeyUse(env, apiKey.id);
+
+  return {
+    sub: `api-key:${apiKey.id}`,
+    role: API_KEY_SCOPES[apiKey.scope],
+    ...(Array.isArray(apiKey.profiles) ? { profiles: apiKey.profiles } : {}),
+    apiKeyId: apiKey.id,
+    label: apiKey.label
+  };
+}
+
+/**
+ * Remember that an API key was just used
+ *
+ * @param {Object} env - Environment variables (can contain AUTH_KV)
+ * @param {string} id - API key ID
+ * @returns {Promise<void>}
+ */
+async function recordApiKeyUse(env, id) {
+  const now = Date.now();
+  if (now - (recordedAt.get(id) || 0) < LAST_USED_RESOLUTION_MS) {
+    return;
+  }
+  recordedAt.set(id, now);
+
+  const usedAt = new Date(now).toISOString();
+  if (env.AUTH_KV) {
+    await env.AUTH_KV.put(`apikey:used:${id}`, usedAt, { expirationTtl: LAST_USED_TTL });
+  } else {
+    lastUsedStore.set(id, usedAt);
+  }
+}
+
+/**
+ * Look up when an API key was last used
+ *
+ * @param {Object} env - Environment variables (can contain AUTH_KV)
+ * @param {string} id - API key ID
+ * @returns {Promise<string|null>} - ISO time, or null if it has not been used
+ */
+export async function getApiKeyLastUsed(env, id) {
+  if (env.AUTH_KV) {
+    return env.AUTH_KV.get(`apikey:used:${id}`);
+  }
+  return lastUsedStore.get(id) || null;
+}
+
+/**
+ * Clear the in-memory last-used times
+ * Used by tests to start each case fresh.
+ */
+export function resetApiKeyUsage() {
+  lastUsedStore.clear();
+  recordedAt.clear();
+}
@@ -0,0 +1,297 @@
+/**
+ * Audit Log for Restaurant Picker API
+ *
+ * Every successful change to restaurants, profiles, accounts and API keys is appended to
+ * the audit log: who made it (the account or API key), from which IP address, the
+ * request, a description of the change and a diff of the records before and after it.
+ * Sign-in events (failed logins, lockouts and revoked sessions) are logged as well, under
+ * the "auth" document and without a diff. Spin history and group votes are public and
+ * not audited. Entries are never changed or removed by the API.
+ *
+ * Entries live in the KV namespace bound as AUDIT_KV under keys that sort newest first.
+ * Without AUDIT_KV (local development and tests) each Worker instance keeps only the
+ * last MAX_MEMORY_ENTRIES entries it wrote, lost on restart, and /api/audit shows those
+ * of the instance that answers; a warning is logged the first time this happens.
+ *
+ * Password and API key hashes never appear in entries; a changed hash shows up as a
+ * changed field with redacted values.
+ *
+ * @module api/_audit
+ */
+
+import { diffDocuments, diffRecords } from './_shared.js';
+
+const KEY_PREFIX = 'audit:';
+const MAX_TIMESTAMP = 9999999999999; // Inverted into keys so newer entries sort first
+const MAX_SCAN = 1000; // Entries examined per query before returning a cursor
+const REDACTED = '[redacted]';
+const SECRET_FIELDS = ['passwordHash', 'keyHash'];
+const MAX_MEMORY_ENTRIES = 1000; // Entries kept in memory without AUDIT_KV
+
+// Field that identifies records in each document's lists
+const RECORD_ID_FIELDS = { users: 'username', apiKeys: 'id' };
+
+// In-memory log used when AUDIT_KV is not bound, newest first
+const memoryLog = [];
+let warnedMemoryLog = false;
+
+/**
+ * Remove secret fields from a record
+ *
+ * @param {Object} record - Stored record
+ * @returns {Object} - Copy without password or key hashes
+ */
+function redactRecord(record) {
+  const copy = { ...record };
+  SECRET_FIELDS.forEach((field) => delete copy[field]);
+  return copy;
+}
+
+/**
+ * Remove secrets from a record diff
+ *
+ * @param {Object} diff - { added, removed, changed } from diffRecords
+ * @returns {Object} - Diff safe to store in the audit log
+ */
+function redactDiff(diff) {
+  return {
+    added: diff.added.map(redactRecord),
+    removed: diff.removed.map(redactRecord),
+    changed: diff.changed.map((record) => ({
+      ...record,
+      fields: record.fields.map((change) =>
+        SECRET_FIELDS.includes(change.field)
+          ? { field: change.field, before: REDACTED, after: REDACTED }
+          : change
+      )
+    }))
+  };
+}
+
+/**
+ * Describe what a change did to a stored document
+ *
+ * @param {string} document - "restaurants", "users" or "apiKeys"
+ * @param {*} before - Document (restaurants) or record list (users, apiKeys) before the change
+ * @param {*} after - The same after the change
+ * @returns {Object} - { restaurants, profiles } diffs, or { users } / { apiKeys }
+ */
+function describeChanges(document, before, after) {
+  if (document === 'restaurants') {
+    return diffDocuments(before, after);
+  }
+  return {
+    [document]: redactDiff(diffRecords(before || [], after || [], RECORD_ID_FIELDS[document]))
+  };
+}
+
+/**
+ * Append an entry to the audit log
+ * Failures are logged and swallowed: the change itself has already been saved.
+ *
+ * @param {Object} context - Cloudflare Pages Functions context ({ request, env })
+ * @param {Object} user - Token claims of whoever made the change
+ * @param {Object} change - { action, document, before, after } where action describes the
+ *   change (usually the commit message), document is "restaurants", "users" or "apiKeys",
+ *   and before/after are the document (restaurants) or record list around the change
+ * @returns {Promise<Object|null>} - Stored entry, or null if it could not be stored
+ *
+ * @example
+ * await recordAudit(context, auth.user, {
+ *   action: outcome.message,
+ *   document: 'restaurants',
+ *   before: outcome.previous,
+ *   after: outcome.data
+ * });
+ */
+export function recordAudit(context, user, change) {
+  return appendEntry(context, user, () => ({
+    action: change.action,
+    document: change.document,
+    changes: describeChanges(change.document, change.before, change.after)
+  }));
+}
+
+/**
+ * Append an entry for a sign-in event
+ * Entries go under the "auth" document, with the event's details instead of a diff.
+ *
+ * @param {Object} context - Cloudflare Pages Functions context ({ request, env })
+ * @param {Object} user - Claims of the account involved ({ sub, role? })
+ * @param {string} action - What happened, e.g. "Failed login"
+ * @param {Object} details - Extra facts about the event (optional)
+ * @returns {Promise<Object|null>} - Stored entry, or null if it could not be stored
+ *
+ * @example
+ * await recordAuthEvent(context, { sub: 'anonymous' }, 'Failed login', { username: 'sam' });
+ */
+export function recordAuthEvent(context, user, action, details = {}) {
+  return appendEntry(context, user, () => ({
+    action: action,
+    document: 'auth',
+    details: details
+  }));
+}
+
+/**
+ * Store an audit entry for a request
+ * Failures are logged and swallowed so they never undo or block the request.
+ *
+ * @param {Object} context - Cloudflare Pages Functions context ({ request, env })
+ * @param {Object} user - Token claims of the actor
+ * @param {Function} describe - Returns the entry's action, document and changes or details
+ * @returns {Promise<Object|null>} - Stored entry, or null if it could not be stored
+ */
+async function appendEntry(context, user, describe) {
+  const { request, env } = context;
+
+  try {
+    const now = Date.now();
+    const entry = {
+      id: crypto.randomUUID(),
+      at: new Date(now).toISOString(),
+      actor: {
+        sub: user.sub,
+        ...(user.role ? { role: user.role } : {}),
+        ...(user.apiKeyId ? { apiKeyId: user.apiKeyId } : {})
+      },
+      ip: request.headers.get('CF-Connecting-IP') || 'unknown',
+      method: request.method,
+      path: new URL(request.url).pathname,
+      ...describe()
+    };
+
+    if (env.AUDIT_KV) {
+      const inverted = String(MAX_TIMESTAMP - now).padStart(13, '0');
+      await env.AUDIT_KV.put(`${KEY_PREFIX}${inverted}:${entry.id}`, JSON.stringify(entry));
+    } else {
+      if (!warnedMemoryLog) {
+        console.warn(
+          `AUDIT_KV is not bound: keeping the last ${MAX_MEMORY_ENTRIES} audit entries in memory only`
+        );
+        warnedMemoryLog = true;
+      }
+      memoryLog.unshift(entry);
+      memoryLog.length = Math.min(memoryLog.length, MAX_MEMORY_ENTRIES);
+    }
+
+    return entry;
+  } catch (error) {
+    console.error('Failed to write audit entry:', error);
+    return null;
+  }
+}
+
+/**
+ * Append an entry for operations saved with commitOperations
+ *
+ * @param {Object} context - Cloudflare Pages Functions context ({ request, env })
+ * @param {Object} user - Token claims of whoever made the change
+ * @param {Object} outcome - Successful result of commitOperations
+ * @returns {Promise<Object|null>} - Stored entry, or null if it could not be stored
+ *
+ * @example
+ * await recordOperationsAudit(context, auth.user, outcome);
+ */
+export function recordOperationsAudit(context, user, outcome) {
+  return recordAudit(context, user, {
+    action: outcome.message,
+    document: 'restaurants',
+    before: outcome.previous,
+    after: outcome.data
+  });
+}
+
+/**
+ * Read one page of entries, newest first
+ *
+ * @param {Object} env - Environment variables (can contain AUDIT_KV)
+ * @param {string|null} cursor - Cursor returned for the previous page
+ * @param {number} limit - Entries to read
+ * @returns {Promise<Object>} - { entries, cursor } where cursor is null after the last page
+ */
+async function readPage(env, cursor, limit) {
+  if (env.AUDIT_KV) {
+    const page = await env.AUDIT_KV.list({
+      prefix: KEY_PREFIX,
+      limit: limit,
+      ...(cursor ? { cursor: cursor } : {})
+    });
+    const entries = await Promise.all(page.keys.map((key) => env.AUDIT_KV.get(key.name, 'json')));
+    return {
+      entries: entries.filter(Boolean),
+      cursor: page.list_complete ? null : page.cursor
+    };
+  }
+
+  const start = Number(cursor) || 0;
+  const end = start + limit;
+  return {
+    entries: memoryLog.slice(start, end),
+    cursor: end < memoryLog.length ? String(end) : null
+  };
+}
+
+/**
+ * Check whether an entry matches the query filters
+ *
+ * @param {Object} entry - Audit entry
+ * @param {Object} filters - See listAuditEntries
+ * @returns {boolean} - True if every given filter matches
+ */
+function matchesFilters(entry, filters) {
+  return (
+    (!filters.actor || entry.actor.sub === filters.actor) &&
+    (!filters.ip || entry.ip === filters.ip) &&
+    (!filters.document || entry.document === filters.document) &&
+    (!filters.q || String(entry.action).toLowerCase().includes(filters.q.toLowerCase())) &&
+    (!filters.until || entry.at <= filters.until)
+  );
+}
+
+/**
+ * Query the audit log, newest first
+ * At most MAX_SCAN entries are examined per call; pass the returned cursor to continue.
+ *
+ * @param {Object} env - Environment variables (can contain AUDIT_KV)
+ * @param {Object} filters - { actor, ip, document, q, since, until } (all optional); q
+ *   searches the action text, since and until are ISO timestamps
+ * @param {Object} options - { limit, cursor }
+ * @returns {Promise<Object>} - { entries, cursor } where cursor is null when there is
+ *   nothing older to read
+ *
+ * @example
+ * const { entries } = await listAuditEntries(env, { actor: 'sam', document: 'restaurants' });
+ */
+export async function listAuditEntries(env, filters = {}, options = {}) {
+  const limit = options.limit || 50;
+  const entries = [];
+  let cursor = options.cursor || null;
+  let scanned = 0;
+
+  do {
+    const page = await readPage(env, cursor, limit - entries.length);
+    cursor = page.cursor;
+    scanned += page.entries.length;
+
+    for (const entry of page.entries) {
+      // Entries are newest first, so nothing after this one is recent enough
+      if (filters.since && entry.at < filters.since) {
+        return { entries: entries, cursor: null };
+      }
+      if (matchesFilters(entry, filters)) {
+        entries.push(entry);
+      }
+    }
+  } while (cursor && entries.length < limit && scanned < MAX_SCAN);
+
+  return { entries: entries, cursor: cursor };
+}
+
+/**
+ * Clear the in-memory audit log
+ * Used by tests to start each case with an empty log.
+ */
+export function resetAuditLog() {
+  memoryLog.length = 0;
+}
@@ -0,0 +1,166 @@
+/**
+ * Edge Cache for the Restaurant Data Document
+ *
+ * Public GET endpoints read the data document through this module instead of calling
+ * the storage backend on every request. The document and its version are kept in the
+ * Workers Cache API of the serving data center:
+ *
+ * - Fresh for DOCUMENT_FRESH_SECONDS: served straight from the cache
+ * - Stale up to DOCUMENT_STALE_SECONDS: served from the cache while a background
+ *   request fetches the latest version (stale-while-revalidate)
+ * - Older or missing: read from storage and cached
+ *
+ * Writes call invalidateDocumentCache() so the next read in the same data center sees
+ * the change immediately. Other data centers pick it up within the freshness window.
+ * Invalidating replaces the entry with a marker rather than deleting it, and a read only
+ * caches its copy if nothing newer was cached since it started, so a read that was still
+ * in flight during a write cannot put the old document back.
+ * The local backend is never cached because it is already in memory.
+ *
+ * @module api/_cache
+ */
+
+import { getStorage } from './_storage.js';
+
+const DOCUMENT_FRESH_SECONDS = 60;
+const DOCUMENT_STALE_SECONDS = 600;
+const CACHED_AT_HEADER = 'X-Cached-At';
+const INVALIDATED_HEADER = 'X-Invalidated';
+
+/**
+ * Get the storage backend name the cache entry belongs to
+ *
+ * @param {Object} env - Environment variables
+ * @returns {string} - Lowercase backend name
+ */
+function getBackendName(env) {
+  return (env.STORAGE_BACKEND || 'github').toLowerCase();
+}
+
+/**
+ * Check whether the document should be cached for this deployment
+ *
+ * @param {Object} env - Environment variables
+ * @returns {boolean} - True if the Cache API is available and the backend is remote
+ */
+function isCacheEnabled(env) {
+  return typeof caches !== 'undefined' && getBackendName(env) !== 'local';
+}
+
+/**
+ * Build the cache key for the document of this deployment
+ * The key includes the backend, repository and branch so deployments sharing a zone
+ * never see each other's data.
+ *
+ * @param {Object} env - Environment variables
+ * @returns {string} - Synthetic URL used as the cache key
+ */
+function getCacheKey(env) {
+  const scope = [getBackendName(env), env.GITHUB_REPO, env.GITHUB_BRANCH]
+    .map((part) => encodeURIComponent(part || ''))
+    .join('/');
+  return `https://restaurant-picker.cache/document/${scope}`;
+}
+
+/**
+ * Store a cache entry stamped with the current time
+ *
+ * @param {Object} env - Environment variables
+ * @param {string} body - Response body
+ * @param {Object} headers - Extra headers
+ * @returns {Promise<void>}
+ */
+function putEntry(env, body, headers = {}) {
+  return caches.default.put(
+    getCacheKey(env),
+    new Response(body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': `public, max-age=${DOCUMENT_STALE_SECONDS}`,
+        [CACHED_AT_HEADER]: String(Date.now()),
+        ...headers
+      }
+    })
+  );
+}
+
+/**
+ * Read the document from storage and store it in the cache
+ * The copy is not cached if the entry was replaced or invalidated while it was being
+ * read, since it may then be older than the document a write has just saved.
+ *
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - { data, version }
+ */
+async function readAndCache(env) {
+  const startedAt = Date.now();
+  const document = await getStorage(env).read();
+
+  const current = await caches.default.match(getCacheKey(env));
+  if (current && Number(current.headers.get(CACHED_AT_HEADER)) >= startedAt) {
+    return document;
+  }
+
+  await putEntry(env, JSON.stringify(document));
+  return document;
+}
+
+/**
+ * Read the data document for a public GET request, using the edge cache when possible
+ *
+ * @param {Object} context - Cloudflare Pages Functions context (env and waitUntil)
+ * @returns {Promise<Object>} - { data, version } as returned by the storage backend
+ * @throws {Error} - If the document is not cached and storage is unreachable
+ *
+ * @example
+ * const { data, version } = await readDocument(context);
+ */
+export async function readDocument(context) {
+  const { env } = context;
+
+  if (!isCacheEnabled(env)) {
+    return await getStorage(env).read();
+  }
+
+  const cached = await caches.default.match(getCacheKey(env));
+  if (!cached || cached.headers.has(INVALIDATED_HEADER)) {
+    return await readAndCache(env);
+  }
+
+  const document = await cached.json();
+  const ageSeconds = (Date.now() - Number(cached.headers.get(CACHED_AT_HEADER))) / 1000;
+
+  if (ageSeconds > DOCUMENT_FRESH_SECONDS) {
+    if (!context.waitUntil) {
+      return await readAndCache(env);
+    }
+
+    // Serve the stale copy now and refresh it after the response is sent
+    context.waitUntil(
+      readAndCache(env).catch((error) => {
+        console.error('Error revalidating cached document:', error);
+      })
+    );
+  }
+
+  return document;
+}
+
+/**
+ * Mark the cached document as outdated after a write so the next read fetches the new
+ * version
+ *
+ * @param {Object} env - Environment variables
+ * @returns {Promise<void>}
+ *
+ * @example
+ * await storage.write(data, version, message);
+ * await invalidateDocumentCache(env);
+ */
+export async function invalidateDocumentCache(env) {
+  if (!isCacheEnabled(env)) {
+    return;
+  }
+
+  await putEntry(env, '{}', { [INVALIDATED_HEADER]: '1' });
+}
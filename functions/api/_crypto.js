@@ -0,0 +1,46 @@
+/**
+ * Hashing and Random Token Helpers for Restaurant Picker API
+ *
+ * Small wrappers around the Web Crypto API for the secrets the API hands out, such as
+ * API keys, and the SHA-256 hashes stored in their place. Passwords use PBKDF2 instead
+ * (see _users.js).
+ *
+ * @module api/_crypto
+ */
+
+/**
+ * Encode bytes as lowercase hex
+ *
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} - Hex string, two characters per byte
+ */
+export function toHex(bytes) {
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Generate a random hex string
+ *
+ * @param {number} byteCount - Random bytes to draw
+ * @returns {string} - Hex string of twice byteCount characters
+ *
+ * @example
+ * const token = randomHex(32);
+ */
+export function randomHex(byteCount) {
+  return toHex(crypto.getRandomValues(new Uint8Array(byteCount)));
+}
+
+/**
+ * Hash text with SHA-256
+ *
+ * @param {string} text - Text to hash, encoded as UTF-8
+ * @returns {Promise<string>} - Hex digest
+ *
+ * @example
+ * const tokenHash = await sha256Hex(token);
+ */
+export async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return toHex(new Uint8Array(digest));
+}
@@ -0,0 +1,335 @@
+/**
+ * Group Sessions for Restaurant Picker API
+ *
+ * A group session lets several people pick lunch together. The host starts one from
+ * the restaurants currently on their wheel (the candidates) and shares its short code.
+ * Participants join with a name, then upvote or veto candidates within the session's
+ * limits. The wheel spins over the candidates nobody vetoed, weighted by upvotes, and
+ * the host posts the winner, which closes the session.
+ *
+ * Sessions are kept in the KV namespace bound as GROUPS_KV and expire GROUP_TTL_HOURS
+ * after they start. Each participant (with their votes) is stored under its own key so
+ * people voting at the same time never overwrite each other. Participants reach
+ * whichever Worker instance is nearest, so sessions cannot be kept in memory: without
+ * GROUPS_KV the group endpoints answer 501.
+ *
+ * The host and each participant get a secret token when they start or join a session;
+ * only SHA-256 hashes of the tokens are stored.
+ *
+ * Stored records:
+ * - group:<code> - { code, createdAt, expiresAt, profile, service, foodTypes,
+ *   candidates: [{ id, name }], limits: { upvotes, vetoes }, hostTokenHash, result? }
+ * - group:<code>:participant:<id> - { id, name, joinedAt, tokenHash, upvotes, vetoes }
+ *
+ * @module api/_groups
+ */
+
+import { randomHex, sha256Hex } from './_crypto.js';
+
+const KEY_PREFIX = 'group:';
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I/L to misread
+const CODE_LENGTH = 6;
+const TOKEN_BYTES = 32;
+export const GROUP_TTL_HOURS = 12;
+export const MAX_PARTICIPANTS = 50;
+export const DEFAULT_GROUP_LIMITS = { upvotes: 3, vetoes: 1 };
+
+/**
+ * Store a record until its session expires
+ *
+ * @param {Object} env - Environment variables with GROUPS_KV
+ * @param {string} key - Record key
+ * @param {Object} value - Record
+ * @param {Object} group - Session the record belongs to
+ * @returns {Promise<void>}
+ */
+async function putRecord(env, key, value, group) {
+  // KV needs expirations at least 60 seconds in the future
+  const expiration = Math.max(
+    Math.floor(new Date(group.expiresAt).getTime() / 1000),
+    Math.floor(Date.now() / 1000) + 60
+  );
+  await env.GROUPS_KV.put(key, JSON.stringify(value), { expiration: expiration });
+}
+
+/**
+ * Generate a session code
+ *
+ * @returns {string} - CODE_LENGTH characters from CODE_ALPHABET
+ */
+function generateCode() {
+  return Array.from(
+    crypto.getRandomValues(new Uint8Array(CODE_LENGTH)),
+    (b) => CODE_ALPHABET[b % CODE_ALPHABET.length]
+  ).join('');
+}
+
+/**
+ * Normalize a session code from a link or typed by hand
+ *
+ * @param {string} code - Code as entered
+ * @returns {string|null} - Uppercase code, or null if it cannot be a session code
+ */
+export function normalizeGroupCode(code) {
+  const normalized = String(code || '').toUpperCase();
+  const pattern = new RegExp(`^[${CODE_ALPHABET}]{${CODE_LENGTH}}$`);
+  return pattern.test(normalized) ? normalized : null;
+}
+
+/**
+ * Remove the secrets from a session before returning it to a client
+ *
+ * @param {Object} group - Stored session
+ * @returns {Object} - Session without hostTokenHash
+ */
+export function publicGroup(group) {
+  const { hostTokenHash, ...rest } = group;
+  return rest;
+}
+
+/**
+ * Remove the secrets from a participant before returning it to a client
+ *
+ * @param {Object} participant - Stored participant
+ * @returns {Object} - Participant without tokenHash
+ */
+export function publicParticipant(participant) {
+  const { tokenHash, ...rest } = participant;
+  return rest;
+}
+
+/**
+ * Start a group session
+ *
+ * @param {Object} env - Environment variables with GROUPS_KV
+ * @param {Object} details - { profile, service, foodTypes, candidates: [{ id, name }],
+ *   limits: { upvotes, vetoes } }
+ * @returns {Promise<Object>} - { group, hostToken } where hostToken is shown once
+ *
+ * @example
+ * const { group, hostToken } = await createGroup(env, { profile: 'all', candidates, limits });
+ */
+export async function createGroup(env, details) {
+  const store = env.GROUPS_KV;
+
+  let code = generateCode();
+  while (await store.get(`${KEY_PREFIX}${code}`, 'json')) {
+    code = generateCode();
+  }
+
+  const now = Date.now();
+  const hostToken = randomHex(TOKEN_BYTES);
+  const group = {
+    code: code,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + GROUP_TTL_HOURS * 60 * 60 * 1000).toISOString(),
+    profile: details.profile,
+    service: details.service,
+    foodTypes: details.foodTypes,
+    candidates: details.candidates,
+    limits: details.limits,
+    hostTokenHash: await sha256Hex(hostToken)
+  };
+
+  await putRecord(env, `${KEY_PREFIX}${code}`, group, group);
+  return { group: group, hostToken: hostToken };
+}
+
+/**
+ * Read a session that has not expired
+ *
+ * @param {Object} env - Environment variables with GROUPS_KV
+ * @param {string} code - Session code
+ * @returns {Promise<Object|null>} - Stored session, or null if unknown or expired
+ */
+export async function readGroup(env, code) {
+  const group = await env.GROUPS_KV.get(`${KEY_PREFIX}${code}`, 'json');
+  return group && new Date(group.expiresAt).getTime() > Date.now() ? group : null;
+}
+
+/**
+ * List the participants of a session, in the order they joined
+ *
+ * @param {Object} env - Environment variables with GROUPS_KV
+ * @param {string} code - Session code
+ * @returns {Promise<Array<Object>>} - Stored participants
+ */
+export async function listParticipants(env, code) {
+  const store = env.GROUPS_KV;
+  const participants = [];
+  let cursor = null;
+
+  do {
+    const page = await store.list({
+      prefix: `${KEY_PREFIX}${code}:participant:`,
+      ...(cursor ? { cursor: cursor } : {})
+    });
+    const records = await Promise.all(page.keys.map((key) => store.get(key.name, 'json')));
+    participants.push(...records.filter(Boolean));
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+
+  return participants.sort((a, b) => a.joinedAt.localeCompare(b.joinedAt));
+}
+
+/**
+ * Add a participant to a session
+ *
+ * @param {Object} env - Environment variables with GROUPS_KV
+ * @param {Object} group - Stored session
+ * @param {string} name - Participant's display name (validated by the caller)
+ * @returns {Promise<Object>} - { participant, token } where token is shown once
+ */
+export async function joinGroup(env, group, name) {
+  const token = randomHex(TOKEN_BYTES);
+  const participant = {
+    id: crypto.randomUUID(),
+    name: name,
+    joinedAt: new Date().toISOString(),
+    tokenHash: await sha256Hex(token),
+    upvotes: [],
+    vetoes: []
+  };
+
+  await putRecord(
+    env,
+    `${KEY_PREFIX}${group.code}:participant:${participant.id}`,
+    participant,
+    group
+  );
+  return { participant: participant, token: token };
+}
+
+/**
+ * Find the participant a token belongs to
+ *
+ * @param {Object} env - Environment variables with GROUPS_KV
+ * @param {Object} group - Stored session
+ * @param {string|null} token - Participant token from the request
+ * @returns {Promise<Object|null>} - Stored participant, or null if the token is unknown
+ */
+export async function authenticateParticipant(env, group, token) {
+  if (!token) {
+    return null;
+  }
+  const tokenHash = await sha256Hex(token);
+  const participants = await listParticipants(env, group.code);
+  return participants.find((participant) => participant.tokenHash === tokenHash) || null;
+}
+
+/**
+ * Check a host token
+ *
+ * @param {Object} group - Stored session
+ * @param {string|null} token - Host token from the request
+ * @returns {Promise<boolean>} - True if it is the session's host token
+ */
+export async function isGroupHost(group, token) {
+  return Boolean(token) && (await sha256Hex(token)) === group.hostTokenHash;
+}
+
+/**
+ * Check a participant's votes against the session's candidates and limits
+ *
+ * @param {Object} group - Stored session
+ * @param {Object} votes - { upvotes, vetoes } lists of restaurant IDs
+ * @returns {string|null} - Error message, or null if the votes are allowed
+ */
+export function checkVotes(group, votes) {
+  const candidateIds = new Set(group.candidates.map((candidate) => String(candidate.id)));
+  const upvotes = votes.upvotes.map(String);
+  const vetoes = votes.vetoes.map(String);
+
+  if (upvotes.length > group.limits.upvotes) {
+    return `No more than ${group.limits.upvotes} upvotes are allowed in this session`;
+  }
+  if (vetoes.length > group.limits.vetoes) {
+    return `No more than ${group.limits.vetoes} vetoes are allowed in this session`;
+  }
+  if (new Set(upvotes).size !== upvotes.length || new Set(vetoes).size !== vetoes.length) {
+    return 'Each restaurant can only be upvoted or vetoed once';
+  }
+  if ([...upvotes, ...vetoes].some((id) => !candidateIds.has(id))) {
+    return 'Votes must be for restaurants in this session';
+  }
+  if (upvotes.some((id) => vetoes.includes(id))) {
+    return 'A restaurant cannot be both upvoted and vetoed';
+  }
+  return null;
+}
+
+/**
+ * Replace a participant's votes
+ *
+ * @param {Object} env - Environment variables with GROUPS_KV
+ * @param {Object} group - Stored session
+ * @param {Object} participant - Stored participant
+ * @param {Object} votes - { upvotes, vetoes } checked with checkVotes
+ * @returns {Promise<Object>} - Updated participant
+ */
+export async function saveVotes(env, group, participant, votes) {
+  const updated = { ...participant, upvotes: votes.upvotes, vetoes: votes.vetoes };
+  await putRecord(env, `${KEY_PREFIX}${group.code}:participant:${participant.id}`, updated, group);
+  return updated;
+}
+
+/**
+ * Count the votes for each candidate
+ * Vetoed candidates are out; the others are weighted 1 + their upvotes on the wheel.
+ *
+ * @param {Object} group - Stored session
+ * @param {Array<Object>} participants - Stored participants
+ * @returns {Array<Object>} - Candidates as { id, name, upvotes, vetoes, vetoedBy,
+ *   eliminated, weight }
+ */
+export function tallyVotes(group, participants) {
+  return group.candidates.map((candidate) => {
+    const id = String(candidate.id);
+    const upvotes = participants.filter((p) => p.upvotes.map(String).includes(id)).length;
+    const vetoedBy = participants
+      .filter((p) => p.vetoes.map(String).includes(id))
+      .map((p) => p.name);
+    return {
+      ...candidate,
+      upvotes: upvotes,
+      vetoes: vetoedBy.length,
+      vetoedBy: vetoedBy,
+      eliminated: vetoedBy.length > 0,
+      weight: 1 + upvotes
+    };
+  });
+}
+
+/**
+ * Describe a session for clients: its settings, who has joined and the vote count
+ *
+ * @param {Object} env - Environment variables with GROUPS_KV
+ * @param {Object} group - Stored session
+ * @returns {Promise<Object>} - { group, participants, candidates } without secrets, where
+ *   candidates come from tallyVotes
+ */
+export async function describeGroup(env, group) {
+  const participants = await listParticipants(env, group.code);
+  return {
+    group: publicGroup(group),
+    participants: participants.map(publicParticipant),
+    candidates: tallyVotes(group, participants)
+  };
+}
+
+/**
+ * Record the winner and close the session to further votes
+ *
+ * @param {Object} env - Environment variables with GROUPS_KV
+ * @param {Object} group - Stored session
+ * @param {Object} candidate - Winning candidate ({ id, name })
+ * @returns {Promise<Object>} - Updated session
+ */
+export async function closeGroup(env, group, candidate) {
+  const updated = {
+    ...group,
+    result: { id: candidate.id, name: candidate.name, at: new Date().toISOString() }
+  };
+  await putRecord(env, `${KEY_PREFIX}${group.code}`, updated, group);
+  return updated;
+}
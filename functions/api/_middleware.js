@@ -0,0 +1,92 @@
+/**
+ * API Middleware
+ *
+ * Runs before every /api endpoint. Requests that would change data from a browser on an
+ * origin outside the ALLOWED_ORIGIN allowlist get 403 Forbidden, and every response gets
+ * CORS headers matching the request's Origin (see getCorsHeaders in _shared.js).
+ *
+ * It also applies the rate limit policy for the request's route and client (see
+ * _ratelimit.js) and adds X-RateLimit-Limit, X-RateLimit-Remaining and X-RateLimit-Reset
+ * headers to the response. Requests over the limit get
+ * 429 Too Many Requests with a Retry-After header and never reach the endpoint. If the
+ * limit cannot be checked, the request is served without the headers.
+ *
+ * Login requests are limited by auth.js itself, which also handles lockouts after
+ * failed attempts; CORS preflight requests are not counted.
+ *
+ * Environment Variables:
+ * - ALLOWED_ORIGIN: Optional comma-separated origin allowlist (all origins otherwise)
+ * - RATE_LIMIT_KV: Optional KV namespace shared by all instances (in memory otherwise)
+ */
+
+import { errorResponse, getCorsHeaders, isDisallowedWrite } from './_shared.js';
+import { getRateLimitPolicy, checkRateLimit, withRateLimitHeaders } from './_ratelimit.js';
+
+/**
+ * Replace the CORS headers of an endpoint's response with ones for the request's Origin
+ *
+ * @param {Response} response - Response from the endpoint
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment variables (can contain ALLOWED_ORIGIN)
+ * @returns {Response} - Response with matching CORS headers
+ */
+function withCorsHeaders(response, request, env) {
+  // Responses from fetch() and Response.redirect() have immutable headers
+  const result = new Response(response.body, response);
+  result.headers.delete('Access-Control-Allow-Origin');
+  const { Vary: vary, ...headers } = getCorsHeaders(env, request);
+  Object.entries(headers).forEach(([name, value]) => {
+    result.headers.set(name, value);
+  });
+  if (vary && !/\borigin\b/i.test(result.headers.get('Vary') || '')) {
+    result.headers.append('Vary', vary);
+  }
+  return result;
+}
+
+export async function onRequest(context) {
+  const { request, env } = context;
+
+  if (isDisallowedWrite(request, env)) {
+    return withCorsHeaders(errorResponse('Origin not allowed', 403, env), request, env);
+  }
+
+  return withCorsHeaders(await applyRateLimit(context), request, env);
+}
+
+/**
+ * Apply the rate limit for the request and call the endpoint if it is allowed
+ *
+ * @param {Object} context - Cloudflare Pages Functions context
+ * @returns {Promise<Response>} - Endpoint response, or 429 over the limit
+ */
+async function applyRateLimit(context) {
+  const { request, env } = context;
+
+  const policy = getRateLimitPolicy(request);
+  if (!policy || policy === 'login') {
+    return context.next();
+  }
+
+  let rateCheck;
+  try {
+    rateCheck = await checkRateLimit(request, env, policy);
+  } catch (error) {
+    console.error('Rate limit check failed:', error);
+    return context.next();
+  }
+
+  if (!rateCheck.allowed) {
+    const response = withRateLimitHeaders(
+      errorResponse('Too many requests. Please try again later.', 429, env),
+      rateCheck
+    );
+    response.headers.set(
+      'Retry-After',
+      String(Math.max(Math.ceil((rateCheck.resetAt.getTime() - Date.now()) / 1000), 1))
+    );
+    return response;
+  }
+
+  return withRateLimitHeaders(await context.next(), rateCheck);
+}
@@ -0,0 +1,342 @@
+/**
+ * Rate Limiting for Restaurant Picker API
+ *
+ * Counts requests per client IP in fixed windows, with a policy chosen by route (see
+ * RATE_LIMIT_ROUTES and RATE_LIMIT_POLICIES). Failed logins are also tracked per IP and
+ * username: after LOCKOUT_THRESHOLD failures in a row the pair is locked out, and each
+ * further lockout lasts twice as long as the one before, up to LOCKOUT_MAX_SECONDS.
+ *
+ * Counters are shared by all Worker instances and edge locations through the KV namespace
+ * bound as RATE_LIMIT_KV. KV accepts about one write per second to a key, so each
+ * instance counts in memory and adds its requests to the stored count at most every
+ * COUNTER_FLUSH_MS. KV has no atomic increment either, so counts can be slightly low;
+ * the limits are a brake on abuse, not an exact quota. When KV cannot be read or
+ * written, the instance's own counts are used and the request is served. Without
+ * RATE_LIMIT_KV (local development and tests) everything is kept in memory: each Worker
+ * instance then enforces the limits and lockouts on its own, so a client whose requests
+ * reach several instances gets that many times the limit.
+ *
+ * @module api/_ratelimit
+ */
+
+/**
+ * Requests allowed per window for each policy
+ * - read: GET and HEAD requests without a route of their own
+ * - write: other requests without a route of their own
+ * - login: sign-in attempts at POST /api/auth
+ * - save: saves that commit the whole document (batch, migrate, revert)
+ * - spin: server-side spins and their commitments (two requests per spin)
+ * - vote: joining and voting in group sessions, one request per vote change
+ */
+export const RATE_LIMIT_POLICIES = {
+  read: { limit: 120, windowSeconds: 60 },
+  write: { limit: 30, windowSeconds: 60 },
+  login: { limit: 10, windowSeconds: 60 },
+  save: { limit: 10, windowSeconds: 60 },
+  spin: { limit: 20, windowSeconds: 60 },
+  vote: { limit: 60, windowSeconds: 60 }
+};
+
+/**
+ * Policy for each route, checked in order. Paths are matched without a trailing slash;
+ * requests no route matches use "read" for GET and HEAD and "write" otherwise.
+ */
+export const RATE_LIMIT_ROUTES = [
+  { methods: ['POST'], path: /^\/api\/auth$/, policy: 'login' },
+  { methods: ['POST'], path: /^\/api\/(batch|migrate)$/, policy: 'save' },
+  { methods: ['POST'], path: /^\/api\/history\/[^/]+\/revert$/, policy: 'save' },
+  { methods: ['POST'], path: /^\/api\/spin(\/commit)?$/, policy: 'spin' },
+  { methods: ['POST'], path: /^\/api\/groups(\/[^/]+\/participants)?$/, policy: 'vote' },
+  { methods: ['PUT'], path: /^\/api\/groups\/[^/]+\/votes$/, policy: 'vote' }
+];
+
+const LOCKOUT_THRESHOLD = 5; // Failed logins in a row before a lockout
+const LOCKOUT_BASE_SECONDS = 60; // Length of the first lockout
+const LOCKOUT_MAX_SECONDS = 60 * 60; // Lockouts never last longer than an hour
+const LOCKOUT_MEMORY_SECONDS = 24 * 60 * 60; // Failures are forgotten after a quiet day
+
+// KV rejects expiration TTLs shorter than a minute
+const MIN_KV_TTL = 60;
+
+// KV accepts about one write per second to the same key
+const COUNTER_FLUSH_MS = 2000;
+
+// In-memory records used when RATE_LIMIT_KV is not bound or fails
+const memoryStore = new Map();
+
+// This instance's request counters: key -> { stored, pending, flushedAt, expiresAt }
+const counters = new Map();
+
+/**
+ * Drop expired entries once a map has grown large
+ *
+ * @param {Map} map - Map of entries with an expiresAt time
+ */
+function pruneExpired(map) {
+  const now = Date.now();
+  if (map.size > 10000) {
+    for (const [k, entry] of map.entries()) {
+      if (now > entry.expiresAt) {
+        map.delete(k);
+      }
+    }
+  }
+}
+
+/**
+ * Read a record
+ * Falls back to this instance's memory when KV fails.
+ *
+ * @param {Object} env - Environment variables (can contain RATE_LIMIT_KV)
+ * @param {string} key - Record key
+ * @returns {Promise<Object|null>} - Stored record, or null if missing or expired
+ */
+async function readRecord(env, key) {
+  if (env.RATE_LIMIT_KV) {
+    try {
+      return await env.RATE_LIMIT_KV.get(key, 'json');
+    } catch (error) {
+      console.error('Rate limit read failed, using memory:', error);
+    }
+  }
+
+  const entry = memoryStore.get(key);
+  return entry && Date.now() <= entry.expiresAt ? entry.value : null;
+}
+
+/**
+ * Write a record
+ * Falls back to this instance's memory when KV fails, e.g. when the key was written
+ * less than a second ago.
+ *
+ * @param {Object} env - Environment variables (can contain RATE_LIMIT_KV)
+ * @param {string} key - Record key
+ * @param {Object} value - Record to store
+ * @param {number} ttl - Seconds to keep the record
+ * @returns {Promise<void>}
+ */
+async function writeRecord(env, key, value, ttl) {
+  if (env.RATE_LIMIT_KV) {
+    try {
+      await env.RATE_LIMIT_KV.put(key, JSON.stringify(value), {
+        expirationTtl: Math.max(Math.ceil(ttl), MIN_KV_TTL)
+      });
+      return;
+    } catch (error) {
+      console.error('Rate limit write failed, using memory:', error);
+    }
+  }
+
+  pruneExpired(memoryStore);
+  memoryStore.set(key, { value: value, expiresAt: Date.now() + ttl * 1000 });
+}
+
+/**
+ * Count one request in a window counter
+ * The instance adds its pending requests to the shared count in KV at most every
+ * COUNTER_FLUSH_MS, re-reading the stored count so other instances' requests are
+ * picked up. Without RATE_LIMIT_KV nothing is flushed.
+ *
+ * @param {Object} env - Environment variables (can contain RATE_LIMIT_KV)
+ * @param {string} key - Counter key
+ * @param {Date} resetAt - End of the window
+ * @returns {Promise<number>} - Requests counted in the window, including this one
+ */
+async function countRequest(env, key, resetAt) {
+  let counter = counters.get(key);
+  if (!counter) {
+    pruneExpired(counters);
+    const stored = env.RATE_LIMIT_KV ? await readRecord(env, key) : null;
+    counter = {
+      stored: stored ? stored.count : 0,
+      pending: 0,
+      flushedAt: Date.now(),
+      expiresAt: resetAt.getTime()
+    };
+    counters.set(key, counter);
+  }
+  counter.pending++;
+
+  if (env.RATE_LIMIT_KV && Date.now() - counter.flushedAt >= COUNTER_FLUSH_MS) {
+    counter.flushedAt = Date.now();
+    const stored = await readRecord(env, key);
+    const count = Math.max(stored ? stored.count : 0, counter.stored) + counter.pending;
+    counter.stored = count;
+    counter.pending = 0;
+    await writeRecord(env, key, { count: count }, (resetAt.getTime() - Date.now()) / 1000);
+  }
+
+  return counter.stored + counter.pending;
+}
+
+/**
+ * Identify the client making a request
+ *
+ * @param {Request} request - Incoming request
+ * @returns {string} - Client IP address as seen by Cloudflare
+ */
+function getClientKey(request) {
+  return request.headers.get('CF-Connecting-IP') || 'unknown';
+}
+
+/**
+ * Choose the rate limit policy for a request
+ *
+ * @param {Request} request - Incoming request
+ * @returns {string|null} - Key of RATE_LIMIT_POLICIES, or null for CORS preflight requests
+ */
+export function getRateLimitPolicy(request) {
+  if (request.method === 'OPTIONS') {
+    return null;
+  }
+
+  const path = new URL(request.url).pathname.replace(/\/$/, '');
+  const route = RATE_LIMIT_ROUTES.find(
+    (r) => r.methods.includes(request.method) && r.path.test(path)
+  );
+  if (route) {
+    return route.policy;
+  }
+  return request.method === 'GET' || request.method === 'HEAD' ? 'read' : 'write';
+}
+
+/**
+ * Count a request against a rate limit policy
+ *
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment variables (can contain RATE_LIMIT_KV)
+ * @param {string} policyName - Key of RATE_LIMIT_POLICIES
+ * @returns {Promise<Object>} - { allowed, limit, remaining, resetAt } where resetAt is a Date
+ *
+ * @example
+ * const rateCheck = await checkRateLimit(request, env, 'login');
+ * if (!rateCheck.allowed) {
+ *   return withRateLimitHeaders(errorResponse('Too many requests', 429, env), rateCheck);
+ * }
+ */
+export async function checkRateLimit(request, env, policyName) {
+  const policy = RATE_LIMIT_POLICIES[policyName];
+  const windowMs = policy.windowSeconds * 1000;
+  const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+  const resetAt = new Date(windowStart + windowMs);
+  const key = `ratelimit:${policyName}:${getClientKey(request)}:${windowStart}`;
+
+  const count = await countRequest(env, key, resetAt);
+
+  return {
+    allowed: count <= policy.limit,
+    limit: policy.limit,
+    remaining: Math.max(policy.limit - count, 0),
+    resetAt: resetAt
+  };
+}
+
+/**
+ * Build the rate limit headers for a response
+ *
+ * @param {Object} rateCheck - Result of checkRateLimit
+ * @returns {Object} - X-RateLimit-Limit, X-RateLimit-Remaining and X-RateLimit-Reset
+ *   (Unix time in seconds) headers
+ */
+export function rateLimitHeaders(rateCheck) {
+  return {
+    'X-RateLimit-Limit': String(rateCheck.limit),
+    'X-RateLimit-Remaining': String(rateCheck.remaining),
+    'X-RateLimit-Reset': String(Math.ceil(rateCheck.resetAt.getTime() / 1000))
+  };
+}
+
+/**
+ * Copy a response and add rate limit headers to it
+ *
+ * @param {Response} response - Response from an endpoint
+ * @param {Object} rateCheck - Result of checkRateLimit
+ * @returns {Response} - Response with X-RateLimit-* headers
+ */
+export function withRateLimitHeaders(response, rateCheck) {
+  const limited = new Response(response.body, response);
+  Object.entries(rateLimitHeaders(rateCheck)).forEach(([name, value]) => {
+    limited.headers.set(name, value);
+  });
+  return limited;
+}
+
+/**
+ * Key of the failed-login record for a client and account
+ *
+ * @param {Request} request - Incoming login request
+ * @param {string} username - Account name ('' for the built-in admin password)
+ * @returns {string} - Record key
+ */
+function lockoutKey(request, username) {
+  return `lockout:${getClientKey(request)}:${String(username || '').toLowerCase()}`;
+}
+
+/**
+ * Check whether logins for an account are locked for this client
+ *
+ * @param {Request} request - Incoming login request
+ * @param {Object} env - Environment variables (can contain RATE_LIMIT_KV)
+ * @param {string} username - Account name ('' for the built-in admin password)
+ * @returns {Promise<Object>} - { locked: boolean, retryAfter: seconds until unlocked }
+ */
+export async function checkLoginLockout(request, env, username) {
+  const record = await readRecord(env, lockoutKey(request, username));
+  const retryAfter = record ? Math.ceil((record.lockedUntil - Date.now()) / 1000) : 0;
+  return { locked: retryAfter > 0, retryAfter: Math.max(retryAfter, 0) };
+}
+
+/**
+ * Record a failed login and start a lockout once there have been too many in a row
+ *
+ * @param {Request} request - Incoming login request
+ * @param {Object} env - Environment variables (can contain RATE_LIMIT_KV)
+ * @param {string} username - Account name ('' for the built-in admin password)
+ * @returns {Promise<Object>} - { locked: boolean, retryAfter: seconds until unlocked }
+ */
+export async function recordLoginFailure(request, env, username) {
+  const key = lockoutKey(request, username);
+  const record = (await readRecord(env, key)) || { failures: 0, lockouts: 0, lockedUntil: 0 };
+
+  record.failures++;
+  let retryAfter = 0;
+
+  if (record.failures >= LOCKOUT_THRESHOLD) {
+    retryAfter = Math.min(LOCKOUT_BASE_SECONDS * 2 ** record.lockouts, LOCKOUT_MAX_SECONDS);
+    record.lockouts++;
+    record.failures = 0;
+    record.lockedUntil = Date.now() + retryAfter * 1000;
+  }
+
+  await writeRecord(env, key, record, LOCKOUT_MEMORY_SECONDS);
+  return { locked: retryAfter > 0, retryAfter: retryAfter };
+}
+
+/**
+ * Forget failed logins after a successful one
+ *
+ * @param {Request} request - Incoming login request
+ * @param {Object} env - Environment variables (can contain RATE_LIMIT_KV)
+ * @param {string} username - Account name ('' for the built-in admin password)
+ * @returns {Promise<void>}
+ */
+export async function clearLoginFailures(request, env, username) {
+  const key = lockoutKey(request, username);
+  memoryStore.delete(key);
+  if (env.RATE_LIMIT_KV) {
+    try {
+      await env.RATE_LIMIT_KV.delete(key);
+    } catch (error) {
+      console.error('Rate limit delete failed:', error);
+    }
+  }
+}
+
+/**
+ * Clear all in-memory counters
+ * Used by tests to start each case with fresh limits.
+ */
+export function resetRateLimits() {
+  memoryStore.clear();
+  counters.clear();
+}
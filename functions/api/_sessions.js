@@ -0,0 +1,239 @@
+/**
+ * Sessions and Token Revocation for Restaurant Picker API
+ *
+ * Signing in starts a session identified by a random session ID. The session is
+ * represented by two tokens that both carry that ID:
+ * - an access token (15 minutes), sent as the Bearer token to every endpoint
+ * - a refresh token (7 days), exchanged at /api/auth/refresh for a new pair
+ *
+ * Refresh tokens rotate: each one can be used once. Presenting a refresh token that was
+ * already used means it was copied, so the whole session is revoked. Logging out also
+ * revokes the session, which rejects its access tokens straight away instead of when
+ * they expire.
+ *
+ * The revocation list lives in the KV namespace bound as AUTH_KV, with entries that
+ * expire once the tokens they reject would have expired anyway. A list kept by one
+ * Worker instance would not stop other instances from accepting revoked tokens, so
+ * without AUTH_KV nothing is revoked: /api/auth/refresh and /api/auth/logout answer
+ * 501 and sessions end when their access token expires.
+ *
+ * Signing keys come from JWT_SECRETS, a JSON object mapping key IDs to secrets
+ * ({ "2025-01": "...", "2024-07": "..." }). The first key signs new tokens and every
+ * key is accepted, so a new secret can be added first and old ones removed once their
+ * tokens have expired. JWT_SECRET, if set, is accepted as a key without an ID (and
+ * signs when JWT_SECRETS is not set). Every token names this API as its issuer and
+ * audience (JWT_ISSUER and JWT_AUDIENCE override the defaults).
+ *
+ * @module api/_sessions
+ */
+
+import { sign, decode } from './jwt-helper.js';
+
+const DEFAULT_ISSUER = 'restaurant-picker';
+const DEFAULT_AUDIENCE = 'restaurant-picker-api';
+
+export const ACCESS_TOKEN_TTL = 15 * 60; // 15 minutes, in seconds
+export const REFRESH_TOKEN_TTL = 7 * 24 * 60 * 60; // 7 days, in seconds
+
+// KV rejects expiration TTLs shorter than a minute
+const MIN_KV_TTL = 60;
+
+/**
+ * Add an entry to the revocation list
+ *
+ * @param {Object} env - Environment variables with AUTH_KV
+ * @param {string} key - Revocation key
+ * @param {number} ttl - Seconds to keep the entry
+ * @returns {Promise<void>}
+ * @throws {Error} - If AUTH_KV is not bound
+ */
+async function addRevocation(env, key, ttl) {
+  if (!env.AUTH_KV) {
+    throw new Error('Revoking tokens needs the AUTH_KV KV namespace to be bound');
+  }
+  await env.AUTH_KV.put(key, '1', { expirationTtl: Math.max(ttl, MIN_KV_TTL) });
+}
+
+/**
+ * Check whether an entry is on the revocation list
+ *
+ * @param {Object} env - Environment variables (can contain AUTH_KV)
+ * @param {string} key - Revocation key
+ * @returns {Promise<boolean>} - True if the entry exists and has not expired; always
+ *   false without AUTH_KV, since nothing can be revoked then
+ */
+async function hasRevocation(env, key) {
+  if (!env.AUTH_KV) {
+    return false;
+  }
+  return (await env.AUTH_KV.get(key)) !== null;
+}
+
+/**
+ * Read the configured signing keys
+ *
+ * @param {Object} env - Environment variables containing JWT_SECRETS and/or JWT_SECRET
+ * @returns {Array<Object>} - [{ kid, secret }], signing key first; empty if none is set
+ * @throws {Error} - If JWT_SECRETS is not a JSON object of key IDs to secrets
+ */
+export function getSigningKeys(env) {
+  const keys = [];
+
+  if (env.JWT_SECRETS) {
+    const secrets = JSON.parse(env.JWT_SECRETS);
+    if (!secrets || typeof secrets !== 'object' || Array.isArray(secrets)) {
+      throw new Error('JWT_SECRETS must be a JSON object of key IDs to secrets');
+    }
+    Object.entries(secrets).forEach(([kid, secret]) => {
+      keys.push({ kid: kid, secret: secret });
+    });
+  }
+  if (env.JWT_SECRET) {
+    keys.push({ kid: null, secret: env.JWT_SECRET });
+  }
+
+  return keys;
+}
+
+/**
+ * Issuer and audience every token must carry
+ *
+ * @param {Object} env - Environment variables (can contain JWT_ISSUER and JWT_AUDIENCE)
+ * @returns {Object} - { issuer, audience }
+ */
+function getTokenClaims(env) {
+  return {
+    issuer: env.JWT_ISSUER || DEFAULT_ISSUER,
+    audience: env.JWT_AUDIENCE || DEFAULT_AUDIENCE
+  };
+}
+
+/**
+ * Sign a token with the current signing key
+ * Adds the issuer and audience claims and names the key in the header.
+ *
+ * @param {Object} env - Environment variables with the signing keys
+ * @param {Object} claims - Claims to sign, including exp
+ * @returns {Promise<string>} - Encoded JWT
+ * @throws {Error} - If no signing key is configured
+ *
+ * @example
+ * const token = await signToken(env, { sub: 'sam', role: 'editor', exp: now + 60 });
+ */
+export async function signToken(env, claims) {
+  const [key] = getSigningKeys(env);
+  if (!key) {
+    throw new Error('JWT_SECRET or JWT_SECRETS must be set');
+  }
+
+  const { issuer, audience } = getTokenClaims(env);
+  return sign({ iss: issuer, aud: audience, ...claims }, key.secret, { kid: key.kid });
+}
+
+/**
+ * Verify a token issued by signToken and read its claims
+ *
+ * @param {Object} env - Environment variables with the signing keys
+ * @param {string} token - Encoded JWT
+ * @returns {Promise<Object|null>} - Verified claims, or null if the token is invalid,
+ *   expired, not yet valid, signed with an unknown key or meant for someone else
+ */
+export async function verifyToken(env, token) {
+  if (typeof token !== 'string') {
+    return null;
+  }
+
+  const decoded = await decode(token, getSigningKeys(env), getTokenClaims(env));
+  return decoded ? decoded.payload : null;
+}
+
+/**
+ * Issue an access token and a refresh token for a session
+ *
+ * @param {Object} env - Environment variables with the signing keys
+ * @param {Object} user - { username, role, profiles? } of the signed-in account; profiles
+ *   becomes a claim that limits the session to those profiles
+ * @param {string} [sessionId] - Existing session to continue; a new one is started if omitted
+ * @returns {Promise<Object>} - { token, refreshToken, expiresIn }
+ *
+ * @example
+ * const tokens = await issueTokens(env, { username: 'sam', role: 'editor' });
+ */
+export async function issueTokens(env, user, sessionId = crypto.randomUUID()) {
+  const now = Math.floor(Date.now() / 1000);
+
+  const token = await signToken(env, {
+    sub: user.username,
+    role: user.role,
+    ...(user.profiles ? { profiles: user.profiles } : {}),
+    sessionId: sessionId,
+    iat: now,
+    exp: now + ACCESS_TOKEN_TTL
+  });
+
+  const refreshToken = await signToken(env, {
+    sub: user.username,
+    type: 'refresh',
+    sessionId: sessionId,
+    jti: crypto.randomUUID(),
+    iat: now,
+    exp: now + REFRESH_TOKEN_TTL
+  });
+
+  return { token: token, refreshToken: refreshToken, expiresIn: ACCESS_TOKEN_TTL };
+}
+
+/**
+ * Verify a refresh token and read its claims
+ *
+ * @param {Object} env - Environment variables with the signing keys
+ * @param {string} refreshToken - Refresh token from the client
+ * @returns {Promise<Object|null>} - Claims ({ sub, sessionId, jti, exp }), or null if the
+ *   token is invalid, expired or not a refresh token
+ */
+export async function readRefreshToken(env, refreshToken) {
+  const claims = await verifyToken(env, refreshToken);
+  return claims && claims.type === 'refresh' ? claims : null;
+}
+
+/**
+ * Revoke a session so none of its tokens are accepted again
+ * Any token of the session was issued before now, so none outlives REFRESH_TOKEN_TTL.
+ *
+ * @param {Object} env - Environment variables (can contain AUTH_KV)
+ * @param {string} sessionId - Session to revoke
+ * @returns {Promise<void>}
+ */
+export async function revokeSession(env, sessionId) {
+  await addRevocation(env, `revoked:session:${sessionId}`, REFRESH_TOKEN_TTL);
+}
+
+/**
+ * Check whether a session has been revoked
+ *
+ * @param {Object} env - Environment variables (can contain AUTH_KV)
+ * @param {string} sessionId - Session to check
+ * @returns {Promise<boolean>} - True if the session was revoked
+ */
+export async function isSessionRevoked(env, sessionId) {
+  return hasRevocation(env, `revoked:session:${sessionId}`);
+}
+
+/**
+ * Mark a refresh token as used
+ * Returns false if it had already been used, in which case the caller should treat the
+ * token as stolen and revoke its session.
+ *
+ * @param {Object} env - Environment variables (can contain AUTH_KV)
+ * @param {Object} claims - Verified refresh token claims with jti and exp
+ * @returns {Promise<boolean>} - True if this is the first use of the token
+ */
+export async function consumeRefreshToken(env, claims) {
+  const key = `revoked:refresh:${claims.jti}`;
+  if (await hasRevocation(env, key)) {
+    return false;
+  }
+
+  await addRevocation(env, key, claims.exp - Math.floor(Date.now() / 1000));
+  return true;
+}
@@ -7,140 +7,258 @@
  * @module api/_shared
  */
 
-import { verify } from './jwt-helper.js';
+import { getStorage, isConflictError, withActor } from './_storage.js';
+import { invalidateDocumentCache } from './_cache.js';
+import { verifyToken, isSessionRevoked } from './_sessions.js';
+import { API_KEY_SCOPES, isApiKey, authenticateApiKey } from './_apikeys.js';
 
-const RESTAURANT_FILE = 'restaurants.json';
+/**
+ * User roles, from least to most privileged. Each role can do everything the
+ * roles before it can:
+ * - viewer: read the change history and check data
+ * - editor: add, change and remove restaurants
+ * - admin: manage profiles and user accounts, revert and migrate data
+ */
+export const ROLES = ['viewer', 'editor', 'admin'];
+
+/**
+ * Check whether a role grants at least the permissions of another role
+ *
+ * @param {string} role - Role of the signed-in user
+ * @param {string} requiredRole - Minimum role needed
+ * @returns {boolean} - True if role is requiredRole or a more privileged role
+ *
+ * @example
+ * hasRole('admin', 'editor'); // true
+ * hasRole('viewer', 'editor'); // false
+ */
+export function hasRole(role, requiredRole) {
+  return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(requiredRole);
+}
 
 /**
  * Verify JWT authentication token from request headers
- * Validates token signature and expiration
+ * Validates token signature and expiration, that its session has not been revoked
+ * (see _sessions.js), and that the token's role claim grants at least the required role.
+ * API keys (see _apikeys.js) are accepted too, in an X-API-Key header or as the Bearer token.
  *
- * @param {Request} request - Incoming request object with Authorization header
- * @param {Object} env - Environment variables containing JWT_SECRET
- * @returns {Promise<boolean>} - True if authenticated, false otherwise
+ * @param {Request} request - Incoming request object with Authorization or X-API-Key header
+ * @param {Object} env - Environment variables with the JWT signing keys
+ * @param {string} requiredRole - Minimum role needed (defaults to viewer)
+ * @returns {Promise<Object|null>} - Token claims ({ sub, role, ... }) if authorized, null otherwise
  *
  * @example
- * if (!(await verifyAuth(request, env))) {
+ * if (!(await verifyAuth(request, env, 'editor'))) {
  *   return new Response(JSON.stringify({ error: 'Unauthorized' }), { status: 401 });
  * }
  */
-export async function verifyAuth(request, env) {
+export async function verifyAuth(request, env, requiredRole = 'viewer') {
+  const claims = await getAuthClaims(request, env);
+  return claims && hasRole(claims.role, requiredRole) ? claims : null;
+}
+
+/**
+ * Read the claims of a valid bearer token or API key
+ *
+ * @param {Request} request - Incoming request object with Authorization or X-API-Key header
+ * @param {Object} env - Environment variables with the JWT signing keys
+ * @returns {Promise<Object|null>} - Token claims, or null if the token is missing or invalid
+ */
+async function getAuthClaims(request, env) {
   const authHeader = request.headers.get('Authorization');
+  const apiKeyHeader = request.headers.get('X-API-Key');
+  if (apiKeyHeader !== null) {
+    return isApiKey(apiKeyHeader) ? authenticateApiKey(env, apiKeyHeader) : null;
+  }
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return false;
+    return null;
   }
 
   const token = authHeader.substring(7);
+  if (isApiKey(token)) {
+    return authenticateApiKey(env, token);
+  }
+
   try {
-    // Verify JWT signature and expiration
-    const isValid = await verify(token, env.JWT_SECRET);
-    return isValid;
+    // Verify JWT signature, key, algorithm, issuer, audience and validity period
+    const payload = await verifyToken(env, token);
+    if (!payload) {
+      return null;
+    }
+
+    // Tokens issued before roles existed carry no role and must be renewed.
+    // Refresh tokens carry no role either, so they cannot be used as access tokens.
+    if (typeof payload.sub !== 'string' || !ROLES.includes(payload.role)) {
+      return null;
+    }
+
+    // Reject tokens of sessions that logged out or reused a refresh token
+    if (payload.sessionId && (await isSessionRevoked(env, payload.sessionId))) {
+      return null;
+    }
+
+    return payload;
   } catch {
-    return false;
+    return null;
   }
 }
 
 /**
- * Retrieve restaurant data file from GitHub repository
+ * Authorize a request for an endpoint that needs a minimum role
+ * Distinguishes a missing or invalid token (401) from a valid token whose role is
+ * not sufficient (403).
  *
- * @param {Object} env - Environment variables containing GitHub credentials
- * @returns {Promise<Object>} - Object containing parsed data and file SHA
- * @throws {Error} - If GitHub API request fails
+ * @param {Request} request - Incoming request object with Authorization or X-API-Key header
+ * @param {Object} env - Environment variables with the JWT signing keys
+ * @param {string} requiredRole - Minimum role needed
+ * @returns {Promise<Object>} - { user } with the token claims, or { error } with the
+ *   response to return
  *
  * @example
- * const { data, sha } = await fetchFromGitHub(env);
- * console.log(data.restaurants); // Array of restaurants
+ * const auth = await requireRole(request, env, 'editor');
+ * if (auth.error) {
+ *   return auth.error;
+ * }
  */
-export async function fetchFromGitHub(env) {
-  const url = `https://api.github.com/repos/${env.GITHUB_REPO}/contents/${RESTAURANT_FILE}?ref=${env.GITHUB_BRANCH}`;
+export async function requireRole(request, env, requiredRole) {
+  const claims = await getAuthClaims(request, env);
+  if (!claims) {
+    return { user: null, error: errorResponse('Unauthorized', 401, env) };
+  }
+  if (!hasRole(claims.role, requiredRole)) {
+    return {
+      user: null,
+      error: errorResponse(`Forbidden: this action requires the ${requiredRole} role`, 403, env)
+    };
+  }
+  return { user: claims, error: null };
+}
 
-  const response = await fetch(url, {
-    headers: {
-      Authorization: `token ${env.GITHUB_TOKEN}`,
-      Accept: 'application/vnd.github.v3+json',
-      'User-Agent': 'Restaurant-Picker-App'
-    }
-  });
+// How long browsers may cache a preflight response, in seconds
+const CORS_MAX_AGE = 86400;
 
-  if (!response.ok) {
-    throw new Error(`GitHub API error: ${response.status}`);
-  }
+// Methods that change data, refused from origins outside the allowlist
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
 
-  const responseData = await response.json();
-  const content = atob(responseData.content);
-  return {
-    data: JSON.parse(content),
-    sha: responseData.sha
-  };
+/**
+ * Parse the ALLOWED_ORIGIN allowlist
+ * A comma-separated list of origins ("https://intranet.example.com"), wildcard
+ * subdomain patterns ("https://*.example.com") or "*" for any origin.
+ *
+ * @param {Object} env - Environment variables (can contain ALLOWED_ORIGIN)
+ * @returns {string[]} - Allowed origins and patterns, ['*'] when unset
+ */
+function getAllowedOrigins(env) {
+  const origins = String(env.ALLOWED_ORIGIN || '')
+    .split(',')
+    .map((origin) => origin.trim().replace(/\/+$/, '').toLowerCase())
+    .filter(Boolean);
+  return origins.length > 0 ? origins : ['*'];
 }
 
 /**
- * Commit updated restaurant data to GitHub repository
- * Uses SHA-based conflict detection to prevent concurrent modification issues
- *
- * @param {Object} env - Environment variables containing GitHub credentials
- * @param {Object} content - Updated restaurant data object to commit
- * @param {string} sha - Current file SHA for conflict detection
- * @param {string} message - Commit message describing the change
- * @returns {Promise<Object>} - GitHub API response with new commit details
- * @throws {Error} - If GitHub update fails or SHA conflict occurs
+ * Check whether an origin matches an allowlist entry
+ * A wildcard entry matches one or more subdomain levels but not the bare domain.
  *
- * @example
- * await updateGitHub(env, data, sha, 'Add new restaurant: Pizza Palace');
+ * @param {string} origin - Origin header value, lowercased
+ * @param {string} allowed - Allowlist entry
+ * @returns {boolean} - True if the origin matches
  */
-export async function updateGitHub(env, content, sha, message) {
-  const url = `https://api.github.com/repos/${env.GITHUB_REPO}/contents/${RESTAURANT_FILE}`;
-
-  const response = await fetch(url, {
-    method: 'PUT',
-    headers: {
-      Authorization: `token ${env.GITHUB_TOKEN}`,
-      Accept: 'application/vnd.github.v3+json',
-      'Content-Type': 'application/json',
-      'User-Agent': 'Restaurant-Picker-App'
-    },
-    body: JSON.stringify({
-      message: message,
-      content: btoa(JSON.stringify(content, null, 2)),
-      sha: sha,
-      branch: env.GITHUB_BRANCH
-    })
-  });
+function matchesOrigin(origin, allowed) {
+  if (allowed === '*' || allowed === origin) {
+    return true;
+  }
+  const wildcard = allowed.indexOf('://*.');
+  if (wildcard === -1) {
+    return false;
+  }
+  const scheme = allowed.slice(0, wildcard + 3);
+  const suffix = allowed.slice(wildcard + 4);
+  return (
+    origin.startsWith(scheme) &&
+    origin.endsWith(suffix) &&
+    origin.length > scheme.length + suffix.length &&
+    !origin.slice(scheme.length, -suffix.length).includes('/')
+  );
+}
 
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`GitHub update failed: ${response.status} - ${error}`);
+/**
+ * Check whether browsers on an origin may call the API
+ *
+ * @param {Object} env - Environment variables (can contain ALLOWED_ORIGIN)
+ * @param {string|null} origin - Origin header of the request
+ * @returns {boolean} - True if the origin is in the allowlist
+ */
+export function isOriginAllowed(env, origin) {
+  if (!origin) {
+    return false;
   }
+  const normalized = origin.toLowerCase();
+  return getAllowedOrigins(env).some((allowed) => matchesOrigin(normalized, allowed));
+}
 
-  return await response.json();
+/**
+ * Check whether a request comes from a browser on an origin outside the allowlist
+ * and would change data. Requests without an Origin header (scripts, bots,
+ * same-origin GETs) are not affected, and the site's own pages are always allowed:
+ * browsers send an Origin header on same-origin writes too.
+ *
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment variables (can contain ALLOWED_ORIGIN)
+ * @returns {boolean} - True if the request should be refused
+ */
+export function isDisallowedWrite(request, env) {
+  const origin = request.headers.get('Origin');
+  if (!WRITE_METHODS.includes(request.method) || origin === null) {
+    return false;
+  }
+  if (origin.toLowerCase() === new URL(request.url).origin) {
+    return false;
+  }
+  return !isOriginAllowed(env, origin);
 }
 
 /**
  * Generate CORS headers for API responses
- * Currently allows all origins - should be restricted in production
+ * ALLOWED_ORIGIN holds a comma-separated allowlist (see getAllowedOrigins); all origins
+ * are allowed when it is unset. With a request, a matching Origin is echoed back with
+ * "Vary: Origin" so caches keep responses for different origins apart; without one,
+ * a single-origin allowlist is used as is. _middleware.js fixes up the headers of
+ * responses built without the request.
  *
  * @param {Object} env - Environment variables (can contain ALLOWED_ORIGIN)
+ * @param {Request} [request] - Incoming request, to match its Origin header
  * @returns {Object} - Headers object with CORS configuration
  *
  * @example
- * return new Response(JSON.stringify(data), {
- *   headers: {
- *     'Content-Type': 'application/json',
- *     ...getCorsHeaders(env)
- *   }
+ * return new Response(null, {
+ *   headers: getCorsHeaders(context.env, context.request)
  * });
  */
-export function getCorsHeaders(env) {
-  // For production deployments, set ALLOWED_ORIGIN environment variable
-  // to restrict access to specific domains (e.g., 'https://yourdomain.com')
-  // Default allows all origins for development flexibility
-  const allowedOrigin = env.ALLOWED_ORIGIN || '*';
-
-  return {
-    'Access-Control-Allow-Origin': allowedOrigin,
-    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+export function getCorsHeaders(env, request = null) {
+  const allowedOrigins = getAllowedOrigins(env);
+  const headers = {
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key, X-Group-Token',
+    // Let cross-origin clients read the rate limit and caching headers
+    'Access-Control-Expose-Headers':
+      'ETag, Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset',
+    'Access-Control-Max-Age': String(CORS_MAX_AGE)
   };
+
+  if (allowedOrigins.includes('*')) {
+    return { 'Access-Control-Allow-Origin': '*', ...headers };
+  }
+
+  const origin = request ? request.headers.get('Origin') : null;
+  if (origin && isOriginAllowed(env, origin)) {
+    return { 'Access-Control-Allow-Origin': origin, Vary: 'Origin', ...headers };
+  }
+  if (!request && allowedOrigins.length === 1 && !allowedOrigins[0].includes('*')) {
+    return { 'Access-Control-Allow-Origin': allowedOrigins[0], Vary: 'Origin', ...headers };
+  }
+  // No Access-Control-Allow-Origin: browsers on other origins cannot read the response
+  return { Vary: 'Origin', ...headers };
 }
 
 /**
@@ -149,15 +267,18 @@ export function getCorsHeaders(env) {
  * @param {string} message - Error message to return
  * @param {number} status - HTTP status code (default: 500)
  * @param {Object} env - Environment variables for CORS headers
+ * @param {Object} details - Additional fields to include in the response body (optional)
  * @returns {Response} - Formatted error response
  *
  * @example
  * return errorResponse('Restaurant not found', 404, env);
+ * return errorResponse('Batch validation failed', 400, env, { results });
  */
-export function errorResponse(message, status = 500, env = {}) {
+export function errorResponse(message, status = 500, env = {}, details = {}) {
   return new Response(
     JSON.stringify({
-      error: message
+      error: message,
+      ...details
     }),
     {
       status: status,
@@ -188,9 +309,71 @@ export function successResponse(data, env = {}) {
   });
 }
 
+/**
+ * Check that a KV namespace a feature cannot work without is bound
+ * Such features keep state that every Worker instance must see, so they are turned
+ * off rather than kept in the memory of one instance.
+ *
+ * @param {Object} env - Environment variables
+ * @param {string} binding - Name of the KV binding, e.g. "GROUPS_KV"
+ * @param {string} feature - What is unavailable without it, e.g. "Group voting"
+ * @returns {Response|null} - 501 response naming the binding, or null if it is bound
+ *
+ * @example
+ * const unavailable = requireBinding(env, 'GROUPS_KV', 'Group voting');
+ * if (unavailable) {
+ *   return unavailable;
+ * }
+ */
+export function requireBinding(env, binding, feature) {
+  return env[binding]
+    ? null
+    : errorResponse(`${feature} is not available without the ${binding} KV namespace`, 501, env);
+}
+
+/**
+ * Create a cacheable response for data read from the stored document
+ * The ETag is derived from the document version (the file SHA on GitHub), so clients
+ * that send a matching If-None-Match header get an empty 304 response instead.
+ * Browsers always revalidate, which keeps admins from seeing stale data after a save.
+ *
+ * @param {Request} request - Incoming request (checked for If-None-Match)
+ * @param {Object} env - Environment variables for CORS headers
+ * @param {Object} data - Data to return in the response body
+ * @param {string|null} version - Document version the data was read from
+ * @returns {Response} - 200 response with ETag, or 304 if the client copy is current
+ *
+ * @example
+ * const { data, version } = await readDocument(context);
+ * return documentResponse(request, env, { profiles: data.profiles }, version);
+ */
+export function documentResponse(request, env, data, version) {
+  const headers = {
+    'Content-Type': 'application/json',
+    ...getCorsHeaders(env),
+    'Cache-Control': 'public, max-age=0, must-revalidate'
+  };
+
+  if (version) {
+    headers.ETag = `"${version}"`;
+
+    const ifNoneMatch = request.headers.get('If-None-Match');
+    const clientTags = ifNoneMatch
+      ? ifNoneMatch.split(',').map((tag) => tag.trim().replace(/^W\//, ''))
+      : [];
+
+    if (clientTags.includes(headers.ETag) || clientTags.includes('*')) {
+      return new Response(null, { status: 304, headers: headers });
+    }
+  }
+
+  return new Response(JSON.stringify(data), { headers: headers });
+}
+
 /**
  * Generate a UUID v4 (random UUID)
- * Used for generating unique restaurant IDs
+ * Used for generating unique restaurant IDs. IDs are always assigned on the server,
+ * so records created by different clients cannot collide.
  *
  * @returns {string} - UUID in format xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx
  *
@@ -202,11 +385,7 @@ export function successResponse(data, env = {}) {
  * };
  */
 export function generateUUID() {
-  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function (c) {
-    const r = (Math.random() * 16) | 0;
-    const v = c === 'x' ? r : (r & 0x3) | 0x8;
-    return v.toString(16);
-  });
+  return crypto.randomUUID();
 }
 
 /**
@@ -247,6 +426,22 @@ export function validateProfileId(profileId) {
   return /^[a-z0-9-]+$/.test(profileId);
 }
 
+/**
+ * Validate a history version identifier (a commit SHA or a local version number)
+ * Keeps path parameters from being interpolated into storage API URLs unchecked.
+ *
+ * @param {string} version - Version identifier from the request path
+ * @returns {boolean} - True if valid format
+ *
+ * @example
+ * if (!validateVersionId(params.sha)) {
+ *   return errorResponse('Invalid version', 400, env);
+ * }
+ */
+export function validateVersionId(version) {
+  return /^[0-9a-zA-Z]{1,64}$/.test(version);
+}
+
 /**
  * Validate URL format and optionally check if reachable
  *
@@ -282,124 +477,2284 @@ export async function validateURL(url, checkReachable = false) {
   }
 }
 
+/**
+ * Restaurant data schema
+ * Every field a record may carry, with maximum lengths for free-text fields.
+ * Fields not listed here are rejected as unknown.
+ */
+const RESTAURANT_TEXT_FIELDS = {
+  orderMethod: 200,
+  menuLink: 500,
+  address: 200,
+  phone: 30,
+  notes: 1000
+};
+const RESTAURANT_FIELDS = [
+  'id',
+  'legacyId',
+  'name',
+  'foodTypes',
+  'serviceTypes',
+  'profiles',
+  'dietaryRestrictions',
+  'weight',
+  'profileWeights',
+  'hours',
+  'latitude',
+  'longitude',
+  ...Object.keys(RESTAURANT_TEXT_FIELDS)
+];
+const PROFILE_FIELDS = ['id', 'name', 'aliases'];
+const USER_FIELDS = ['username', 'password', 'role', 'profiles'];
+const API_KEY_FIELDS = ['label', 'scope', 'profiles'];
+const API_KEY_LABEL_MAX_LENGTH = 100;
+const SPIN_FIELDS = ['id', 'at', 'restaurantId', 'mode', 'profile', 'service', 'foodTypes'];
+const SPIN_MODES = ['wheel', 'bracket'];
+const SPIN_COMMIT_FIELDS = ['clientSeedHash', 'profile', 'service', 'foodTypes'];
+const SPIN_REQUEST_FIELDS = ['commitId', 'clientSeed'];
+const CLIENT_SEED_MAX_LENGTH = 64;
+const SHA256_HEX_PATTERN = /^[0-9a-f]{64}$/;
+const GROUP_FIELDS = ['profile', 'service', 'foodTypes', 'candidates', 'upvotes', 'vetoes'];
+const VOTE_FIELDS = ['upvotes', 'vetoes'];
+const MAX_GROUP_CANDIDATES = 100;
+const MAX_GROUP_UPVOTES = 10;
+const MAX_GROUP_VETOES = 5;
+const PARTICIPANT_NAME_MAX_LENGTH = 30;
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._-]{2,31}$/;
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_MAX_LENGTH = 128;
+const RESTAURANT_NAME_MAX_LENGTH = 100;
+const PROFILE_NAME_MAX_LENGTH = 50;
+const TAG_MAX_LENGTH = 50;
+const MAX_WEIGHT = 10;
+const HOURS_DAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+const MAX_HOURS_RANGES = 4;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const COORDINATE_LIMITS = { latitude: 90, longitude: 180 };
+const MAX_TAGS = 20;
+const PHONE_PATTERN = /^\+?[0-9\s().-]+$/;
+const PHONE_MIN_DIGITS = 7;
+const PHONE_MAX_DIGITS = 15;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Data document schema version
+ * 1: legacy documents without a schemaVersion field; restaurant IDs may be integers
+ * 2: restaurant IDs are UUIDs, with the old integer ID kept in legacyId
+ */
+export const CURRENT_SCHEMA_VERSION = 2;
+
+/**
+ * Create a structured validation error for a single field
+ *
+ * @param {string} field - Field path, e.g. "menuLink" or "restaurants[2].menuLink"
+ * @param {string} code - Machine-readable error code
+ * @param {string} message - Human-readable description
+ * @returns {Object} - { field, code, message }
+ */
+function fieldError(field, code, message) {
+  return { field: field, code: code, message: message };
+}
+
+/**
+ * Prefix the field paths of validation errors with the record's position in the document
+ *
+ * @param {Array<Object>} fieldErrors - Errors from validateRestaurantData or validateProfileData
+ * @param {string} prefix - Record path, e.g. "restaurants[2]"
+ * @returns {Array<Object>} - Errors with prefixed field paths
+ */
+function prefixFieldErrors(fieldErrors, prefix) {
+  return fieldErrors.map((error) => ({ ...error, field: `${prefix}.${error.field}` }));
+}
+
+/**
+ * Build the result returned by the record and document validators
+ *
+ * @param {Array<Object>} fieldErrors - Structured validation errors
+ * @returns {Object} - { valid, errors: Array<string>, fieldErrors }
+ */
+function validationResult(fieldErrors) {
+  return {
+    valid: fieldErrors.length === 0,
+    errors: fieldErrors.map((error) => error.message),
+    fieldErrors: fieldErrors
+  };
+}
+
+/**
+ * Check that an HTTP(S) URL is well formed
+ *
+ * @param {string} url - URL to check
+ * @returns {boolean} - True if the URL parses and uses http or https
+ */
+function isHttpURL(url) {
+  try {
+    const { protocol } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate a list of short text tags such as food types or dietary restrictions
+ *
+ * @param {Array} tags - Tags to validate
+ * @param {string} field - Field name
+ * @param {string} label - Plural description used in messages
+ * @param {Array<Object>} fieldErrors - Collected errors, appended to
+ */
+function validateTagList(tags, field, label, fieldErrors) {
+  if (tags.length > MAX_TAGS) {
+    fieldErrors.push(
+      fieldError(field, 'too_many', `No more than ${MAX_TAGS} ${label} are allowed`)
+    );
+  }
+
+  if (tags.some((tag) => typeof tag !== 'string' || !tag.trim() || tag.length > TAG_MAX_LENGTH)) {
+    fieldErrors.push(
+      fieldError(
+        field,
+        'invalid_value',
+        `Each of the ${label} must be non-empty text of at most ${TAG_MAX_LENGTH} characters`
+      )
+    );
+  }
+}
+
+/**
+ * Check a wheel weight
+ * Weights scale a restaurant's share of the wheel; 1 is a normal slice.
+ *
+ * @param {*} weight - Value to check
+ * @returns {boolean} - True for a number above 0 and at most MAX_WEIGHT
+ */
+function isValidWeight(weight) {
+  return (
+    typeof weight === 'number' && Number.isFinite(weight) && weight > 0 && weight <= MAX_WEIGHT
+  );
+}
+
+/**
+ * Check an IANA time zone name such as "America/New_York"
+ *
+ * @param {*} timezone - Value to check
+ * @returns {boolean} - True if the runtime knows the time zone
+ */
+function isValidTimezone(timezone) {
+  if (typeof timezone !== 'string' || !timezone) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate weekly opening hours
+ * Hours are { timezone, mon: [{ open, close }], ..., sun } with times as "HH:MM" in the
+ * restaurant's time zone. A day can have several ranges; a day left out is closed. A
+ * range that closes at or before it opens runs past midnight (e.g. 18:00 to 02:00), and
+ * "24:00" closes at midnight.
+ *
+ * @param {*} hours - Value to check
+ * @param {Array<Object>} fieldErrors - Collected errors, appended to
+ */
+function validateHours(hours, fieldErrors) {
+  if (!hours || typeof hours !== 'object' || Array.isArray(hours)) {
+    fieldErrors.push(fieldError('hours', 'type', 'Hours must be an object'));
+    return;
+  }
+
+  Object.keys(hours)
+    .filter((key) => key !== 'timezone' && !HOURS_DAYS.includes(key))
+    .forEach((key) => {
+      fieldErrors.push(
+        fieldError(
+          'hours',
+          'unknown_field',
+          `Unknown day in hours: ${key} (use ${HOURS_DAYS.join(', ')})`
+        )
+      );
+    });
+
+  if (!isValidTimezone(hours.timezone)) {
+    fieldErrors.push(
+      fieldError('hours', 'invalid_value', 'Hours need a time zone such as "America/New_York"')
+    );
+  }
+
+  HOURS_DAYS.filter((day) => hours[day] !== undefined).forEach((day) => {
+    const ranges = hours[day];
+    if (!Array.isArray(ranges)) {
+      fieldErrors.push(fieldError('hours', 'type', `Hours for ${day} must be a list of ranges`));
+    } else if (ranges.length > MAX_HOURS_RANGES) {
+      fieldErrors.push(
+        fieldError(
+          'hours',
+          'too_many',
+          `No more than ${MAX_HOURS_RANGES} ranges are allowed per day`
+        )
+      );
+    } else if (
+      !ranges.every(
+        (range) =>
+          range &&
+          typeof range === 'object' &&
+          Object.keys(range).every((key) => key === 'open' || key === 'close') &&
+          TIME_PATTERN.test(range.open) &&
+          (TIME_PATTERN.test(range.close) || range.close === '24:00') &&
+          range.open !== range.close
+      )
+    ) {
+      fieldErrors.push(
+        fieldError(
+          'hours',
+          'invalid_format',
+          `Hours for ${day} must be ranges of { open, close } times as HH:MM that differ`
+        )
+      );
+    }
+  });
+}
+
+/**
+ * Get a restaurant's wheel weight for a profile
+ * Matches getRestaurantWeight() in the wheel UI: the profile's override wins over the
+ * restaurant's own weight, which defaults to 1.
+ *
+ * @param {Object} restaurant - Restaurant record
+ * @param {string} profileId - Selected profile ("all" for none)
+ * @returns {number} - Weight, 1 for a normal slice
+ */
+export function getWheelWeight(restaurant, profileId) {
+  const overrides = restaurant.profileWeights || {};
+  return overrides[profileId] !== undefined ? overrides[profileId] : restaurant.weight || 1;
+}
+
 /**
  * Sanitize and validate restaurant data
+ * Checks a single restaurant against the schema. Cross-record rules (duplicate names,
+ * references to existing profiles) need the whole document; see validateDocument.
  *
  * @param {Object} restaurant - Restaurant object to validate
- * @returns {Object} - { valid: boolean, errors: Array<string> }
+ * @returns {Object} - { valid: boolean, errors: Array<string>, fieldErrors: Array<Object> }
+ *   where each field error is { field, code, message }
  *
  * @example
  * const validation = validateRestaurantData(newRestaurant);
  * if (!validation.valid) {
- *   return errorResponse(validation.errors.join(', '), 400, env);
+ *   return errorResponse(validation.errors.join(', '), 400, env, {
+ *     fieldErrors: validation.fieldErrors
+ *   });
  * }
  */
 export function validateRestaurantData(restaurant) {
-  const errors = [];
+  if (!restaurant || typeof restaurant !== 'object' || Array.isArray(restaurant)) {
+    return validationResult([fieldError('restaurant', 'type', 'Restaurant must be an object')]);
+  }
+
+  const fieldErrors = [];
+
+  Object.keys(restaurant)
+    .filter((field) => !RESTAURANT_FIELDS.includes(field))
+    .forEach((field) => {
+      fieldErrors.push(fieldError(field, 'unknown_field', `Unknown field: ${field}`));
+    });
+
+  if (
+    restaurant.id !== undefined &&
+    !(typeof restaurant.id === 'string' || Number.isInteger(restaurant.id))
+  ) {
+    fieldErrors.push(fieldError('id', 'type', 'Restaurant ID must be a string or an integer'));
+  }
+  if (
+    restaurant.legacyId !== undefined &&
+    !(typeof restaurant.legacyId === 'string' || Number.isInteger(restaurant.legacyId))
+  ) {
+    fieldErrors.push(
+      fieldError('legacyId', 'type', 'Legacy restaurant ID must be a string or an integer')
+    );
+  }
 
   // Required fields
-  if (!restaurant.name || restaurant.name.trim() === '') {
-    errors.push('Restaurant name is required');
+  if (typeof restaurant.name !== 'string' || restaurant.name.trim() === '') {
+    fieldErrors.push(fieldError('name', 'required', 'Restaurant name is required'));
+  } else if (restaurant.name.length > RESTAURANT_NAME_MAX_LENGTH) {
+    fieldErrors.push(
+      fieldError(
+        'name',
+        'too_long',
+        `Restaurant name must be at most ${RESTAURANT_NAME_MAX_LENGTH} characters`
+      )
+    );
   }
 
   if (!Array.isArray(restaurant.foodTypes) || restaurant.foodTypes.length === 0) {
-    errors.push('At least one food type is required');
+    fieldErrors.push(fieldError('foodTypes', 'required', 'At least one food type is required'));
+  } else {
+    validateTagList(restaurant.foodTypes, 'foodTypes', 'food types', fieldErrors);
   }
 
   if (!Array.isArray(restaurant.serviceTypes) || restaurant.serviceTypes.length === 0) {
-    errors.push('At least one service type is required');
-  }
-
-  // Validate service types
-  if (Array.isArray(restaurant.serviceTypes)) {
+    fieldErrors.push(
+      fieldError('serviceTypes', 'required', 'At least one service type is required')
+    );
+  } else {
     const serviceValidation = validateServiceTypes(restaurant.serviceTypes);
     if (!serviceValidation.valid) {
-      errors.push(`Invalid service types: ${serviceValidation.invalidTypes.join(', ')}`);
+      fieldErrors.push(
+        fieldError(
+          'serviceTypes',
+          'invalid_value',
+          `Invalid service types: ${serviceValidation.invalidTypes.join(', ')}`
+        )
+      );
     }
   }
 
   // Validate profiles array if provided
-  if (restaurant.profiles && !Array.isArray(restaurant.profiles)) {
-    errors.push('Profiles must be an array');
+  if (restaurant.profiles !== undefined) {
+    if (!Array.isArray(restaurant.profiles)) {
+      fieldErrors.push(fieldError('profiles', 'type', 'Profiles must be an array'));
+    } else if (restaurant.profiles.some((id) => typeof id !== 'string' || !validateProfileId(id))) {
+      fieldErrors.push(
+        fieldError('profiles', 'invalid_format', 'Profiles must be a list of profile IDs')
+      );
+    }
   }
 
   // Validate dietary restrictions if provided
-  if (restaurant.dietaryRestrictions && !Array.isArray(restaurant.dietaryRestrictions)) {
-    errors.push('Dietary restrictions must be an array');
+  if (restaurant.dietaryRestrictions !== undefined) {
+    if (!Array.isArray(restaurant.dietaryRestrictions)) {
+      fieldErrors.push(
+        fieldError('dietaryRestrictions', 'type', 'Dietary restrictions must be an array')
+      );
+    } else {
+      validateTagList(
+        restaurant.dietaryRestrictions,
+        'dietaryRestrictions',
+        'dietary restrictions',
+        fieldErrors
+      );
+    }
   }
 
-  return {
-    valid: errors.length === 0,
-    errors: errors
-  };
+  // Wheel weight, and overrides used when a profile is selected
+  if (restaurant.weight !== undefined && !isValidWeight(restaurant.weight)) {
+    fieldErrors.push(
+      fieldError(
+        'weight',
+        'invalid_value',
+        `Weight must be a number above 0 and at most ${MAX_WEIGHT}`
+      )
+    );
+  }
+  if (restaurant.profileWeights !== undefined) {
+    const profileWeights = restaurant.profileWeights;
+    if (!profileWeights || typeof profileWeights !== 'object' || Array.isArray(profileWeights)) {
+      fieldErrors.push(
+        fieldError('profileWeights', 'type', 'Profile weights must map profile IDs to weights')
+      );
+    } else if (Object.keys(profileWeights).some((id) => !validateProfileId(id))) {
+      fieldErrors.push(
+        fieldError(
+          'profileWeights',
+          'invalid_format',
+          'Profile weights must be keyed by profile ID'
+        )
+      );
+    } else if (!Object.values(profileWeights).every(isValidWeight)) {
+      fieldErrors.push(
+        fieldError(
+          'profileWeights',
+          'invalid_value',
+          `Profile weights must be numbers above 0 and at most ${MAX_WEIGHT}`
+        )
+      );
+    }
+  }
+
+  if (restaurant.hours !== undefined) {
+    validateHours(restaurant.hours, fieldErrors);
+  }
+
+  // Coordinates in decimal degrees, given together or not at all
+  Object.entries(COORDINATE_LIMITS).forEach(([field, limit]) => {
+    const value = restaurant[field];
+    if (value === undefined) {
+      return;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || Math.abs(value) > limit) {
+      fieldErrors.push(
+        fieldError(field, 'invalid_value', `${field} must be a number from -${limit} to ${limit}`)
+      );
+    }
+  });
+  if ((restaurant.latitude === undefined) !== (restaurant.longitude === undefined)) {
+    const missing = restaurant.latitude === undefined ? 'latitude' : 'longitude';
+    fieldErrors.push(
+      fieldError(missing, 'required', 'Latitude and longitude must be given together')
+    );
+  }
+
+  // Optional text fields
+  Object.entries(RESTAURANT_TEXT_FIELDS).forEach(([field, maxLength]) => {
+    const value = restaurant[field];
+    if (value === undefined) {
+      return;
+    }
+    if (typeof value !== 'string') {
+      fieldErrors.push(fieldError(field, 'type', `${field} must be text`));
+    } else if (value.length > maxLength) {
+      fieldErrors.push(
+        fieldError(field, 'too_long', `${field} must be at most ${maxLength} characters`)
+      );
+    }
+  });
+
+  if (typeof restaurant.menuLink === 'string' && restaurant.menuLink.trim()) {
+    if (!isHttpURL(restaurant.menuLink.trim())) {
+      fieldErrors.push(
+        fieldError('menuLink', 'invalid_format', 'Menu link must be a valid http(s) URL')
+      );
+    }
+  }
+
+  if (typeof restaurant.phone === 'string' && restaurant.phone.trim()) {
+    const digits = restaurant.phone.replace(/\D/g, '').length;
+    if (
+      !PHONE_PATTERN.test(restaurant.phone.trim()) ||
+      digits < PHONE_MIN_DIGITS ||
+      digits > PHONE_MAX_DIGITS
+    ) {
+      fieldErrors.push(
+        fieldError(
+          'phone',
+          'invalid_format',
+          'Phone must contain 7-15 digits and only spaces, dashes, dots, parentheses or a leading +'
+        )
+      );
+    }
+  }
+
+  return validationResult(fieldErrors);
 }
 
 /**
- * Simple in-memory rate limiter for API endpoints
- * Uses IP address to track request rates
+ * Validate a dining profile record
  *
- * Note: For production with multiple instances, consider using Cloudflare Workers KV
- * or Durable Objects for distributed rate limiting.
+ * @param {Object} profile - Profile object to validate
+ * @returns {Object} - { valid: boolean, errors: Array<string>, fieldErrors: Array<Object> }
+ *
+ * @example
+ * const validation = validateProfileData({ id: 'brunch', name: 'Brunch' });
+ */
+export function validateProfileData(profile) {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    return validationResult([fieldError('profile', 'type', 'Profile must be an object')]);
+  }
+
+  const fieldErrors = [];
+
+  Object.keys(profile)
+    .filter((field) => !PROFILE_FIELDS.includes(field))
+    .forEach((field) => {
+      fieldErrors.push(fieldError(field, 'unknown_field', `Unknown field: ${field}`));
+    });
+
+  if (typeof profile.id !== 'string' || profile.id === '') {
+    fieldErrors.push(fieldError('id', 'required', 'Profile ID is required'));
+  } else if (!validateProfileId(profile.id)) {
+    fieldErrors.push(
+      fieldError(
+        'id',
+        'invalid_format',
+        'Profile ID must contain only lowercase letters, numbers, and hyphens'
+      )
+    );
+  }
+
+  // Previous IDs kept after a rename or merge so old profile URLs keep working
+  if (profile.aliases !== undefined) {
+    if (
+      !Array.isArray(profile.aliases) ||
+      profile.aliases.some((alias) => typeof alias !== 'string' || !validateProfileId(alias))
+    ) {
+      fieldErrors.push(
+        fieldError('aliases', 'invalid_format', 'Aliases must be a list of profile IDs')
+      );
+    }
+  }
+
+  if (typeof profile.name !== 'string' || profile.name.trim() === '') {
+    fieldErrors.push(fieldError('name', 'required', 'Profile name is required'));
+  } else if (profile.name.length > PROFILE_NAME_MAX_LENGTH) {
+    fieldErrors.push(
+      fieldError(
+        'name',
+        'too_long',
+        `Profile name must be at most ${PROFILE_NAME_MAX_LENGTH} characters`
+      )
+    );
+  }
+
+  return validationResult(fieldErrors);
+}
+
+/**
+ * Validate a user account request
+ * New accounts need a username, password and role; updates may carry only the
+ * fields being changed. The optional profiles list limits the account to those
+ * profiles (see authorizeOperation); null removes the limit.
  *
- * @param {Request} request - Incoming request object
- * @param {number} maxRequests - Maximum requests allowed in time window (default: 10)
- * @param {number} windowMs - Time window in milliseconds (default: 60000 = 1 minute)
- * @returns {Object} - { allowed: boolean, remaining: number, resetAt: Date }
+ * @param {Object} user - { username, password, role, profiles }
+ * @param {boolean} partial - True for updates, where every field is optional
+ * @returns {Object} - { valid: boolean, errors: Array<string>, fieldErrors: Array<Object> }
  *
  * @example
- * const rateCheck = checkRateLimit(request, 5, 60000);
- * if (!rateCheck.allowed) {
- *   return errorResponse('Rate limit exceeded', 429, env);
- * }
+ * const validation = validateUserData({ username: 'sam', password: 'correct horse', role: 'editor' });
  */
-const rateLimitStore = new Map();
+export function validateUserData(user, partial = false) {
+  if (!user || typeof user !== 'object' || Array.isArray(user)) {
+    return validationResult([fieldError('user', 'type', 'User must be an object')]);
+  }
 
-export function checkRateLimit(request, maxRequests = 10, windowMs = 60000) {
-  const clientIp = request.headers.get('CF-Connecting-IP') || 'unknown';
-  const now = Date.now();
-  const key = `${clientIp}`;
+  const fieldErrors = [];
 
-  // Clean up expired entries periodically
-  if (rateLimitStore.size > 10000) {
-    for (const [k, v] of rateLimitStore.entries()) {
-      if (now > v.resetAt) {
-        rateLimitStore.delete(k);
-      }
+  Object.keys(user)
+    .filter((field) => !USER_FIELDS.includes(field))
+    .forEach((field) => {
+      fieldErrors.push(fieldError(field, 'unknown_field', `Unknown field: ${field}`));
+    });
+
+  if (!partial || user.username !== undefined) {
+    if (typeof user.username !== 'string' || user.username === '') {
+      fieldErrors.push(fieldError('username', 'required', 'Username is required'));
+    } else if (!USERNAME_PATTERN.test(user.username)) {
+      fieldErrors.push(
+        fieldError(
+          'username',
+          'invalid_format',
+          'Username must be 3-32 lowercase letters, numbers, dots, dashes or underscores'
+        )
+      );
     }
   }
 
-  // Get or create rate limit entry
-  let entry = rateLimitStore.get(key);
+  if (!partial || user.password !== undefined) {
+    if (typeof user.password !== 'string' || user.password === '') {
+      fieldErrors.push(fieldError('password', 'required', 'Password is required'));
+    } else if (user.password.length < PASSWORD_MIN_LENGTH) {
+      fieldErrors.push(
+        fieldError(
+          'password',
+          'too_short',
+          `Password must be at least ${PASSWORD_MIN_LENGTH} characters`
+        )
+      );
+    } else if (user.password.length > PASSWORD_MAX_LENGTH) {
+      fieldErrors.push(
+        fieldError(
+          'password',
+          'too_long',
+          `Password must be at most ${PASSWORD_MAX_LENGTH} characters`
+        )
+      );
+    }
+  }
 
-  if (!entry || now > entry.resetAt) {
-    // Create new entry or reset expired one
-    entry = {
-      count: 1,
-      resetAt: now + windowMs
-    };
-    rateLimitStore.set(key, entry);
+  if (!partial || user.role !== undefined) {
+    if (!ROLES.includes(user.role)) {
+      fieldErrors.push(
+        fieldError('role', 'invalid_value', `Role must be one of: ${ROLES.join(', ')}`)
+      );
+    }
+  }
 
-    return {
-      allowed: true,
-      remaining: maxRequests - 1,
-      resetAt: new Date(entry.resetAt)
-    };
+  if (user.profiles !== undefined && user.profiles !== null) {
+    fieldErrors.push(...validateProfileLimit(user.profiles));
   }
 
-  // Increment request count
-  entry.count++;
+  return validationResult(fieldErrors);
+}
 
-  if (entry.count > maxRequests) {
-    return {
-      allowed: false,
-      remaining: 0,
-      resetAt: new Date(entry.resetAt)
-    };
+/**
+ * Validate the profiles list that limits an account or API key to some profiles
+ *
+ * @param {*} profiles - Value of the profiles field
+ * @returns {Array<Object>} - Structured validation errors
+ */
+function validateProfileLimit(profiles) {
+  if (!Array.isArray(profiles) || profiles.length === 0) {
+    return [
+      fieldError('profiles', 'type', 'Profiles must be a non-empty array of profile IDs, or null')
+    ];
+  }
+  if (profiles.length > MAX_TAGS) {
+    return [fieldError('profiles', 'too_many', `No more than ${MAX_TAGS} profiles are allowed`)];
+  }
+  if (profiles.some((id) => typeof id !== 'string' || !validateProfileId(id))) {
+    return [
+      fieldError(
+        'profiles',
+        'invalid_format',
+        'Profile IDs must contain only lowercase letters, numbers, and hyphens'
+      )
+    ];
   }
+  return [];
+}
+
+/**
+ * Validate a request to create an API key
+ * Keys need a label and a scope (see API_KEY_SCOPES in _apikeys.js); the optional
+ * profiles list limits the key to those profiles.
+ *
+ * @param {Object} apiKey - { label, scope, profiles }
+ * @returns {Object} - { valid: boolean, errors: Array<string>, fieldErrors: Array<Object> }
+ *
+ * @example
+ * const validation = validateApiKeyData({ label: 'Lunch bot', scope: 'read' });
+ */
+export function validateApiKeyData(apiKey) {
+  if (!apiKey || typeof apiKey !== 'object' || Array.isArray(apiKey)) {
+    return validationResult([fieldError('apiKey', 'type', 'API key must be an object')]);
+  }
+
+  const fieldErrors = [];
+
+  Object.keys(apiKey)
+    .filter((field) => !API_KEY_FIELDS.includes(field))
+    .forEach((field) => {
+      fieldErrors.push(fieldError(field, 'unknown_field', `Unknown field: ${field}`));
+    });
+
+  if (typeof apiKey.label !== 'string' || apiKey.label.trim() === '') {
+    fieldErrors.push(fieldError('label', 'required', 'Label is required'));
+  } else if (apiKey.label.length > API_KEY_LABEL_MAX_LENGTH) {
+    fieldErrors.push(
+      fieldError(
+        'label',
+        'too_long',
+        `Label must be at most ${API_KEY_LABEL_MAX_LENGTH} characters`
+      )
+    );
+  }
+
+  if (!Object.keys(API_KEY_SCOPES).includes(apiKey.scope)) {
+    fieldErrors.push(
+      fieldError(
+        'scope',
+        'invalid_value',
+        `Scope must be one of: ${Object.keys(API_KEY_SCOPES).join(', ')}`
+      )
+    );
+  }
+
+  if (apiKey.profiles !== undefined && apiKey.profiles !== null) {
+    fieldErrors.push(...validateProfileLimit(apiKey.profiles));
+  }
+
+  return validationResult(fieldErrors);
+}
+
+/**
+ * Validate a spin sent to /api/spins
+ * Only the restaurant is required. The ID and time are set by the browser so a spin
+ * sent twice is stored once; mode says how the winner was picked ("wheel" or
+ * "bracket"), service is the service type filter ("all" for none) and foodTypes the
+ * food type filters the wheel was spun with.
+ *
+ * @param {Object} spin - { id, at, restaurantId, mode, profile, service, foodTypes }
+ * @returns {Object} - { valid: boolean, errors: Array<string>, fieldErrors: Array<Object> }
+ *
+ * @example
+ * const validation = validateSpinData({ restaurantId: restaurant.id, profile: 'quick-lunch' });
+ */
+export function validateSpinData(spin) {
+  if (!spin || typeof spin !== 'object' || Array.isArray(spin)) {
+    return validationResult([fieldError('spin', 'type', 'Spin must be an object')]);
+  }
+
+  const fieldErrors = [];
+
+  Object.keys(spin)
+    .filter((field) => !SPIN_FIELDS.includes(field))
+    .forEach((field) => {
+      fieldErrors.push(fieldError(field, 'unknown_field', `Unknown field: ${field}`));
+    });
+
+  if (spin.id !== undefined && !isUUID(spin.id)) {
+    fieldErrors.push(fieldError('id', 'invalid_format', 'Spin ID must be a UUID'));
+  }
+  if (spin.at !== undefined && (typeof spin.at !== 'string' || isNaN(Date.parse(spin.at)))) {
+    fieldErrors.push(fieldError('at', 'invalid_format', 'Spin time must be an ISO 8601 date'));
+  }
+
+  if (
+    spin.restaurantId === undefined ||
+    spin.restaurantId === null ||
+    spin.restaurantId === '' ||
+    !(typeof spin.restaurantId === 'string' || Number.isInteger(spin.restaurantId))
+  ) {
+    fieldErrors.push(fieldError('restaurantId', 'required', 'Restaurant ID is required'));
+  }
+
+  if (spin.mode !== undefined && !SPIN_MODES.includes(spin.mode)) {
+    fieldErrors.push(
+      fieldError('mode', 'invalid_value', `Mode must be one of: ${SPIN_MODES.join(', ')}`)
+    );
+  }
+
+  if (
+    spin.profile !== undefined &&
+    (typeof spin.profile !== 'string' || !validateProfileId(spin.profile))
+  ) {
+    fieldErrors.push(fieldError('profile', 'invalid_format', 'Profile must be a profile ID'));
+  }
+
+  if (
+    spin.service !== undefined &&
+    spin.service !== 'all' &&
+    !(typeof spin.service === 'string' && validateServiceTypes([spin.service]).valid)
+  ) {
+    fieldErrors.push(
+      fieldError('service', 'invalid_value', `Invalid service type: ${spin.service}`)
+    );
+  }
+
+  if (spin.foodTypes !== undefined) {
+    if (!Array.isArray(spin.foodTypes)) {
+      fieldErrors.push(fieldError('foodTypes', 'type', 'Food types must be an array'));
+    } else {
+      validateTagList(spin.foodTypes, 'foodTypes', 'food types', fieldErrors);
+    }
+  }
+
+  return validationResult(fieldErrors);
+}
+
+/**
+ * Validate a request for a spin commitment sent to /api/spin/commit
+ * clientSeedHash is the hex SHA-256 of the seed the client will reveal to /api/spin. The
+ * filters are the same as for a recorded spin.
+ *
+ * @param {Object} request - { clientSeedHash, profile, service, foodTypes }
+ * @returns {Object} - { valid: boolean, errors: Array<string>, fieldErrors: Array<Object> }
+ *
+ * @example
+ * const validation = validateSpinCommitData({ clientSeedHash, profile: 'quick-lunch' });
+ */
+export function validateSpinCommitData(request) {
+  if (!request || typeof request !== 'object' || Array.isArray(request)) {
+    return validationResult([fieldError('commit', 'type', 'Commitment request must be an object')]);
+  }
+
+  const fieldErrors = [];
+
+  Object.keys(request)
+    .filter((field) => !SPIN_COMMIT_FIELDS.includes(field))
+    .forEach((field) => {
+      fieldErrors.push(fieldError(field, 'unknown_field', `Unknown field: ${field}`));
+    });
+
+  if (
+    typeof request.clientSeedHash !== 'string' ||
+    !SHA256_HEX_PATTERN.test(request.clientSeedHash)
+  ) {
+    fieldErrors.push(
+      fieldError('clientSeedHash', 'required', 'Client seed hash must be a lowercase hex SHA-256')
+    );
+  }
+
+  // The filters follow the same rules as a recorded spin
+  const { fieldErrors: filterErrors } = validateSpinData({
+    restaurantId: 'unused',
+    profile: request.profile,
+    service: request.service,
+    foodTypes: request.foodTypes
+  });
+  fieldErrors.push(...filterErrors);
+
+  return validationResult(fieldErrors);
+}
+
+/**
+ * Validate a request for a server-side spin sent to /api/spin
+ * commitId names a commitment from /api/spin/commit; clientSeed is the seed whose hash
+ * was sent with it.
+ *
+ * @param {Object} request - { commitId, clientSeed }
+ * @returns {Object} - { valid: boolean, errors: Array<string>, fieldErrors: Array<Object> }
+ *
+ * @example
+ * const validation = validateSpinRequestData({ commitId, clientSeed: 'b1946ac9' });
+ */
+export function validateSpinRequestData(request) {
+  if (!request || typeof request !== 'object' || Array.isArray(request)) {
+    return validationResult([fieldError('spin', 'type', 'Spin request must be an object')]);
+  }
+
+  const fieldErrors = [];
+
+  Object.keys(request)
+    .filter((field) => !SPIN_REQUEST_FIELDS.includes(field))
+    .forEach((field) => {
+      fieldErrors.push(fieldError(field, 'unknown_field', `Unknown field: ${field}`));
+    });
+
+  if (!isUUID(request.commitId)) {
+    fieldErrors.push(fieldError('commitId', 'required', 'Commitment ID is required'));
+  }
+
+  if (
+    typeof request.clientSeed !== 'string' ||
+    request.clientSeed === '' ||
+    request.clientSeed.length > CLIENT_SEED_MAX_LENGTH
+  ) {
+    fieldErrors.push(
+      fieldError(
+        'clientSeed',
+        'required',
+        `Client seed is required and must be at most ${CLIENT_SEED_MAX_LENGTH} characters`
+      )
+    );
+  }
+
+  return validationResult(fieldErrors);
+}
+
+/**
+ * Check a restaurant ID sent by a client
+ *
+ * @param {*} id - Value to check
+ * @returns {boolean} - True for a non-empty string or an integer
+ */
+function isRestaurantIdValue(id) {
+  return (typeof id === 'string' && id !== '') || Number.isInteger(id);
+}
+
+/**
+ * Validate a group session sent to /api/groups
+ * Candidates are the restaurant IDs on the host's wheel; upvotes and vetoes are how many
+ * of each every participant may cast.
+ *
+ * @param {Object} group - { profile, service, foodTypes, candidates, upvotes, vetoes }
+ * @returns {Object} - { valid: boolean, errors: Array<string>, fieldErrors: Array<Object> }
+ *
+ * @example
+ * const validation = validateGroupData({ candidates: ids, upvotes: 3, vetoes: 1 });
+ */
+export function validateGroupData(group) {
+  if (!group || typeof group !== 'object' || Array.isArray(group)) {
+    return validationResult([fieldError('group', 'type', 'Group session must be an object')]);
+  }
+
+  const fieldErrors = [];
+
+  Object.keys(group)
+    .filter((field) => !GROUP_FIELDS.includes(field))
+    .forEach((field) => {
+      fieldErrors.push(fieldError(field, 'unknown_field', `Unknown field: ${field}`));
+    });
+
+  if (
+    group.profile !== undefined &&
+    (typeof group.profile !== 'string' || !validateProfileId(group.profile))
+  ) {
+    fieldErrors.push(fieldError('profile', 'invalid_format', 'Profile must be a profile ID'));
+  }
+
+  if (
+    group.service !== undefined &&
+    group.service !== 'all' &&
+    !(typeof group.service === 'string' && validateServiceTypes([group.service]).valid)
+  ) {
+    fieldErrors.push(
+      fieldError('service', 'invalid_value', `Invalid service type: ${group.service}`)
+    );
+  }
+
+  if (group.foodTypes !== undefined) {
+    if (!Array.isArray(group.foodTypes)) {
+      fieldErrors.push(fieldError('foodTypes', 'type', 'Food types must be an array'));
+    } else {
+      validateTagList(group.foodTypes, 'foodTypes', 'food types', fieldErrors);
+    }
+  }
+
+  if (!Array.isArray(group.candidates) || group.candidates.length === 0) {
+    fieldErrors.push(
+      fieldError('candidates', 'required', 'At least one candidate restaurant is required')
+    );
+  } else if (group.candidates.length > MAX_GROUP_CANDIDATES) {
+    fieldErrors.push(
+      fieldError(
+        'candidates',
+        'too_many',
+        `No more than ${MAX_GROUP_CANDIDATES} candidates are allowed`
+      )
+    );
+  } else if (!group.candidates.every(isRestaurantIdValue)) {
+    fieldErrors.push(
+      fieldError('candidates', 'invalid_value', 'Candidates must be restaurant IDs')
+    );
+  } else if (new Set(group.candidates.map(String)).size !== group.candidates.length) {
+    fieldErrors.push(fieldError('candidates', 'duplicate', 'Candidates must not repeat'));
+  }
+
+  [
+    ['upvotes', MAX_GROUP_UPVOTES],
+    ['vetoes', MAX_GROUP_VETOES]
+  ].forEach(([field, max]) => {
+    const value = group[field];
+    if (value !== undefined && !(Number.isInteger(value) && value >= 0 && value <= max)) {
+      fieldErrors.push(
+        fieldError(field, 'out_of_range', `${field} must be an integer from 0 to ${max}`)
+      );
+    }
+  });
+
+  return validationResult(fieldErrors);
+}
+
+/**
+ * Validate someone joining a group session
+ *
+ * @param {Object} participant - { name }
+ * @returns {Object} - { valid: boolean, errors: Array<string>, fieldErrors: Array<Object> }
+ */
+export function validateParticipantData(participant) {
+  if (!participant || typeof participant !== 'object' || Array.isArray(participant)) {
+    return validationResult([fieldError('participant', 'type', 'Participant must be an object')]);
+  }
+
+  const fieldErrors = [];
+
+  if (
+    typeof participant.name !== 'string' ||
+    !participant.name.trim() ||
+    participant.name.trim().length > PARTICIPANT_NAME_MAX_LENGTH
+  ) {
+    fieldErrors.push(
+      fieldError(
+        'name',
+        'required',
+        `Name is required and must be at most ${PARTICIPANT_NAME_MAX_LENGTH} characters`
+      )
+    );
+  }
+
+  return validationResult(fieldErrors);
+}
+
+/**
+ * Validate a participant's votes in a group session
+ * The session's limits and candidates are checked separately by checkVotes in _groups.js.
+ *
+ * @param {Object} votes - { upvotes, vetoes } lists of restaurant IDs
+ * @returns {Object} - { valid: boolean, errors: Array<string>, fieldErrors: Array<Object> }
+ */
+export function validateVoteData(votes) {
+  if (!votes || typeof votes !== 'object' || Array.isArray(votes)) {
+    return validationResult([fieldError('votes', 'type', 'Votes must be an object')]);
+  }
+
+  const fieldErrors = [];
+
+  Object.keys(votes)
+    .filter((field) => !VOTE_FIELDS.includes(field))
+    .forEach((field) => {
+      fieldErrors.push(fieldError(field, 'unknown_field', `Unknown field: ${field}`));
+    });
+
+  VOTE_FIELDS.forEach((field) => {
+    if (!Array.isArray(votes[field]) || !votes[field].every(isRestaurantIdValue)) {
+      fieldErrors.push(fieldError(field, 'type', `${field} must be an array of restaurant IDs`));
+    }
+  });
+
+  return validationResult(fieldErrors);
+}
+
+/**
+ * Normalize a name for duplicate detection
+ *
+ * @param {string} name - Record name
+ * @returns {string} - Trimmed, lowercase name
+ */
+function normalizeName(name) {
+  return typeof name === 'string' ? name.trim().toLowerCase() : '';
+}
+
+/**
+ * Check the rules that relate a restaurant to the rest of the document
+ * Only problems the record would introduce are reported, so a restaurant that
+ * already referenced a missing profile can still be edited in other ways.
+ *
+ * @param {Object} data - Restaurant data document the record is being written to
+ * @param {Object} restaurant - New version of the restaurant
+ * @param {Object|null} previous - Stored version being replaced, or null for creates
+ * @returns {Array<Object>} - Structured validation errors
+ */
+function validateRestaurantReferences(data, restaurant, previous) {
+  const fieldErrors = [];
+  const profileIds = new Set((data.profiles || []).map((profile) => profile.id));
+  const previousProfiles = new Set(previous && previous.profiles ? previous.profiles : []);
+
+  (restaurant.profiles || [])
+    .filter((id) => !profileIds.has(id) && !previousProfiles.has(id))
+    .forEach((id) => {
+      fieldErrors.push(fieldError('profiles', 'unknown_reference', `Unknown profile: ${id}`));
+    });
+
+  const previousWeights = new Set(Object.keys((previous && previous.profileWeights) || {}));
+  Object.keys(restaurant.profileWeights || {})
+    .filter((id) => !profileIds.has(id) && !previousWeights.has(id))
+    .forEach((id) => {
+      fieldErrors.push(fieldError('profileWeights', 'unknown_reference', `Unknown profile: ${id}`));
+    });
+
+  const name = normalizeName(restaurant.name);
+  const nameChanged = !previous || normalizeName(previous.name) !== name;
+  const duplicate = (data.restaurants || []).some(
+    (other) => String(other.id) !== String(restaurant.id) && normalizeName(other.name) === name
+  );
+
+  if (nameChanged && duplicate) {
+    fieldErrors.push(
+      fieldError('name', 'duplicate', `A restaurant named "${restaurant.name}" already exists`)
+    );
+  }
+
+  return fieldErrors;
+}
+
+/**
+ * Validate a complete restaurant data document ({ profiles, restaurants })
+ * Runs the record schema on every profile and restaurant and checks the rules
+ * that span records: unique IDs, unique restaurant and profile names, the required
+ * "all" profile, and restaurant profile references (tags and weight overrides).
+ * Field paths point at the offending record, e.g. "restaurants[3].menuLink".
+ *
+ * @param {Object} data - Document to validate, e.g. an imported JSON file
+ * @returns {Object} - { valid: boolean, errors: Array<string>, fieldErrors: Array<Object> }
+ *
+ * @example
+ * const validation = validateDocument(importedData);
+ * validation.fieldErrors; // [{ field: 'restaurants[3].menuLink', code: 'invalid_format', message: '...' }]
+ */
+export function validateDocument(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return validationResult([fieldError('document', 'type', 'Data must be a JSON object')]);
+  }
+
+  const fieldErrors = [];
+
+  if (!Array.isArray(data.profiles)) {
+    fieldErrors.push(fieldError('profiles', 'type', 'profiles must be an array'));
+  }
+  if (!Array.isArray(data.restaurants)) {
+    fieldErrors.push(fieldError('restaurants', 'type', 'restaurants must be an array'));
+  }
+  if (fieldErrors.length > 0) {
+    return validationResult(fieldErrors);
+  }
+
+  const schemaVersion = data.schemaVersion === undefined ? 1 : data.schemaVersion;
+  if (
+    !Number.isInteger(schemaVersion) ||
+    schemaVersion < 1 ||
+    schemaVersion > CURRENT_SCHEMA_VERSION
+  ) {
+    fieldErrors.push(
+      fieldError(
+        'schemaVersion',
+        'invalid_value',
+        `schemaVersion must be an integer from 1 to ${CURRENT_SCHEMA_VERSION}`
+      )
+    );
+  }
+
+  const profileIds = new Set();
+  const profileNames = new Set();
+  const profileAliases = new Set();
+
+  data.profiles.forEach((profile, index) => {
+    const path = `profiles[${index}]`;
+    fieldErrors.push(...prefixFieldErrors(validateProfileData(profile).fieldErrors, path));
+
+    if (!profile || typeof profile !== 'object') {
+      return;
+    }
+    if (profileIds.has(profile.id)) {
+      fieldErrors.push(
+        fieldError(`${path}.id`, 'duplicate', `Duplicate profile ID: ${profile.id}`)
+      );
+    }
+    if (profileNames.has(normalizeName(profile.name))) {
+      fieldErrors.push(
+        fieldError(`${path}.name`, 'duplicate', `Duplicate profile name: ${profile.name}`)
+      );
+    }
+    if (Array.isArray(profile.aliases)) {
+      profile.aliases
+        .filter((alias) => profileAliases.has(alias))
+        .forEach((alias) => {
+          fieldErrors.push(
+            fieldError(
+              `${path}.aliases`,
+              'duplicate',
+              `Previous profile ID ${alias} belongs to more than one profile`
+            )
+          );
+        });
+      profile.aliases.forEach((alias) => profileAliases.add(alias));
+    }
+    profileIds.add(profile.id);
+    profileNames.add(normalizeName(profile.name));
+  });
+
+  if (!profileIds.has('all')) {
+    fieldErrors.push(
+      fieldError('profiles', 'required', 'The "all" profile (All Restaurants) is required')
+    );
+  }
+
+  const restaurantIds = new Set();
+  const restaurantNames = new Set();
+
+  data.restaurants.forEach((restaurant, index) => {
+    const path = `restaurants[${index}]`;
+    fieldErrors.push(...prefixFieldErrors(validateRestaurantData(restaurant).fieldErrors, path));
+
+    if (!restaurant || typeof restaurant !== 'object') {
+      return;
+    }
+    if (restaurant.id === undefined || restaurant.id === null || restaurant.id === '') {
+      fieldErrors.push(fieldError(`${path}.id`, 'required', 'Restaurant ID is required'));
+    } else if (restaurantIds.has(String(restaurant.id))) {
+      fieldErrors.push(
+        fieldError(`${path}.id`, 'duplicate', `Duplicate restaurant ID: ${restaurant.id}`)
+      );
+    } else if (schemaVersion >= 2 && !isUUID(restaurant.id)) {
+      fieldErrors.push(
+        fieldError(
+          `${path}.id`,
+          'invalid_format',
+          'Restaurant ID must be a UUID; run the migration to convert legacy IDs'
+        )
+      );
+    }
+    if (restaurant.name && restaurantNames.has(normalizeName(restaurant.name))) {
+      fieldErrors.push(
+        fieldError(`${path}.name`, 'duplicate', `Duplicate restaurant name: ${restaurant.name}`)
+      );
+    }
+    if (Array.isArray(restaurant.profiles)) {
+      restaurant.profiles
+        .filter((id) => !profileIds.has(id))
+        .forEach((id) => {
+          fieldErrors.push(
+            fieldError(`${path}.profiles`, 'unknown_reference', `Unknown profile: ${id}`)
+          );
+        });
+    }
+    if (restaurant.profileWeights && typeof restaurant.profileWeights === 'object') {
+      Object.keys(restaurant.profileWeights)
+        .filter((id) => !profileIds.has(id))
+        .forEach((id) => {
+          fieldErrors.push(
+            fieldError(`${path}.profileWeights`, 'unknown_reference', `Unknown profile: ${id}`)
+          );
+        });
+    }
+    restaurantIds.add(String(restaurant.id));
+    restaurantNames.add(normalizeName(restaurant.name));
+  });
+
+  return validationResult(fieldErrors);
+}
+
+/**
+ * Check whether a restaurant ID is a UUID
+ *
+ * @param {string|number} id - Restaurant ID
+ * @returns {boolean} - True for UUID strings
+ */
+function isUUID(id) {
+  return typeof id === 'string' && UUID_PATTERN.test(id);
+}
+
+/**
+ * Check whether a restaurant matches an ID from a request
+ * Restaurants migrated from integer IDs still answer to their old ID, so existing
+ * links and API clients keep working after the migration.
+ *
+ * @param {Object} restaurant - Restaurant record
+ * @param {string|number} id - Requested ID (path parameters are always strings)
+ * @returns {boolean} - True if the ID is the restaurant's ID or legacy ID
+ */
+function matchesRestaurantId(restaurant, id) {
+  return (
+    String(restaurant.id) === String(id) ||
+    (restaurant.legacyId !== undefined && String(restaurant.legacyId) === String(id))
+  );
+}
+
+/**
+ * Find a restaurant by its ID or, for migrated records, its legacy integer ID
+ *
+ * @param {Array<Object>} restaurants - Restaurant records
+ * @param {string|number} id - Requested ID
+ * @returns {Object|null} - Matching restaurant or null if not present
+ *
+ * @example
+ * const restaurant = findRestaurant(data.restaurants, params.id);
+ */
+export function findRestaurant(restaurants, id) {
+  return (
+    (restaurants || []).find((restaurant) => String(restaurant.id) === String(id)) ||
+    (restaurants || []).find((restaurant) => matchesRestaurantId(restaurant, id)) ||
+    null
+  );
+}
+
+/**
+ * Migrate a data document to the current schema version
+ * Version 1 to 2 replaces every restaurant ID that is not already a UUID with a new
+ * UUID and keeps the old ID in legacyId. Profiles reference restaurants only through
+ * the restaurant's own `profiles` tags, so no other records need rewriting. Documents
+ * that are already current are returned unchanged.
+ *
+ * @param {Object} data - Restaurant data document; not modified
+ * @returns {Object} - { data, migrated: boolean, fromVersion, toVersion, idMap } where
+ *   idMap maps each old restaurant ID to its new UUID
+ * @throws {Error} - If the document was written by a newer schema version
+ *
+ * @example
+ * const { data: migrated, idMap } = migrateDocument(data);
+ * idMap; // { '1': '0b6c5f5e-...', '2': '7d1e...' }
+ */
+export function migrateDocument(data) {
+  const fromVersion = data.schemaVersion === undefined ? 1 : data.schemaVersion;
+  const idMap = {};
+
+  if (fromVersion > CURRENT_SCHEMA_VERSION) {
+    throw new Error(`Unsupported schema version: ${fromVersion}`);
+  }
+  if (fromVersion === CURRENT_SCHEMA_VERSION) {
+    return { data, migrated: false, fromVersion, toVersion: fromVersion, idMap };
+  }
+
+  const restaurants = (data.restaurants || []).map((restaurant) => {
+    if (isUUID(restaurant.id)) {
+      return restaurant;
+    }
+
+    const { id: legacyId, ...fields } = restaurant;
+    const id = generateUUID();
+    if (legacyId === undefined || legacyId === null || legacyId === '') {
+      return { id, ...fields };
+    }
+
+    idMap[String(legacyId)] = id;
+    return { id, legacyId, ...fields };
+  });
+
+  // Keep schemaVersion at the top of the stored file
+  const migrated = { ...data, restaurants };
+  delete migrated.schemaVersion;
+
+  return {
+    data: { schemaVersion: CURRENT_SCHEMA_VERSION, ...migrated },
+    migrated: true,
+    fromVersion,
+    toVersion: CURRENT_SCHEMA_VERSION,
+    idMap
+  };
+}
+
+/**
+ * Supported sort orders and paging limits for restaurant queries
+ */
+const RESTAURANT_SORT_ORDERS = ['name', '-name'];
+const MAX_QUERY_LIMIT = 500;
+const RESTAURANT_QUERY_PARAMS = [
+  'profile',
+  'service',
+  'foodType',
+  'foodTypeMatch',
+  'q',
+  'sort',
+  'limit',
+  'offset'
+];
+
+/**
+ * Parse restaurant query parameters from a request URL
+ * Supported parameters:
+ * - profile: profile ID ("all" or omitted for every restaurant)
+ * - service: service type ("all" or omitted for every service type)
+ * - foodType: food type, repeatable
+ * - foodTypeMatch: "any" (default, same as the wheel) or "all"
+ * - q: case-insensitive text search in name and notes
+ * - sort: "name" or "-name" (default keeps stored order)
+ * - limit / offset: paging window
+ * Other parameters, such as cache-busters, are ignored.
+ *
+ * @param {URLSearchParams} searchParams - Query string parameters
+ * @returns {Object} - { valid: boolean, errors: Array<string>, query: Object, filtered: boolean }
+ *   where filtered is true if any supported parameter was given
+ *
+ * @example
+ * const { valid, errors, query } = parseRestaurantQuery(new URL(request.url).searchParams);
+ * if (!valid) {
+ *   return errorResponse(errors.join(', '), 400, env);
+ * }
+ */
+export function parseRestaurantQuery(searchParams) {
+  const errors = [];
+  const query = {
+    profile: searchParams.get('profile') || 'all',
+    service: searchParams.get('service') || 'all',
+    foodTypes: searchParams.getAll('foodType').filter((ft) => ft !== ''),
+    foodTypeMatch: searchParams.get('foodTypeMatch') || 'any',
+    q: (searchParams.get('q') || '').trim(),
+    sort: searchParams.get('sort') || null,
+    limit: null,
+    offset: 0
+  };
+
+  if (query.service !== 'all' && !validateServiceTypes([query.service]).valid) {
+    errors.push(`Invalid service type: ${query.service}`);
+  }
+
+  if (!['any', 'all'].includes(query.foodTypeMatch)) {
+    errors.push('foodTypeMatch must be "any" or "all"');
+  }
+
+  if (query.sort && !RESTAURANT_SORT_ORDERS.includes(query.sort)) {
+    errors.push(`sort must be one of: ${RESTAURANT_SORT_ORDERS.join(', ')}`);
+  }
+
+  if (searchParams.has('limit')) {
+    const limit = Number(searchParams.get('limit'));
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_QUERY_LIMIT) {
+      errors.push(`limit must be an integer between 1 and ${MAX_QUERY_LIMIT}`);
+    } else {
+      query.limit = limit;
+    }
+  }
+
+  if (searchParams.has('offset')) {
+    const offset = Number(searchParams.get('offset'));
+    if (!Number.isInteger(offset) || offset < 0) {
+      errors.push('offset must be a non-negative integer');
+    } else {
+      query.offset = offset;
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors: errors,
+    query: query,
+    filtered: RESTAURANT_QUERY_PARAMS.some((param) => searchParams.has(param))
+  };
+}
+
+/**
+ * Filter, sort and page restaurants
+ * Profile, service type and food type matching follow the same rules as
+ * getFilteredRestaurants() in the wheel UI.
+ *
+ * @param {Array<Object>} restaurants - Restaurant records
+ * @param {Object} query - Query returned by parseRestaurantQuery
+ * @returns {Object} - { restaurants: Array<Object>, total: number }
+ *
+ * @example
+ * const { restaurants, total } = filterRestaurants(data.restaurants, { profile: 'quick-lunch' });
+ */
+export function filterRestaurants(restaurants, query) {
+  const {
+    profile = 'all',
+    service = 'all',
+    foodTypes = [],
+    foodTypeMatch = 'any',
+    q = '',
+    sort = null,
+    limit = null,
+    offset = 0
+  } = query;
+  const search = q.toLowerCase();
+
+  let matches = restaurants.filter((r) => {
+    // "all" profile shows all restaurants, otherwise check for the profile tag
+    if (profile !== 'all' && (!r.profiles || !r.profiles.includes(profile))) {
+      return false;
+    }
+
+    if (service !== 'all' && (!r.serviceTypes || !r.serviceTypes.includes(service))) {
+      return false;
+    }
+
+    if (foodTypes.length > 0) {
+      const restaurantFoodTypes = r.foodTypes || [];
+      const matchesFoodTypes =
+        foodTypeMatch === 'all'
+          ? foodTypes.every((ft) => restaurantFoodTypes.includes(ft))
+          : foodTypes.some((ft) => restaurantFoodTypes.includes(ft));
+      if (!matchesFoodTypes) {
+        return false;
+      }
+    }
+
+    if (search) {
+      const text = `${r.name || ''} ${r.notes || ''}`.toLowerCase();
+      if (!text.includes(search)) {
+        return false;
+      }
+    }
+
+    return true;
+  });
+
+  if (sort) {
+    const direction = sort.startsWith('-') ? -1 : 1;
+    matches = [...matches].sort(
+      (a, b) => direction * String(a.name || '').localeCompare(String(b.name || ''))
+    );
+  }
+
+  const total = matches.length;
+  const end = limit === null ? undefined : offset + limit;
+
+  return {
+    restaurants: matches.slice(offset, end),
+    total: total
+  };
+}
+
+/**
+ * Supported record types and actions for data operations
+ */
+const OPERATION_TYPES = ['restaurant', 'profile'];
+const OPERATION_ACTIONS = ['create', 'update', 'patch', 'delete', 'rename', 'merge'];
+const PROFILE_ONLY_ACTIONS = ['rename', 'merge'];
+const RESERVED_PROFILE_IDS = ['all'];
+
+/**
+ * Get the identifier of the record an operation targets
+ * Creates and full updates carry the ID in their data; patches and deletes carry it
+ * alongside.
+ *
+ * @param {Object} operation - Data operation
+ * @returns {string|number} - Target record ID
+ */
+function getOperationTargetId(operation) {
+  return operation.action === 'create' || operation.action === 'update'
+    ? operation.data.id
+    : operation.id;
+}
+
+/**
+ * Validate a single data operation before it is applied
+ * Operations describe one create, update or delete of a restaurant or profile:
+ * - create/update: { type, action, data }
+ * - patch (restaurants only): { type, action, id, data } where data holds the fields
+ *   to change; fields set to null are removed
+ * - rename (profiles only): { type, action, id, data: { id, name? } } to change a
+ *   profile's ID; restaurants are retagged and the old ID is kept as an alias
+ * - merge (profiles only): { type, action, id, data: { into } } to fold one profile
+ *   into another; restaurants are retagged and the merged profile is removed
+ * - delete: { type, action, id }
+ *
+ * @param {Object} operation - Operation to validate
+ * @returns {Object} - { valid: boolean, errors: Array<string>, fieldErrors: Array<Object> }
+ *   where fieldErrors describe problems with the record in `data`
+ *
+ * @example
+ * const validation = validateOperation({ type: 'profile', action: 'delete', id: 'quick-lunch' });
+ * if (!validation.valid) {
+ *   return errorResponse(validation.errors.join(', '), 400, env);
+ * }
+ */
+export function validateOperation(operation) {
+  if (!operation || typeof operation !== 'object') {
+    return { valid: false, errors: ['Operation must be an object'] };
+  }
+
+  const errors = [];
+  const { type, action, data, id } = operation;
+
+  if (!OPERATION_TYPES.includes(type)) {
+    errors.push(`Invalid operation type: ${type}`);
+  }
+
+  if (!OPERATION_ACTIONS.includes(action)) {
+    errors.push(`Invalid operation action: ${action}`);
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors: errors };
+  }
+
+  if (action === 'delete') {
+    if (id === undefined || id === null || id === '') {
+      errors.push(`ID is required to delete a ${type}`);
+    } else if (type === 'profile' && RESERVED_PROFILE_IDS.includes(id)) {
+      errors.push('Cannot delete the default "All Restaurants" profile');
+    }
+    return { valid: errors.length === 0, errors: errors };
+  }
+
+  if (!data || typeof data !== 'object') {
+    return { valid: false, errors: [`Data is required to ${action} a ${type}`] };
+  }
+
+  if (action === 'patch') {
+    if (type !== 'restaurant') {
+      errors.push('Patch is only supported for restaurants');
+    }
+    if (id === undefined || id === null || id === '') {
+      errors.push(`ID is required to patch a ${type}`);
+    }
+    if (data.id !== undefined && String(data.id) !== String(id)) {
+      errors.push('Restaurant ID cannot be changed');
+    }
+    if (Object.keys(data).filter((key) => key !== 'id').length === 0) {
+      errors.push('At least one field is required to patch a restaurant');
+    }
+    // The merged record is validated when the patch is applied
+    return { valid: errors.length === 0, errors: errors };
+  }
+
+  if (PROFILE_ONLY_ACTIONS.includes(action)) {
+    return validateProfileMove(operation);
+  }
+
+  const fieldErrors = [];
+
+  if (type === 'restaurant') {
+    fieldErrors.push(...validateRestaurantData(data).fieldErrors);
+
+    if (action === 'update' && !data.id) {
+      fieldErrors.push(fieldError('id', 'required', 'Restaurant ID is required for updates'));
+    }
+  } else {
+    fieldErrors.push(...validateProfileData(data).fieldErrors);
+
+    if (RESERVED_PROFILE_IDS.includes(data.id)) {
+      fieldErrors.push(
+        fieldError(
+          'id',
+          'reserved',
+          action === 'create'
+            ? 'Profile ID is reserved and cannot be used'
+            : 'Cannot edit the default "All Restaurants" profile'
+        )
+      );
+    }
+  }
+
+  return validationResult(fieldErrors);
+}
+
+/**
+ * Validate a profile rename or merge operation
+ *
+ * @param {Object} operation - Rename or merge operation
+ * @returns {Object} - { valid: boolean, errors: Array<string>, fieldErrors: Array<Object> }
+ */
+function validateProfileMove(operation) {
+  const { type, action, data, id } = operation;
+  const errors = [];
+  const fieldErrors = [];
+
+  if (type !== 'profile') {
+    errors.push(`${action === 'rename' ? 'Rename' : 'Merge'} is only supported for profiles`);
+  }
+  if (id === undefined || id === null || id === '') {
+    errors.push(`ID is required to ${action} a profile`);
+  } else if (RESERVED_PROFILE_IDS.includes(id)) {
+    errors.push(`Cannot ${action} the default "All Restaurants" profile`);
+  }
+
+  if (action === 'rename') {
+    if (typeof data.id !== 'string' || !validateProfileId(data.id)) {
+      fieldErrors.push(
+        fieldError(
+          'id',
+          'invalid_format',
+          'New profile ID must contain only lowercase letters, numbers, and hyphens'
+        )
+      );
+    } else if (RESERVED_PROFILE_IDS.includes(data.id)) {
+      fieldErrors.push(fieldError('id', 'reserved', 'Profile ID is reserved and cannot be used'));
+    } else if (data.id === id) {
+      fieldErrors.push(
+        fieldError('id', 'invalid_value', 'New profile ID must differ from the current ID')
+      );
+    }
+
+    if (data.name !== undefined) {
+      fieldErrors.push(
+        ...validateProfileData({ id: data.id, name: data.name }).fieldErrors.filter(
+          (error) => error.field === 'name'
+        )
+      );
+    }
+  } else if (!data.into) {
+    fieldErrors.push(fieldError('into', 'required', 'Target profile is required'));
+  } else if (data.into === id) {
+    fieldErrors.push(fieldError('into', 'invalid_value', 'Cannot merge a profile into itself'));
+  } else if (RESERVED_PROFILE_IDS.includes(data.into)) {
+    fieldErrors.push(
+      fieldError('into', 'reserved', 'Cannot merge into the default "All Restaurants" profile')
+    );
+  }
+
+  return {
+    valid: errors.length === 0 && fieldErrors.length === 0,
+    errors: [...errors, ...fieldErrors.map((error) => error.message)],
+    fieldErrors: fieldErrors
+  };
+}
+
+/**
+ * Point every restaurant tagged with one profile at another profile instead
+ * Weight overrides move along with the tag; when a restaurant already has an
+ * override for the target profile, that one is kept.
+ *
+ * @param {Object} data - Restaurant data document, modified in place
+ * @param {string} fromId - Profile ID being replaced
+ * @param {string} toId - Profile ID to tag restaurants with
+ */
+function replaceProfileReference(data, fromId, toId) {
+  (data.restaurants || []).forEach((restaurant) => {
+    if (Array.isArray(restaurant.profiles) && restaurant.profiles.includes(fromId)) {
+      restaurant.profiles = [
+        ...new Set(restaurant.profiles.map((id) => (id === fromId ? toId : id)))
+      ];
+    }
+    if (restaurant.profileWeights && fromId in restaurant.profileWeights) {
+      const { [fromId]: weight, ...others } = restaurant.profileWeights;
+      restaurant.profileWeights = { [toId]: weight, ...others };
+    }
+  });
+}
+
+/**
+ * Remove a profile's weight override from a restaurant
+ * The field is dropped once no overrides are left.
+ *
+ * @param {Object} restaurant - Restaurant record, modified in place
+ * @param {string} profileId - Profile ID
+ */
+function removeProfileWeight(restaurant, profileId) {
+  if (!restaurant.profileWeights || !(profileId in restaurant.profileWeights)) {
+    return;
+  }
+  delete restaurant.profileWeights[profileId];
+  if (Object.keys(restaurant.profileWeights).length === 0) {
+    delete restaurant.profileWeights;
+  }
+}
+
+/**
+ * Build the applyOperation result for a record that breaks the schema
+ *
+ * @param {Array<Object>} fieldErrors - Structured validation errors
+ * @returns {Object} - { success: false, status: 400, error, fieldErrors }
+ */
+function invalidRecordResult(fieldErrors) {
+  return {
+    success: false,
+    status: 400,
+    error: fieldErrors.map((error) => error.message).join(', '),
+    fieldErrors: fieldErrors
+  };
+}
+
+/**
+ * Apply a validated operation to the restaurant data document in memory
+ * Mirrors the behavior of the individual endpoints, including cascade cleanup
+ * of restaurant profile references when a profile is deleted. Rules that depend on
+ * the rest of the document (unique names, existing profile references) are checked
+ * here; failures carry structured fieldErrors.
+ *
+ * @param {Object} data - Restaurant data document ({ profiles, restaurants }), modified in place
+ * @param {Object} operation - Operation previously checked with validateOperation
+ * @returns {Object} - { success: boolean, record: Object } or
+ *   { success: false, status: number, error: string, fieldErrors?: Array<Object> }
+ *
+ * @example
+ * const result = applyOperation(data, { type: 'restaurant', action: 'create', data: newRestaurant });
+ * if (!result.success) {
+ *   return errorResponse(result.error, result.status, env);
+ * }
+ */
+export function applyOperation(data, operation) {
+  const { type, action } = operation;
+
+  if (type === 'restaurant') {
+    if (!data.restaurants) {
+      data.restaurants = [];
+    }
+
+    if (action === 'create') {
+      const newRestaurant = { ...operation.data };
+      delete newRestaurant.legacyId;
+
+      // Generate UUID for new restaurant if not provided
+      if (!newRestaurant.id) {
+        newRestaurant.id = generateUUID();
+      }
+
+      if (data.restaurants.some((r) => String(r.id) === String(newRestaurant.id))) {
+        return { success: false, status: 409, error: 'Restaurant with this ID already exists' };
+      }
+
+      const referenceErrors = validateRestaurantReferences(data, newRestaurant, null);
+      if (referenceErrors.length > 0) {
+        return invalidRecordResult(referenceErrors);
+      }
+
+      data.restaurants.push(newRestaurant);
+      return { success: true, record: newRestaurant };
+    }
+
+    // Support both string UUID and integer IDs, including legacy IDs of migrated records
+    const restaurant = findRestaurant(data.restaurants, getOperationTargetId(operation));
+    const index = data.restaurants.indexOf(restaurant);
+
+    if (index === -1) {
+      return { success: false, status: 404, error: 'Restaurant not found' };
+    }
+
+    if (action === 'update') {
+      // legacyId is set by migrateDocument only; lookups match it, so clients may not change it
+      const { legacyId, ...fields } = operation.data;
+      const updated = { ...fields, id: restaurant.id };
+      if (restaurant.legacyId !== undefined) {
+        updated.legacyId = restaurant.legacyId;
+      }
+
+      const referenceErrors = validateRestaurantReferences(data, updated, data.restaurants[index]);
+      if (referenceErrors.length > 0) {
+        return invalidRecordResult(referenceErrors);
+      }
+
+      data.restaurants[index] = updated;
+      return { success: true, record: updated };
+    }
+
+    if (action === 'patch') {
+      const { legacyId, ...fields } = operation.data;
+      const merged = {
+        ...data.restaurants[index],
+        ...fields,
+        id: data.restaurants[index].id
+      };
+      Object.keys(merged).forEach((key) => {
+        if (merged[key] === null) {
+          delete merged[key];
+        }
+      });
+
+      const fieldErrors = [
+        ...validateRestaurantData(merged).fieldErrors,
+        ...validateRestaurantReferences(data, merged, data.restaurants[index])
+      ];
+      if (fieldErrors.length > 0) {
+        return invalidRecordResult(fieldErrors);
+      }
+
+      data.restaurants[index] = merged;
+      return { success: true, record: merged };
+    }
+
+    const [deletedRestaurant] = data.restaurants.splice(index, 1);
+    return { success: true, record: deletedRestaurant };
+  }
+
+  // Ensure profiles array exists
+  if (!data.profiles) {
+    data.profiles = [{ id: 'all', name: 'All Restaurants' }];
+  }
+
+  if (action === 'create') {
+    if (data.profiles.find((p) => p.id === operation.data.id)) {
+      return { success: false, status: 409, error: 'Profile with this ID already exists' };
+    }
+
+    if (data.profiles.some((p) => normalizeName(p.name) === normalizeName(operation.data.name))) {
+      return invalidRecordResult([
+        fieldError('name', 'duplicate', `A profile named "${operation.data.name}" already exists`)
+      ]);
+    }
+
+    const newProfile = { ...operation.data };
+    data.profiles.push(newProfile);
+    return { success: true, record: newProfile };
+  }
+
+  const profileId = getOperationTargetId(operation);
+  const index = data.profiles.findIndex((p) => p.id === profileId);
+
+  if (index === -1) {
+    return { success: false, status: 404, error: 'Profile not found' };
+  }
+
+  if (action === 'update') {
+    const renamedToExisting = data.profiles.some(
+      (p) => p.id !== profileId && normalizeName(p.name) === normalizeName(operation.data.name)
+    );
+    if (renamedToExisting) {
+      return invalidRecordResult([
+        fieldError('name', 'duplicate', `A profile named "${operation.data.name}" already exists`)
+      ]);
+    }
+
+    // Only name can change, ID stays the same
+    data.profiles[index].name = operation.data.name;
+    return { success: true, record: data.profiles[index] };
+  }
+
+  if (action === 'rename') {
+    const profile = data.profiles[index];
+    const newId = operation.data.id;
+    const newName = operation.data.name;
+
+    if (data.profiles.some((p) => p.id === newId)) {
+      return { success: false, status: 409, error: 'Profile with this ID already exists' };
+    }
+
+    const nameTaken =
+      newName !== undefined &&
+      data.profiles.some(
+        (p) => p.id !== profileId && normalizeName(p.name) === normalizeName(newName)
+      );
+    if (nameTaken) {
+      return invalidRecordResult([
+        fieldError('name', 'duplicate', `A profile named "${newName}" already exists`)
+      ]);
+    }
+
+    // A previous ID only ever redirects to one profile
+    data.profiles.forEach((p) => {
+      if (p !== profile && Array.isArray(p.aliases)) {
+        p.aliases = p.aliases.filter((alias) => alias !== newId);
+      }
+    });
+
+    profile.id = newId;
+    if (newName !== undefined) {
+      profile.name = newName;
+    }
+    profile.aliases = [...new Set([...(profile.aliases || []), profileId])].filter(
+      (alias) => alias !== newId
+    );
+
+    replaceProfileReference(data, profileId, newId);
+    return { success: true, record: profile };
+  }
+
+  if (action === 'merge') {
+    const target = data.profiles.find((p) => p.id === operation.data.into);
+    if (!target) {
+      return { success: false, status: 404, error: 'Target profile not found' };
+    }
+
+    const [source] = data.profiles.splice(index, 1);
+    target.aliases = [
+      ...new Set([...(target.aliases || []), source.id, ...(source.aliases || [])])
+    ];
+
+    replaceProfileReference(data, source.id, target.id);
+    return { success: true, record: target };
+  }
+
+  const [deletedProfile] = data.profiles.splice(index, 1);
+
+  // Clean up profile references in restaurants (cascade cleanup)
+  if (data.restaurants) {
+    data.restaurants.forEach((restaurant) => {
+      if (restaurant.profiles && Array.isArray(restaurant.profiles)) {
+        restaurant.profiles = restaurant.profiles.filter((p) => p !== profileId);
+      }
+      removeProfileWeight(restaurant, profileId);
+    });
+  }
+
+  return { success: true, record: deletedProfile };
+}
+
+/**
+ * Build the result of an operation the signed-in user is not allowed to apply
+ *
+ * @param {Array<string>} scope - Profile IDs the user is limited to
+ * @param {string} reason - What the user tried to do
+ * @returns {Object} - Failed operation result with status 403
+ */
+function outOfScopeResult(scope, reason) {
+  return {
+    success: false,
+    status: 403,
+    error: `Forbidden: ${reason}; this account can only change profiles ${scope.join(', ')}`
+  };
+}
+
+/**
+ * Check that a signed-in user may apply an operation to the current data
+ * Profile changes need the admin role. Users whose token carries a `profiles` claim
+ * are limited to those profiles whatever their role: they can change those profiles
+ * (but not rename or merge them, and only admins can delete them) and the restaurants
+ * tagged with them, and can only add or remove tags, or change weight overrides, for
+ * their own profiles. Deleting a restaurant needs every profile it is tagged with.
+ * Operations on records that do not exist are left to applyOperation.
+ *
+ * @param {Object} data - Current data document ({ profiles, restaurants })
+ * @param {Object} operation - Validated operation
+ * @param {Object} user - Token claims ({ role, profiles })
+ * @returns {Object|null} - Failed operation result (status 403), or null if allowed
+ *
+ * @example
+ * const denied = authorizeOperation(data, operation, { role: 'editor', profiles: ['quick-lunch'] });
+ */
+export function authorizeOperation(data, operation, user) {
+  const scope = Array.isArray(user.profiles) ? user.profiles : null;
+
+  if (operation.type === 'profile') {
+    if (!hasRole(user.role, 'admin') && (!scope || operation.action === 'delete')) {
+      return {
+        success: false,
+        status: 403,
+        error:
+          operation.action === 'delete'
+            ? 'Forbidden: deleting a profile requires the admin role'
+            : 'Forbidden: profile changes require the admin role'
+      };
+    }
+    if (!scope) {
+      return null;
+    }
+    if (PROFILE_ONLY_ACTIONS.includes(operation.action)) {
+      return outOfScopeResult(scope, `profiles cannot be ${operation.action}d`);
+    }
+    const id = getOperationTargetId(operation);
+    return scope.includes(id) ? null : outOfScopeResult(scope, `profile "${id}" is not yours`);
+  }
+
+  if (!scope) {
+    return null;
+  }
+
+  const inScope = (tags) => tags.some((tag) => scope.includes(tag));
+
+  if (operation.action === 'create') {
+    const tags = operation.data.profiles || [];
+    if (!inScope(tags) || !tags.every((tag) => scope.includes(tag))) {
+      return outOfScopeResult(scope, 'new restaurants must be tagged only with your profiles');
+    }
+    if (!Object.keys(operation.data.profileWeights || {}).every((id) => scope.includes(id))) {
+      return outOfScopeResult(scope, 'only weights for your own profiles can be set');
+    }
+    return null;
+  }
+
+  const existing = findRestaurant(data.restaurants || [], getOperationTargetId(operation));
+  if (!existing) {
+    return null;
+  }
+
+  const before = existing.profiles || [];
+  if (!inScope(before)) {
+    return outOfScopeResult(scope, `"${existing.name}" is not tagged with any of your profiles`);
+  }
+
+  if (operation.action === 'delete') {
+    return before.every((tag) => scope.includes(tag))
+      ? null
+      : outOfScopeResult(scope, `"${existing.name}" is also tagged with other profiles`);
+  }
+
+  const after =
+    operation.action === 'patch' && operation.data.profiles === undefined
+      ? before
+      : operation.data.profiles || [];
+  const changedTags = [
+    ...before.filter((tag) => !after.includes(tag)),
+    ...after.filter((tag) => !before.includes(tag))
+  ];
+  if (!changedTags.every((tag) => scope.includes(tag))) {
+    return outOfScopeResult(scope, 'only your own profile tags can be added or removed');
+  }
+
+  const weightsBefore = existing.profileWeights || {};
+  const weightsAfter =
+    operation.action === 'patch' && operation.data.profileWeights === undefined
+      ? weightsBefore
+      : operation.data.profileWeights || {};
+  const changedWeights = [
+    ...new Set([...Object.keys(weightsBefore), ...Object.keys(weightsAfter)])
+  ].filter((id) => weightsBefore[id] !== weightsAfter[id]);
+  return changedWeights.every((id) => scope.includes(id))
+    ? null
+    : outOfScopeResult(scope, 'only weights for your own profiles can be changed');
+}
+
+/**
+ * Build a human-readable description of an applied operation
+ * Matches the commit message style used by the individual endpoints
+ *
+ * @param {Object} operation - Applied operation
+ * @param {Object} record - Record returned by applyOperation
+ * @returns {string} - Description such as "Add restaurant: Pizza Palace"
+ *
+ * @example
+ * describeOperation({ type: 'profile', action: 'delete', id: 'late-night' }, deletedProfile);
+ * // => 'Delete profile: Late Night'
+ */
+export function describeOperation(operation, record) {
+  const verbs = {
+    create: 'Add',
+    update: 'Update',
+    patch: 'Update',
+    delete: 'Delete',
+    rename: 'Rename',
+    merge: 'Merge'
+  };
+  const name = record && record.name ? record.name : operation.id;
+  return `${verbs[operation.action]} ${operation.type}: ${name}`;
+}
+
+/**
+ * Conflict retry settings for commitOperations
+ */
+const MAX_COMMIT_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 100;
+
+/**
+ * Locate the record an operation targets within a data document
+ *
+ * @param {Object} data - Restaurant data document
+ * @param {string} type - Record type ('restaurant' or 'profile')
+ * @param {string|number} id - Record identifier
+ * @returns {Object|null} - Matching record or null if not present
+ */
+function findRecord(data, type, id) {
+  if (type === 'restaurant') {
+    return findRestaurant(data.restaurants, id);
+  }
+  return (data.profiles || []).find((record) => String(record.id) === String(id)) || null;
+}
+
+/**
+ * Find records that an operation set touches and that changed between two versions
+ * Used after a SHA conflict to decide whether the operations can be safely
+ * re-applied on top of the latest data or whether another editor changed the
+ * same record concurrently.
+ *
+ * @param {Object} base - Document the operations were originally applied to
+ * @param {Object} latest - Latest document from storage
+ * @param {Array<Object>} operations - Operations being committed
+ * @returns {Array<Object>} - Conflicting records as { type, id, base, theirs }
+ *
+ * @example
+ * const conflicts = findConcurrentChanges(base, latest, operations);
+ * if (conflicts.length > 0) {
+ *   // Same record edited by someone else
+ * }
+ */
+export function findConcurrentChanges(base, latest, operations) {
+  const conflicts = [];
+
+  operations.forEach((operation) => {
+    const id = getOperationTargetId(operation);
+    const before = findRecord(base, operation.type, id);
+    const after = findRecord(latest, operation.type, id);
+
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      conflicts.push({ type: operation.type, id: id, base: before, theirs: after });
+    }
+  });
+
+  return conflicts;
+}
+
+/**
+ * Apply operations to the stored data and commit them, recovering from version conflicts
+ * When the write is rejected because the data changed since it was read (a stale SHA
+ * on GitHub), the latest version is fetched and the operations are re-applied on top
+ * of it with exponential backoff. If another write changed one of the same records,
+ * the write is abandoned and a conflict is reported instead.
+ *
+ * @param {Object} env - Environment variables selecting and configuring the storage backend
+ * @param {Array<Object>} operations - Operations previously checked with validateOperation
+ * @param {string|null} message - Commit message (defaults to a description of the operations)
+ * @param {Object} [user] - Token claims of the signed-in user; each operation is checked
+ *   with authorizeOperation against the data it is applied to, and the commit names the
+ *   user as its actor (see withActor)
+ * @returns {Promise<Object>} - { success: true, results, data, previous, message } where
+ *   previous is the document the operations were applied to, or
+ *   { success: false, status, error, details }
+ * @throws {Error} - If storage is unreachable or retries are exhausted
+ *
+ * @example
+ * const outcome = await commitOperations(env, [operation], 'Add restaurant: Pizza Palace');
+ * if (!outcome.success) {
+ *   return errorResponse(outcome.error, outcome.status, env, outcome.details);
+ * }
+ */
+export async function commitOperations(env, operations, message, user = null) {
+  // The server assigns restaurant IDs, replacing any temporary ID sent by the client.
+  // They are assigned up front so every retry creates the same record.
+  const pending = operations.map((operation) => {
+    if (operation.type === 'restaurant' && operation.action === 'create') {
+      return { ...operation, data: { ...operation.data, id: generateUUID() } };
+    }
+    return operation;
+  });
+
+  const storage = getStorage(env);
+  const { data: base, version: baseVersion } = await storage.read();
+  let current = base;
+  let version = baseVersion;
+
+  for (let attempt = 0; ; attempt++) {
+    const data = structuredClone(current);
+    const results = pending.map(
+      (operation) =>
+        (user && authorizeOperation(data, operation, user)) || applyOperation(data, operation)
+    );
+
+    const failed = results.find((result) => !result.success);
+    if (failed) {
+      return {
+        success: false,
+        status: failed.status,
+        error: failed.error,
+        details: {
+          results: results,
+          ...(failed.fieldErrors ? { fieldErrors: failed.fieldErrors } : {})
+        }
+      };
+    }
+
+    try {
+      const commitMessage =
+        message ||
+        (pending.length === 1
+          ? describeOperation(pending[0], results[0].record)
+          : `Batch update: ${pending.length} change(s)\n\n${pending
+              .map((operation, i) => describeOperation(operation, results[i].record))
+              .join('\n')}`);
+
+      await storage.write(data, version, withActor(commitMessage, user));
+      await invalidateDocumentCache(env);
+      return {
+        success: true,
+        results: results,
+        data: data,
+        previous: current,
+        message: commitMessage
+      };
+    } catch (error) {
+      if (!isConflictError(error) || attempt >= MAX_COMMIT_RETRIES) {
+        throw error;
+      }
+    }
+
+    // File changed underneath us - re-read and make sure nobody touched the same records
+    const latest = await storage.read();
+    const conflicts = findConcurrentChanges(base, latest.data, pending);
+
+    if (conflicts.length > 0) {
+      const ours = structuredClone(base);
+      pending.forEach((operation) => applyOperation(ours, operation));
+
+      return {
+        success: false,
+        status: 409,
+        error: 'Conflict: the same record was changed by another editor',
+        details: {
+          conflicts: conflicts.map((conflict) => ({
+            type: conflict.type,
+            id: conflict.id,
+            ours: findRecord(ours, conflict.type, conflict.id),
+            theirs: conflict.theirs
+          }))
+        }
+      };
+    }
+
+    current = latest.data;
+    version = latest.version;
+
+    // Exponential backoff with jitter before retrying
+    const delay = RETRY_BASE_DELAY_MS * 2 ** attempt + Math.random() * RETRY_BASE_DELAY_MS;
+    await new Promise((resolve) => setTimeout(resolve, delay));
+  }
+}
+
+/**
+ * Compare two lists of records by ID
+ *
+ * @param {Array<Object>} beforeRecords - Records in the older version
+ * @param {Array<Object>} afterRecords - Records in the newer version
+ * @param {string} idField - Field that identifies a record (defaults to id)
+ * @returns {Object} - { added, removed, changed }
+ */
+export function diffRecords(beforeRecords, afterRecords, idField = 'id') {
+  const beforeById = new Map(beforeRecords.map((record) => [String(record[idField]), record]));
+  const afterById = new Map(afterRecords.map((record) => [String(record[idField]), record]));
+
+  const added = afterRecords.filter((record) => !beforeById.has(String(record[idField])));
+  const removed = beforeRecords.filter((record) => !afterById.has(String(record[idField])));
+  const changed = [];
+
+  afterRecords.forEach((after) => {
+    const before = beforeById.get(String(after[idField]));
+    if (!before) {
+      return;
+    }
+
+    const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+      .filter((field) => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+      .map((field) => ({ field: field, before: before[field], after: after[field] }));
+
+    if (fields.length > 0) {
+      changed.push({ id: after[idField], name: after.name, fields: fields });
+    }
+  });
+
+  return { added: added, removed: removed, changed: changed };
+}
+
+/**
+ * Build a structured diff of restaurants and profiles between two data documents
+ * Records are matched by ID; changed records list each field with its old and new value.
+ *
+ * @param {Object|null} before - Older document (null if the data file did not exist)
+ * @param {Object|null} after - Newer document (null if the data file was removed)
+ * @returns {Object} - { restaurants: { added, removed, changed }, profiles: { ... } }
+ *
+ * @example
+ * const diff = diffDocuments(parent.data, target.data);
+ * diff.restaurants.changed[0].fields; // [{ field: 'notes', before: '', after: 'Cash only' }]
+ */
+export function diffDocuments(before, after) {
+  const older = before || {};
+  const newer = after || {};
 
   return {
-    allowed: true,
-    remaining: maxRequests - entry.count,
-    resetAt: new Date(entry.resetAt)
+    restaurants: diffRecords(older.restaurants || [], newer.restaurants || []),
+    profiles: diffRecords(older.profiles || [], newer.profiles || [])
   };
 }
@@ -0,0 +1,293 @@
+/**
+ * Spin History for Restaurant Picker API
+ *
+ * Every wheel spin can be recorded with the winning restaurant, the profile and
+ * filters it was spun with, and when it happened. The wheel uses the history to keep
+ * recent winners off the wheel (or less likely to come up) for a while.
+ *
+ * Spins live in the KV namespace bound as SPINS_KV under keys that sort newest first,
+ * and expire after SPIN_TTL_DAYS. Without SPINS_KV (local development and tests) the
+ * latest MAX_MEMORY_SPINS are kept in memory by each Worker instance instead, so each
+ * instance has its own history, which is lost on restart.
+ *
+ * Spins carry an ID chosen by the browser, so a spin sent again after a dropped
+ * connection is stored once.
+ *
+ * The API can also pick a winner itself, in a way anyone can check afterwards
+ * (commit-reveal):
+ * 1. The client picks a secret seed and sends its SHA-256 hash with the filters.
+ * 2. The server picks its own secret seed, stores it with the client's hash and the
+ *    filters, and publishes its SHA-256 hash, the commitment.
+ * 3. The client reveals its seed; the server checks it against the hash, reveals its
+ *    own seed and picks the winner from SHA-256(serverSeed:clientSeed) with pickWinner.
+ *    The result, with both seeds and the candidates, is kept for SPIN_TTL_DAYS under a
+ *    permalink named after the commitment.
+ * Neither side can steer the outcome: each is bound to its seed before seeing the
+ * other's. Since everything the winner depends on is fixed by the commitment, reveals
+ * racing on one commitment all get the same winner; KV cannot delete a commitment
+ * atomically, so this is what makes it single-use. Commitments and results must be
+ * readable by every Worker instance, so server-side spins need SPINS_KV.
+ *
+ * @module api/_spins
+ */
+
+import { randomHex, sha256Hex } from './_crypto.js';
+
+const KEY_PREFIX = 'spin:';
+const MAX_TIMESTAMP = 9999999999999; // Inverted into keys so newer spins sort first
+const MAX_SCAN = 1000; // Spins examined per query before returning a cursor
+const COMMIT_PREFIX = 'commit:';
+const RESULT_PREFIX = 'result:';
+const SEED_BYTES = 32;
+const FRACTION_HEX_DIGITS = 13; // 52 bits, exactly representable as a double
+const MAX_MEMORY_SPINS = 1000;
+export const SPIN_TTL_DAYS = 90;
+export const COMMIT_TTL_MINUTES = 10;
+
+const memoryLog = []; // History used when SPINS_KV is not bound, newest first
+
+/**
+ * Key a spin is stored under
+ *
+ * @param {Object} spin - Spin record with id and at
+ * @returns {string} - KV key, ordered newest first
+ */
+function spinKey(spin) {
+  const inverted = String(MAX_TIMESTAMP - new Date(spin.at).getTime()).padStart(13, '0');
+  return `${KEY_PREFIX}${inverted}:${spin.id}`;
+}
+
+/**
+ * Store a spin
+ * Storing a spin with the same ID and time again has no effect.
+ *
+ * @param {Object} env - Environment variables (can contain SPINS_KV)
+ * @param {Object} spin - { id, at, restaurantId, restaurantName, mode, profile, service,
+ *   foodTypes }
+ * @returns {Promise<Object>} - Stored spin
+ *
+ * @example
+ * await recordSpin(env, { id, at, restaurantId, restaurantName: 'Taco Town', profile: 'all' });
+ */
+export async function recordSpin(env, spin) {
+  if (env.SPINS_KV) {
+    await env.SPINS_KV.put(spinKey(spin), JSON.stringify(spin), {
+      expirationTtl: SPIN_TTL_DAYS * 24 * 60 * 60
+    });
+    return spin;
+  }
+
+  if (!memoryLog.some((entry) => entry.id === spin.id)) {
+    const index = memoryLog.findIndex((entry) => entry.at < spin.at);
+    memoryLog.splice(index === -1 ? memoryLog.length : index, 0, spin);
+  }
+  pruneMemoryLog();
+  return spin;
+}
+
+/**
+ * Drop spins from the in-memory history the way KV would expire them
+ * Removes spins older than SPIN_TTL_DAYS and everything beyond MAX_MEMORY_SPINS.
+ */
+function pruneMemoryLog() {
+  const cutoff = new Date(Date.now() - SPIN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const expired = memoryLog.findIndex((entry) => entry.at < cutoff);
+  const keep = Math.min(expired === -1 ? memoryLog.length : expired, MAX_MEMORY_SPINS);
+  memoryLog.length = keep;
+}
+
+/**
+ * Read one page of spins, newest first
+ *
+ * @param {Object} env - Environment variables (can contain SPINS_KV)
+ * @param {string|null} cursor - Cursor returned for the previous page
+ * @param {number} limit - Spins to read
+ * @returns {Promise<Object>} - { spins, cursor } where cursor is null after the last page
+ */
+async function readPage(env, cursor, limit) {
+  if (env.SPINS_KV) {
+    const page = await env.SPINS_KV.list({
+      prefix: KEY_PREFIX,
+      limit: limit,
+      ...(cursor ? { cursor: cursor } : {})
+    });
+    const spins = await Promise.all(page.keys.map((key) => env.SPINS_KV.get(key.name, 'json')));
+    return {
+      spins: spins.filter(Boolean),
+      cursor: page.list_complete ? null : page.cursor
+    };
+  }
+
+  pruneMemoryLog();
+  const start = Number(cursor) || 0;
+  const end = start + limit;
+  return {
+    spins: memoryLog.slice(start, end),
+    cursor: end < memoryLog.length ? String(end) : null
+  };
+}
+
+/**
+ * Query the spin history, newest first
+ * At most MAX_SCAN spins are examined per call; pass the returned cursor to continue.
+ *
+ * @param {Object} env - Environment variables (can contain SPINS_KV)
+ * @param {Object} filters - { profile, since } (both optional); since is an ISO timestamp
+ * @param {Object} options - { limit, cursor }
+ * @returns {Promise<Object>} - { spins, cursor } where cursor is null when there is
+ *   nothing older to read
+ *
+ * @example
+ * const { spins } = await listSpins(env, { profile: 'quick-lunch', since: weekAgo });
+ */
+export async function listSpins(env, filters = {}, options = {}) {
+  const limit = options.limit || 50;
+  const spins = [];
+  let cursor = options.cursor || null;
+  let scanned = 0;
+
+  do {
+    const page = await readPage(env, cursor, limit - spins.length);
+    cursor = page.cursor;
+    scanned += page.spins.length;
+
+    for (const spin of page.spins) {
+      // Spins are newest first, so nothing after this one is recent enough
+      if (filters.since && spin.at < filters.since) {
+        return { spins: spins, cursor: null };
+      }
+      if (!filters.profile || spin.profile === filters.profile) {
+        spins.push(spin);
+      }
+    }
+  } while (cursor && spins.length < limit && scanned < MAX_SCAN);
+
+  return { spins: spins, cursor: cursor };
+}
+
+/**
+ * Pick a server seed and store it with the client's seed hash and filters
+ * Only the hash of the server seed is published.
+ *
+ * @param {Object} env - Environment variables with SPINS_KV
+ * @param {Object} request - { clientSeedHash, profile, service, foodTypes } (validated by
+ *   the caller)
+ * @returns {Promise<Object>} - { commitId, commitment, expiresAt } where commitment is the
+ *   hex SHA-256 of the server seed
+ *
+ * @example
+ * const commit = await createCommitment(env, { clientSeedHash, profile: 'all' });
+ */
+export async function createCommitment(env, request) {
+  const serverSeed = randomHex(SEED_BYTES);
+  const commitment = {
+    commitId: crypto.randomUUID(),
+    commitment: await sha256Hex(serverSeed),
+    expiresAt: new Date(Date.now() + COMMIT_TTL_MINUTES * 60 * 1000).toISOString()
+  };
+
+  const record = {
+    ...commitment,
+    serverSeed: serverSeed,
+    clientSeedHash: request.clientSeedHash,
+    profile: request.profile || 'all',
+    service: request.service || 'all',
+    foodTypes: request.foodTypes || []
+  };
+  await env.SPINS_KV.put(`${COMMIT_PREFIX}${commitment.commitId}`, JSON.stringify(record), {
+    expirationTtl: COMMIT_TTL_MINUTES * 60
+  });
+  return commitment;
+}
+
+/**
+ * Read a commitment that has not been used or expired
+ *
+ * @param {Object} env - Environment variables with SPINS_KV
+ * @param {string} commitId - ID returned by createCommitment
+ * @returns {Promise<Object|null>} - { commitId, commitment, expiresAt, serverSeed,
+ *   clientSeedHash, profile, service, foodTypes }, or null if unknown, expired or used
+ */
+export async function readCommitment(env, commitId) {
+  const record = await env.SPINS_KV.get(`${COMMIT_PREFIX}${commitId}`, 'json');
+  return record && new Date(record.expiresAt).getTime() > Date.now() ? record : null;
+}
+
+/**
+ * Use up a commitment so later reveals are refused
+ *
+ * @param {Object} env - Environment variables with SPINS_KV
+ * @param {string} commitId - ID returned by createCommitment
+ * @returns {Promise<void>}
+ */
+export async function discardCommitment(env, commitId) {
+  await env.SPINS_KV.delete(`${COMMIT_PREFIX}${commitId}`);
+}
+
+/**
+ * Pick a winner from the seeds
+ * The first 13 hex digits of SHA-256(serverSeed:clientSeed) give a fraction in [0, 1).
+ * Laid end to end in order, the candidates' weights cover [0, total weight); the winner
+ * is the candidate whose stretch contains fraction * total weight. On the wheel, drawn
+ * clockwise from 3 o'clock with slices in the same order, that point is at angle
+ * fraction * 2π, and rotating the wheel by (3.5π - fraction * 2π) mod 2π brings it under
+ * the pointer at 12 o'clock.
+ *
+ * @param {Array<Object>} candidates - { id, name, weight } in wheel order
+ * @param {string} serverSeed - Revealed server seed
+ * @param {string} clientSeed - Client seed
+ * @returns {Promise<Object>} - { hash, fraction, rotation, winner } where winner is a candidate
+ *
+ * @example
+ * const { winner, rotation } = await pickWinner(candidates, commit.serverSeed, clientSeed);
+ */
+export async function pickWinner(candidates, serverSeed, clientSeed) {
+  const hash = await sha256Hex(`${serverSeed}:${clientSeed}`);
+  const fraction =
+    parseInt(hash.slice(0, FRACTION_HEX_DIGITS), 16) / Math.pow(16, FRACTION_HEX_DIGITS);
+
+  const totalWeight = candidates.reduce((sum, candidate) => sum + candidate.weight, 0);
+  const point = fraction * totalWeight;
+  let end = 0;
+  const winner =
+    candidates.find((candidate) => {
+      end += candidate.weight;
+      return point < end;
+    }) || candidates[candidates.length - 1];
+
+  const rotation = (((3.5 - 2 * fraction) % 2) + 2) % 2;
+  return { hash: hash, fraction: fraction, rotation: rotation * Math.PI, winner: winner };
+}
+
+/**
+ * Store the result of a server-side spin for its permalink
+ *
+ * @param {Object} env - Environment variables with SPINS_KV
+ * @param {Object} result - Result with an id
+ * @returns {Promise<Object>} - Stored result
+ */
+export async function saveSpinResult(env, result) {
+  await env.SPINS_KV.put(`${RESULT_PREFIX}${result.id}`, JSON.stringify(result), {
+    expirationTtl: SPIN_TTL_DAYS * 24 * 60 * 60
+  });
+  return result;
+}
+
+/**
+ * Read the result of a server-side spin
+ *
+ * @param {Object} env - Environment variables with SPINS_KV
+ * @param {string} id - Result ID
+ * @returns {Promise<Object|null>} - Stored result, or null if unknown or expired
+ */
+export function readSpinResult(env, id) {
+  return env.SPINS_KV.get(`${RESULT_PREFIX}${id}`, 'json');
+}
+
+/**
+ * Clear the in-memory spin history
+ * Used by tests to start each case with an empty history.
+ */
+export function resetSpinHistory() {
+  memoryLog.length = 0;
+}
@@ -0,0 +1,648 @@
+/**
+ * Storage Backends for Restaurant Picker API
+ *
+ * The restaurant data document ({ profiles, restaurants }) can be persisted in
+ * several places. Every backend implements the same interface:
+ *
+ * - read(): Promise<{ data, version }> - current document and an opaque version
+ * - write(data, version, message): Promise<{ version }> - replace the document only
+ *   if it is still at `version`; otherwise throws an error with status 409
+ *
+ * Backends that keep a change history (github and local) also implement:
+ * - listVersions(limit): Promise<Array<{ version, message, author, date, parent }>> -
+ *   newest first
+ * - readVersion(version): Promise<{ entry, data }|null> - a past document and its
+ *   history entry, or null if the version is unknown
+ *
+ * The backend is selected with the STORAGE_BACKEND environment variable:
+ * - github (default): GitHub Contents API, one commit per write
+ * - kv: Cloudflare Workers KV namespace bound as DATA_KV
+ * - d1: Cloudflare D1 database bound as DATA_DB
+ * - local: copy seeded from the deployed restaurants.json, for
+ *   `wrangler pages dev --local` and tests; saved to DATA_KV when it is bound (the dev
+ *   server persists that to .wrangler/state), in memory otherwise
+ *
+ * Each backend can hold several named documents: "restaurants" (the default),
+ * "users" (accounts and password hashes, see _users.js) and "apiKeys" (API key hashes,
+ * see _apikeys.js). Documents that do not exist yet read as their empty document with
+ * a null version. Secret documents are never stored with the GitHub backend, whose
+ * data repository is usually the public repository the site deploys from: they read
+ * as empty and cannot be written (see UnavailableStorage).
+ *
+ * Every write on behalf of a signed-in user or API key names it in a "Changed-by"
+ * trailer at the end of the message (see withActor). GitHub commits are still made by
+ * the owner of GITHUB_TOKEN, so history entries report the trailer's actor as their
+ * author instead.
+ *
+ * @module api/_storage
+ */
+
+const RESTAURANT_FILE = 'restaurants.json';
+const ACTOR_TRAILER = 'Changed-by';
+const ACTOR_TRAILER_PATTERN = /\n\nChanged-by: (\S+)$/;
+
+/**
+ * Add the actor trailer to a change message
+ *
+ * @param {string} message - Description of the change
+ * @param {Object|null} user - Token claims of whoever made the change
+ * @returns {string} - Message ending in "Changed-by: <sub>", or unchanged without a user
+ *
+ * @example
+ * await storage.write(data, version, withActor('Add restaurant: Pizza Palace', auth.user));
+ */
+export function withActor(message, user) {
+  return user && user.sub ? `${message}\n\n${ACTOR_TRAILER}: ${user.sub}` : message;
+}
+
+/**
+ * Separate the actor trailer from a stored change message
+ *
+ * @param {string} message - Commit or history message
+ * @returns {Object} - { message, actor } where actor is null if there is no trailer
+ */
+function splitActorTrailer(message) {
+  const match = ACTOR_TRAILER_PATTERN.exec(message || '');
+  return match
+    ? { message: message.slice(0, match.index), actor: match[1] }
+    : { message: message, actor: null };
+}
+
+/**
+ * Create the document used when a backend has no data yet
+ *
+ * @returns {Object} - Empty restaurant data document
+ */
+export function createEmptyDocument() {
+  return {
+    profiles: [{ id: 'all', name: 'All Restaurants' }],
+    restaurants: []
+  };
+}
+
+/**
+ * Documents a backend can hold
+ * - file: path in the GitHub repository
+ * - key: KV key and D1 row name
+ * - createEmpty: document used before anything has been written
+ * - secret: holds credentials, so it is kept out of the GitHub backend
+ */
+const DOCUMENTS = {
+  restaurants: { file: RESTAURANT_FILE, key: 'restaurants', createEmpty: createEmptyDocument },
+  users: { file: 'users.json', key: 'users', createEmpty: () => ({ users: [] }), secret: true },
+  apiKeys: {
+    file: 'api-keys.json',
+    key: 'api-keys',
+    createEmpty: () => ({ apiKeys: [] }),
+    secret: true
+  }
+};
+
+/**
+ * Create the error thrown when a write targets an outdated version
+ *
+ * @param {string} message - Error description
+ * @returns {Error} - Error with status 409
+ */
+function conflictError(message) {
+  const error = new Error(message);
+  error.status = 409;
+  return error;
+}
+
+/**
+ * Check whether a storage write failed because the stored version changed
+ * GitHub answers 409 when the SHA no longer matches the branch head and
+ * 422 when the SHA does not match the current file contents.
+ *
+ * @param {Error} error - Error thrown by a backend write
+ * @returns {boolean} - True if the write can be retried against a fresh version
+ */
+export function isConflictError(error) {
+  return error.status === 409 || error.status === 422;
+}
+
+/**
+ * Retrieve restaurant data file from GitHub repository
+ *
+ * @param {Object} env - Environment variables containing GitHub credentials
+ * @param {string} file - Path of the data file (defaults to restaurants.json)
+ * @returns {Promise<Object>} - Object containing parsed data and file SHA
+ * @throws {Error} - If GitHub API request fails; the error carries the HTTP status
+ *
+ * @example
+ * const { data, sha } = await fetchFromGitHub(env);
+ * console.log(data.restaurants); // Array of restaurants
+ */
+export async function fetchFromGitHub(env, file = RESTAURANT_FILE) {
+  const url = `https://api.github.com/repos/${env.GITHUB_REPO}/contents/${file}?ref=${env.GITHUB_BRANCH}`;
+
+  const response = await fetch(url, {
+    headers: {
+      Authorization: `token ${env.GITHUB_TOKEN}`,
+      Accept: 'application/vnd.github.v3+json',
+      'User-Agent': 'Restaurant-Picker-App'
+    }
+  });
+
+  if (!response.ok) {
+    const error = new Error(`GitHub API error: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  const responseData = await response.json();
+  const content = atob(responseData.content);
+  return {
+    data: JSON.parse(content),
+    sha: responseData.sha
+  };
+}
+
+/**
+ * Commit updated restaurant data to GitHub repository
+ * Uses SHA-based conflict detection to prevent concurrent modification issues
+ *
+ * @param {Object} env - Environment variables containing GitHub credentials
+ * @param {Object} content - Updated restaurant data object to commit
+ * @param {string|null} sha - Current file SHA for conflict detection, or null to create the file
+ * @param {string} message - Commit message describing the change
+ * @param {string} file - Path of the data file (defaults to restaurants.json)
+ * @returns {Promise<Object>} - GitHub API response with new commit details
+ * @throws {Error} - If GitHub update fails or SHA conflict occurs
+ *
+ * @example
+ * await updateGitHub(env, data, sha, 'Add new restaurant: Pizza Palace');
+ */
+export async function updateGitHub(env, content, sha, message, file = RESTAURANT_FILE) {
+  const url = `https://api.github.com/repos/${env.GITHUB_REPO}/contents/${file}`;
+
+  const response = await fetch(url, {
+    method: 'PUT',
+    headers: {
+      Authorization: `token ${env.GITHUB_TOKEN}`,
+      Accept: 'application/vnd.github.v3+json',
+      'Content-Type': 'application/json',
+      'User-Agent': 'Restaurant-Picker-App'
+    },
+    body: JSON.stringify({
+      message: message,
+      content: btoa(JSON.stringify(content, null, 2)),
+      sha: sha || undefined,
+      branch: env.GITHUB_BRANCH
+    })
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    const error = new Error(`GitHub update failed: ${response.status} - ${errorText}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return await response.json();
+}
+
+/**
+ * Send an authenticated GET request to the configured GitHub repository
+ *
+ * @param {Object} env - Environment variables containing GitHub credentials
+ * @param {string} path - Path below /repos/{owner}/{repo}
+ * @returns {Promise<Object|null>} - Parsed JSON body, or null if GitHub answers 404
+ * @throws {Error} - If the request fails for any other reason
+ */
+async function fetchGitHubJSON(env, path) {
+  const response = await fetch(`https://api.github.com/repos/${env.GITHUB_REPO}${path}`, {
+    headers: {
+      Authorization: `token ${env.GITHUB_TOKEN}`,
+      Accept: 'application/vnd.github.v3+json',
+      'User-Agent': 'Restaurant-Picker-App'
+    }
+  });
+
+  if (response.status === 404) {
+    return null;
+  }
+
+  if (!response.ok) {
+    throw new Error(`GitHub API error: ${response.status}`);
+  }
+
+  return await response.json();
+}
+
+/**
+ * Convert a GitHub commit object into a storage history entry
+ *
+ * @param {Object} commit - Commit from the GitHub commits API
+ * @returns {Object} - { version, message, author, date, parent }
+ */
+function toHistoryEntry(commit) {
+  const { message, actor } = splitActorTrailer(commit.commit.message);
+  return {
+    version: commit.sha,
+    message: message,
+    author: actor || (commit.commit.author ? commit.commit.author.name : null),
+    date: commit.commit.author ? commit.commit.author.date : null,
+    parent: commit.parents && commit.parents.length > 0 ? commit.parents[0].sha : null
+  };
+}
+
+/**
+ * GitHub Contents API backend
+ * Versions are file SHAs and every write becomes a commit on GITHUB_BRANCH. History
+ * versions are commit SHAs of the commits that touched the data file.
+ */
+class GitHubStorage {
+  constructor(env, document) {
+    this.env = env;
+    this.document = document;
+  }
+
+  async read() {
+    try {
+      const { data, sha } = await fetchFromGitHub(this.env, this.document.file);
+      return { data: data, version: sha };
+    } catch (error) {
+      if (error.status === 404) {
+        return { data: this.document.createEmpty(), version: null };
+      }
+      throw error;
+    }
+  }
+
+  async write(data, version, message) {
+    const result = await updateGitHub(this.env, data, version, message, this.document.file);
+    return { version: result.content && result.content.sha };
+  }
+
+  async listVersions(limit) {
+    const commits = await fetchGitHubJSON(
+      this.env,
+      `/commits?path=${this.document.file}&sha=${encodeURIComponent(this.env.GITHUB_BRANCH)}&per_page=${limit}`
+    );
+    return (commits || []).map(toHistoryEntry);
+  }
+
+  async readVersion(version) {
+    const commit = await fetchGitHubJSON(this.env, `/commits/${encodeURIComponent(version)}`);
+    if (!commit) {
+      return null;
+    }
+
+    // The data file may not exist yet at the very first commits of the repository
+    const file = await fetchGitHubJSON(
+      this.env,
+      `/contents/${this.document.file}?ref=${encodeURIComponent(commit.sha)}`
+    );
+
+    return {
+      entry: toHistoryEntry(commit),
+      data: file ? JSON.parse(atob(file.content)) : null
+    };
+  }
+}
+
+/**
+ * Cloudflare Workers KV backend
+ * KV has no compare-and-swap, so the version check narrows but cannot fully close
+ * the window for concurrent writes. Prefer D1 when several admins edit at once.
+ */
+class KVStorage {
+  constructor(env, document) {
+    if (!env.DATA_KV) {
+      throw new Error('STORAGE_BACKEND is "kv" but no DATA_KV namespace is bound');
+    }
+    this.kv = env.DATA_KV;
+    this.document = document;
+  }
+
+  async read() {
+    const { value, metadata } = await this.kv.getWithMetadata(this.document.key, 'json');
+    if (!value) {
+      return { data: this.document.createEmpty(), version: null };
+    }
+    return { data: value, version: metadata ? metadata.version : null };
+  }
+
+  async write(data, version) {
+    const { metadata } = await this.kv.getWithMetadata(this.document.key);
+    const currentVersion = metadata ? metadata.version : null;
+
+    if (currentVersion !== version) {
+      throw conflictError('Stored data changed since it was read');
+    }
+
+    const newVersion = crypto.randomUUID();
+    await this.kv.put(this.document.key, JSON.stringify(data), {
+      metadata: { version: newVersion }
+    });
+    return { version: newVersion };
+  }
+}
+
+/**
+ * Cloudflare D1 backend
+ * The document is stored as a single row and written with a conditional UPDATE,
+ * so version checks are atomic.
+ */
+class D1Storage {
+  constructor(env, document) {
+    if (!env.DATA_DB) {
+      throw new Error('STORAGE_BACKEND is "d1" but no DATA_DB database is bound');
+    }
+    this.db = env.DATA_DB;
+    this.document = document;
+  }
+
+  async ensureTable() {
+    await this.db
+      .prepare(
+        'CREATE TABLE IF NOT EXISTS documents (name TEXT PRIMARY KEY, content TEXT NOT NULL, version TEXT NOT NULL)'
+      )
+      .run();
+  }
+
+  async read() {
+    await this.ensureTable();
+    const row = await this.db
+      .prepare('SELECT content, version FROM documents WHERE name = ?')
+      .bind(this.document.key)
+      .first();
+
+    if (!row) {
+      return { data: this.document.createEmpty(), version: null };
+    }
+    return { data: JSON.parse(row.content), version: row.version };
+  }
+
+  async write(data, version) {
+    await this.ensureTable();
+    const newVersion = crypto.randomUUID();
+    const content = JSON.stringify(data);
+
+    const statement =
+      version === null
+        ? this.db
+            .prepare(
+              'INSERT INTO documents (name, content, version) VALUES (?, ?, ?) ON CONFLICT(name) DO NOTHING'
+            )
+            .bind(this.document.key, content, newVersion)
+        : this.db
+            .prepare('UPDATE documents SET content = ?, version = ? WHERE name = ? AND version = ?')
+            .bind(content, newVersion, this.document.key, version);
+
+    const result = await statement.run();
+    if (result.meta.changes !== 1) {
+      throw conflictError('Stored data changed since it was read');
+    }
+    return { version: newVersion };
+  }
+}
+
+/**
+ * In-memory documents and their past versions by document name, shared by
+ * LocalStorage instances within an isolate
+ */
+const localStores = {};
+
+/**
+ * Get the in-memory store for a document, creating it on first use
+ *
+ * @param {string} key - Document key
+ * @returns {Object} - { document: { data, version }|null, history: Array<Object> }
+ */
+function getLocalStore(key) {
+  if (!localStores[key]) {
+    localStores[key] = { document: null, history: [] };
+  }
+  return localStores[key];
+}
+
+/**
+ * Start the local history with the seed document as its first version
+ *
+ * @param {Object} store - Store returned by getLocalStore
+ * @param {Object} data - Seed document
+ * @param {string} message - Description of where the seed came from
+ */
+function seedLocalHistory(store, data, message) {
+  store.history = [
+    {
+      version: '1',
+      message: message,
+      author: 'local',
+      date: new Date().toISOString(),
+      parent: null,
+      data: structuredClone(data)
+    }
+  ];
+}
+
+// Past versions the local backend keeps per document
+const LOCAL_HISTORY_LIMIT = 100;
+
+/**
+ * Local development backend
+ * Seeds itself from the restaurants.json served alongside the app (when an ASSETS
+ * binding is available, as under `wrangler pages dev`). Every write is kept as a
+ * history entry so the activity log can be exercised offline. With a DATA_KV binding
+ * the document and its history are saved under "local:<key>", so
+ * `wrangler pages dev --kv DATA_KV` keeps changes across restarts in .wrangler/state;
+ * without one they are kept in memory until the dev server restarts. The
+ * restaurants.json file itself is never changed.
+ */
+class LocalStorage {
+  constructor(env, document) {
+    this.env = env;
+    this.document = document;
+    this.store = getLocalStore(document.key);
+  }
+
+  async load() {
+    if (this.store.document) {
+      return this.store.document;
+    }
+
+    const saved = this.env.DATA_KV
+      ? await this.env.DATA_KV.get(`local:${this.document.key}`, 'json')
+      : null;
+    if (saved) {
+      this.store.document = saved.document;
+      this.store.history = saved.history;
+      return this.store.document;
+    }
+
+    // Only the restaurant data is deployed alongside the app
+    let data = this.document.createEmpty();
+    if (this.env.ASSETS && this.document.file === RESTAURANT_FILE) {
+      const response = await this.env.ASSETS.fetch(`http://localhost/${RESTAURANT_FILE}`);
+      if (response.ok) {
+        data = await response.json();
+      }
+    }
+
+    this.store.document = { data: data, version: 1 };
+    seedLocalHistory(this.store, data, `Load ${this.document.file}`);
+    await this.save();
+    return this.store.document;
+  }
+
+  async save() {
+    if (this.env.DATA_KV) {
+      await this.env.DATA_KV.put(
+        `local:${this.document.key}`,
+        JSON.stringify({ document: this.store.document, history: this.store.history })
+      );
+    }
+  }
+
+  async read() {
+    const { data, version } = await this.load();
+    return { data: structuredClone(data), version: String(version) };
+  }
+
+  async write(data, version, message) {
+    const current = await this.load();
+    if (String(current.version) !== String(version)) {
+      throw conflictError('Stored data changed since it was read');
+    }
+
+    const { message: summary, actor } = splitActorTrailer(message || 'Update data');
+    this.store.document = { data: structuredClone(data), version: current.version + 1 };
+    this.store.history.push({
+      version: String(this.store.document.version),
+      message: summary,
+      author: actor || 'local',
+      date: new Date().toISOString(),
+      parent: String(current.version),
+      data: structuredClone(data)
+    });
+    this.store.history = this.store.history.slice(-LOCAL_HISTORY_LIMIT);
+    await this.save();
+    return { version: String(this.store.document.version) };
+  }
+
+  async listVersions(limit) {
+    await this.load();
+    return this.store.history
+      .slice(-limit)
+      .reverse()
+      .map(({ data, ...entry }) => entry);
+  }
+
+  async readVersion(version) {
+    await this.load();
+    const found = this.store.history.find((entry) => entry.version === String(version));
+    if (!found) {
+      return null;
+    }
+
+    const { data, ...entry } = found;
+    return { entry: entry, data: structuredClone(data) };
+  }
+}
+
+/**
+ * Replace the local backend's in-memory document
+ * Used by tests to start each case from known data.
+ *
+ * @param {Object|null} data - Document to store, or null to re-seed on next read
+ * @param {string} name - Document name: "restaurants" (default), "users" or "apiKeys"
+ *
+ * @example
+ * resetLocalStorage({ profiles: [{ id: 'all', name: 'All Restaurants' }], restaurants: [] });
+ */
+export function resetLocalStorage(data = null, name = 'restaurants') {
+  const store = getLocalStore(DOCUMENTS[name].key);
+  store.document = data ? { data: structuredClone(data), version: 1 } : null;
+  store.history = [];
+  if (data) {
+    seedLocalHistory(store, data, 'Reset data');
+  }
+}
+
+/**
+ * Stand-in for a secret document on a backend that must not hold it
+ * Reads return the empty document, so only the built-in admin can sign in; writes
+ * fail with status 501 and say which backends can hold the document.
+ */
+class UnavailableStorage {
+  constructor(env, document, backendName) {
+    this.document = document;
+    this.backendName = backendName;
+  }
+
+  async read() {
+    return { data: this.document.createEmpty(), version: null };
+  }
+
+  async write() {
+    const error = new Error(
+      `The ${this.backendName} storage backend cannot hold ${this.document.file}; set ` +
+        'STORAGE_BACKEND to kv or d1 to store it'
+    );
+    error.status = 501;
+    throw error;
+  }
+}
+
+/**
+ * Check whether a storage write failed because the backend cannot hold the document
+ *
+ * @param {Error} error - Error thrown by a backend write
+ * @returns {boolean} - True if the document needs another backend
+ */
+export function isUnavailableError(error) {
+  return error.status === 501;
+}
+
+const BACKENDS = {
+  github: GitHubStorage,
+  kv: KVStorage,
+  d1: D1Storage,
+  local: LocalStorage
+};
+
+/**
+ * Check whether a storage backend can list and read past versions
+ *
+ * @param {Object} storage - Backend returned by getStorage
+ * @returns {boolean} - True if listVersions() and readVersion() are available
+ */
+export function supportsHistory(storage) {
+  return typeof storage.listVersions === 'function' && typeof storage.readVersion === 'function';
+}
+
+/**
+ * Get the storage backend configured for this deployment
+ *
+ * @param {Object} env - Environment variables (STORAGE_BACKEND and backend bindings)
+ * @param {string} name - Document name: "restaurants" (default), "users" or "apiKeys"
+ * @returns {Object} - Backend implementing read() and write()
+ * @throws {Error} - If STORAGE_BACKEND names an unknown backend or a binding is missing
+ *
+ * @example
+ * const storage = getStorage(env);
+ * const { data, version } = await storage.read();
+ * await storage.write(data, version, 'Add restaurant: Pizza Palace');
+ */
+export function getStorage(env, name = 'restaurants') {
+  const backendName = (env.STORAGE_BACKEND || 'github').toLowerCase();
+  const Backend = BACKENDS[backendName];
+
+  if (!Backend) {
+    throw new Error(`Unknown STORAGE_BACKEND: ${env.STORAGE_BACKEND}`);
+  }
+
+  if (!DOCUMENTS[name]) {
+    throw new Error(`Unknown storage document: ${name}`);
+  }
+
+  // The GitHub data repository is usually public, so it must not hold credentials
+  if (DOCUMENTS[name].secret && Backend === GitHubStorage) {
+    return new UnavailableStorage(env, DOCUMENTS[name], backendName);
+  }
+
+  return new Backend(env, DOCUMENTS[name]);
+}
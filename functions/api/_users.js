@@ -0,0 +1,230 @@
+/**
+ * User Accounts for Restaurant Picker API
+ *
+ * Named accounts are kept in the "users" document of the configured storage backend
+ * ({ users: [{ username, role, profiles?, passwordHash, createdAt }] }). Accounts with a
+ * profiles list are limited to those profiles (see authorizeOperation). Passwords are never
+ * stored: each account keeps a salted PBKDF2-SHA256 hash in the form
+ * "pbkdf2-sha256$<iterations>$<salt>$<hash>" (base64 salt and hash).
+ *
+ * The GitHub backend never stores this document (see getStorage), so named accounts need
+ * the kv or d1 backend; with GitHub only the built-in admin can sign in.
+ *
+ * @module api/_users
+ */
+
+import { getStorage, isUnavailableError, withActor } from './_storage.js';
+
+// Account signed in with ADMIN_PASSWORD; it is not stored with the named accounts
+export const BUILT_IN_ADMIN = { username: 'admin', role: 'admin' };
+
+const HASH_ALGORITHM = 'pbkdf2-sha256';
+const HASH_ITERATIONS = 100000; // Highest iteration count Workers support
+const SALT_BYTES = 16;
+const HASH_BYTES = 32;
+
+/**
+ * Encode bytes as base64
+ *
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} - Base64 string
+ */
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+/**
+ * Decode a base64 string to bytes
+ *
+ * @param {string} value - Base64 string
+ * @returns {Uint8Array} - Decoded bytes
+ */
+function fromBase64(value) {
+  return Uint8Array.from(atob(value), (c) => c.charCodeAt(0));
+}
+
+/**
+ * Derive a PBKDF2-SHA256 hash of a password
+ *
+ * @param {string} password - Plain-text password
+ * @param {Uint8Array} salt - Random salt
+ * @param {number} iterations - PBKDF2 iteration count
+ * @returns {Promise<Uint8Array>} - Derived hash
+ */
+async function deriveHash(password, salt, iterations) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(password),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: salt, iterations: iterations },
+    key,
+    HASH_BYTES * 8
+  );
+  return new Uint8Array(bits);
+}
+
+/**
+ * Hash a password for storage
+ *
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} - Encoded hash including algorithm, iterations and salt
+ *
+ * @example
+ * const passwordHash = await hashPassword('correct horse battery staple');
+ */
+export async function hashPassword(password) {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const hash = await deriveHash(password, salt, HASH_ITERATIONS);
+  return `${HASH_ALGORITHM}$${HASH_ITERATIONS}$${toBase64(salt)}$${toBase64(hash)}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * Compares in constant time so response timing does not reveal how much matched.
+ *
+ * @param {string} password - Plain-text password to check
+ * @param {string} storedHash - Hash created by hashPassword
+ * @returns {Promise<boolean>} - True if the password matches
+ */
+export async function verifyPassword(password, storedHash) {
+  const [algorithm, iterations, salt, hash] = String(storedHash).split('$');
+  if (algorithm !== HASH_ALGORITHM || !salt || !hash) {
+    return false;
+  }
+
+  const expected = fromBase64(hash);
+  const actual = await deriveHash(password, fromBase64(salt), Number(iterations));
+  if (actual.length !== expected.length) {
+    return false;
+  }
+
+  let difference = 0;
+  for (let i = 0; i < actual.length; i++) {
+    difference |= actual[i] ^ expected[i];
+  }
+  return difference === 0;
+}
+
+/**
+ * Remove the password hash from a user record before returning it to a client
+ *
+ * @param {Object} user - Stored user record
+ * @returns {Object} - { username, role, profiles?, createdAt }
+ */
+export function publicUser(user) {
+  return { ...sessionUser(user), createdAt: user.createdAt };
+}
+
+/**
+ * Pick the account details carried in session tokens
+ *
+ * @param {Object} user - Stored user record or built-in account
+ * @returns {Object} - { username, role } plus profiles when the account is scoped
+ */
+export function sessionUser(user) {
+  return {
+    username: user.username,
+    role: user.role,
+    ...(Array.isArray(user.profiles) ? { profiles: user.profiles } : {})
+  };
+}
+
+/**
+ * Read all user accounts
+ *
+ * @param {Object} env - Environment variables selecting the storage backend
+ * @returns {Promise<Object>} - { users, version }
+ */
+export async function readUsers(env) {
+  const { data, version } = await getStorage(env, 'users').read();
+  return { users: data.users || [], version: version };
+}
+
+/**
+ * Check a username and password
+ * Unknown usernames still cost one hash so the response time does not reveal
+ * which accounts exist.
+ *
+ * @param {Object} env - Environment variables selecting the storage backend
+ * @param {string} username - Account name
+ * @param {string} password - Plain-text password
+ * @returns {Promise<Object|null>} - Matching user record, or null if the credentials are wrong
+ *
+ * @example
+ * const user = await authenticateUser(env, 'sam', password);
+ * if (user) {
+ *   // user.role is 'viewer', 'editor' or 'admin'
+ * }
+ */
+export async function authenticateUser(env, username, password) {
+  const { users } = await readUsers(env);
+  const user = users.find((u) => u.username === username);
+
+  if (!user) {
+    await hashPassword(String(password));
+    return null;
+  }
+
+  return (await verifyPassword(String(password), user.passwordHash)) ? user : null;
+}
+
+/**
+ * Look up the current account behind a session when its tokens are renewed
+ * Role changes and deleted accounts take effect at the next refresh.
+ *
+ * @param {Object} env - Environment variables selecting the storage backend
+ * @param {string} username - Account name from the refresh token
+ * @returns {Promise<Object|null>} - Account details (see sessionUser), or null if the
+ *   account is gone
+ */
+export async function findSessionUser(env, username) {
+  if (username === BUILT_IN_ADMIN.username) {
+    return env.ADMIN_PASSWORD ? BUILT_IN_ADMIN : null;
+  }
+
+  const { users } = await readUsers(env);
+  const user = users.find((u) => u.username === username);
+  return user ? sessionUser(user) : null;
+}
+
+/**
+ * Change the user accounts and save them
+ * The change function receives the list of users to modify in place. It returns
+ * nothing on success, or { status, error } to abandon the change.
+ *
+ * @param {Object} env - Environment variables selecting the storage backend
+ * @param {Function} change - (users) => void | { status, error }
+ * @param {string} message - Description of the change (a commit message on GitHub)
+ * @param {Object} [user] - Token claims of the admin or user making the change
+ * @returns {Promise<Object>} - { success: true, users, previous } or
+ *   { success: false, status, error }, with status 501 when the backend cannot hold accounts
+ * @throws {Error} - If storage is unreachable or the accounts changed since they were
+ *   read (status 409)
+ *
+ * @example
+ * const outcome = await updateUsers(env, (users) => { users.push(newUser); }, 'Add user: sam');
+ */
+export async function updateUsers(env, change, message, user = null) {
+  const storage = getStorage(env, 'users');
+  const { data, version } = await storage.read();
+  const users = structuredClone(data.users || []);
+
+  const failure = change(users);
+  if (failure) {
+    return { success: false, status: failure.status, error: failure.error };
+  }
+
+  try {
+    await storage.write({ ...data, users: users }, version, withActor(message, user));
+  } catch (error) {
+    if (isUnavailableError(error)) {
+      return { success: false, status: error.status, error: error.message };
+    }
+    throw error;
+  }
+  return { success: true, users: users, previous: data.users || [] };
+}
@@ -0,0 +1,120 @@
+/**
+ * Audit Log API Endpoint
+ *
+ * Lists the changes made through the API, newest first: who made each change, from
+ * which IP address, and what the affected records looked like before and after.
+ * Changes to restaurants, profiles, accounts and API keys are listed, and so are
+ * sign-in events (failed logins, lockouts and revoked sessions) under the "auth"
+ * document. Spins and group votes are public and are not audited.
+ *
+ * Endpoint: GET /api/audit
+ *
+ * Query Parameters (all optional):
+ * - actor: Username or API key ("api-key:<id>") that made the change
+ * - ip: Client IP address
+ * - document: restaurants, users, apiKeys or auth
+ * - q: Text to look for in the change description (case-insensitive)
+ * - since, until: Only changes in this time range (ISO 8601 dates or timestamps)
+ * - limit: Maximum number of entries to return (default 50, max 200)
+ * - cursor: Continue from the cursor returned by the previous request
+ *
+ * Response:
+ * {
+ *   "entries": [{ "id", "at", "actor", "ip", "method", "path", "action", "document",
+ *                 "changes" (or "details" for auth events) }],
+ *   "cursor": string | null
+ * }
+ *
+ * Authentication: Required (Bearer token, admin role)
+ *
+ * Environment Variables:
+ * - AUDIT_KV: KV namespace holding the audit log (see _audit.js for what happens
+ *   without it)
+ */
+
+import { requireRole, getCorsHeaders, errorResponse, successResponse } from './_shared.js';
+import { listAuditEntries } from './_audit.js';
+
+const DEFAULT_AUDIT_LIMIT = 50;
+const MAX_AUDIT_LIMIT = 200;
+const AUDIT_DOCUMENTS = ['restaurants', 'users', 'apiKeys', 'auth'];
+
+/**
+ * Parse a date query parameter
+ *
+ * @param {string|null} value - Parameter value
+ * @returns {string|null|undefined} - ISO timestamp, null if absent, undefined if invalid
+ */
+function parseDateParam(value) {
+  if (value === null) {
+    return null;
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+/**
+ * GET Request Handler
+ * Lists audit entries matching the query
+ * @param {Object} context - Cloudflare Pages Functions context
+ * @returns {Response} - JSON response with audit entries
+ */
+export async function onRequestGet(context) {
+  const { request, env } = context;
+
+  // Verify authentication and role
+  const auth = await requireRole(request, env, 'admin');
+  if (auth.error) {
+    return auth.error;
+  }
+
+  const params = new URL(request.url).searchParams;
+  const limitParam = params.get('limit');
+  const limit = limitParam === null ? DEFAULT_AUDIT_LIMIT : Number(limitParam);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_AUDIT_LIMIT) {
+    return errorResponse(`limit must be an integer between 1 and ${MAX_AUDIT_LIMIT}`, 400, env);
+  }
+
+  const document = params.get('document');
+  if (document !== null && !AUDIT_DOCUMENTS.includes(document)) {
+    return errorResponse(`document must be one of: ${AUDIT_DOCUMENTS.join(', ')}`, 400, env);
+  }
+
+  const since = parseDateParam(params.get('since'));
+  const until = parseDateParam(params.get('until'));
+  if (since === undefined || until === undefined) {
+    return errorResponse('since and until must be valid dates', 400, env);
+  }
+
+  try {
+    const result = await listAuditEntries(
+      env,
+      {
+        actor: params.get('actor'),
+        ip: params.get('ip'),
+        document: document,
+        q: params.get('q'),
+        since: since,
+        until: until
+      },
+      { limit: limit, cursor: params.get('cursor') }
+    );
+
+    return successResponse(result, env);
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    return errorResponse('Failed to fetch audit log', 500, env);
+  }
+}
+
+/**
+ * OPTIONS Request Handler
+ * Responds to CORS preflight requests
+ * @returns {Response} - CORS headers response
+ */
+export async function onRequestOptions(context) {
+  return new Response(null, {
+    headers: getCorsHeaders(context.env, context.request)
+  });
+}
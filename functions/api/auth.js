@@ -1,62 +1,130 @@
 /**
  * Authentication API Endpoint
  *
- * Validates administrative credentials and issues JWT tokens with expiration.
+ * Validates user credentials and starts a session. The access token carries the account
+ * name (`sub`) and its role (`role`), which every protected endpoint checks; the refresh
+ * token renews it through /api/auth/refresh (see _sessions.js).
  *
  * Endpoint: POST /api/auth
  *
  * Request Body:
  * {
+ *   "username": string (optional),
  *   "password": string
  * }
  *
+ * Without a username the password is checked against ADMIN_PASSWORD, which signs in
+ * as the built-in "admin" account. Use it to create the first named accounts.
+ *
  * Response:
  * {
  *   "authenticated": boolean,
- *   "token": string (JWT token)
+ *   "token": string (JWT access token),
+ *   "refreshToken": string (JWT refresh token),
+ *   "expiresIn": number (access token lifetime in seconds),
+ *   "user": { "username": string, "role": "viewer" | "editor" | "admin", "profiles"?: string[] }
  * }
  *
  * Environment Variables:
- * - ADMIN_PASSWORD: Administrative authentication credential
+ * - ADMIN_PASSWORD: Built-in admin credential (optional once named admins exist)
  * - JWT_SECRET: Secret key for signing JWT tokens (minimum 32 characters)
+ * - JWT_SECRETS: Optional JSON object of key ID to secret for key rotation (see _sessions.js)
+ * - RATE_LIMIT_KV: Optional KV namespace for login limits and lockouts (see _ratelimit.js)
  *
  * Security Notes:
- * - Tokens expire after 1 hour
- * - Uses HMAC-SHA256 for token signing
- * - Rate limiting recommended in production
+ * - Access tokens expire after 15 minutes, refresh tokens after 7 days
+ * - Uses HMAC-SHA256 for token signing; tokens carry iss, aud and the signing key's ID
+ * - Passwords of named accounts are stored as PBKDF2 hashes (see _users.js)
+ * - 10 login attempts per minute per IP; 5 failures in a row for one account lock it
+ *   out for that IP, for longer each time (see _ratelimit.js)
+ * - Failed logins and lockouts are written to the audit log as anonymous, with the
+ *   attempted username (see _audit.js)
  */
 
-import { sign } from './jwt-helper.js';
-import { getCorsHeaders, successResponse, checkRateLimit } from './_shared.js';
+import { getCorsHeaders, successResponse } from './_shared.js';
+import { authenticateUser, sessionUser, BUILT_IN_ADMIN } from './_users.js';
+import { issueTokens } from './_sessions.js';
+import { recordAuthEvent } from './_audit.js';
+import {
+  checkRateLimit,
+  withRateLimitHeaders,
+  checkLoginLockout,
+  recordLoginFailure,
+  clearLoginFailures
+} from './_ratelimit.js';
+
+// Actor of audit entries for logins that did not prove who they were
+const ANONYMOUS = { sub: 'anonymous' };
+
+/**
+ * Build the response for a login attempt that was refused before checking credentials
+ *
+ * @param {Object} env - Environment variables for CORS headers
+ * @param {string} message - Error message
+ * @param {Date} retryAt - When the client may try again
+ * @returns {Response} - 429 response with Retry-After header
+ */
+function tooManyAttemptsResponse(env, message, retryAt) {
+  return new Response(
+    JSON.stringify({
+      authenticated: false,
+      error: message,
+      retryAfter: retryAt
+    }),
+    {
+      status: 429,
+      headers: {
+        'Content-Type': 'application/json',
+        'Retry-After': String(Math.max(Math.ceil((retryAt.getTime() - Date.now()) / 1000), 1)),
+        ...getCorsHeaders(env)
+      }
+    }
+  );
+}
 
 export async function onRequestPost(context) {
   const { request, env } = context;
 
-  // Apply rate limiting: 5 attempts per minute
-  const rateCheck = checkRateLimit(request, 5, 60000);
+  // Apply the login rate limit: 10 attempts per minute. The API middleware leaves login
+  // requests to this handler so they are counted once.
+  const rateCheck = await checkRateLimit(request, env, 'login');
   if (!rateCheck.allowed) {
-    return new Response(
-      JSON.stringify({
-        authenticated: false,
-        error: 'Too many authentication attempts. Please try again later.',
-        retryAfter: rateCheck.resetAt
-      }),
-      {
-        status: 429,
-        headers: {
-          'Content-Type': 'application/json',
-          'Retry-After': Math.ceil((rateCheck.resetAt.getTime() - Date.now()) / 1000),
-          ...getCorsHeaders(env)
-        }
-      }
+    return withRateLimitHeaders(
+      tooManyAttemptsResponse(
+        env,
+        'Too many authentication attempts. Please try again later.',
+        rateCheck.resetAt
+      ),
+      rateCheck
     );
   }
 
+  return withRateLimitHeaders(await authenticate(context), rateCheck);
+}
+
+/**
+ * Check the credentials in a login request and start a session
+ *
+ * @param {Object} context - Cloudflare Pages Functions context
+ * @returns {Promise<Response>} - Response with tokens, or the reason the login failed
+ */
+async function authenticate(context) {
+  const { request, env } = context;
+
   try {
-    const { password } = await request.json();
+    const { username, password } = await request.json();
+
+    const lockout = await checkLoginLockout(request, env, username);
+    if (lockout.locked) {
+      return tooManyAttemptsResponse(
+        env,
+        'Too many failed login attempts. Please try again later.',
+        new Date(Date.now() + lockout.retryAfter * 1000)
+      );
+    }
 
     // Validate required environment variables
-    if (!env.JWT_SECRET) {
+    if (!env.JWT_SECRET && !env.JWT_SECRETS) {
       return new Response(
         JSON.stringify({
           authenticated: false,
@@ -72,33 +140,45 @@ export async function onRequestPost(context) {
       );
     }
 
-    // Validate credentials against environment configuration
-    if (password === env.ADMIN_PASSWORD) {
-      // Generate secure session ID
-      const sessionId = crypto.randomUUID();
+    // Named accounts are checked against the user store, otherwise fall back
+    // to the built-in admin password from the environment
+    const user = username
+      ? await authenticateUser(env, username, password)
+      : env.ADMIN_PASSWORD && password === env.ADMIN_PASSWORD
+        ? BUILT_IN_ADMIN
+        : null;
 
-      // Create JWT payload
-      const payload = {
-        sessionId: sessionId,
-        iat: Math.floor(Date.now() / 1000),
-        exp: Math.floor(Date.now() / 1000) + (60 * 60) // 1 hour expiration
-      };
+    if (user) {
+      await clearLoginFailures(request, env, username);
 
-      // Sign JWT token
-      const token = await sign(payload, env.JWT_SECRET);
+      // Start a new session with an access token and a refresh token
+      const tokens = await issueTokens(env, sessionUser(user));
 
       return successResponse(
         {
           authenticated: true,
-          token: token
+          ...tokens,
+          user: sessionUser(user)
         },
         env
       );
     } else {
+      const failure = await recordLoginFailure(request, env, username);
+      // The typed name is not a verified identity, so it is a detail rather than the actor
+      const attempted = { username: username || BUILT_IN_ADMIN.username };
+      if (failure.locked) {
+        await recordAuthEvent(context, ANONYMOUS, 'Account locked out after failed logins', {
+          ...attempted,
+          retryAfter: failure.retryAfter
+        });
+      } else {
+        await recordAuthEvent(context, ANONYMOUS, 'Failed login', attempted);
+      }
+
       return new Response(
         JSON.stringify({
           authenticated: false,
-          error: 'Invalid password'
+          error: username ? 'Invalid username or password' : 'Invalid password'
         }),
         {
           status: 401,
@@ -133,6 +213,6 @@ export async function onRequestPost(context) {
  */
 export async function onRequestOptions(context) {
   return new Response(null, {
-    headers: getCorsHeaders(context.env)
+    headers: getCorsHeaders(context.env, context.request)
   });
 }
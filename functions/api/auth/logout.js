@@ -0,0 +1,79 @@
+/**
+ * Logout API Endpoint
+ *
+ * Ends a session on the server. Its access tokens stop working immediately and its
+ * refresh token can no longer be exchanged, even if a copy of either is still around.
+ *
+ * Endpoint: POST /api/auth/logout
+ *
+ * Request Body (optional when an access token is sent):
+ * { "refreshToken": string }
+ *
+ * The session is taken from the refresh token, or from the Bearer access token if no
+ * refresh token is sent. Expired access tokens are not accepted, so send the refresh
+ * token to log out a session that has been idle. Each logout is written to the audit log.
+ *
+ * Environment Variables:
+ * - JWT_SECRET / JWT_SECRETS: Keys for signing and verifying JWT tokens
+ * - AUTH_KV: KV namespace for the revocation list; without it this endpoint answers
+ *   501 (see _sessions.js)
+ */
+
+import {
+  verifyAuth,
+  getCorsHeaders,
+  errorResponse,
+  successResponse,
+  requireBinding
+} from '../_shared.js';
+import { readRefreshToken, revokeSession } from '../_sessions.js';
+import { recordAuthEvent } from '../_audit.js';
+
+/**
+ * POST Request Handler
+ * Revokes the session
+ * @param {Object} context - Cloudflare Pages Functions context
+ * @returns {Response} - JSON response with operation result
+ */
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  const unavailable = requireBinding(env, 'AUTH_KV', 'Server-side logout');
+  if (unavailable) {
+    return unavailable;
+  }
+
+  try {
+    const body = await request.text();
+    const { refreshToken } = body ? JSON.parse(body) : {};
+
+    const claims = refreshToken
+      ? await readRefreshToken(env, refreshToken)
+      : await verifyAuth(request, env);
+
+    if (!claims || !claims.sessionId) {
+      return errorResponse('Unauthorized', 401, env);
+    }
+
+    await revokeSession(env, claims.sessionId);
+    await recordAuthEvent(context, claims, 'Session revoked: logged out', {
+      sessionId: claims.sessionId
+    });
+
+    return successResponse({ success: true }, env);
+  } catch (error) {
+    console.error('Logout error:', error);
+    return errorResponse('Invalid request', 400, env);
+  }
+}
+
+/**
+ * OPTIONS Request Handler
+ * Responds to CORS preflight requests
+ * @returns {Response} - CORS headers response
+ */
+export async function onRequestOptions(context) {
+  return new Response(null, {
+    headers: getCorsHeaders(context.env, context.request)
+  });
+}
@@ -0,0 +1,99 @@
+/**
+ * Token Refresh API Endpoint
+ *
+ * Exchanges a refresh token for a new access token and a new refresh token in the same
+ * session. Each refresh token works once; reusing one revokes the whole session. The
+ * new access token carries the account's current role, so role changes and deleted
+ * accounts take effect here. Revoked sessions are written to the audit log.
+ *
+ * Endpoint: POST /api/auth/refresh
+ *
+ * Request Body:
+ * { "refreshToken": string }
+ *
+ * Response:
+ * {
+ *   "authenticated": true,
+ *   "token": string,
+ *   "refreshToken": string,
+ *   "expiresIn": number,
+ *   "user": { "username": string, "role": string }
+ * }
+ *
+ * Environment Variables:
+ * - JWT_SECRET / JWT_SECRETS: Keys for signing and verifying JWT tokens
+ * - AUTH_KV: KV namespace for the revocation list; without it this endpoint answers
+ *   501 and users sign in again when their access token expires (see _sessions.js)
+ */
+
+import { getCorsHeaders, errorResponse, successResponse, requireBinding } from '../_shared.js';
+import { findSessionUser } from '../_users.js';
+import {
+  issueTokens,
+  readRefreshToken,
+  consumeRefreshToken,
+  isSessionRevoked,
+  revokeSession
+} from '../_sessions.js';
+import { recordAuthEvent } from '../_audit.js';
+
+/**
+ * POST Request Handler
+ * Rotates the session's tokens
+ * @param {Object} context - Cloudflare Pages Functions context
+ * @returns {Response} - JSON response with the new tokens
+ */
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  // Without a shared revocation list, a used refresh token could be replayed
+  const unavailable = requireBinding(env, 'AUTH_KV', 'Token refresh');
+  if (unavailable) {
+    return unavailable;
+  }
+
+  try {
+    const { refreshToken } = await request.json();
+
+    const claims = await readRefreshToken(env, refreshToken);
+    if (!claims || (await isSessionRevoked(env, claims.sessionId))) {
+      return errorResponse('Invalid or expired refresh token', 401, env);
+    }
+
+    // A refresh token that was already used has been copied; end the session for everyone
+    if (!(await consumeRefreshToken(env, claims))) {
+      await revokeSession(env, claims.sessionId);
+      await recordAuthEvent(context, claims, 'Session revoked: refresh token reused', {
+        sessionId: claims.sessionId
+      });
+      return errorResponse('Refresh token was already used; please sign in again', 401, env);
+    }
+
+    const user = await findSessionUser(env, claims.sub);
+    if (!user) {
+      await revokeSession(env, claims.sessionId);
+      await recordAuthEvent(context, claims, 'Session revoked: account no longer exists', {
+        sessionId: claims.sessionId
+      });
+      return errorResponse('Account no longer exists', 401, env);
+    }
+
+    const tokens = await issueTokens(env, user, claims.sessionId);
+
+    return successResponse({ authenticated: true, ...tokens, user: user }, env);
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    return errorResponse('Invalid request', 400, env);
+  }
+}
+
+/**
+ * OPTIONS Request Handler
+ * Responds to CORS preflight requests
+ * @returns {Response} - CORS headers response
+ */
+export async function onRequestOptions(context) {
+  return new Response(null, {
+    headers: getCorsHeaders(context.env, context.request)
+  });
+}
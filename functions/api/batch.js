@@ -0,0 +1,168 @@
+/**
+ * Batch Operations API Endpoint
+ *
+ * Applies a list of restaurant and profile changes atomically as a single commit.
+ * Every operation is validated before anything is written; if any operation fails
+ * validation or cannot be applied, nothing is committed.
+ *
+ * Endpoint: POST /api/batch
+ *
+ * Request Body:
+ * {
+ *   "operations": [
+ *     { "type": "restaurant", "action": "create", "data": { ... } },
+ *     { "type": "restaurant", "action": "update", "data": { "id": "...", ... } },
+ *     { "type": "profile", "action": "delete", "id": "late-night" }
+ *   ]
+ * }
+ *
+ * Response:
+ * {
+ *   "success": boolean,
+ *   "results": [{ "index", "type", "action", "success", "record" | "error" }]
+ * }
+ *
+ * Failed results also carry "fieldErrors": [{ "field", "code", "message" }] when the
+ * record itself is invalid.
+ *
+ * Authentication: Required (Bearer token, editor role or higher). Profile operations
+ * need the admin role, and tokens scoped to profiles can only change those profiles and
+ * their restaurants (see authorizeOperation in _shared.js); an operation that is not
+ * allowed fails with status 403 and nothing is saved.
+ *
+ * Environment Variables:
+ * - STORAGE_BACKEND: github (default), kv, d1 or local
+ * - GITHUB_TOKEN: Personal access token with repo scope
+ * - GITHUB_REPO: Target repository in "owner/repository" format
+ * - GITHUB_BRANCH: Target branch for commits
+ */
+
+import {
+  requireRole,
+  commitOperations,
+  getCorsHeaders,
+  errorResponse,
+  successResponse,
+  validateOperation
+} from './_shared.js';
+import { recordOperationsAudit } from './_audit.js';
+
+// Upper bound keeps a single commit and request body reasonably sized
+const MAX_BATCH_OPERATIONS = 100;
+
+/**
+ * POST Request Handler
+ * Validates and applies all operations, then commits them together
+ * @param {Object} context - Cloudflare Pages Functions context
+ * @returns {Response} - JSON response with per-operation results
+ */
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  // Verify authentication and role
+  const auth = await requireRole(request, env, 'editor');
+  if (auth.error) {
+    return auth.error;
+  }
+
+  let operations;
+  try {
+    ({ operations } = await request.json());
+  } catch {
+    return errorResponse('Invalid request body', 400, env);
+  }
+
+  if (!Array.isArray(operations) || operations.length === 0) {
+    return errorResponse('Request must include a non-empty operations array', 400, env);
+  }
+
+  if (operations.length > MAX_BATCH_OPERATIONS) {
+    return errorResponse(
+      `Batch cannot contain more than ${MAX_BATCH_OPERATIONS} operations`,
+      400,
+      env
+    );
+  }
+
+  // Validate every operation before touching stored data
+  const validationResults = operations.map((operation, index) => {
+    const validation = validateOperation(operation);
+    return {
+      index: index,
+      type: operation && operation.type,
+      action: operation && operation.action,
+      success: validation.valid,
+      ...(validation.valid
+        ? {}
+        : { error: validation.errors.join(', '), fieldErrors: validation.fieldErrors })
+    };
+  });
+
+  if (validationResults.some((result) => !result.success)) {
+    return errorResponse('Batch validation failed', 400, env, {
+      success: false,
+      results: validationResults
+    });
+  }
+
+  try {
+    // Apply all operations in order and commit them together, re-applying on top of
+    // concurrent edits if the data file changed in the meantime
+    const outcome = await commitOperations(env, operations, null, auth.user);
+
+    if (!outcome.success && !outcome.details.results) {
+      return errorResponse(outcome.error, outcome.status, env, outcome.details);
+    }
+
+    const results = (outcome.success ? outcome.results : outcome.details.results).map(
+      (result, index) => ({
+        index: index,
+        type: operations[index].type,
+        action: operations[index].action,
+        success: result.success,
+        ...(result.success
+          ? { record: result.record }
+          : {
+              error: result.error,
+              ...(result.fieldErrors ? { fieldErrors: result.fieldErrors } : {})
+            })
+      })
+    );
+
+    if (!outcome.success) {
+      return errorResponse(
+        'Batch could not be applied; no changes were saved',
+        outcome.status,
+        env,
+        {
+          success: false,
+          results: results
+        }
+      );
+    }
+
+    await recordOperationsAudit(context, auth.user, outcome);
+
+    return successResponse(
+      {
+        success: true,
+        results: results
+      },
+      env
+    );
+  } catch (error) {
+    console.error('Error applying batch:', error);
+    return errorResponse(`Failed to apply batch: ${error.message}`, 500, env);
+  }
+}
+
+/**
+ * OPTIONS Request Handler
+ * Responds to CORS preflight requests
+ * @returns {Response} - CORS headers response
+ */
+export async function onRequestOptions(context) {
+  return new Response(null, {
+    headers: getCorsHeaders(context.env, context.request)
+  });
+}
@@ -0,0 +1,113 @@
+/**
+ * Group Sessions API Endpoint
+ *
+ * Starts a group session: several people vote on the restaurants from the host's wheel
+ * before it is spun. Participants join with the session code (see
+ * /api/groups/:code/participants).
+ *
+ * Endpoint: POST /api/groups (public)
+ *
+ * Request Body:
+ * {
+ *   "candidates": ["uuid", "uuid"], // Required, restaurant IDs on the host's wheel
+ *   "profile": "quick-lunch",        // Optional, an existing profile (default "all")
+ *   "service": "takeout",            // Optional, service type filter (default "all")
+ *   "foodTypes": ["Mexican"],        // Optional, food type filters
+ *   "upvotes": 3,                    // Optional, upvotes per participant (default 3, max 10)
+ *   "vetoes": 1                      // Optional, vetoes per participant (default 1, max 5)
+ * }
+ *
+ * Response: { "success": true, "group": { "code", "createdAt", "expiresAt", "profile",
+ *   "service", "foodTypes", "candidates", "limits" }, "hostToken": string }
+ *
+ * The host token is only returned here. Send it in the X-Group-Token header to post the
+ * result (POST /api/groups/:code/result).
+ *
+ * Environment Variables:
+ * - GROUPS_KV: KV namespace holding group sessions; without it this endpoint answers 501
+ */
+
+import {
+  getCorsHeaders,
+  errorResponse,
+  successResponse,
+  requireBinding,
+  validateGroupData,
+  findRestaurant
+} from './_shared.js';
+import { readDocument } from './_cache.js';
+import { createGroup, publicGroup, DEFAULT_GROUP_LIMITS } from './_groups.js';
+
+/**
+ * POST Request Handler
+ * Starts a group session over the given candidates
+ * @param {Object} context - Cloudflare Pages Functions context
+ * @returns {Response} - JSON response with the session and host token
+ */
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  const unavailable = requireBinding(env, 'GROUPS_KV', 'Group voting');
+  if (unavailable) {
+    return unavailable;
+  }
+
+  let details;
+  try {
+    details = await request.json();
+  } catch {
+    return errorResponse('Request body must be JSON', 400, env);
+  }
+
+  const validation = validateGroupData(details);
+  if (!validation.valid) {
+    return errorResponse(validation.errors.join(', '), 400, env, {
+      fieldErrors: validation.fieldErrors
+    });
+  }
+
+  try {
+    const { data } = await readDocument(context);
+
+    const profile = details.profile || 'all';
+    if (!(data.profiles || []).some((p) => p.id === profile)) {
+      return errorResponse('Profile not found', 404, env);
+    }
+
+    const candidates = [];
+    for (const id of details.candidates) {
+      const restaurant = findRestaurant(data.restaurants, id);
+      if (!restaurant) {
+        return errorResponse(`Restaurant not found: ${id}`, 404, env);
+      }
+      candidates.push({ id: restaurant.id, name: restaurant.name });
+    }
+
+    const { group, hostToken } = await createGroup(env, {
+      profile: profile,
+      service: details.service || 'all',
+      foodTypes: details.foodTypes || [],
+      candidates: candidates,
+      limits: {
+        upvotes: details.upvotes ?? DEFAULT_GROUP_LIMITS.upvotes,
+        vetoes: details.vetoes ?? DEFAULT_GROUP_LIMITS.vetoes
+      }
+    });
+
+    return successResponse({ success: true, group: publicGroup(group), hostToken: hostToken }, env);
+  } catch (error) {
+    console.error('Error creating group session:', error);
+    return errorResponse('Failed to create group session', 500, env);
+  }
+}
+
+/**
+ * OPTIONS Request Handler
+ * Responds to CORS preflight requests
+ * @returns {Response} - CORS headers response
+ */
+export async function onRequestOptions(context) {
+  return new Response(null, {
+    headers: getCorsHeaders(context.env, context.request)
+  });
+}
@@ -0,0 +1,68 @@
+/**
+ * Group Session API Endpoint
+ *
+ * Shows a group session: its settings, who has joined, how everyone voted and, once the
+ * host has spun the wheel, the result. Participants poll this to follow the vote.
+ *
+ * Endpoint: GET /api/groups/:code (public)
+ *
+ * Path Parameters:
+ * - code: Session code, case-insensitive
+ *
+ * Response:
+ * {
+ *   "group": { "code", "createdAt", "expiresAt", "profile", "service", "foodTypes",
+ *              "candidates", "limits", "result"? },
+ *   "participants": [{ "id", "name", "joinedAt", "upvotes", "vetoes" }],
+ *   "candidates": [{ "id", "name", "upvotes", "vetoes", "vetoedBy", "eliminated", "weight" }]
+ * }
+ *
+ * Environment Variables:
+ * - GROUPS_KV: KV namespace holding group sessions; without it this endpoint answers 501
+ */
+
+import { getCorsHeaders, errorResponse, successResponse, requireBinding } from '../_shared.js';
+import { readGroup, describeGroup, normalizeGroupCode } from '../_groups.js';
+
+/**
+ * GET Request Handler
+ * Returns the session and its votes
+ * @param {Object} context - Cloudflare Pages Functions context
+ * @returns {Response} - JSON response with the session
+ */
+export async function onRequestGet(context) {
+  const { env, params } = context;
+
+  const unavailable = requireBinding(env, 'GROUPS_KV', 'Group voting');
+  if (unavailable) {
+    return unavailable;
+  }
+
+  const code = normalizeGroupCode(params.code);
+  if (!code) {
+    return errorResponse('Group session not found', 404, env);
+  }
+
+  try {
+    const group = await readGroup(env, code);
+    if (!group) {
+      return errorResponse('Group session not found', 404, env);
+    }
+
+    return successResponse(await describeGroup(env, group), env);
+  } catch (error) {
+    console.error('Error fetching group session:', error);
+    return errorResponse('Failed to fetch group session', 500, env);
+  }
+}
+
+/**
+ * OPTIONS Request Handler
+ * Responds to CORS preflight requests
+ * @returns {Response} - CORS headers response
+ */
+export async function onRequestOptions(context) {
+  return new Response(null, {
+    headers: getCorsHeaders(context.env, context.request)
+  });
+}
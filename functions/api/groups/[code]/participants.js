@@ -0,0 +1,107 @@
+/**
+ * Group Session Participants API Endpoint
+ *
+ * Joins a group session. Anyone with the session code can join until the host posts
+ * the result.
+ *
+ * Endpoint: POST /api/groups/:code/participants (public)
+ *
+ * Path Parameters:
+ * - code: Session code, case-insensitive
+ *
+ * Request Body:
+ * { "name": "Sam" } // Required, shown to the other participants (max 30 characters)
+ *
+ * Response: { "success": true, "participant": { "id", "name", "joinedAt", "upvotes",
+ *   "vetoes" }, "token": string }
+ *
+ * The token is only returned here. Send it in the X-Group-Token header to vote
+ * (PUT /api/groups/:code/votes).
+ *
+ * Environment Variables:
+ * - GROUPS_KV: KV namespace holding group sessions; without it this endpoint answers 501
+ */
+
+import {
+  getCorsHeaders,
+  errorResponse,
+  successResponse,
+  requireBinding,
+  validateParticipantData
+} from '../../_shared.js';
+import {
+  readGroup,
+  joinGroup,
+  listParticipants,
+  publicParticipant,
+  normalizeGroupCode,
+  MAX_PARTICIPANTS
+} from '../../_groups.js';
+
+/**
+ * POST Request Handler
+ * Adds a participant to the session
+ * @param {Object} context - Cloudflare Pages Functions context
+ * @returns {Response} - JSON response with the participant and their token
+ */
+export async function onRequestPost(context) {
+  const { request, env, params } = context;
+
+  const unavailable = requireBinding(env, 'GROUPS_KV', 'Group voting');
+  if (unavailable) {
+    return unavailable;
+  }
+
+  let participant;
+  try {
+    participant = await request.json();
+  } catch {
+    return errorResponse('Request body must be JSON', 400, env);
+  }
+
+  const validation = validateParticipantData(participant);
+  if (!validation.valid) {
+    return errorResponse(validation.errors.join(', '), 400, env, {
+      fieldErrors: validation.fieldErrors
+    });
+  }
+
+  try {
+    const code = normalizeGroupCode(params.code);
+    const group = code ? await readGroup(env, code) : null;
+    if (!group) {
+      return errorResponse('Group session not found', 404, env);
+    }
+    if (group.result) {
+      return errorResponse('This group session has already picked a restaurant', 409, env);
+    }
+    if ((await listParticipants(env, code)).length >= MAX_PARTICIPANTS) {
+      return errorResponse(
+        `Group sessions are limited to ${MAX_PARTICIPANTS} participants`,
+        409,
+        env
+      );
+    }
+
+    const joined = await joinGroup(env, group, participant.name.trim());
+
+    return successResponse(
+      { success: true, participant: publicParticipant(joined.participant), token: joined.token },
+      env
+    );
+  } catch (error) {
+    console.error('Error joining group session:', error);
+    return errorResponse('Failed to join group session', 500, env);
+  }
+}
+
+/**
+ * OPTIONS Request Handler
+ * Responds to CORS preflight requests
+ * @returns {Response} - CORS headers response
+ */
+export async function onRequestOptions(context) {
+  return new Response(null, {
+    headers: getCorsHeaders(context.env, context.request)
+  });
+}
@@ -0,0 +1,93 @@
+/**
+ * Group Session Result API Endpoint
+ *
+ * Records the restaurant the host's wheel picked and closes the session: participants
+ * see the result and can no longer join or vote.
+ *
+ * Endpoint: POST /api/groups/:code/result (host)
+ *
+ * Path Parameters:
+ * - code: Session code, case-insensitive
+ *
+ * Headers:
+ * - X-Group-Token: Host token returned when the session was created
+ *
+ * Request Body:
+ * { "restaurantId": "uuid" } // Required, a candidate nobody vetoed
+ *
+ * Response: { "success": true, "group" } where group.result is { id, name, at }
+ *
+ * Environment Variables:
+ * - GROUPS_KV: KV namespace holding group sessions; without it this endpoint answers 501
+ */
+
+import { getCorsHeaders, errorResponse, successResponse, requireBinding } from '../../_shared.js';
+import {
+  readGroup,
+  isGroupHost,
+  describeGroup,
+  closeGroup,
+  publicGroup,
+  normalizeGroupCode
+} from '../../_groups.js';
+
+/**
+ * POST Request Handler
+ * Records the winner and closes the session
+ * @param {Object} context - Cloudflare Pages Functions context
+ * @returns {Response} - JSON response with the closed session
+ */
+export async function onRequestPost(context) {
+  const { request, env, params } = context;
+
+  const unavailable = requireBinding(env, 'GROUPS_KV', 'Group voting');
+  if (unavailable) {
+    return unavailable;
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return errorResponse('Request body must be JSON', 400, env);
+  }
+  const restaurantId = body && typeof body === 'object' ? body.restaurantId : undefined;
+
+  try {
+    const code = normalizeGroupCode(params.code);
+    const group = code ? await readGroup(env, code) : null;
+    if (!group) {
+      return errorResponse('Group session not found', 404, env);
+    }
+    if (!(await isGroupHost(group, request.headers.get('X-Group-Token')))) {
+      return errorResponse('Only the host can record the result', 403, env);
+    }
+    if (group.result) {
+      return errorResponse('This group session has already picked a restaurant', 409, env);
+    }
+
+    const { candidates } = await describeGroup(env, group);
+    const winner = candidates.find((candidate) => String(candidate.id) === String(restaurantId));
+    if (!winner || winner.eliminated) {
+      return errorResponse('The result must be a candidate nobody vetoed', 400, env);
+    }
+
+    const closed = await closeGroup(env, group, winner);
+
+    return successResponse({ success: true, group: publicGroup(closed) }, env);
+  } catch (error) {
+    console.error('Error recording group result:', error);
+    return errorResponse('Failed to record result', 500, env);
+  }
+}
+
+/**
+ * OPTIONS Request Handler
+ * Responds to CORS preflight requests
+ * @returns {Response} - CORS headers response
+ */
+export async function onRequestOptions(context) {
+  return new Response(null, {
+    headers: getCorsHeaders(context.env, context.request)
+  });
+}
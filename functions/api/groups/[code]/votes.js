@@ -0,0 +1,120 @@
+/**
+ * Group Session Votes API Endpoint
+ *
+ * Sets a participant's votes. Each request replaces all of the participant's votes, so
+ * sending the same votes again has no further effect. A restaurant vetoed by anyone is
+ * left off the wheel; every upvote adds one to a restaurant's weight on it.
+ *
+ * Endpoint: PUT /api/groups/:code/votes (participants)
+ *
+ * Path Parameters:
+ * - code: Session code, case-insensitive
+ *
+ * Headers:
+ * - X-Group-Token: Token returned when joining the session
+ *
+ * Request Body:
+ * {
+ *   "upvotes": ["uuid"], // Candidates to upvote, up to the session's upvote limit
+ *   "vetoes": ["uuid"]   // Candidates to veto, up to the session's veto limit
+ * }
+ *
+ * Response: { "success": true, "participant", "candidates" } where candidates is the
+ *   updated vote count (see GET /api/groups/:code)
+ *
+ * Environment Variables:
+ * - GROUPS_KV: KV namespace holding group sessions; without it this endpoint answers 501
+ */
+
+import {
+  getCorsHeaders,
+  errorResponse,
+  successResponse,
+  requireBinding,
+  validateVoteData
+} from '../../_shared.js';
+import {
+  readGroup,
+  authenticateParticipant,
+  checkVotes,
+  saveVotes,
+  describeGroup,
+  publicParticipant,
+  normalizeGroupCode
+} from '../../_groups.js';
+
+/**
+ * PUT Request Handler
+ * Replaces the participant's votes
+ * @param {Object} context - Cloudflare Pages Functions context
+ * @returns {Response} - JSON response with the participant and vote count
+ */
+export async function onRequestPut(context) {
+  const { request, env, params } = context;
+
+  const unavailable = requireBinding(env, 'GROUPS_KV', 'Group voting');
+  if (unavailable) {
+    return unavailable;
+  }
+
+  let votes;
+  try {
+    votes = await request.json();
+  } catch {
+    return errorResponse('Request body must be JSON', 400, env);
+  }
+
+  const validation = validateVoteData(votes);
+  if (!validation.valid) {
+    return errorResponse(validation.errors.join(', '), 400, env, {
+      fieldErrors: validation.fieldErrors
+    });
+  }
+
+  try {
+    const code = normalizeGroupCode(params.code);
+    const group = code ? await readGroup(env, code) : null;
+    if (!group) {
+      return errorResponse('Group session not found', 404, env);
+    }
+
+    const participant = await authenticateParticipant(
+      env,
+      group,
+      request.headers.get('X-Group-Token')
+    );
+    if (!participant) {
+      return errorResponse('Join the group session before voting', 401, env);
+    }
+    if (group.result) {
+      return errorResponse('This group session has already picked a restaurant', 409, env);
+    }
+
+    const voteError = checkVotes(group, votes);
+    if (voteError) {
+      return errorResponse(voteError, 400, env);
+    }
+
+    const updated = await saveVotes(env, group, participant, votes);
+    const { candidates } = await describeGroup(env, group);
+
+    return successResponse(
+      { success: true, participant: publicParticipant(updated), candidates: candidates },
+      env
+    );
+  } catch (error) {
+    console.error('Error saving group votes:', error);
+    return errorResponse('Failed to save votes', 500, env);
+  }
+}
+
+/**
+ * OPTIONS Request Handler
+ * Responds to CORS preflight requests
+ * @returns {Response} - CORS headers response
+ */
+export async function onRequestOptions(context) {
+  return new Response(null, {
+    headers: getCorsHeaders(context.env, context.request)
+  });
+}
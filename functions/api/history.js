@@ -0,0 +1,79 @@
+/**
+ * Change History API Endpoint
+ *
+ * Lists the changes made to the restaurant data, newest first. With the GitHub
+ * backend every change is a commit touching restaurants.json.
+ *
+ * Endpoint: GET /api/history
+ *
+ * Query Parameters:
+ * - limit: Maximum number of entries to return (default 30, max 100)
+ *
+ * Response:
+ * {
+ *   "history": [{ "version", "message", "author", "date", "parent" }]
+ * }
+ *
+ * Authentication: Required (Bearer token, viewer role or higher)
+ *
+ * Environment Variables:
+ * - STORAGE_BACKEND: github (default) or local; kv and d1 keep no history
+ * - GITHUB_TOKEN: Personal access token with repo scope
+ * - GITHUB_REPO: Target repository in "owner/repository" format
+ * - GITHUB_BRANCH: Branch whose history is listed
+ */
+
+import { requireRole, getCorsHeaders, errorResponse, successResponse } from './_shared.js';
+import { getStorage, supportsHistory } from './_storage.js';
+
+const DEFAULT_HISTORY_LIMIT = 30;
+const MAX_HISTORY_LIMIT = 100;
+
+/**
+ * GET Request Handler
+ * Lists recent versions of the restaurant data
+ * @param {Object} context - Cloudflare Pages Functions context
+ * @returns {Response} - JSON response with history entries
+ */
+export async function onRequestGet(context) {
+  const { request, env } = context;
+
+  // Verify authentication and role
+  const auth = await requireRole(request, env, 'viewer');
+  if (auth.error) {
+    return auth.error;
+  }
+
+  const limitParam = new URL(request.url).searchParams.get('limit');
+  const limit = limitParam === null ? DEFAULT_HISTORY_LIMIT : Number(limitParam);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_HISTORY_LIMIT) {
+    return errorResponse(`limit must be an integer between 1 and ${MAX_HISTORY_LIMIT}`, 400, env);
+  }
+
+  try {
+    const storage = getStorage(env);
+
+    if (!supportsHistory(storage)) {
+      return errorResponse('Change history is not available for this storage backend', 501, env);
+    }
+
+    const history = await storage.listVersions(limit);
+
+    return successResponse({ history: history }, env);
+  } catch (error) {
+    console.error('Error fetching history:', error);
+    return errorResponse('Failed to fetch history', 500, env);
+  }
+}
+
+/**
+ * OPTIONS Request Handler
+ * Responds to CORS preflight requests
+ * @returns {Response} - CORS headers response
+ */
+export async function onRequestOptions(context) {
+  return new Response(null, {
+    headers: getCorsHeaders(context.env, context.request)
+  });
+}
@@ -0,0 +1,94 @@
+/**
+ * Change Details API Endpoint
+ *
+ * Returns a structured diff of restaurants and profiles between a version of the
+ * restaurant data and the version before it.
+ *
+ * Endpoint: GET /api/history/:sha
+ *
+ * Path Parameters:
+ * - sha: Version identifier from GET /api/history (a commit SHA on GitHub)
+ *
+ * Response:
+ * {
+ *   "entry": { "version", "message", "author", "date", "parent" },
+ *   "diff": {
+ *     "restaurants": { "added": [...], "removed": [...], "changed": [{ "id", "name", "fields" }] },
+ *     "profiles": { "added": [...], "removed": [...], "changed": [...] }
+ *   }
+ * }
+ *
+ * Authentication: Required (Bearer token, viewer role or higher)
+ *
+ * Environment Variables:
+ * - STORAGE_BACKEND: github (default) or local; kv and d1 keep no history
+ * - GITHUB_TOKEN: Personal access token with repo scope
+ * - GITHUB_REPO: Target repository in "owner/repository" format
+ */
+
+import {
+  requireRole,
+  getCorsHeaders,
+  errorResponse,
+  successResponse,
+  validateVersionId,
+  diffDocuments
+} from '../_shared.js';
+import { getStorage, supportsHistory } from '../_storage.js';
+
+/**
+ * GET Request Handler
+ * Diffs one version of the data against its parent
+ * @param {Object} context - Cloudflare Pages Functions context
+ * @returns {Response} - JSON response with the history entry and diff
+ */
+export async function onRequestGet(context) {
+  const { request, env, params } = context;
+
+  // Verify authentication and role
+  const auth = await requireRole(request, env, 'viewer');
+  if (auth.error) {
+    return auth.error;
+  }
+
+  if (!validateVersionId(params.sha)) {
+    return errorResponse('Invalid version identifier', 400, env);
+  }
+
+  try {
+    const storage = getStorage(env);
+
+    if (!supportsHistory(storage)) {
+      return errorResponse('Change history is not available for this storage backend', 501, env);
+    }
+
+    const target = await storage.readVersion(params.sha);
+    if (!target) {
+      return errorResponse('Version not found', 404, env);
+    }
+
+    const parent = target.entry.parent ? await storage.readVersion(target.entry.parent) : null;
+
+    return successResponse(
+      {
+        entry: target.entry,
+        diff: diffDocuments(parent && parent.data, target.data)
+      },
+      env
+    );
+  } catch (error) {
+    console.error('Error fetching version:', error);
+    return errorResponse('Failed to fetch version', 500, env);
+  }
+}
+
+/**
+ * OPTIONS Request Handler
+ * Responds to CORS preflight requests
+ * @returns {Response} - CORS headers response
+ */
+export async function onRequestOptions(context) {
+  return new Response(null, {
+    headers: getCorsHeaders(context.env, context.request)
+  });
+}
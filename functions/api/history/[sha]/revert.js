@@ -0,0 +1,110 @@
+/**
+ * Revert API Endpoint
+ *
+ * Restores the restaurant data exactly as it was at a previous version. The restore
+ * is saved as a new change, so it shows up in the history and can itself be reverted.
+ *
+ * Endpoint: POST /api/history/:sha/revert
+ *
+ * Path Parameters:
+ * - sha: Version identifier from GET /api/history (a commit SHA on GitHub)
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "revertedTo": "<sha>",
+ *   "version": "<new version>"
+ * }
+ *
+ * Authentication: Required (Bearer token, admin role)
+ *
+ * Environment Variables:
+ * - STORAGE_BACKEND: github (default) or local; kv and d1 keep no history
+ * - GITHUB_TOKEN: Personal access token with repo scope
+ * - GITHUB_REPO: Target repository in "owner/repository" format
+ * - GITHUB_BRANCH: Target branch for commits
+ */
+
+import {
+  requireRole,
+  getCorsHeaders,
+  errorResponse,
+  successResponse,
+  validateVersionId
+} from '../../_shared.js';
+import { getStorage, supportsHistory, isConflictError, withActor } from '../../_storage.js';
+import { invalidateDocumentCache } from '../../_cache.js';
+import { recordAudit } from '../../_audit.js';
+
+/**
+ * POST Request Handler
+ * Writes a past version of the data back as the current version
+ * @param {Object} context - Cloudflare Pages Functions context
+ * @returns {Response} - JSON response with the new version
+ */
+export async function onRequestPost(context) {
+  const { request, env, params } = context;
+
+  // Verify authentication and role
+  const auth = await requireRole(request, env, 'admin');
+  if (auth.error) {
+    return auth.error;
+  }
+
+  if (!validateVersionId(params.sha)) {
+    return errorResponse('Invalid version identifier', 400, env);
+  }
+
+  try {
+    const storage = getStorage(env);
+
+    if (!supportsHistory(storage)) {
+      return errorResponse('Change history is not available for this storage backend', 501, env);
+    }
+
+    const target = await storage.readVersion(params.sha);
+    if (!target || !target.data) {
+      return errorResponse('Version not found', 404, env);
+    }
+
+    const { data: currentData, version: currentVersion } = await storage.read();
+    const summary = target.entry.message.split('\n')[0];
+    const shortVersion = target.entry.version.slice(0, 7);
+    const message = `Revert to ${shortVersion}\n\nRestores the data as of: ${summary}`;
+
+    const result = await storage.write(target.data, currentVersion, withActor(message, auth.user));
+    await invalidateDocumentCache(env);
+    await recordAudit(context, auth.user, {
+      action: message,
+      document: 'restaurants',
+      before: currentData,
+      after: target.data
+    });
+
+    return successResponse(
+      {
+        success: true,
+        revertedTo: target.entry.version,
+        version: result.version
+      },
+      env
+    );
+  } catch (error) {
+    if (isConflictError(error)) {
+      return errorResponse('Data changed while reverting; please try again', 409, env);
+    }
+    console.error('Error reverting data:', error);
+    return errorResponse(`Failed to revert: ${error.message}`, 500, env);
+  }
+}
+
+/**
+ * OPTIONS Request Handler
+ * Responds to CORS preflight requests
+ * @returns {Response} - CORS headers response
+ */
+export async function onRequestOptions(context) {
+  return new Response(null, {
+    headers: getCorsHeaders(context.env, context.request)
+  });
+}
@@ -1,8 +1,15 @@
 /**
  * Simple JWT implementation for Cloudflare Workers
  * No external dependencies required
+ *
+ * Tokens are signed with HMAC-SHA256 only. Verification accepts several keys so secrets
+ * can be rotated: each key has an ID (`kid`) that is written to the token header, and a
+ * token is checked against the key its header names.
  */
 
+const ALGORITHM = 'HS256';
+const DEFAULT_CLOCK_TOLERANCE = 30; // Seconds of clock skew allowed for exp and nbf
+
 /**
  * Base64 URL encode
  */
@@ -24,29 +31,47 @@ function base64UrlDecode(str) {
   return atob(str);
 }
 
+/**
+ * Import an HMAC-SHA256 key
+ */
+function importKey(secret, usage) {
+  return crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    [usage]
+  );
+}
+
+/**
+ * Normalize the keys accepted by verify and decode
+ * A single secret string is a key without an ID.
+ */
+function toKeyList(keys) {
+  return typeof keys === 'string' ? [{ kid: null, secret: keys }] : keys || [];
+}
+
 /**
  * Sign JWT token using HMAC-SHA256
+ *
+ * @param {Object} payload - Claims to sign
+ * @param {string} secret - Signing secret
+ * @param {Object} options - { kid } key ID to put in the header (optional)
  */
-export async function sign(payload, secret) {
+export async function sign(payload, secret, options = {}) {
   const header = {
-    alg: 'HS256',
-    typ: 'JWT'
+    alg: ALGORITHM,
+    typ: 'JWT',
+    ...(options.kid ? { kid: options.kid } : {})
   };
 
   const encodedHeader = base64UrlEncode(JSON.stringify(header));
   const encodedPayload = base64UrlEncode(JSON.stringify(payload));
   const message = `${encodedHeader}.${encodedPayload}`;
 
-  const encoder = new TextEncoder();
-  const key = await crypto.subtle.importKey(
-    'raw',
-    encoder.encode(secret),
-    { name: 'HMAC', hash: 'SHA-256' },
-    false,
-    ['sign']
-  );
-
-  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(message));
+  const key = await importKey(secret, 'sign');
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(message));
   const encodedSignature = base64UrlEncode(
     String.fromCharCode(...new Uint8Array(signature))
   );
@@ -55,61 +80,104 @@ export async function sign(payload, secret) {
 }
 
 /**
- * Verify JWT token
+ * Verify a JWT token and return its claims
+ *
+ * Checks that:
+ * - the header names the HS256 algorithm (tokens claiming any other `alg`, including
+ *   "none", are rejected)
+ * - the signature matches the key named by the header's `kid`; tokens without a `kid`
+ *   are checked against each key
+ * - `exp` has not passed and `nbf` has been reached, allowing for clock skew
+ * - `iss` and `aud` match, when options.issuer and options.audience are given
+ *
+ * @param {string} token - Encoded JWT
+ * @param {string|Array<Object>} keys - Secret, or list of { kid, secret } keys
+ * @param {Object} options - { issuer, audience, clockTolerance (seconds, default 30) }
+ * @returns {Promise<Object|null>} - { header, payload } if valid, null otherwise
  */
-export async function verify(token, secret) {
+export async function decode(token, keys, options = {}) {
   try {
     const parts = token.split('.');
     if (parts.length !== 3) {
-      return false;
+      return null;
     }
 
     const [encodedHeader, encodedPayload, encodedSignature] = parts;
-    const message = `${encodedHeader}.${encodedPayload}`;
-
-    // Verify signature
-    const encoder = new TextEncoder();
-    const key = await crypto.subtle.importKey(
-      'raw',
-      encoder.encode(secret),
-      { name: 'HMAC', hash: 'SHA-256' },
-      false,
-      ['verify']
-    );
+    const header = JSON.parse(base64UrlDecode(encodedHeader));
+    const payload = JSON.parse(base64UrlDecode(encodedPayload));
 
+    if (header.alg !== ALGORITHM) {
+      return null;
+    }
+
+    // Verify signature with the named key, or any key for tokens without a key ID
+    const candidates = toKeyList(keys).filter((key) => !header.kid || key.kid === header.kid);
+    const message = new TextEncoder().encode(`${encodedHeader}.${encodedPayload}`);
     const signatureBytes = new Uint8Array(
       base64UrlDecode(encodedSignature)
         .split('')
         .map((c) => c.charCodeAt(0))
     );
 
-    const isValid = await crypto.subtle.verify(
-      'HMAC',
-      key,
-      signatureBytes,
-      encoder.encode(message)
-    );
+    let signatureValid = false;
+    for (const candidate of candidates) {
+      const key = await importKey(candidate.secret, 'verify');
+      if (await crypto.subtle.verify('HMAC', key, signatureBytes, message)) {
+        signatureValid = true;
+        break;
+      }
+    }
+    if (!signatureValid) {
+      return null;
+    }
 
-    if (!isValid) {
-      return false;
+    // Check time claims with some tolerance for clock differences
+    const now = Math.floor(Date.now() / 1000);
+    const tolerance = options.clockTolerance ?? DEFAULT_CLOCK_TOLERANCE;
+    const expired =
+      payload.exp !== undefined &&
+      (typeof payload.exp !== 'number' || now >= payload.exp + tolerance);
+    const notYetValid =
+      payload.nbf !== undefined &&
+      (typeof payload.nbf !== 'number' || now < payload.nbf - tolerance);
+    if (expired || notYetValid) {
+      return null;
     }
 
-    // Check expiration
-    const payload = JSON.parse(base64UrlDecode(encodedPayload));
-    if (payload.exp && payload.exp < Math.floor(Date.now() / 1000)) {
-      return false;
+    // Check issuer and audience
+    if (options.issuer !== undefined && payload.iss !== options.issuer) {
+      return null;
+    }
+    if (options.audience !== undefined) {
+      const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+      if (!audiences.includes(options.audience)) {
+        return null;
+      }
     }
 
-    return true;
+    return {
+      header,
+      payload
+    };
   } catch (error) {
-    return false;
+    return null;
   }
 }
 
+/**
+ * Verify JWT token
+ * Same checks as decode, for callers that only need a yes or no.
+ */
+export async function verify(token, keys, options = {}) {
+  return (await decode(token, keys, options)) !== null;
+}
+
 /**
  * Decode JWT token without verification
+ * Only for inspecting tokens that were already verified or that the caller issued;
+ * never trust the claims of an unverified token.
  */
-export async function decode(token) {
+export async function decodeUnverified(token) {
   try {
     const parts = token.split('.');
     if (parts.length !== 3) {
@@ -0,0 +1,141 @@
+/**
+ * API Key Management API
+ *
+ * Lists and creates API keys for bots and scripts. Each key has a scope:
+ * - read: acts as a viewer
+ * - write: acts as an editor
+ * Requests send the key in an X-API-Key header or as the Bearer token.
+ *
+ * Endpoints:
+ * - GET  /api/keys - List keys (without key hashes), including revoked ones
+ * - POST /api/keys - Create a key
+ *
+ * POST Request Body:
+ * { "label": "Lunch bot", "scope": "read" | "write", "profiles": ["quick-lunch"] }
+ * profiles is optional and limits the key to those profiles and their restaurants.
+ *
+ * POST Response:
+ * { "success": true, "key": "rpk_...", "apiKey": { id, label, scope, ... } }
+ * The key is only returned here; store it somewhere safe.
+ *
+ * Authentication: Required (Bearer token, admin role)
+ *
+ * Environment Variables:
+ * - STORAGE_BACKEND: github (default), kv, d1 or local; keys are kept in the
+ *   backend's "apiKeys" document (api-keys.json on GitHub)
+ * - AUTH_KV: Optional KV namespace for last-used times (see _apikeys.js)
+ */
+
+import {
+  requireRole,
+  getCorsHeaders,
+  errorResponse,
+  successResponse,
+  validateApiKeyData
+} from './_shared.js';
+import { isConflictError } from './_storage.js';
+import {
+  generateApiKey,
+  getApiKeyLastUsed,
+  publicApiKey,
+  readApiKeys,
+  updateApiKeys
+} from './_apikeys.js';
+import { recordAudit } from './_audit.js';
+
+/**
+ * GET Request Handler
+ * Lists all API keys with when they were last used
+ * @param {Object} context - Cloudflare Pages Functions context
+ * @returns {Response} - JSON response with the keys
+ */
+export async function onRequestGet(context) {
+  const { request, env } = context;
+
+  // Verify authentication and role
+  const auth = await requireRole(request, env, 'admin');
+  if (auth.error) {
+    return auth.error;
+  }
+
+  try {
+    const { apiKeys } = await readApiKeys(env);
+    const listed = await Promise.all(
+      apiKeys.map(async (apiKey) => publicApiKey(apiKey, await getApiKeyLastUsed(env, apiKey.id)))
+    );
+
+    return successResponse({ apiKeys: listed }, env);
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    return errorResponse('Failed to fetch API keys', 500, env);
+  }
+}
+
+/**
+ * POST Request Handler
+ * Creates an API key and returns it once
+ * @param {Object} context - Cloudflare Pages Functions context
+ * @returns {Response} - JSON response with the new key
+ */
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  // Verify authentication and role
+  const auth = await requireRole(request, env, 'admin');
+  if (auth.error) {
+    return auth.error;
+  }
+
+  try {
+    const details = await request.json();
+
+    const validation = validateApiKeyData(details);
+    if (!validation.valid) {
+      return errorResponse(validation.errors.join(', '), 400, env, {
+        fieldErrors: validation.fieldErrors
+      });
+    }
+
+    const { key, apiKey } = await generateApiKey(details, auth.user.sub);
+
+    const message = `Add API key: ${apiKey.label} (${apiKey.scope})`;
+    const outcome = await updateApiKeys(
+      env,
+      (apiKeys) => {
+        apiKeys.push(apiKey);
+      },
+      message,
+      auth.user
+    );
+
+    if (!outcome.success) {
+      return errorResponse(outcome.error, outcome.status, env);
+    }
+
+    await recordAudit(context, auth.user, {
+      action: message,
+      document: 'apiKeys',
+      before: outcome.previous,
+      after: outcome.apiKeys
+    });
+
+    return successResponse({ success: true, key: key, apiKey: publicApiKey(apiKey) }, env);
+  } catch (error) {
+    if (isConflictError(error)) {
+      return errorResponse('API keys changed while saving; please try again', 409, env);
+    }
+    console.error('Error adding API key:', error);
+    return errorResponse(`Failed to add API key: ${error.message}`, 500, env);
+  }
+}
+
+/**
+ * OPTIONS Request Handler
+ * Responds to CORS preflight requests
+ * @returns {Response} - CORS headers response
+ */
+export async function onRequestOptions(context) {
+  return new Response(null, {
+    headers: getCorsHeaders(context.env, context.request)
+  });
+}
@@ -0,0 +1,87 @@
+/**
+ * Individual API Key Endpoint
+ *
+ * Revokes one API key. Requests made with it are rejected from then on. The key stays
+ * in the list with the time it was revoked.
+ *
+ * Endpoint: DELETE /api/keys/:id
+ *
+ * Authentication: Required (Bearer token, admin role)
+ *
+ * Environment Variables:
+ * - STORAGE_BACKEND: github (default), kv, d1 or local
+ */
+
+import { requireRole, getCorsHeaders, errorResponse, successResponse } from '../_shared.js';
+import { isConflictError } from '../_storage.js';
+import { publicApiKey, updateApiKeys } from '../_apikeys.js';
+import { recordAudit } from '../_audit.js';
+
+/**
+ * DELETE Request Handler
+ * Revokes an API key
+ * @param {Object} context - Cloudflare Pages Functions context
+ * @returns {Response} - JSON response with the revoked key
+ */
+export async function onRequestDelete(context) {
+  const { request, env, params } = context;
+
+  // Verify authentication and role
+  const auth = await requireRole(request, env, 'admin');
+  if (auth.error) {
+    return auth.error;
+  }
+
+  try {
+    let revoked = null;
+
+    const message = `Revoke API key: ${params.id}`;
+    const outcome = await updateApiKeys(
+      env,
+      (apiKeys) => {
+        const apiKey = apiKeys.find((k) => k.id === params.id);
+        if (!apiKey) {
+          return { status: 404, error: 'API key not found' };
+        }
+        if (apiKey.revokedAt) {
+          return { status: 409, error: 'API key is already revoked' };
+        }
+        apiKey.revokedAt = new Date().toISOString();
+        apiKey.revokedBy = auth.user.sub;
+        revoked = apiKey;
+      },
+      message,
+      auth.user
+    );
+
+    if (!outcome.success) {
+      return errorResponse(outcome.error, outcome.status, env);
+    }
+
+    await recordAudit(context, auth.user, {
+      action: message,
+      document: 'apiKeys',
+      before: outcome.previous,
+      after: outcome.apiKeys
+    });
+
+    return successResponse({ success: true, apiKey: publicApiKey(revoked) }, env);
+  } catch (error) {
+    if (isConflictError(error)) {
+      return errorResponse('API keys changed while saving; please try again', 409, env);
+    }
+    console.error('Error revoking API key:', error);
+    return errorResponse(`Failed to revoke API key: ${error.message}`, 500, env);
+  }
+}
+
+/**
+ * OPTIONS Request Handler
+ * Responds to CORS preflight requests
+ * @returns {Response} - CORS headers response
+ */
+export async function onRequestOptions(context) {
+  return new Response(null, {
+    headers: getCorsHeaders(context.env, context.request)
+  });
+}
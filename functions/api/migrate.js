@@ -0,0 +1,100 @@
+/**
+ * Schema Migration API Endpoint
+ *
+ * Upgrades the stored restaurant data to the current schema version. Migrating from
+ * version 1 replaces legacy integer restaurant IDs with UUIDs; each restaurant keeps
+ * its old ID in `legacyId`, so existing links to /api/restaurants/:id still resolve.
+ * Running the migration on data that is already current changes nothing.
+ *
+ * Endpoint: POST /api/migrate
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "migrated": boolean,
+ *   "fromVersion": 1,
+ *   "schemaVersion": 2,
+ *   "idMap": { "1": "<uuid>", ... }
+ * }
+ *
+ * Authentication: Required (Bearer token, admin role)
+ *
+ * Environment Variables:
+ * - STORAGE_BACKEND: github (default), kv, d1 or local
+ * - GITHUB_TOKEN: Personal access token with repo scope
+ * - GITHUB_REPO: Target repository in "owner/repository" format
+ * - GITHUB_BRANCH: Target branch for commits
+ */
+
+import {
+  requireRole,
+  getCorsHeaders,
+  errorResponse,
+  successResponse,
+  migrateDocument
+} from './_shared.js';
+import { getStorage, isConflictError, withActor } from './_storage.js';
+import { invalidateDocumentCache } from './_cache.js';
+import { recordAudit } from './_audit.js';
+
+/**
+ * POST Request Handler
+ * Migrates the stored data and saves it as a single change
+ * @param {Object} context - Cloudflare Pages Functions context
+ * @returns {Response} - JSON response with the migration result
+ */
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  // Verify authentication and role
+  const auth = await requireRole(request, env, 'admin');
+  if (auth.error) {
+    return auth.error;
+  }
+
+  try {
+    const storage = getStorage(env);
+    const { data, version } = await storage.read();
+    const migration = migrateDocument(data);
+
+    if (migration.migrated) {
+      const message = `Migrate data to schema version ${migration.toVersion}`;
+      await storage.write(migration.data, version, withActor(message, auth.user));
+      await invalidateDocumentCache(env);
+      await recordAudit(context, auth.user, {
+        action: message,
+        document: 'restaurants',
+        before: data,
+        after: migration.data
+      });
+    }
+
+    return successResponse(
+      {
+        success: true,
+        migrated: migration.migrated,
+        fromVersion: migration.fromVersion,
+        schemaVersion: migration.toVersion,
+        idMap: migration.idMap
+      },
+      env
+    );
+  } catch (error) {
+    if (isConflictError(error)) {
+      return errorResponse('Data changed while migrating; please try again', 409, env);
+    }
+    console.error('Error migrating data:', error);
+    return errorResponse(`Failed to migrate data: ${error.message}`, 500, env);
+  }
+}
+
+/**
+ * OPTIONS Request Handler
+ * Responds to CORS preflight requests
+ * @returns {Response} - CORS headers response
+ */
+export async function onRequestOptions(context) {
+  return new Response(null, {
+    headers: getCorsHeaders(context.env, context.request)
+  });
+}
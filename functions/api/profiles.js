@@ -1,7 +1,7 @@
 /**
  * Profile Management API
  *
- * Provides CRUD operations for dining profile data with GitHub-based persistence.
+ * Provides CRUD operations for dining profile data with pluggable persistence.
  *
  * Endpoints:
  * - GET  /api/profiles     - Retrieve all profile records (public)
@@ -9,53 +9,47 @@
  * - PUT  /api/profiles     - Update existing profile record (authenticated)
  *
  * Data Storage:
- * Utilizes GitHub Contents API for persistent storage in repository JSON file.
- * All modifications are committed directly to the configured branch.
+ * Uses the backend selected by STORAGE_BACKEND (see _storage.js). With the default
+ * GitHub backend, all modifications are committed directly to the configured branch.
  *
  * Environment Variables:
+ * - STORAGE_BACKEND: github (default), kv, d1 or local
  * - GITHUB_TOKEN: Personal access token with repo scope
  * - GITHUB_REPO: Target repository in "owner/repository" format
  * - GITHUB_BRANCH: Target branch for commits
  * - ADMIN_PASSWORD: Administrative credential for write operations
  *
  * Authentication:
- * Write operations require Bearer token obtained from /api/auth endpoint.
+ * Write operations require Bearer token obtained from /api/auth endpoint, issued to
+ * an account with the admin role, or an editor whose token is scoped to the profile
+ * (see authorizeOperation in _shared.js).
  */
 
 import {
-  verifyAuth,
-  fetchFromGitHub,
-  updateGitHub,
+  requireRole,
+  commitOperations,
   getCorsHeaders,
+  documentResponse,
   errorResponse,
   successResponse,
-  validateProfileId
+  validateOperation
 } from './_shared.js';
+import { readDocument } from './_cache.js';
+import { recordOperationsAudit } from './_audit.js';
 
 /**
  * GET Request Handler
- * Retrieves all profile records from GitHub storage
+ * Retrieves all profile records from the configured storage backend
  * @param {Object} context - Cloudflare Pages Functions context
  * @returns {Response} - JSON response with profile data
  */
 export async function onRequestGet(context) {
-  const { env } = context;
+  const { request, env } = context;
 
   try {
-    const { data } = await fetchFromGitHub(env);
+    const { data, version } = await readDocument(context);
 
-    return new Response(
-      JSON.stringify({
-        profiles: data.profiles || []
-      }),
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          ...getCorsHeaders(env),
-          'Cache-Control': 'public, max-age=60'
-        }
-      }
-    );
+    return documentResponse(request, env, { profiles: data.profiles || [] }, version);
   } catch (error) {
     console.error('Error fetching profiles:', error);
     return errorResponse('Failed to fetch profiles', 500, env);
@@ -71,52 +65,37 @@ export async function onRequestGet(context) {
 export async function onRequestPost(context) {
   const { request, env } = context;
 
-  // Verify authentication
-  if (!(await verifyAuth(request, env))) {
-    return errorResponse('Unauthorized', 401, env);
+  // Verify authentication and role
+  const auth = await requireRole(request, env, 'editor');
+  if (auth.error) {
+    return auth.error;
   }
 
   try {
     const newProfile = await request.json();
-
-    // Validate required fields per data schema
-    if (!newProfile.id || !newProfile.name) {
-      return errorResponse('Missing required fields: id and name', 400, env);
+    const operation = { type: 'profile', action: 'create', data: newProfile };
+
+    // Validate against the profile schema (ID format, name, reserved IDs)
+    const validation = validateOperation(operation);
+    if (!validation.valid) {
+      return errorResponse(validation.errors.join(', '), 400, env, {
+        fieldErrors: validation.fieldErrors
+      });
     }
 
-    // Validate profile ID format (lowercase, hyphenated)
-    if (!validateProfileId(newProfile.id)) {
-      return errorResponse(
-        'Profile ID must contain only lowercase letters, numbers, and hyphens',
-        400,
-        env
-      );
-    }
-
-    // Check for reserved profile IDs
-    const reservedIds = ['all'];
-    if (reservedIds.includes(newProfile.id)) {
-      return errorResponse('Profile ID is reserved and cannot be used', 400, env);
-    }
-
-    // Retrieve current data and file SHA
-    const { data, sha } = await fetchFromGitHub(env);
-
-    // Ensure profiles array exists
-    if (!data.profiles) {
-      data.profiles = [{ id: 'all', name: 'All Restaurants' }];
-    }
+    // Append new profile and commit, re-applying on top of concurrent edits if needed
+    const outcome = await commitOperations(
+      env,
+      [operation],
+      `Add profile: ${newProfile.name}`,
+      auth.user
+    );
 
-    // Check if profile with this ID already exists
-    if (data.profiles.find((p) => p.id === newProfile.id)) {
-      return errorResponse('Profile with this ID already exists', 400, env);
+    if (!outcome.success) {
+      return errorResponse(outcome.error, outcome.status, env, outcome.details);
     }
 
-    // Append new profile to existing data
-    data.profiles.push(newProfile);
-
-    // Commit changes to repository
-    await updateGitHub(env, data, sha, `Add profile: ${newProfile.name}`);
+    await recordOperationsAudit(context, auth.user, outcome);
 
     return successResponse(
       {
@@ -140,44 +119,42 @@ export async function onRequestPost(context) {
 export async function onRequestPut(context) {
   const { request, env } = context;
 
-  // Verify authentication
-  if (!(await verifyAuth(request, env))) {
-    return errorResponse('Unauthorized', 401, env);
+  // Verify authentication and role
+  const auth = await requireRole(request, env, 'editor');
+  if (auth.error) {
+    return auth.error;
   }
 
   try {
     const updatedProfile = await request.json();
-
-    // Validate required fields
-    if (!updatedProfile.id || !updatedProfile.name) {
-      return errorResponse('Missing required fields: id and name', 400, env);
+    const operation = { type: 'profile', action: 'update', data: updatedProfile };
+
+    // Validate against the profile schema; the "all" profile cannot be edited
+    const validation = validateOperation(operation);
+    if (!validation.valid) {
+      return errorResponse(validation.errors.join(', '), 400, env, {
+        fieldErrors: validation.fieldErrors
+      });
     }
 
-    // Prevent editing "all" profile
-    if (updatedProfile.id === 'all') {
-      return errorResponse('Cannot edit the default "All Restaurants" profile', 400, env);
-    }
-
-    // Retrieve current data and file SHA
-    const { data, sha } = await fetchFromGitHub(env);
-
-    // Find profile by ID
-    const index = data.profiles.findIndex((p) => p.id === updatedProfile.id);
+    // Rename profile (ID stays the same) and commit, re-applying on top of concurrent edits
+    const outcome = await commitOperations(
+      env,
+      [operation],
+      `Update profile: ${updatedProfile.name}`,
+      auth.user
+    );
 
-    if (index === -1) {
-      return errorResponse('Profile not found', 404, env);
+    if (!outcome.success) {
+      return errorResponse(outcome.error, outcome.status, env, outcome.details);
     }
 
-    // Update profile (only name can change, ID stays the same)
-    data.profiles[index].name = updatedProfile.name;
-
-    // Commit changes to repository
-    await updateGitHub(env, data, sha, `Update profile: ${updatedProfile.name}`);
+    await recordOperationsAudit(context, auth.user, outcome);
 
     return successResponse(
       {
         success: true,
-        profile: data.profiles[index]
+        profile: outcome.results[0].record
       },
       env
     );
@@ -194,6 +171,6 @@ export async function onRequestPut(context) {
  */
 export async function onRequestOptions(context) {
   return new Response(null, {
-    headers: getCorsHeaders(context.env)
+    headers: getCorsHeaders(context.env, context.request)
   });
 }
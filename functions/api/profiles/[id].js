@@ -9,9 +9,11 @@
  * Path Parameters:
  * - id: String profile identifier
  *
- * Authentication: Required (Bearer token)
+ * Authentication: Required (Bearer token, admin role; admins scoped to profiles can only
+ * delete their own)
  *
  * Environment Variables:
+ * - STORAGE_BACKEND: github (default), kv, d1 or local
  * - GITHUB_TOKEN: Personal access token with repo scope
  * - GITHUB_REPO: Target repository in "owner/repository" format
  * - GITHUB_BRANCH: Target branch for commits
@@ -19,13 +21,13 @@
  */
 
 import {
-  verifyAuth,
-  fetchFromGitHub,
-  updateGitHub,
+  requireRole,
+  commitOperations,
   getCorsHeaders,
   errorResponse,
   successResponse
 } from '../_shared.js';
+import { recordOperationsAudit } from '../_audit.js';
 
 /**
  * DELETE Request Handler
@@ -36,9 +38,10 @@ import {
 export async function onRequestDelete(context) {
   const { request, env, params } = context;
 
-  // Verify authentication
-  if (!(await verifyAuth(request, env))) {
-    return errorResponse('Unauthorized', 401, env);
+  // Verify authentication and role
+  const auth = await requireRole(request, env, 'admin');
+  if (auth.error) {
+    return auth.error;
   }
 
   try {
@@ -49,34 +52,22 @@ export async function onRequestDelete(context) {
       return errorResponse('Cannot delete the default "All Restaurants" profile', 400, env);
     }
 
-    // Retrieve current data and file SHA
-    const { data, sha } = await fetchFromGitHub(env);
-
-    if (!data.profiles) {
-      return errorResponse('No profiles found', 404, env);
-    }
-
-    // Locate profile record by ID
-    const index = data.profiles.findIndex((p) => p.id === profileId);
+    // Remove profile (with cascade cleanup of restaurant references) and commit,
+    // re-applying on top of concurrent edits if needed
+    const outcome = await commitOperations(
+      env,
+      [{ type: 'profile', action: 'delete', id: profileId }],
+      null,
+      auth.user
+    );
 
-    if (index === -1) {
-      return errorResponse('Profile not found', 404, env);
+    if (!outcome.success) {
+      return errorResponse(outcome.error, outcome.status, env, outcome.details);
     }
 
-    const deletedProfile = data.profiles[index];
-    data.profiles.splice(index, 1);
-
-    // Clean up profile references in restaurants (cascade cleanup)
-    if (data.restaurants) {
-      data.restaurants.forEach((restaurant) => {
-        if (restaurant.profiles && Array.isArray(restaurant.profiles)) {
-          restaurant.profiles = restaurant.profiles.filter((p) => p !== profileId);
-        }
-      });
-    }
+    await recordOperationsAudit(context, auth.user, outcome);
 
-    // Commit changes to repository
-    await updateGitHub(env, data, sha, `Delete profile: ${deletedProfile.name}`);
+    const deletedProfile = outcome.results[0].record;
 
     return successResponse(
       {
@@ -98,6 +89,6 @@ export async function onRequestDelete(context) {
  */
 export async function onRequestOptions(context) {
   return new Response(null, {
-    headers: getCorsHeaders(context.env)
+    headers: getCorsHeaders(context.env, context.request)
   });
 }
@@ -0,0 +1,97 @@
+/**
+ * Profile Merge API Endpoint
+ *
+ * Folds one profile into another. Restaurants tagged with the merged profile are
+ * tagged with the target instead (without duplicates), the merged profile is removed,
+ * and its ID is kept in the target's `aliases` so old profile URLs keep working.
+ *
+ * Endpoint: POST /api/profiles/:id/merge
+ *
+ * Path Parameters:
+ * - id: Profile to merge away
+ *
+ * Request Body:
+ * { "into": "target-profile-id" }
+ *
+ * Authentication: Required (Bearer token, admin role)
+ *
+ * Environment Variables:
+ * - STORAGE_BACKEND: github (default), kv, d1 or local
+ * - GITHUB_TOKEN: Personal access token with repo scope
+ * - GITHUB_REPO: Target repository in "owner/repository" format
+ * - GITHUB_BRANCH: Target branch for commits
+ */
+
+import {
+  requireRole,
+  commitOperations,
+  getCorsHeaders,
+  errorResponse,
+  successResponse,
+  validateOperation
+} from '../../_shared.js';
+import { recordOperationsAudit } from '../../_audit.js';
+
+/**
+ * POST Request Handler
+ * Merges the profile into the target with authentication validation
+ * @param {Object} context - Cloudflare Pages Functions context
+ * @returns {Response} - JSON response with the target profile
+ */
+export async function onRequestPost(context) {
+  const { request, env, params } = context;
+
+  // Verify authentication and role
+  const auth = await requireRole(request, env, 'admin');
+  if (auth.error) {
+    return auth.error;
+  }
+
+  try {
+    const { into } = await request.json();
+    const operation = { type: 'profile', action: 'merge', id: params.id, data: { into: into } };
+
+    const validation = validateOperation(operation);
+    if (!validation.valid) {
+      return errorResponse(validation.errors.join(', '), 400, env, {
+        fieldErrors: validation.fieldErrors
+      });
+    }
+
+    // Retag restaurants and remove the merged profile in one commit
+    const outcome = await commitOperations(
+      env,
+      [operation],
+      `Merge profile: ${params.id} into ${into}`,
+      auth.user
+    );
+
+    if (!outcome.success) {
+      return errorResponse(outcome.error, outcome.status, env, outcome.details);
+    }
+
+    await recordOperationsAudit(context, auth.user, outcome);
+
+    return successResponse(
+      {
+        success: true,
+        profile: outcome.results[0].record
+      },
+      env
+    );
+  } catch (error) {
+    console.error('Error merging profile:', error);
+    return errorResponse(`Failed to merge profile: ${error.message}`, 500, env);
+  }
+}
+
+/**
+ * OPTIONS Request Handler
+ * Responds to CORS preflight requests
+ * @returns {Response} - CORS headers response
+ */
+export async function onRequestOptions(context) {
+  return new Response(null, {
+    headers: getCorsHeaders(context.env, context.request)
+  });
+}
@@ -0,0 +1,102 @@
+/**
+ * Profile Rename API Endpoint
+ *
+ * Changes a profile's ID (and optionally its name). Every restaurant tagged with the
+ * old ID is retagged with the new one, and the old ID is kept in the profile's
+ * `aliases` so links to the old profile URL redirect to the new one.
+ *
+ * Endpoint: POST /api/profiles/:id/rename
+ *
+ * Path Parameters:
+ * - id: Current profile identifier
+ *
+ * Request Body:
+ * { "id": "new-profile-id", "name": "Optional New Name" }
+ *
+ * Authentication: Required (Bearer token, admin role)
+ *
+ * Environment Variables:
+ * - STORAGE_BACKEND: github (default), kv, d1 or local
+ * - GITHUB_TOKEN: Personal access token with repo scope
+ * - GITHUB_REPO: Target repository in "owner/repository" format
+ * - GITHUB_BRANCH: Target branch for commits
+ */
+
+import {
+  requireRole,
+  commitOperations,
+  getCorsHeaders,
+  errorResponse,
+  successResponse,
+  validateOperation
+} from '../../_shared.js';
+import { recordOperationsAudit } from '../../_audit.js';
+
+/**
+ * POST Request Handler
+ * Renames the profile ID and retags restaurants with authentication validation
+ * @param {Object} context - Cloudflare Pages Functions context
+ * @returns {Response} - JSON response with the renamed profile
+ */
+export async function onRequestPost(context) {
+  const { request, env, params } = context;
+
+  // Verify authentication and role
+  const auth = await requireRole(request, env, 'admin');
+  if (auth.error) {
+    return auth.error;
+  }
+
+  try {
+    const { id, name } = await request.json();
+    const operation = {
+      type: 'profile',
+      action: 'rename',
+      id: params.id,
+      data: name === undefined ? { id: id } : { id: id, name: name }
+    };
+
+    const validation = validateOperation(operation);
+    if (!validation.valid) {
+      return errorResponse(validation.errors.join(', '), 400, env, {
+        fieldErrors: validation.fieldErrors
+      });
+    }
+
+    // Rename and retag restaurants in one commit, re-applying on top of concurrent edits
+    const outcome = await commitOperations(
+      env,
+      [operation],
+      `Rename profile: ${params.id} -> ${id}`,
+      auth.user
+    );
+
+    if (!outcome.success) {
+      return errorResponse(outcome.error, outcome.status, env, outcome.details);
+    }
+
+    await recordOperationsAudit(context, auth.user, outcome);
+
+    return successResponse(
+      {
+        success: true,
+        profile: outcome.results[0].record
+      },
+      env
+    );
+  } catch (error) {
+    console.error('Error renaming profile:', error);
+    return errorResponse(`Failed to rename profile: ${error.message}`, 500, env);
+  }
+}
+
+/**
+ * OPTIONS Request Handler
+ * Responds to CORS preflight requests
+ * @returns {Response} - CORS headers response
+ */
+export async function onRequestOptions(context) {
+  return new Response(null, {
+    headers: getCorsHeaders(context.env, context.request)
+  });
+}
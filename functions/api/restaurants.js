@@ -1,57 +1,81 @@
 /**
  * Restaurant Data Management API
  *
- * Provides CRUD operations for restaurant data with GitHub-based persistence.
+ * Provides CRUD operations for restaurant data with pluggable persistence.
  *
  * Endpoints:
- * - GET  /api/restaurants     - Retrieve all restaurant records (public)
+ * - GET  /api/restaurants     - Retrieve restaurant records, optionally filtered (public)
  * - POST /api/restaurants     - Create new restaurant record (authenticated)
  * - PUT  /api/restaurants     - Update existing restaurant record (authenticated)
  *
  * Data Storage:
- * Utilizes GitHub Contents API for persistent storage in repository JSON file.
- * All modifications are committed directly to the configured branch.
+ * Uses the backend selected by STORAGE_BACKEND (see _storage.js). With the default
+ * GitHub backend, all modifications are committed directly to the configured branch.
  *
  * Environment Variables:
+ * - STORAGE_BACKEND: github (default), kv, d1 or local
  * - GITHUB_TOKEN: Personal access token with repo scope
  * - GITHUB_REPO: Target repository in "owner/repository" format
  * - GITHUB_BRANCH: Target branch for commits
  * - ADMIN_PASSWORD: Administrative credential for write operations
  *
  * Authentication:
- * Write operations require Bearer token obtained from /api/auth endpoint.
+ * Write operations require Bearer token obtained from /api/auth endpoint, issued to
+ * an account with the editor role or higher.
  */
 
 import {
-  verifyAuth,
-  fetchFromGitHub,
-  updateGitHub,
+  requireRole,
+  commitOperations,
   getCorsHeaders,
+  documentResponse,
   errorResponse,
   successResponse,
-  generateUUID,
-  validateRestaurantData
+  validateRestaurantData,
+  parseRestaurantQuery,
+  filterRestaurants
 } from './_shared.js';
+import { readDocument } from './_cache.js';
+import { recordOperationsAudit } from './_audit.js';
 
 /**
  * GET Request Handler
- * Retrieves all restaurant records from GitHub storage
+ * Retrieves restaurant records from the configured storage backend
+ *
+ * Without query parameters the full data document is returned. With any of
+ * profile, service, foodType, foodTypeMatch, q, sort, limit or offset, only the
+ * matching restaurants are returned along with paging information
+ * (see parseRestaurantQuery for parameter details). Other parameters, such as a
+ * cache-buster, leave the response unchanged.
+ *
  * @param {Object} context - Cloudflare Pages Functions context
  * @returns {Response} - JSON response with restaurant data
  */
 export async function onRequestGet(context) {
-  const { env } = context;
+  const { request, env } = context;
+  const { searchParams } = new URL(request.url);
+
+  const { valid, errors, query, filtered } = parseRestaurantQuery(searchParams);
+  if (!valid) {
+    return errorResponse(errors.join(', '), 400, env);
+  }
 
   try {
-    const { data } = await fetchFromGitHub(env);
-
-    return new Response(JSON.stringify(data), {
-      headers: {
-        'Content-Type': 'application/json',
-        ...getCorsHeaders(env),
-        'Cache-Control': 'public, max-age=60'
-      }
-    });
+    const { data, version } = await readDocument(context);
+    let body = data;
+
+    if (filtered) {
+      const { restaurants, total } = filterRestaurants(data.restaurants || [], query);
+      body = {
+        ...data,
+        restaurants: restaurants,
+        total: total,
+        offset: query.offset,
+        limit: query.limit
+      };
+    }
+
+    return documentResponse(request, env, body, version);
   } catch (error) {
     console.error('Error fetching restaurants:', error);
     return errorResponse('Failed to fetch restaurants', 500, env);
@@ -67,9 +91,10 @@ export async function onRequestGet(context) {
 export async function onRequestPost(context) {
   const { request, env } = context;
 
-  // Verify authentication
-  if (!(await verifyAuth(request, env))) {
-    return errorResponse('Unauthorized', 401, env);
+  // Verify authentication and role
+  const auth = await requireRole(request, env, 'editor');
+  if (auth.error) {
+    return auth.error;
   }
 
   try {
@@ -78,32 +103,29 @@ export async function onRequestPost(context) {
     // Validate restaurant data
     const validation = validateRestaurantData(newRestaurant);
     if (!validation.valid) {
-      return errorResponse(validation.errors.join(', '), 400, env);
+      return errorResponse(validation.errors.join(', '), 400, env, {
+        fieldErrors: validation.fieldErrors
+      });
     }
 
-    // Retrieve current data and file SHA
-    const { data, sha } = await fetchFromGitHub(env);
-
-    // Ensure restaurants array exists
-    if (!data.restaurants) {
-      data.restaurants = [];
-    }
+    // Append new restaurant and commit, re-applying on top of concurrent edits if needed
+    const outcome = await commitOperations(
+      env,
+      [{ type: 'restaurant', action: 'create', data: newRestaurant }],
+      `Add restaurant: ${newRestaurant.name}`,
+      auth.user
+    );
 
-    // Generate UUID for new restaurant if not provided
-    if (!newRestaurant.id) {
-      newRestaurant.id = generateUUID();
+    if (!outcome.success) {
+      return errorResponse(outcome.error, outcome.status, env, outcome.details);
     }
 
-    // Append new restaurant to existing data
-    data.restaurants.push(newRestaurant);
-
-    // Commit changes to repository
-    await updateGitHub(env, data, sha, `Add restaurant: ${newRestaurant.name}`);
+    await recordOperationsAudit(context, auth.user, outcome);
 
     return successResponse(
       {
         success: true,
-        restaurant: newRestaurant
+        restaurant: outcome.results[0].record
       },
       env
     );
@@ -122,9 +144,10 @@ export async function onRequestPost(context) {
 export async function onRequestPut(context) {
   const { request, env } = context;
 
-  // Verify authentication
-  if (!(await verifyAuth(request, env))) {
-    return errorResponse('Unauthorized', 401, env);
+  // Verify authentication and role
+  const auth = await requireRole(request, env, 'editor');
+  if (auth.error) {
+    return auth.error;
   }
 
   try {
@@ -133,33 +156,33 @@ export async function onRequestPut(context) {
     // Validate restaurant data
     const validation = validateRestaurantData(updatedRestaurant);
     if (!validation.valid) {
-      return errorResponse(validation.errors.join(', '), 400, env);
+      return errorResponse(validation.errors.join(', '), 400, env, {
+        fieldErrors: validation.fieldErrors
+      });
     }
 
     if (!updatedRestaurant.id) {
       return errorResponse('Restaurant ID is required for updates', 400, env);
     }
 
-    // Retrieve current data and file SHA
-    const { data, sha } = await fetchFromGitHub(env);
-
-    // Find restaurant by ID
-    const index = data.restaurants.findIndex((r) => r.id === updatedRestaurant.id);
+    // Replace restaurant and commit, re-applying on top of concurrent edits if needed
+    const outcome = await commitOperations(
+      env,
+      [{ type: 'restaurant', action: 'update', data: updatedRestaurant }],
+      `Update restaurant: ${updatedRestaurant.name}`,
+      auth.user
+    );
 
-    if (index === -1) {
-      return errorResponse('Restaurant not found', 404, env);
+    if (!outcome.success) {
+      return errorResponse(outcome.error, outcome.status, env, outcome.details);
     }
 
-    // Update restaurant
-    data.restaurants[index] = updatedRestaurant;
-
-    // Commit changes to repository
-    await updateGitHub(env, data, sha, `Update restaurant: ${updatedRestaurant.name}`);
+    await recordOperationsAudit(context, auth.user, outcome);
 
     return successResponse(
       {
         success: true,
-        restaurant: updatedRestaurant
+        restaurant: outcome.results[0].record
       },
       env
     );
@@ -176,6 +199,6 @@ export async function onRequestPut(context) {
  */
 export async function onRequestOptions(context) {
   return new Response(null, {
-    headers: getCorsHeaders(context.env)
+    headers: getCorsHeaders(context.env, context.request)
   });
 }
@@ -1,16 +1,24 @@
 /**
- * Restaurant Deletion API Endpoint
+ * Individual Restaurant API Endpoint
  *
- * Handles removal of individual restaurant records by ID.
+ * Handles retrieval, partial updates and removal of individual restaurant records by ID.
  *
- * Endpoint: DELETE /api/restaurants/:id
+ * Endpoints:
+ * - GET    /api/restaurants/:id - Retrieve one restaurant (public)
+ * - PATCH  /api/restaurants/:id - Merge partial fields into a restaurant (authenticated)
+ * - DELETE /api/restaurants/:id - Remove a restaurant (authenticated)
  *
  * Path Parameters:
  * - id: Restaurant identifier (UUID or integer)
  *
- * Authentication: Required (Bearer token)
+ * PATCH Request Body:
+ * Any subset of restaurant fields, e.g. { "notes": "Cash only" }. Fields set to null
+ * are removed. The merged restaurant must pass the same validation as a full update.
+ *
+ * Authentication: Required for PATCH and DELETE (Bearer token, editor role or higher)
  *
  * Environment Variables:
+ * - STORAGE_BACKEND: github (default), kv, d1 or local
  * - GITHUB_TOKEN: Personal access token with repo scope
  * - GITHUB_REPO: Target repository in "owner/repository" format
  * - GITHUB_BRANCH: Target branch for commits
@@ -18,13 +26,91 @@
  */
 
 import {
-  verifyAuth,
-  fetchFromGitHub,
-  updateGitHub,
+  requireRole,
+  commitOperations,
   getCorsHeaders,
+  documentResponse,
   errorResponse,
-  successResponse
+  successResponse,
+  validateOperation,
+  findRestaurant
 } from '../_shared.js';
+import { readDocument } from '../_cache.js';
+import { recordOperationsAudit } from '../_audit.js';
+
+/**
+ * GET Request Handler
+ * Retrieves a single restaurant record by ID
+ * @param {Object} context - Cloudflare Pages Functions context
+ * @returns {Response} - JSON response with the restaurant
+ */
+export async function onRequestGet(context) {
+  const { request, env, params } = context;
+
+  try {
+    const { data, version } = await readDocument(context);
+
+    // Support both string UUID and integer ID, including legacy IDs of migrated records
+    const restaurant = findRestaurant(data.restaurants, params.id);
+
+    if (!restaurant) {
+      return errorResponse('Restaurant not found', 404, env);
+    }
+
+    return documentResponse(request, env, { restaurant: restaurant }, version);
+  } catch (error) {
+    console.error('Error fetching restaurant:', error);
+    return errorResponse('Failed to fetch restaurant', 500, env);
+  }
+}
+
+/**
+ * PATCH Request Handler
+ * Merges partial fields into an existing restaurant with authentication validation
+ * @param {Object} context - Cloudflare Pages Functions context
+ * @returns {Response} - JSON response with the updated restaurant
+ */
+export async function onRequestPatch(context) {
+  const { request, env, params } = context;
+
+  // Verify authentication and role
+  const auth = await requireRole(request, env, 'editor');
+  if (auth.error) {
+    return auth.error;
+  }
+
+  try {
+    const fields = await request.json();
+    const operation = { type: 'restaurant', action: 'patch', id: params.id, data: fields };
+
+    const validation = validateOperation(operation);
+    if (!validation.valid) {
+      return errorResponse(validation.errors.join(', '), 400, env, {
+        fieldErrors: validation.fieldErrors
+      });
+    }
+
+    // Merge fields and commit, re-applying on top of concurrent edits if needed
+    const outcome = await commitOperations(env, [operation], null, auth.user);
+
+    if (!outcome.success) {
+      return errorResponse(outcome.error, outcome.status, env, outcome.details);
+    }
+
+    await recordOperationsAudit(context, auth.user, outcome);
+
+    return successResponse(
+      {
+        success: true,
+        restaurant: outcome.results[0].record
+      },
+      env
+    );
+  } catch (error) {
+    console.error('Error patching restaurant:', error);
+    return errorResponse(`Failed to update restaurant: ${error.message}`, 500, env);
+  }
+}
 
 /**
  * DELETE Request Handler
@@ -35,29 +121,31 @@ import {
 export async function onRequestDelete(context) {
   const { request, env, params } = context;
 
-  // Verify authentication
-  if (!(await verifyAuth(request, env))) {
-    return errorResponse('Unauthorized', 401, env);
+  // Verify authentication and role
+  const auth = await requireRole(request, env, 'editor');
+  if (auth.error) {
+    return auth.error;
   }
 
   try {
     const restaurantId = params.id;
 
-    // Retrieve current data and file SHA
-    const { data, sha } = await fetchFromGitHub(env);
-
-    // Locate restaurant record by ID (support both string UUID and integer ID)
-    const index = data.restaurants.findIndex((r) => String(r.id) === String(restaurantId));
+    // Remove restaurant and commit, re-applying on top of concurrent edits if needed
+    // (supports both string UUID and integer ID)
+    const outcome = await commitOperations(
+      env,
+      [{ type: 'restaurant', action: 'delete', id: restaurantId }],
+      null,
+      auth.user
+    );
 
-    if (index === -1) {
-      return errorResponse('Restaurant not found', 404, env);
+    if (!outcome.success) {
+      return errorResponse(outcome.error, outcome.status, env, outcome.details);
     }
 
-    const deletedRestaurant = data.restaurants[index];
-    data.restaurants.splice(index, 1);
+    await recordOperationsAudit(context, auth.user, outcome);
 
-    // Commit changes to repository
-    await updateGitHub(env, data, sha, `Delete restaurant: ${deletedRestaurant.name}`);
+    const deletedRestaurant = outcome.results[0].record;
 
     return successResponse(
       {
@@ -79,6 +167,6 @@ export async function onRequestDelete(context) {
  */
 export async function onRequestOptions(context) {
   return new Response(null, {
-    headers: getCorsHeaders(context.env)
+    headers: getCorsHeaders(context.env, context.request)
   });
 }
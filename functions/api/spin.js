@@ -0,0 +1,145 @@
+/**
+ * Server-Side Spin API Endpoint
+ *
+ * Spins the wheel on the server so the result can be checked by anyone. The candidates
+ * are the restaurants matching the profile and filters given to POST /api/spin/commit,
+ * weighted as on the wheel; the winner comes from the server seed committed to there
+ * and the client seed whose hash was sent with it (see pickWinner in _spins.js for the
+ * exact rule).
+ *
+ * Endpoint: POST /api/spin (public)
+ *
+ * Request Body:
+ * {
+ *   "commitId": "uuid",  // Required, from POST /api/spin/commit (used up by this spin)
+ *   "clientSeed": "text" // Required, the seed hashed for the commitment (max 64 chars)
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "result": {
+ *     "id": "uuid", "at", "profile", "service", "foodTypes",
+ *     "candidates": [{ "id", "name", "weight" }], // In wheel order
+ *     "commitment", "serverSeed", "clientSeed", "hash",
+ *     "fraction": 0.42,  // Position of the winning point along the wheel, from 0 to 1
+ *     "rotation": 3.14,  // Wheel rotation in radians (0 to 2π) that puts the winner under the pointer
+ *     "winner": { "id", "name", "weight" }
+ *   }
+ * }
+ *
+ * The result ID is the commitment ID. The result is kept for 90 days and can be read
+ * back with GET /api/spin/:id; the page /result/:id shows it.
+ *
+ * Environment Variables:
+ * - SPINS_KV: KV namespace holding commitments and results; without it this endpoint
+ *   answers 501
+ */
+
+import {
+  getCorsHeaders,
+  errorResponse,
+  successResponse,
+  requireBinding,
+  validateSpinRequestData,
+  filterRestaurants,
+  getWheelWeight
+} from './_shared.js';
+import { readDocument } from './_cache.js';
+import { sha256Hex } from './_crypto.js';
+import { readCommitment, discardCommitment, pickWinner, saveSpinResult } from './_spins.js';
+
+/**
+ * POST Request Handler
+ * Picks a winner from the committed and client seeds
+ * @param {Object} context - Cloudflare Pages Functions context
+ * @returns {Response} - JSON response with the result
+ */
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  const unavailable = requireBinding(env, 'SPINS_KV', 'Server-side spins');
+  if (unavailable) {
+    return unavailable;
+  }
+
+  let spin;
+  try {
+    spin = await request.json();
+  } catch {
+    return errorResponse('Request body must be JSON', 400, env);
+  }
+
+  const validation = validateSpinRequestData(spin);
+  if (!validation.valid) {
+    return errorResponse(validation.errors.join(', '), 400, env, {
+      fieldErrors: validation.fieldErrors
+    });
+  }
+
+  try {
+    const commit = await readCommitment(env, spin.commitId);
+    if (!commit) {
+      return errorResponse('Commitment not found, expired or already used', 404, env);
+    }
+    if ((await sha256Hex(spin.clientSeed)) !== commit.clientSeedHash) {
+      return errorResponse('Client seed does not match the commitment', 400, env);
+    }
+
+    const { data } = await readDocument(context);
+
+    const { profile, service, foodTypes } = commit;
+    if (!(data.profiles || []).some((p) => p.id === profile)) {
+      return errorResponse('Profile not found', 404, env);
+    }
+
+    const candidates = filterRestaurants(data.restaurants || [], {
+      profile: profile,
+      service: service,
+      foodTypes: foodTypes
+    }).restaurants.map((restaurant) => ({
+      id: restaurant.id,
+      name: restaurant.name,
+      weight: getWheelWeight(restaurant, profile)
+    }));
+    if (candidates.length === 0) {
+      return errorResponse('No restaurants match these filters', 400, env);
+    }
+
+    // Reveals racing past this point all get the same winner and permalink
+    await discardCommitment(env, commit.commitId);
+
+    const pick = await pickWinner(candidates, commit.serverSeed, spin.clientSeed);
+    const result = await saveSpinResult(env, {
+      id: commit.commitId,
+      at: new Date().toISOString(),
+      profile: profile,
+      service: service,
+      foodTypes: foodTypes,
+      candidates: candidates,
+      commitment: commit.commitment,
+      serverSeed: commit.serverSeed,
+      clientSeed: spin.clientSeed,
+      hash: pick.hash,
+      fraction: pick.fraction,
+      rotation: pick.rotation,
+      winner: pick.winner
+    });
+
+    return successResponse({ success: true, result: result }, env);
+  } catch (error) {
+    console.error('Error spinning:', error);
+    return errorResponse('Failed to spin', 500, env);
+  }
+}
+
+/**
+ * OPTIONS Request Handler
+ * Responds to CORS preflight requests
+ * @returns {Response} - CORS headers response
+ */
+export async function onRequestOptions(context) {
+  return new Response(null, {
+    headers: getCorsHeaders(context.env, context.request)
+  });
+}
@@ -0,0 +1,64 @@
+/**
+ * Spin Result API Endpoint
+ *
+ * Returns the result of a server-side spin with everything needed to check it: the
+ * candidates and their weights, the commitment, both seeds and the winner.
+ *
+ * Endpoint: GET /api/spin/:id (public)
+ *
+ * Path Parameters:
+ * - id: Result ID returned by POST /api/spin
+ *
+ * Response: { "result": { ... } } as returned by POST /api/spin
+ *
+ * Environment Variables:
+ * - SPINS_KV: KV namespace holding commitments and results; without it this endpoint
+ *   answers 501
+ */
+
+import { getCorsHeaders, errorResponse, successResponse, requireBinding } from '../_shared.js';
+import { readSpinResult } from '../_spins.js';
+
+const RESULT_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * GET Request Handler
+ * Returns a stored result
+ * @param {Object} context - Cloudflare Pages Functions context
+ * @returns {Response} - JSON response with the result
+ */
+export async function onRequestGet(context) {
+  const { env, params } = context;
+
+  const unavailable = requireBinding(env, 'SPINS_KV', 'Server-side spins');
+  if (unavailable) {
+    return unavailable;
+  }
+
+  if (!RESULT_ID_PATTERN.test(params.id)) {
+    return errorResponse('Result not found', 404, env);
+  }
+
+  try {
+    const result = await readSpinResult(env, params.id.toLowerCase());
+    if (!result) {
+      return errorResponse('Result not found', 404, env);
+    }
+
+    return successResponse({ result: result }, env);
+  } catch (error) {
+    console.error('Error fetching spin result:', error);
+    return errorResponse('Failed to fetch result', 500, env);
+  }
+}
+
+/**
+ * OPTIONS Request Handler
+ * Responds to CORS preflight requests
+ * @returns {Response} - CORS headers response
+ */
+export async function onRequestOptions(context) {
+  return new Response(null, {
+    headers: getCorsHeaders(context.env, context.request)
+  });
+}
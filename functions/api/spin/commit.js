@@ -0,0 +1,84 @@
+/**
+ * Spin Commitment API Endpoint
+ *
+ * First step of a server-side spin: the client sends the hash of a secret seed of its
+ * own and the filters to spin with, and the server picks a secret seed and returns only
+ * its SHA-256 hash. Both seeds are revealed by POST /api/spin, so anyone can check that
+ * neither side changed its seed after seeing the other's.
+ *
+ * Endpoint: POST /api/spin/commit (public)
+ *
+ * Request Body:
+ * {
+ *   "clientSeedHash": "hex",  // Required, SHA-256 of the client seed (max 64 chars)
+ *   "profile": "quick-lunch", // Optional, an existing profile (default "all")
+ *   "service": "takeout",     // Optional, service type filter (default "all")
+ *   "foodTypes": ["Mexican"]  // Optional, food type filters (any may match)
+ * }
+ *
+ * Response: { "commitId": "uuid", "commitment": "hex SHA-256 of the server seed",
+ *   "expiresAt": "ISO 8601" }
+ *
+ * A commitment can be used for one spin within 10 minutes, with the seed and filters
+ * given here.
+ *
+ * Environment Variables:
+ * - SPINS_KV: KV namespace holding commitments and results; without it this endpoint
+ *   answers 501
+ */
+
+import {
+  getCorsHeaders,
+  errorResponse,
+  successResponse,
+  requireBinding,
+  validateSpinCommitData
+} from '../_shared.js';
+import { createCommitment } from '../_spins.js';
+
+/**
+ * POST Request Handler
+ * Creates a commitment to a new server seed
+ * @param {Object} context - Cloudflare Pages Functions context
+ * @returns {Response} - JSON response with the commitment
+ */
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  const unavailable = requireBinding(env, 'SPINS_KV', 'Server-side spins');
+  if (unavailable) {
+    return unavailable;
+  }
+
+  let commit;
+  try {
+    commit = await request.json();
+  } catch {
+    return errorResponse('Request body must be JSON', 400, env);
+  }
+
+  const validation = validateSpinCommitData(commit);
+  if (!validation.valid) {
+    return errorResponse(validation.errors.join(', '), 400, env, {
+      fieldErrors: validation.fieldErrors
+    });
+  }
+
+  try {
+    return successResponse(await createCommitment(env, commit), env);
+  } catch (error) {
+    console.error('Error creating spin commitment:', error);
+    return errorResponse('Failed to create commitment', 500, env);
+  }
+}
+
+/**
+ * OPTIONS Request Handler
+ * Responds to CORS preflight requests
+ * @returns {Response} - CORS headers response
+ */
+export async function onRequestOptions(context) {
+  return new Response(null, {
+    headers: getCorsHeaders(context.env, context.request)
+  });
+}
@@ -0,0 +1,164 @@
+/**
+ * Spin History API Endpoint
+ *
+ * Records which restaurant each wheel spin picked and lists recent picks, so the team
+ * shares one history and the wheel can keep recent winners off the wheel for a while.
+ * Recording needs no sign-in; the rate limit for writes bounds how many spins one
+ * client can add.
+ *
+ * Endpoints:
+ * - GET  /api/spins - List recorded spins, newest first (public)
+ * - POST /api/spins - Record a spin (public)
+ *
+ * GET Query Parameters (all optional):
+ * - profile: Only spins made with this profile selected
+ * - since: Only spins at or after this time (ISO 8601 date or timestamp)
+ * - limit: Maximum number of spins to return (default 50, max 200)
+ * - cursor: Continue from the cursor returned by the previous request
+ *
+ * POST Request Body:
+ * {
+ *   "id": "uuid",                 // Optional, chosen by the browser so retries are stored once
+ *   "at": "2025-01-01T12:00:00Z", // Optional, defaults to now; within the retention period
+ *   "restaurantId": "uuid",       // Required, an existing restaurant
+ *   "mode": "wheel",              // Optional, "wheel" (default) or "bracket" for a bracket final
+ *   "profile": "quick-lunch",     // Optional, an existing profile (default "all")
+ *   "service": "takeout",         // Optional, service type filter (default "all")
+ *   "foodTypes": ["Mexican"]      // Optional, food type filters
+ * }
+ *
+ * Response: { "spins": [{ "id", "at", "restaurantId", "restaurantName", "mode", "profile",
+ *   "service", "foodTypes" }], "cursor": string | null } or { "success": true, "spin" }
+ *
+ * Environment Variables:
+ * - SPINS_KV: KV namespace holding the spin history (see _spins.js for what happens
+ *   without it)
+ */
+
+import {
+  getCorsHeaders,
+  errorResponse,
+  successResponse,
+  generateUUID,
+  validateProfileId,
+  validateSpinData,
+  findRestaurant
+} from './_shared.js';
+import { readDocument } from './_cache.js';
+import { recordSpin, listSpins, SPIN_TTL_DAYS } from './_spins.js';
+
+const DEFAULT_SPIN_LIMIT = 50;
+const MAX_SPIN_LIMIT = 200;
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000; // Spins may be dated this far in the future
+
+/**
+ * GET Request Handler
+ * Lists recorded spins matching the query
+ * @param {Object} context - Cloudflare Pages Functions context
+ * @returns {Response} - JSON response with spins
+ */
+export async function onRequestGet(context) {
+  const { request, env } = context;
+  const params = new URL(request.url).searchParams;
+
+  const limitParam = params.get('limit');
+  const limit = limitParam === null ? DEFAULT_SPIN_LIMIT : Number(limitParam);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SPIN_LIMIT) {
+    return errorResponse(`limit must be an integer between 1 and ${MAX_SPIN_LIMIT}`, 400, env);
+  }
+
+  const profile = params.get('profile');
+  if (profile !== null && !validateProfileId(profile)) {
+    return errorResponse('profile must be a profile ID', 400, env);
+  }
+
+  const sinceParam = params.get('since');
+  const since = sinceParam === null ? null : new Date(sinceParam);
+  if (since && isNaN(since.getTime())) {
+    return errorResponse('since must be a valid date', 400, env);
+  }
+
+  try {
+    const result = await listSpins(
+      env,
+      { profile: profile, since: since ? since.toISOString() : null },
+      { limit: limit, cursor: params.get('cursor') }
+    );
+
+    return successResponse(result, env);
+  } catch (error) {
+    console.error('Error fetching spins:', error);
+    return errorResponse('Failed to fetch spins', 500, env);
+  }
+}
+
+/**
+ * POST Request Handler
+ * Records a spin of the wheel
+ * @param {Object} context - Cloudflare Pages Functions context
+ * @returns {Response} - JSON response with the stored spin
+ */
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  let spin;
+  try {
+    spin = await request.json();
+  } catch {
+    return errorResponse('Request body must be JSON', 400, env);
+  }
+
+  const validation = validateSpinData(spin);
+  if (!validation.valid) {
+    return errorResponse(validation.errors.join(', '), 400, env, {
+      fieldErrors: validation.fieldErrors
+    });
+  }
+
+  const now = Date.now();
+  const at = spin.at === undefined ? now : Date.parse(spin.at);
+  if (at > now + MAX_CLOCK_SKEW_MS || at < now - SPIN_TTL_DAYS * 24 * 60 * 60 * 1000) {
+    return errorResponse(`Spin time must be within the last ${SPIN_TTL_DAYS} days`, 400, env);
+  }
+
+  try {
+    const { data } = await readDocument(context);
+
+    const restaurant = findRestaurant(data.restaurants, spin.restaurantId);
+    if (!restaurant) {
+      return errorResponse('Restaurant not found', 404, env);
+    }
+
+    const profile = spin.profile || 'all';
+    if (!(data.profiles || []).some((p) => p.id === profile)) {
+      return errorResponse('Profile not found', 404, env);
+    }
+
+    const stored = await recordSpin(env, {
+      id: spin.id || generateUUID(),
+      at: new Date(at).toISOString(),
+      restaurantId: restaurant.id,
+      restaurantName: restaurant.name,
+      mode: spin.mode || 'wheel',
+      profile: profile,
+      service: spin.service || 'all',
+      foodTypes: spin.foodTypes || []
+    });
+
+    return successResponse({ success: true, spin: stored }, env);
+  } catch (error) {
+    console.error('Error recording spin:', error);
+    return errorResponse('Failed to record spin', 500, env);
+  }
+}
+
+/**
+ * OPTIONS Request Handler
+ * Responds to CORS preflight requests
+ * @returns {Response} - CORS headers response
+ */
+export async function onRequestOptions(context) {
+  return new Response(null, {
+    headers: getCorsHeaders(context.env, context.request)
+  });
+}
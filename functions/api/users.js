@@ -0,0 +1,146 @@
+/**
+ * User Management API
+ *
+ * Lists and creates named user accounts. Each account has a role:
+ * - viewer: read the change history and check data
+ * - editor: add, change and remove restaurants
+ * - admin: manage profiles and user accounts, revert and migrate data
+ *
+ * Endpoints:
+ * - GET  /api/users - List accounts (without password hashes)
+ * - POST /api/users - Create an account
+ *
+ * POST Request Body:
+ * { "username": "sam", "password": "at least 8 characters", "role": "editor",
+ *   "profiles": ["quick-lunch"] }
+ * profiles is optional and limits the account to those profiles and their restaurants.
+ *
+ * Authentication: Required (Bearer token, admin role)
+ *
+ * Environment Variables:
+ * - STORAGE_BACKEND: github (default), kv, d1 or local; accounts are kept in the
+ *   backend's "users" document (users.json on GitHub)
+ */
+
+import {
+  requireRole,
+  getCorsHeaders,
+  errorResponse,
+  successResponse,
+  validateUserData
+} from './_shared.js';
+import { isConflictError } from './_storage.js';
+import { BUILT_IN_ADMIN, hashPassword, publicUser, readUsers, updateUsers } from './_users.js';
+import { recordAudit } from './_audit.js';
+
+// Name of the account signed in with ADMIN_PASSWORD, so it cannot be taken by a named account
+const RESERVED_USERNAMES = [BUILT_IN_ADMIN.username];
+
+/**
+ * GET Request Handler
+ * Lists all user accounts
+ * @param {Object} context - Cloudflare Pages Functions context
+ * @returns {Response} - JSON response with the accounts
+ */
+export async function onRequestGet(context) {
+  const { request, env } = context;
+
+  // Verify authentication and role
+  const auth = await requireRole(request, env, 'admin');
+  if (auth.error) {
+    return auth.error;
+  }
+
+  try {
+    const { users } = await readUsers(env);
+
+    return successResponse({ users: users.map(publicUser) }, env);
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    return errorResponse('Failed to fetch users', 500, env);
+  }
+}
+
+/**
+ * POST Request Handler
+ * Creates a user account with a hashed password
+ * @param {Object} context - Cloudflare Pages Functions context
+ * @returns {Response} - JSON response with the new account
+ */
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  // Verify authentication and role
+  const auth = await requireRole(request, env, 'admin');
+  if (auth.error) {
+    return auth.error;
+  }
+
+  try {
+    const newUser = await request.json();
+
+    const validation = validateUserData(newUser);
+    if (!validation.valid) {
+      return errorResponse(validation.errors.join(', '), 400, env, {
+        fieldErrors: validation.fieldErrors
+      });
+    }
+
+    if (RESERVED_USERNAMES.includes(newUser.username)) {
+      return errorResponse('Username is reserved', 400, env, {
+        fieldErrors: [{ field: 'username', code: 'reserved', message: 'Username is reserved' }]
+      });
+    }
+
+    const user = {
+      username: newUser.username,
+      role: newUser.role,
+      ...(newUser.profiles ? { profiles: newUser.profiles } : {}),
+      passwordHash: await hashPassword(newUser.password),
+      createdAt: new Date().toISOString()
+    };
+
+    const message = `Add user: ${user.username} (${user.role})`;
+    const outcome = await updateUsers(
+      env,
+      (users) => {
+        if (users.some((u) => u.username === user.username)) {
+          return { status: 409, error: 'A user with this username already exists' };
+        }
+        users.push(user);
+      },
+      message,
+      auth.user
+    );
+
+    if (!outcome.success) {
+      return errorResponse(outcome.error, outcome.status, env);
+    }
+
+    await recordAudit(context, auth.user, {
+      action: message,
+      document: 'users',
+      before: outcome.previous,
+      after: outcome.users
+    });
+
+    return successResponse({ success: true, user: publicUser(user) }, env);
+  } catch (error) {
+    if (isConflictError(error)) {
+      return errorResponse('Users changed while saving; please try again', 409, env);
+    }
+    console.error('Error adding user:', error);
+    return errorResponse(`Failed to add user: ${error.message}`, 500, env);
+  }
+}
+
+/**
+ * OPTIONS Request Handler
+ * Responds to CORS preflight requests
+ * @returns {Response} - CORS headers response
+ */
+export async function onRequestOptions(context) {
+  return new Response(null, {
+    headers: getCorsHeaders(context.env, context.request)
+  });
+}
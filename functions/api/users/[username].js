@@ -0,0 +1,192 @@
+/**
+ * Individual User API Endpoint
+ *
+ * Changes or removes one user account. Changes take effect when the account next signs
+ * in or refreshes its session.
+ *
+ * Endpoints:
+ * - PATCH  /api/users/:username - Change the role and/or password
+ * - DELETE /api/users/:username - Remove the account
+ *
+ * PATCH Request Body:
+ * { "role": "viewer" | "editor" | "admin", "password": "new password",
+ *   "profiles": ["quick-lunch"] | null }
+ * Every field is optional; profiles null removes the profile limit.
+ *
+ * Authentication: Required (Bearer token). Admins can change any account but not
+ * their own role or profile limit, and cannot delete themselves. Any signed-in user
+ * can change their own password.
+ *
+ * Environment Variables:
+ * - STORAGE_BACKEND: github (default), kv, d1 or local
+ */
+
+import {
+  requireRole,
+  getCorsHeaders,
+  errorResponse,
+  successResponse,
+  validateUserData,
+  hasRole
+} from '../_shared.js';
+import { isConflictError } from '../_storage.js';
+import { hashPassword, publicUser, updateUsers } from '../_users.js';
+import { recordAudit } from '../_audit.js';
+
+/**
+ * PATCH Request Handler
+ * Updates the role or password of an account
+ * @param {Object} context - Cloudflare Pages Functions context
+ * @returns {Response} - JSON response with the updated account
+ */
+export async function onRequestPatch(context) {
+  const { request, env, params } = context;
+
+  // Verify authentication; the role needed depends on whose account changes
+  const auth = await requireRole(request, env, 'viewer');
+  if (auth.error) {
+    return auth.error;
+  }
+
+  try {
+    const changes = await request.json();
+
+    const validation = validateUserData(changes, true);
+    if (!validation.valid) {
+      return errorResponse(validation.errors.join(', '), 400, env, {
+        fieldErrors: validation.fieldErrors
+      });
+    }
+
+    if (changes.username !== undefined && changes.username !== params.username) {
+      return errorResponse('Usernames cannot be changed', 400, env);
+    }
+
+    const isSelf = auth.user.sub === params.username;
+    if (!isSelf && !hasRole(auth.user.role, 'admin')) {
+      return errorResponse('Forbidden: this action requires the admin role', 403, env);
+    }
+    if ((changes.role !== undefined || changes.profiles !== undefined) && isSelf) {
+      return errorResponse('You cannot change your own role or profiles', 403, env);
+    }
+
+    const passwordHash =
+      changes.password !== undefined ? await hashPassword(changes.password) : undefined;
+    let updated = null;
+
+    const message =
+      changes.role !== undefined
+        ? `Change role of user: ${params.username} (${changes.role})`
+        : changes.profiles !== undefined
+          ? `Change profiles of user: ${params.username}`
+          : `Change password of user: ${params.username}`;
+    const outcome = await updateUsers(
+      env,
+      (users) => {
+        const user = users.find((u) => u.username === params.username);
+        if (!user) {
+          return { status: 404, error: 'User not found' };
+        }
+        if (changes.role !== undefined) {
+          user.role = changes.role;
+        }
+        if (changes.profiles === null) {
+          delete user.profiles;
+        } else if (changes.profiles !== undefined) {
+          user.profiles = changes.profiles;
+        }
+        if (passwordHash !== undefined) {
+          user.passwordHash = passwordHash;
+        }
+        updated = user;
+      },
+      message,
+      auth.user
+    );
+
+    if (!outcome.success) {
+      return errorResponse(outcome.error, outcome.status, env);
+    }
+
+    await recordAudit(context, auth.user, {
+      action: message,
+      document: 'users',
+      before: outcome.previous,
+      after: outcome.users
+    });
+
+    return successResponse({ success: true, user: publicUser(updated) }, env);
+  } catch (error) {
+    if (isConflictError(error)) {
+      return errorResponse('Users changed while saving; please try again', 409, env);
+    }
+    console.error('Error updating user:', error);
+    return errorResponse(`Failed to update user: ${error.message}`, 500, env);
+  }
+}
+
+/**
+ * DELETE Request Handler
+ * Removes an account
+ * @param {Object} context - Cloudflare Pages Functions context
+ * @returns {Response} - JSON response with operation result
+ */
+export async function onRequestDelete(context) {
+  const { request, env, params } = context;
+
+  // Verify authentication and role
+  const auth = await requireRole(request, env, 'admin');
+  if (auth.error) {
+    return auth.error;
+  }
+
+  if (auth.user.sub === params.username) {
+    return errorResponse('You cannot delete your own account', 403, env);
+  }
+
+  try {
+    const message = `Delete user: ${params.username}`;
+    const outcome = await updateUsers(
+      env,
+      (users) => {
+        const index = users.findIndex((u) => u.username === params.username);
+        if (index === -1) {
+          return { status: 404, error: 'User not found' };
+        }
+        users.splice(index, 1);
+      },
+      message,
+      auth.user
+    );
+
+    if (!outcome.success) {
+      return errorResponse(outcome.error, outcome.status, env);
+    }
+
+    await recordAudit(context, auth.user, {
+      action: message,
+      document: 'users',
+      before: outcome.previous,
+      after: outcome.users
+    });
+
+    return successResponse({ success: true }, env);
+  } catch (error) {
+    if (isConflictError(error)) {
+      return errorResponse('Users changed while saving; please try again', 409, env);
+    }
+    console.error('Error deleting user:', error);
+    return errorResponse(`Failed to delete user: ${error.message}`, 500, env);
+  }
+}
+
+/**
+ * OPTIONS Request Handler
+ * Responds to CORS preflight requests
+ * @returns {Response} - CORS headers response
+ */
+export async function onRequestOptions(context) {
+  return new Response(null, {
+    headers: getCorsHeaders(context.env, context.request)
+  });
+}
@@ -0,0 +1,74 @@
+/**
+ * Document Validation API Endpoint
+ *
+ * Checks a complete restaurant data document against the schema without saving it.
+ * The admin panel runs imported JSON files through this endpoint before loading them.
+ *
+ * Endpoint: POST /api/validate
+ *
+ * Request Body:
+ * { "profiles": [...], "restaurants": [...] }
+ *
+ * Response:
+ * {
+ *   "valid": boolean,
+ *   "fieldErrors": [{ "field": "restaurants[3].menuLink", "code": "invalid_format", "message": "..." }]
+ * }
+ *
+ * Error codes: required, type, too_long, too_many, invalid_format, invalid_value,
+ * unknown_field, duplicate, unknown_reference
+ *
+ * Authentication: Required (Bearer token, viewer role or higher)
+ */
+
+import {
+  requireRole,
+  getCorsHeaders,
+  errorResponse,
+  successResponse,
+  validateDocument
+} from './_shared.js';
+
+/**
+ * POST Request Handler
+ * Validates the posted document and reports every problem found
+ * @param {Object} context - Cloudflare Pages Functions context
+ * @returns {Response} - JSON response with validation result
+ */
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  // Verify authentication and role
+  const auth = await requireRole(request, env, 'viewer');
+  if (auth.error) {
+    return auth.error;
+  }
+
+  let data;
+  try {
+    data = await request.json();
+  } catch {
+    return errorResponse('Invalid request body', 400, env);
+  }
+
+  const validation = validateDocument(data);
+
+  return successResponse(
+    {
+      valid: validation.valid,
+      fieldErrors: validation.fieldErrors
+    },
+    env
+  );
+}
+
+/**
+ * OPTIONS Request Handler
+ * Responds to CORS preflight requests
+ * @returns {Response} - CORS headers response
+ */
+export async function onRequestOptions(context) {
+  return new Response(null, {
+    headers: getCorsHeaders(context.env, context.request)
+  });
+}
@@ -0,0 +1,13 @@
+/**
+ * Hide the User Accounts File
+ *
+ * Earlier versions kept user accounts in users.json in the repository that Cloudflare
+ * Pages deploys; accounts now need the kv or d1 backend. This route takes precedence
+ * over a leftover static file so password hashes are never served to browsers.
+ *
+ * Endpoint: /users.json (all methods)
+ */
+
+export async function onRequest() {
+  return new Response('Not Found', { status: 404 });
+}
@@ -0,0 +1,81 @@
+/**
+ * Edge Cache Tests
+ *
+ * Tests for caching the data document and invalidating it after writes
+ */
+
+import { describe, it, expect } from 'vitest';
+import { readDocument, invalidateDocumentCache } from '../../functions/api/_cache.js';
+
+/**
+ * Build a KV-backed environment whose reads can be held until released
+ *
+ * @param {string} repo - Value used to keep each test's cache key apart
+ * @returns {Object} - { env, setVersion, holdReads }
+ */
+function kvEnv(repo) {
+  let version = 'v1';
+  let gate = null;
+
+  const env = {
+    STORAGE_BACKEND: 'kv',
+    GITHUB_REPO: repo,
+    DATA_KV: {
+      getWithMetadata: async () => {
+        const value = { profiles: [], restaurants: [{ id: 1, name: version }] };
+        const metadata = { version: version };
+        if (gate) {
+          await gate;
+        }
+        return { value: value, metadata: metadata };
+      }
+    }
+  };
+
+  return {
+    env: env,
+    setVersion: (next) => {
+      version = next;
+    },
+    holdReads: () => {
+      let release;
+      gate = new Promise((resolve) => {
+        release = resolve;
+      });
+      return () => {
+        gate = null;
+        release();
+      };
+    }
+  };
+}
+
+describe('Document Cache', () => {
+  it('should serve the cached document until a write invalidates it', async () => {
+    const { env, setVersion } = kvEnv('cache/serve');
+
+    expect((await readDocument({ env })).version).toBe('v1');
+    setVersion('v2');
+    expect((await readDocument({ env })).version).toBe('v1');
+
+    await invalidateDocumentCache(env);
+    expect((await readDocument({ env })).version).toBe('v2');
+  });
+
+  it('should not cache a document read before an invalidation', async () => {
+    const { env, setVersion, holdReads } = kvEnv('cache/race');
+
+    const release = holdReads();
+    const slowRead = readDocument({ env });
+    await new Promise((resolve) => setTimeout(resolve, 5));
+
+    // A write lands while the read is still in flight
+    setVersion('v2');
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    await invalidateDocumentCache(env);
+    release();
+
+    expect((await slowRead).version).toBe('v1');
+    expect((await readDocument({ env })).version).toBe('v2');
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Shared helpers for the API tests
+ *
+ * @module tests/api/_helpers
+ */
+
+import { env } from 'cloudflare:test';
+import { signToken } from '../../functions/api/_sessions.js';
+
+/**
+ * Test environment using the in-memory local storage backend
+ */
+export const localEnv = { ...env, STORAGE_BACKEND: 'local' };
+
+/**
+ * Token claims of the built-in admin account
+ */
+export const ADMIN = { sub: 'admin', role: 'admin' };
+
+/**
+ * Build a JSON request to an API endpoint
+ *
+ * @param {string} url - Request URL
+ * @param {Object} options - { method, body, user, headers } (all optional); body is sent
+ *   as JSON, user is the claims of a Bearer access token valid for a minute, and headers
+ *   are added to the Content-Type and Authorization headers
+ * @returns {Promise<Request>} - Request to pass to a handler
+ *
+ * @example
+ * const request = await apiRequest('http://localhost/api/batch', {
+ *   method: 'POST',
+ *   body: { operations },
+ *   user: ADMIN
+ * });
+ */
+export async function apiRequest(url, options = {}) {
+  const { method = 'GET', body, user, headers = {} } = options;
+  const token = user
+    ? await signToken(env, { ...user, exp: Math.floor(Date.now() / 1000) + 60 })
+    : null;
+
+  return new Request(url, {
+    method: method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...headers
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+}
@@ -0,0 +1,194 @@
+/**
+ * API Middleware Tests
+ *
+ * Tests for rate limits, X-RateLimit headers and CORS checks applied to every API endpoint
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { env } from 'cloudflare:test';
+import { onRequest } from '../../functions/api/_middleware.js';
+import { onRequestPost as onRequestLogin } from '../../functions/api/auth.js';
+import { RATE_LIMIT_POLICIES, resetRateLimits } from '../../functions/api/_ratelimit.js';
+import { localEnv, apiRequest } from './_helpers.js';
+
+function run(method, path = '/api/restaurants', ip = '203.0.113.1', origin = null, testEnv = env) {
+  const request = new Request(`http://localhost${path}`, {
+    method: method,
+    headers: { 'CF-Connecting-IP': ip, ...(origin ? { Origin: origin } : {}) }
+  });
+  return onRequest({ request, env: testEnv, next: async () => new Response('ok') });
+}
+
+async function login(password, username) {
+  const request = await apiRequest('http://localhost/api/auth', {
+    method: 'POST',
+    body: username ? { username, password } : { password },
+    headers: { 'CF-Connecting-IP': '203.0.113.9' }
+  });
+  return onRequestLogin({ request, env: localEnv });
+}
+
+describe('API Middleware', () => {
+  beforeEach(() => {
+    resetRateLimits();
+  });
+
+  it('should add rate limit headers to responses', async () => {
+    const response = await run('GET');
+
+    expect(await response.text()).toBe('ok');
+    expect(response.headers.get('X-RateLimit-Limit')).toBe(String(RATE_LIMIT_POLICIES.read.limit));
+    expect(response.headers.get('X-RateLimit-Remaining')).toBe(
+      String(RATE_LIMIT_POLICIES.read.limit - 1)
+    );
+    expect(Number(response.headers.get('X-RateLimit-Reset'))).toBeGreaterThan(Date.now() / 1000);
+  });
+
+  it('should count reads and writes separately', async () => {
+    await run('GET');
+    const response = await run('POST');
+
+    expect(response.headers.get('X-RateLimit-Limit')).toBe(String(RATE_LIMIT_POLICIES.write.limit));
+    expect(response.headers.get('X-RateLimit-Remaining')).toBe(
+      String(RATE_LIMIT_POLICIES.write.limit - 1)
+    );
+  });
+
+  it('should refuse requests over the limit without calling the endpoint', async () => {
+    for (let i = 0; i < RATE_LIMIT_POLICIES.write.limit; i++) {
+      await run('PATCH');
+    }
+
+    const response = await run('PATCH');
+
+    expect(response.status).toBe(429);
+    expect(response.headers.get('Retry-After')).toBeTruthy();
+    expect(response.headers.get('X-RateLimit-Remaining')).toBe('0');
+
+    // Other clients are unaffected
+    expect((await run('PATCH', '/api/restaurants', '203.0.113.2')).status).toBe(200);
+  });
+
+  it('should pick the policy by route', async () => {
+    const limitOf = async (method, path) =>
+      (await run(method, path, '203.0.113.5')).headers.get('X-RateLimit-Limit');
+
+    expect(await limitOf('POST', '/api/spin/commit')).toBe(String(RATE_LIMIT_POLICIES.spin.limit));
+    expect(await limitOf('PUT', '/api/groups/ABC234/votes')).toBe(
+      String(RATE_LIMIT_POLICIES.vote.limit)
+    );
+    expect(await limitOf('POST', '/api/batch/')).toBe(String(RATE_LIMIT_POLICIES.save.limit));
+    expect(await limitOf('DELETE', '/api/restaurants/1')).toBe(
+      String(RATE_LIMIT_POLICIES.write.limit)
+    );
+  });
+
+  it('should batch counter writes and serve requests when KV fails', async () => {
+    let puts = 0;
+    const failingEnv = {
+      ...env,
+      RATE_LIMIT_KV: {
+        get: async () => null,
+        put: async () => {
+          puts++;
+          throw new Error('KV PUT failed: 429 Too Many Requests');
+        },
+        delete: async () => {}
+      }
+    };
+
+    const responses = [];
+    for (let i = 0; i < 5; i++) {
+      responses.push(await run('POST', '/api/restaurants', '203.0.113.6', null, failingEnv));
+    }
+
+    expect(responses.map((r) => r.status)).toEqual([200, 200, 200, 200, 200]);
+    expect(responses[4].headers.get('X-RateLimit-Remaining')).toBe(
+      String(RATE_LIMIT_POLICIES.write.limit - 5)
+    );
+    expect(puts).toBeLessThanOrEqual(1);
+  });
+
+  it('should leave login requests and preflights to their handlers', async () => {
+    const loginResponse = await run('POST', '/api/auth');
+    const preflight = await run('OPTIONS');
+
+    expect(loginResponse.headers.get('X-RateLimit-Limit')).toBeNull();
+    expect(preflight.headers.get('X-RateLimit-Limit')).toBeNull();
+  });
+
+  it('should lock out an account after repeated failed logins', async () => {
+    for (let i = 0; i < 5; i++) {
+      expect((await login('wrong-password')).status).toBe(401);
+    }
+
+    const locked = await login(env.ADMIN_PASSWORD);
+    const data = await locked.json();
+
+    expect(locked.status).toBe(429);
+    expect(data.error).toContain('failed login attempts');
+    expect(Number(locked.headers.get('Retry-After'))).toBeGreaterThan(0);
+
+    // The lockout only applies to the account that was guessed at
+    expect((await login('wrong-password', 'sam')).status).toBe(401);
+  });
+
+  it('should refuse writes from origins outside the allowlist', async () => {
+    const allowlistEnv = { ...env, ALLOWED_ORIGIN: 'https://*.intranet.example.org' };
+
+    const refused = await run(
+      'POST',
+      '/api/restaurants',
+      '203.0.113.3',
+      'https://evil.test',
+      allowlistEnv
+    );
+    const read = await run(
+      'GET',
+      '/api/restaurants',
+      '203.0.113.3',
+      'https://evil.test',
+      allowlistEnv
+    );
+    const allowed = await run(
+      'POST',
+      '/api/restaurants',
+      '203.0.113.3',
+      'https://hr.intranet.example.org',
+      allowlistEnv
+    );
+    const script = await run('POST', '/api/restaurants', '203.0.113.3', null, allowlistEnv);
+
+    expect(refused.status).toBe(403);
+    expect(read.status).toBe(200);
+    expect(read.headers.get('Access-Control-Allow-Origin')).toBeNull();
+    expect(allowed.status).toBe(200);
+    expect(allowed.headers.get('Access-Control-Allow-Origin')).toBe(
+      'https://hr.intranet.example.org'
+    );
+    expect(allowed.headers.get('Vary')).toBe('Origin');
+    expect(script.status).toBe(200);
+  });
+
+  it("should always allow writes from the API's own origin", async () => {
+    const allowlistEnv = { ...env, ALLOWED_ORIGIN: 'https://wheel.example.com' };
+
+    const sameOrigin = await run(
+      'POST',
+      '/api/batch',
+      '203.0.113.4',
+      'http://localhost',
+      allowlistEnv
+    );
+    const foreign = await run(
+      'POST',
+      '/api/batch',
+      '203.0.113.4',
+      'http://localhost:8080',
+      allowlistEnv
+    );
+
+    expect(sameOrigin.status).toBe(200);
+    expect(foreign.status).toBe(403);
+  });
+});
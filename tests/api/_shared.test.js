@@ -10,7 +10,20 @@ import {
   validateServiceTypes,
   validateProfileId,
   validateURL,
-  validateRestaurantData
+  validateRestaurantData,
+  validateDocument,
+  validateOperation,
+  applyOperation,
+  findConcurrentChanges,
+  parseRestaurantQuery,
+  filterRestaurants,
+  diffDocuments,
+  migrateDocument,
+  findRestaurant,
+  authorizeOperation,
+  getCorsHeaders,
+  isOriginAllowed,
+  CURRENT_SCHEMA_VERSION
 } from '../../functions/api/_shared.js';
 
 describe('Shared Utilities', () => {
@@ -198,5 +211,840 @@ describe('Shared Utilities', () => {
         true
       );
     });
+
+    it('should report structured errors for menu links, phones and unknown fields', () => {
+      const result = validateRestaurantData({
+        name: 'Test Restaurant',
+        foodTypes: ['Italian'],
+        serviceTypes: ['takeout'],
+        menuLink: 'javascript:alert(1)',
+        phone: 'call us',
+        rating: 5
+      });
+
+      expect(result.valid).toBe(false);
+      expect(result.fieldErrors.map((e) => [e.field, e.code])).toEqual([
+        ['rating', 'unknown_field'],
+        ['menuLink', 'invalid_format'],
+        ['phone', 'invalid_format']
+      ]);
+    });
+
+    it('should enforce maximum lengths', () => {
+      const result = validateRestaurantData({
+        name: 'x'.repeat(101),
+        foodTypes: ['Italian'],
+        serviceTypes: ['takeout'],
+        notes: 'x'.repeat(1001)
+      });
+
+      expect(result.fieldErrors.map((e) => e.field)).toEqual(['name', 'notes']);
+      expect(result.fieldErrors.every((e) => e.code === 'too_long')).toBe(true);
+    });
+
+    it('should validate wheel weights', () => {
+      const restaurant = { name: 'Test', foodTypes: ['Italian'], serviceTypes: ['takeout'] };
+
+      expect(
+        validateRestaurantData({ ...restaurant, weight: 2.5, profileWeights: { 'quick-lunch': 3 } })
+          .valid
+      ).toBe(true);
+      expect(
+        validateRestaurantData({ ...restaurant, weight: 0 }).fieldErrors.map((e) => e.field)
+      ).toEqual(['weight']);
+      expect(validateRestaurantData({ ...restaurant, weight: '2' }).valid).toBe(false);
+      expect(validateRestaurantData({ ...restaurant, weight: 11 }).valid).toBe(false);
+      expect(
+        validateRestaurantData({ ...restaurant, profileWeights: { 'Quick Lunch': 2 } }).valid
+      ).toBe(false);
+      expect(
+        validateRestaurantData({ ...restaurant, profileWeights: { 'quick-lunch': -1 } }).valid
+      ).toBe(false);
+      expect(validateRestaurantData({ ...restaurant, profileWeights: [2] }).valid).toBe(false);
+    });
+
+    it('should validate opening hours', () => {
+      const restaurant = { name: 'Test', foodTypes: ['Italian'], serviceTypes: ['takeout'] };
+      const withHours = (hours) => validateRestaurantData({ ...restaurant, hours: hours });
+
+      expect(
+        withHours({
+          timezone: 'America/New_York',
+          mon: [
+            { open: '11:00', close: '14:00' },
+            { open: '17:00', close: '22:00' }
+          ],
+          fri: [{ open: '18:00', close: '02:00' }],
+          sat: [{ open: '00:00', close: '24:00' }]
+        }).valid
+      ).toBe(true);
+      expect(withHours({ mon: [] }).fieldErrors.map((e) => e.field)).toEqual(['hours']);
+      expect(withHours({ timezone: 'Mars/Olympus_Mons' }).valid).toBe(false);
+      expect(withHours({ timezone: 'UTC', monday: [] }).valid).toBe(false);
+      expect(withHours({ timezone: 'UTC', mon: [{ open: '9:00', close: '17:00' }] }).valid).toBe(
+        false
+      );
+      expect(withHours({ timezone: 'UTC', mon: [{ open: '09:00', close: '09:00' }] }).valid).toBe(
+        false
+      );
+      expect(withHours({ timezone: 'UTC', mon: { open: '09:00', close: '17:00' } }).valid).toBe(
+        false
+      );
+    });
+
+    it('should validate coordinates', () => {
+      const restaurant = { name: 'Test', foodTypes: ['Italian'], serviceTypes: ['takeout'] };
+      const at = (coordinates) => validateRestaurantData({ ...restaurant, ...coordinates });
+
+      expect(at({ latitude: 40.7128, longitude: -74.006 }).valid).toBe(true);
+      expect(at({ latitude: -90, longitude: 180 }).valid).toBe(true);
+      expect(at({ latitude: 91, longitude: 0 }).fieldErrors.map((e) => e.field)).toEqual([
+        'latitude'
+      ]);
+      expect(at({ latitude: '40.7', longitude: -74 }).valid).toBe(false);
+      expect(at({ latitude: 40.7 }).fieldErrors).toEqual([
+        expect.objectContaining({ field: 'longitude', code: 'required' })
+      ]);
+    });
+  });
+
+  describe('validateDocument', () => {
+    const restaurant = (id, name, profiles = []) => ({
+      id: id,
+      name: name,
+      foodTypes: ['Mexican'],
+      serviceTypes: ['takeout'],
+      profiles: profiles
+    });
+
+    it('should accept the bundled data file shape', () => {
+      const result = validateDocument({
+        profiles: [
+          { id: 'all', name: 'All Restaurants' },
+          { id: 'quick-lunch', name: 'Quick Lunch' }
+        ],
+        restaurants: [restaurant(1, 'Taco Fiesta', ['quick-lunch'])]
+      });
+
+      expect(result.valid).toBe(true);
+    });
+
+    it('should report cross-record problems with field paths', () => {
+      const result = validateDocument({
+        profiles: [{ id: 'quick-lunch', name: 'Quick Lunch' }],
+        restaurants: [restaurant(1, 'Taco Fiesta', ['late-night']), restaurant(1, 'taco fiesta ')]
+      });
+
+      expect(result.fieldErrors).toEqual([
+        expect.objectContaining({ field: 'profiles', code: 'required' }),
+        expect.objectContaining({ field: 'restaurants[0].profiles', code: 'unknown_reference' }),
+        expect.objectContaining({ field: 'restaurants[1].id', code: 'duplicate' }),
+        expect.objectContaining({ field: 'restaurants[1].name', code: 'duplicate' })
+      ]);
+    });
+
+    it('should reject documents without profile and restaurant arrays', () => {
+      const result = validateDocument({ restaurants: {} });
+
+      expect(result.valid).toBe(false);
+      expect(result.fieldErrors.map((e) => e.field)).toEqual(['profiles', 'restaurants']);
+    });
+
+    it('should require UUID restaurant IDs once the data is migrated', () => {
+      const result = validateDocument({
+        schemaVersion: 2,
+        profiles: [{ id: 'all', name: 'All Restaurants' }],
+        restaurants: [restaurant(1, 'Taco Fiesta')]
+      });
+
+      expect(result.fieldErrors).toEqual([
+        expect.objectContaining({ field: 'restaurants[0].id', code: 'invalid_format' })
+      ]);
+    });
+  });
+
+  describe('validateOperation', () => {
+    it('should accept a valid restaurant create operation', () => {
+      const result = validateOperation({
+        type: 'restaurant',
+        action: 'create',
+        data: { name: 'Test Restaurant', foodTypes: ['Italian'], serviceTypes: ['takeout'] }
+      });
+
+      expect(result.valid).toBe(true);
+    });
+
+    it('should reject unknown types and actions', () => {
+      const result = validateOperation({ type: 'menu', action: 'replace' });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toHaveLength(2);
+    });
+
+    it('should include restaurant validation errors', () => {
+      const result = validateOperation({
+        type: 'restaurant',
+        action: 'create',
+        data: { foodTypes: ['Italian'], serviceTypes: ['takeout'] }
+      });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain('Restaurant name is required');
+    });
+
+    it('should not allow patches to change the ID', () => {
+      const result = validateOperation({
+        type: 'restaurant',
+        action: 'patch',
+        id: 1,
+        data: { id: 2, notes: 'Moved' }
+      });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain('Restaurant ID cannot be changed');
+    });
+
+    it('should require an ID for deletes', () => {
+      const result = validateOperation({ type: 'restaurant', action: 'delete' });
+
+      expect(result.valid).toBe(false);
+    });
+
+    it('should protect the "all" profile', () => {
+      expect(validateOperation({ type: 'profile', action: 'delete', id: 'all' }).valid).toBe(false);
+      expect(
+        validateOperation({ type: 'profile', action: 'create', data: { id: 'all', name: 'All' } })
+          .valid
+      ).toBe(false);
+    });
+  });
+
+  describe('applyOperation', () => {
+    const createData = () => ({
+      profiles: [
+        { id: 'all', name: 'All Restaurants' },
+        { id: 'quick-lunch', name: 'Quick Lunch' }
+      ],
+      restaurants: [
+        {
+          id: 1,
+          name: 'Taco Fiesta',
+          foodTypes: ['Mexican'],
+          serviceTypes: ['takeout'],
+          profiles: ['quick-lunch']
+        }
+      ]
+    });
+
+    it('should create a restaurant with a generated ID', () => {
+      const data = createData();
+      const result = applyOperation(data, {
+        type: 'restaurant',
+        action: 'create',
+        data: { name: 'Pizza Palace', foodTypes: ['Pizza'], serviceTypes: ['delivery'] }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.record.id).toBeDefined();
+      expect(data.restaurants).toHaveLength(2);
+    });
+
+    it('should update and delete restaurants matching string or integer IDs', () => {
+      const data = createData();
+
+      const updated = applyOperation(data, {
+        type: 'restaurant',
+        action: 'update',
+        data: { ...data.restaurants[0], id: '1', notes: 'Great salsa' }
+      });
+      expect(updated.success).toBe(true);
+      expect(data.restaurants[0].id).toBe(1);
+      expect(data.restaurants[0].notes).toBe('Great salsa');
+
+      const deleted = applyOperation(data, { type: 'restaurant', action: 'delete', id: '1' });
+      expect(deleted.success).toBe(true);
+      expect(data.restaurants).toHaveLength(0);
+    });
+
+    it('should merge patched fields and remove null fields', () => {
+      const data = createData();
+      const result = applyOperation(data, {
+        type: 'restaurant',
+        action: 'patch',
+        id: '1',
+        data: { notes: 'Cash only', profiles: null }
+      });
+
+      expect(result.success).toBe(true);
+      expect(data.restaurants[0].notes).toBe('Cash only');
+      expect(data.restaurants[0].name).toBe('Taco Fiesta');
+      expect(data.restaurants[0]).not.toHaveProperty('profiles');
+    });
+
+    it('should reject patches that make the restaurant invalid', () => {
+      const data = createData();
+      const result = applyOperation(data, {
+        type: 'restaurant',
+        action: 'patch',
+        id: 1,
+        data: { serviceTypes: [] }
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.status).toBe(400);
+      expect(data.restaurants[0].serviceTypes).toEqual(['takeout']);
+    });
+
+    it('should report missing records', () => {
+      const result = applyOperation(createData(), {
+        type: 'restaurant',
+        action: 'delete',
+        id: 'missing'
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.status).toBe(404);
+    });
+
+    it('should reject duplicate profile IDs', () => {
+      const result = applyOperation(createData(), {
+        type: 'profile',
+        action: 'create',
+        data: { id: 'quick-lunch', name: 'Quick Lunch' }
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.status).toBe(409);
+    });
+
+    it('should remove deleted profiles from restaurants', () => {
+      const data = createData();
+      const result = applyOperation(data, { type: 'profile', action: 'delete', id: 'quick-lunch' });
+
+      expect(result.success).toBe(true);
+      expect(data.profiles).toHaveLength(1);
+      expect(data.restaurants[0].profiles).toEqual([]);
+    });
+  });
+
+  describe('applyOperation document rules', () => {
+    const createData = () => ({
+      profiles: [
+        { id: 'all', name: 'All Restaurants' },
+        { id: 'quick-lunch', name: 'Quick Lunch' }
+      ],
+      restaurants: [
+        {
+          id: 1,
+          name: 'Taco Fiesta',
+          foodTypes: ['Mexican'],
+          serviceTypes: ['takeout'],
+          profiles: ['gone']
+        }
+      ]
+    });
+
+    it('should reject duplicate names and unknown profile references', () => {
+      const result = applyOperation(createData(), {
+        type: 'restaurant',
+        action: 'create',
+        data: {
+          name: 'TACO FIESTA',
+          foodTypes: ['Mexican'],
+          serviceTypes: ['takeout'],
+          profiles: ['late-night']
+        }
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.status).toBe(400);
+      expect(result.fieldErrors.map((e) => e.code)).toEqual(['unknown_reference', 'duplicate']);
+    });
+
+    it('should move and remove weight overrides with their profiles', () => {
+      const data = {
+        profiles: [
+          { id: 'all', name: 'All Restaurants' },
+          { id: 'quick-lunch', name: 'Quick Lunch' },
+          { id: 'team-lunch', name: 'Team Lunch' }
+        ],
+        restaurants: [
+          {
+            id: 1,
+            name: 'Taco Fiesta',
+            foodTypes: ['Mexican'],
+            serviceTypes: ['takeout'],
+            profiles: ['quick-lunch', 'team-lunch'],
+            profileWeights: { 'quick-lunch': 3, 'team-lunch': 2 }
+          }
+        ]
+      };
+
+      applyOperation(data, {
+        type: 'profile',
+        action: 'rename',
+        id: 'quick-lunch',
+        data: { id: 'fast-lunch' }
+      });
+      expect(data.restaurants[0].profileWeights).toEqual({ 'fast-lunch': 3, 'team-lunch': 2 });
+
+      applyOperation(data, {
+        type: 'profile',
+        action: 'merge',
+        id: 'fast-lunch',
+        data: { into: 'team-lunch' }
+      });
+      expect(data.restaurants[0].profileWeights).toEqual({ 'team-lunch': 2 });
+
+      applyOperation(data, { type: 'profile', action: 'delete', id: 'team-lunch' });
+      expect(data.restaurants[0].profileWeights).toBeUndefined();
+
+      const result = applyOperation(data, {
+        type: 'restaurant',
+        action: 'patch',
+        id: 1,
+        data: { profileWeights: { 'late-night': 2 } }
+      });
+      expect(result.fieldErrors.map((e) => [e.field, e.code])).toEqual([
+        ['profileWeights', 'unknown_reference']
+      ]);
+    });
+
+    it('should allow editing a record that already had a dangling reference', () => {
+      const result = applyOperation(createData(), {
+        type: 'restaurant',
+        action: 'patch',
+        id: 1,
+        data: { notes: 'Cash only' }
+      });
+
+      expect(result.success).toBe(true);
+    });
+  });
+
+  describe('findConcurrentChanges', () => {
+    const base = {
+      profiles: [{ id: 'all', name: 'All Restaurants' }],
+      restaurants: [
+        { id: 1, name: 'Taco Fiesta', foodTypes: ['Mexican'], serviceTypes: ['takeout'] },
+        { id: 2, name: 'Golden Dragon', foodTypes: ['Chinese'], serviceTypes: ['delivery'] }
+      ]
+    };
+
+    it('should ignore changes to unrelated records', () => {
+      const latest = structuredClone(base);
+      latest.restaurants[1].notes = 'New owner';
+
+      const conflicts = findConcurrentChanges(base, latest, [
+        { type: 'restaurant', action: 'delete', id: 1 }
+      ]);
+
+      expect(conflicts).toHaveLength(0);
+    });
+
+    it('should detect concurrent edits to the same record', () => {
+      const latest = structuredClone(base);
+      latest.restaurants[0].notes = 'Closed Mondays';
+
+      const conflicts = findConcurrentChanges(base, latest, [
+        {
+          type: 'restaurant',
+          action: 'update',
+          data: { ...base.restaurants[0], notes: 'Cash only' }
+        }
+      ]);
+
+      expect(conflicts).toHaveLength(1);
+      expect(conflicts[0].theirs.notes).toBe('Closed Mondays');
+    });
+
+    it('should detect records created concurrently with the same ID', () => {
+      const latest = structuredClone(base);
+      latest.profiles.push({ id: 'brunch', name: 'Brunch' });
+
+      const conflicts = findConcurrentChanges(base, latest, [
+        { type: 'profile', action: 'create', data: { id: 'brunch', name: 'Weekend Brunch' } }
+      ]);
+
+      expect(conflicts).toHaveLength(1);
+    });
+  });
+
+  describe('parseRestaurantQuery', () => {
+    it('should default to the unfiltered wheel view', () => {
+      const { valid, query } = parseRestaurantQuery(new URLSearchParams(''));
+
+      expect(valid).toBe(true);
+      expect(query.profile).toBe('all');
+      expect(query.service).toBe('all');
+      expect(query.foodTypes).toEqual([]);
+      expect(query.limit).toBeNull();
+    });
+
+    it('should only report filtering for supported parameters', () => {
+      expect(parseRestaurantQuery(new URLSearchParams('v=2')).filtered).toBe(false);
+      expect(parseRestaurantQuery(new URLSearchParams('v=2&q=taco')).filtered).toBe(true);
+      expect(parseRestaurantQuery(new URLSearchParams('offset=0')).filtered).toBe(true);
+    });
+
+    it('should collect repeated food types', () => {
+      const { query } = parseRestaurantQuery(
+        new URLSearchParams('foodType=Thai&foodType=Indian&foodTypeMatch=all')
+      );
+
+      expect(query.foodTypes).toEqual(['Thai', 'Indian']);
+      expect(query.foodTypeMatch).toBe('all');
+    });
+
+    it('should reject invalid parameters', () => {
+      const { valid, errors } = parseRestaurantQuery(
+        new URLSearchParams('service=drive-thru&sort=rating&limit=0&offset=-1')
+      );
+
+      expect(valid).toBe(false);
+      expect(errors).toHaveLength(4);
+    });
+  });
+
+  describe('filterRestaurants', () => {
+    const restaurants = [
+      {
+        id: 1,
+        name: 'Taco Fiesta',
+        foodTypes: ['Mexican'],
+        serviceTypes: ['takeout', 'dine-in'],
+        profiles: ['quick-lunch'],
+        notes: 'Open late'
+      },
+      {
+        id: 2,
+        name: 'Bangkok Garden',
+        foodTypes: ['Thai', 'Vietnamese/Cambodian'],
+        serviceTypes: ['delivery'],
+        profiles: ['date-night']
+      },
+      {
+        id: 3,
+        name: 'Curry House',
+        foodTypes: ['Indian', 'Thai'],
+        serviceTypes: ['takeout', 'delivery'],
+        profiles: ['quick-lunch']
+      }
+    ];
+
+    it('should filter by profile and service type', () => {
+      const result = filterRestaurants(restaurants, {
+        profile: 'quick-lunch',
+        service: 'delivery'
+      });
+
+      expect(result.restaurants.map((r) => r.id)).toEqual([3]);
+    });
+
+    it('should match any or all food types', () => {
+      const any = filterRestaurants(restaurants, { foodTypes: ['Thai', 'Indian'] });
+      const all = filterRestaurants(restaurants, {
+        foodTypes: ['Thai', 'Indian'],
+        foodTypeMatch: 'all'
+      });
+
+      expect(any.total).toBe(2);
+      expect(all.restaurants.map((r) => r.id)).toEqual([3]);
+    });
+
+    it('should search names and notes case-insensitively', () => {
+      expect(filterRestaurants(restaurants, { q: 'garden' }).total).toBe(1);
+      expect(filterRestaurants(restaurants, { q: 'LATE' }).total).toBe(1);
+    });
+
+    it('should sort and page results while reporting the total', () => {
+      const result = filterRestaurants(restaurants, { sort: 'name', limit: 2, offset: 1 });
+
+      expect(result.total).toBe(3);
+      expect(result.restaurants.map((r) => r.name)).toEqual(['Curry House', 'Taco Fiesta']);
+    });
+  });
+
+  describe('diffDocuments', () => {
+    it('should report added, removed and changed records by ID', () => {
+      const before = {
+        profiles: [{ id: 'all', name: 'All Restaurants' }],
+        restaurants: [
+          { id: 1, name: 'Taco Fiesta', notes: '' },
+          { id: 2, name: 'Golden Dragon' }
+        ]
+      };
+      const after = {
+        profiles: [
+          { id: 'all', name: 'All Restaurants' },
+          { id: 'brunch', name: 'Brunch' }
+        ],
+        restaurants: [
+          { id: 1, name: 'Taco Fiesta', notes: 'Cash only' },
+          { id: 3, name: 'Pizza Palace' }
+        ]
+      };
+
+      const diff = diffDocuments(before, after);
+
+      expect(diff.restaurants.added.map((r) => r.id)).toEqual([3]);
+      expect(diff.restaurants.removed.map((r) => r.id)).toEqual([2]);
+      expect(diff.restaurants.changed).toEqual([
+        { id: 1, name: 'Taco Fiesta', fields: [{ field: 'notes', before: '', after: 'Cash only' }] }
+      ]);
+      expect(diff.profiles.added.map((p) => p.id)).toEqual(['brunch']);
+    });
+
+    it('should treat a missing document as empty', () => {
+      const diff = diffDocuments(null, { restaurants: [{ id: 1, name: 'Taco Fiesta' }] });
+
+      expect(diff.restaurants.added).toHaveLength(1);
+      expect(diff.profiles).toEqual({ added: [], removed: [], changed: [] });
+    });
+  });
+
+  describe('migrateDocument', () => {
+    const legacy = {
+      profiles: [{ id: 'all', name: 'All Restaurants' }],
+      restaurants: [
+        { id: 1, name: 'Taco Fiesta', foodTypes: ['Mexican'], serviceTypes: ['takeout'] },
+        { id: 2, name: 'Golden Dragon', foodTypes: ['Chinese'], serviceTypes: ['delivery'] }
+      ]
+    };
+
+    it('should replace integer IDs with UUIDs and keep the old ID', () => {
+      const { data, migrated, fromVersion, idMap } = migrateDocument(legacy);
+
+      expect(migrated).toBe(true);
+      expect(fromVersion).toBe(1);
+      expect(data.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+      expect(Object.keys(idMap)).toEqual(['1', '2']);
+      expect(data.restaurants[0]).toMatchObject({
+        id: idMap['1'],
+        legacyId: 1,
+        name: 'Taco Fiesta'
+      });
+      expect(validateDocument(data).valid).toBe(true);
+
+      // The input document is left untouched
+      expect(legacy.restaurants[0].id).toBe(1);
+    });
+
+    it('should leave current documents unchanged', () => {
+      const { data } = migrateDocument(legacy);
+      const again = migrateDocument(data);
+
+      expect(again.migrated).toBe(false);
+      expect(again.data).toBe(data);
+      expect(again.idMap).toEqual({});
+    });
+
+    it('should still find migrated restaurants by their legacy ID', () => {
+      const { data, idMap } = migrateDocument(legacy);
+
+      expect(findRestaurant(data.restaurants, '2').id).toBe(idMap['2']);
+      expect(findRestaurant(data.restaurants, idMap['2']).name).toBe('Golden Dragon');
+      expect(findRestaurant(data.restaurants, '3')).toBeNull();
+    });
+
+    it('should not let clients set or change legacy IDs', () => {
+      const { data, idMap } = migrateDocument(legacy);
+      const fields = { name: 'Golden Dragon', foodTypes: ['Chinese'], serviceTypes: ['delivery'] };
+
+      applyOperation(data, { type: 'restaurant', action: 'patch', id: '2', data: { legacyId: 1 } });
+      applyOperation(data, {
+        type: 'restaurant',
+        action: 'update',
+        id: idMap['2'],
+        data: { ...fields, id: idMap['2'], legacyId: 1 }
+      });
+      const created = applyOperation(data, {
+        type: 'restaurant',
+        action: 'create',
+        data: { ...fields, name: 'Noodle Bar', legacyId: 1 }
+      });
+
+      expect(data.restaurants.map((r) => r.legacyId)).toEqual([1, 2, undefined]);
+      expect(created.record.legacyId).toBeUndefined();
+      expect(findRestaurant(data.restaurants, '1').name).toBe('Taco Fiesta');
+    });
+
+    it('should refuse documents from a newer schema version', () => {
+      expect(() => migrateDocument({ ...legacy, schemaVersion: 99 })).toThrow('Unsupported');
+    });
+  });
+
+  describe('authorizeOperation', () => {
+    const data = {
+      profiles: [
+        { id: 'all', name: 'All Restaurants' },
+        { id: 'quick-lunch', name: 'Quick Lunch' },
+        { id: 'date-night', name: 'Date Night' }
+      ],
+      restaurants: [
+        { id: 'a', name: 'Taco Fiesta', profiles: ['quick-lunch'] },
+        { id: 'b', name: 'Chez Nous', profiles: ['date-night'] },
+        { id: 'c', name: 'Noodle Bar', profiles: ['quick-lunch', 'date-night'] }
+      ]
+    };
+    const scoped = { role: 'editor', profiles: ['quick-lunch'] };
+
+    it('should leave unscoped editors free to change restaurants but not profiles', () => {
+      const editor = { role: 'editor' };
+
+      expect(
+        authorizeOperation(data, { type: 'restaurant', action: 'delete', id: 'b' }, editor)
+      ).toBeNull();
+      expect(
+        authorizeOperation(data, { type: 'profile', action: 'delete', id: 'date-night' }, editor)
+          .status
+      ).toBe(403);
+      expect(
+        authorizeOperation(
+          data,
+          { type: 'profile', action: 'delete', id: 'date-night' },
+          {
+            role: 'admin'
+          }
+        )
+      ).toBeNull();
+    });
+
+    it('should limit scoped users to restaurants tagged with their profiles', () => {
+      const patch = (id) => ({ type: 'restaurant', action: 'patch', id: id, data: { notes: 'x' } });
+
+      expect(authorizeOperation(data, patch('a'), scoped)).toBeNull();
+      expect(authorizeOperation(data, patch('c'), scoped)).toBeNull();
+
+      const denied = authorizeOperation(data, patch('b'), scoped);
+      expect(denied.status).toBe(403);
+      expect(denied.error).toContain('quick-lunch');
+    });
+
+    it('should only let scoped users add or remove their own profile tags', () => {
+      const retag = (id, profiles) => ({
+        type: 'restaurant',
+        action: 'patch',
+        id: id,
+        data: { profiles: profiles }
+      });
+
+      expect(authorizeOperation(data, retag('c', ['date-night']), scoped)).toBeNull();
+      expect(
+        authorizeOperation(data, retag('a', ['quick-lunch', 'date-night']), scoped).status
+      ).toBe(403);
+      expect(authorizeOperation(data, retag('c', ['quick-lunch']), scoped).status).toBe(403);
+    });
+
+    it('should only let scoped users change weights for their own profiles', () => {
+      const reweight = (profileWeights) => ({
+        type: 'restaurant',
+        action: 'patch',
+        id: 'c',
+        data: { weight: 2, profileWeights: profileWeights }
+      });
+
+      expect(authorizeOperation(data, reweight({ 'quick-lunch': 3 }), scoped)).toBeNull();
+      expect(authorizeOperation(data, reweight({ 'date-night': 3 }), scoped).status).toBe(403);
+      expect(
+        authorizeOperation(
+          data,
+          {
+            type: 'restaurant',
+            action: 'create',
+            data: { name: 'New', profiles: ['quick-lunch'], profileWeights: { all: 2 } }
+          },
+          scoped
+        ).status
+      ).toBe(403);
+    });
+
+    it('should check new and deleted restaurants against the scope', () => {
+      const create = (profiles) => ({
+        type: 'restaurant',
+        action: 'create',
+        data: { name: 'New', profiles: profiles }
+      });
+
+      expect(authorizeOperation(data, create(['quick-lunch']), scoped)).toBeNull();
+      expect(authorizeOperation(data, create([]), scoped).status).toBe(403);
+      expect(
+        authorizeOperation(data, { type: 'restaurant', action: 'delete', id: 'a' }, scoped)
+      ).toBeNull();
+      expect(
+        authorizeOperation(data, { type: 'restaurant', action: 'delete', id: 'c' }, scoped).status
+      ).toBe(403);
+    });
+
+    it('should let scoped users edit only their own profiles', () => {
+      const update = (id) => ({ type: 'profile', action: 'update', data: { id: id, name: 'New' } });
+
+      expect(authorizeOperation(data, update('quick-lunch'), scoped)).toBeNull();
+      expect(authorizeOperation(data, update('date-night'), scoped).status).toBe(403);
+      expect(
+        authorizeOperation(
+          data,
+          { type: 'profile', action: 'merge', id: 'quick-lunch', data: { into: 'all' } },
+          scoped
+        ).status
+      ).toBe(403);
+    });
+
+    it('should only let admins delete profiles, whatever their scope', () => {
+      const remove = { type: 'profile', action: 'delete', id: 'quick-lunch' };
+
+      const denied = authorizeOperation(data, remove, scoped);
+      expect(denied.status).toBe(403);
+      expect(denied.error).toContain('admin role');
+      expect(
+        authorizeOperation(data, remove, { role: 'admin', profiles: ['quick-lunch'] })
+      ).toBeNull();
+      expect(
+        authorizeOperation(
+          data,
+          { type: 'profile', action: 'delete', id: 'date-night' },
+          { role: 'admin', profiles: ['quick-lunch'] }
+        ).status
+      ).toBe(403);
+    });
+  });
+
+  describe('getCorsHeaders', () => {
+    const env = { ALLOWED_ORIGIN: 'https://wheel.example.com, https://*.intranet.example.org' };
+
+    function requestFrom(origin) {
+      return new Request('http://localhost/api/restaurants', { headers: { Origin: origin } });
+    }
+
+    it('should allow every origin when no allowlist is set', () => {
+      const headers = getCorsHeaders({}, requestFrom('https://anywhere.test'));
+
+      expect(headers['Access-Control-Allow-Origin']).toBe('*');
+      expect(headers['Access-Control-Max-Age']).toBe('86400');
+    });
+
+    it('should match exact origins and wildcard subdomains', () => {
+      expect(isOriginAllowed(env, 'https://wheel.example.com')).toBe(true);
+      expect(isOriginAllowed(env, 'https://hr.intranet.example.org')).toBe(true);
+      expect(isOriginAllowed(env, 'https://a.b.intranet.example.org')).toBe(true);
+      expect(isOriginAllowed(env, 'https://intranet.example.org')).toBe(false);
+      expect(isOriginAllowed(env, 'http://hr.intranet.example.org')).toBe(false);
+      expect(isOriginAllowed(env, 'https://evilintranet.example.org')).toBe(false);
+      expect(isOriginAllowed(env, 'https://wheel.example.com.evil.test')).toBe(false);
+    });
+
+    it('should echo an allowed origin and vary on it', () => {
+      const headers = getCorsHeaders(env, requestFrom('https://hr.intranet.example.org'));
+
+      expect(headers['Access-Control-Allow-Origin']).toBe('https://hr.intranet.example.org');
+      expect(headers.Vary).toBe('Origin');
+    });
+
+    it('should leave out the allowed origin for other origins', () => {
+      const headers = getCorsHeaders(env, requestFrom('https://evil.test'));
+
+      expect(headers['Access-Control-Allow-Origin']).toBeUndefined();
+      expect(headers.Vary).toBe('Origin');
+    });
   });
 });
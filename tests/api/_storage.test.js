@@ -0,0 +1,125 @@
+/**
+ * Storage Backend Tests
+ *
+ * Tests for backend selection and the local in-memory backend
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  getStorage,
+  resetLocalStorage,
+  createEmptyDocument,
+  isConflictError
+} from '../../functions/api/_storage.js';
+
+describe('Storage Backends', () => {
+  beforeEach(() => {
+    resetLocalStorage();
+  });
+
+  describe('getStorage', () => {
+    it('should default to the GitHub backend', () => {
+      const storage = getStorage({});
+
+      expect(storage.constructor.name).toBe('GitHubStorage');
+    });
+
+    it('should reject unknown backends', () => {
+      expect(() => getStorage({ STORAGE_BACKEND: 'ftp' })).toThrow('Unknown STORAGE_BACKEND');
+    });
+
+    it('should keep accounts and API keys out of the GitHub backend', async () => {
+      const storage = getStorage({ GITHUB_REPO: 'someone/public-repo' }, 'users');
+
+      expect(await storage.read()).toEqual({ data: { users: [] }, version: null });
+      await expect(storage.write({ users: [] }, null, 'Add user: sam')).rejects.toMatchObject({
+        status: 501
+      });
+      expect(await getStorage({}, 'apiKeys').read()).toEqual({
+        data: { apiKeys: [] },
+        version: null
+      });
+      expect(getStorage({ STORAGE_BACKEND: 'local' }, 'users').constructor.name).toBe(
+        'LocalStorage'
+      );
+    });
+
+    it('should require bindings for KV and D1', () => {
+      expect(() => getStorage({ STORAGE_BACKEND: 'kv' })).toThrow('DATA_KV');
+      expect(() => getStorage({ STORAGE_BACKEND: 'd1' })).toThrow('DATA_DB');
+    });
+  });
+
+  describe('local backend', () => {
+    const env = { STORAGE_BACKEND: 'local' };
+
+    it('should start from an empty document without an ASSETS binding', async () => {
+      const { data, version } = await getStorage(env).read();
+
+      expect(data).toEqual(createEmptyDocument());
+      expect(version).toBeDefined();
+    });
+
+    it('should seed from restaurants.json served by ASSETS', async () => {
+      const seed = { profiles: [{ id: 'all', name: 'All Restaurants' }], restaurants: [{ id: 1 }] };
+      const assetsEnv = {
+        ...env,
+        ASSETS: { fetch: async () => new Response(JSON.stringify(seed)) }
+      };
+
+      const { data } = await getStorage(assetsEnv).read();
+
+      expect(data.restaurants).toHaveLength(1);
+    });
+
+    it('should write when the version matches and bump the version', async () => {
+      const storage = getStorage(env);
+      const { data, version } = await storage.read();
+      data.restaurants.push({ id: 'abc', name: 'Pizza Palace' });
+
+      const result = await storage.write(data, version, 'Add restaurant: Pizza Palace');
+      const reread = await storage.read();
+
+      expect(result.version).not.toBe(version);
+      expect(reread.version).toBe(result.version);
+      expect(reread.data.restaurants).toHaveLength(1);
+    });
+
+    it('should reject writes against a stale version', async () => {
+      const storage = getStorage(env);
+      const { data, version } = await storage.read();
+      await storage.write(data, version, 'First write');
+
+      const error = await storage.write(data, version, 'Second write').catch((e) => e);
+
+      expect(isConflictError(error)).toBe(true);
+    });
+
+    it('should keep changes in DATA_KV across restarts when it is bound', async () => {
+      const saved = new Map();
+      const kvEnv = {
+        ...env,
+        DATA_KV: {
+          get: async (key) => (saved.has(key) ? JSON.parse(saved.get(key)) : null),
+          put: async (key, value) => {
+            saved.set(key, value);
+          }
+        }
+      };
+      const storage = getStorage(kvEnv);
+      const { data, version } = await storage.read();
+      data.restaurants.push({ id: 'abc', name: 'Pizza Palace' });
+      await storage.write(data, version, 'Add restaurant: Pizza Palace');
+
+      // A restart loses everything held in memory
+      resetLocalStorage();
+      const restarted = getStorage(kvEnv);
+
+      expect((await restarted.read()).data.restaurants).toHaveLength(1);
+      expect((await restarted.listVersions(10)).map((entry) => entry.message)).toEqual([
+        'Add restaurant: Pizza Palace',
+        'Load restaurants.json'
+      ]);
+    });
+  });
+});
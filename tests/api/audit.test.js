@@ -0,0 +1,201 @@
+/**
+ * Audit Log Tests
+ *
+ * Tests for commit attribution, audit entries written by mutating endpoints and /api/audit
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { env } from 'cloudflare:test';
+import { onRequestGet } from '../../functions/api/audit.js';
+import { onRequestPost as onRequestCreateRestaurant } from '../../functions/api/restaurants.js';
+import { onRequestDelete as onRequestDeleteRestaurant } from '../../functions/api/restaurants/[id].js';
+import { onRequestPost as onRequestCreateUser } from '../../functions/api/users.js';
+import { onRequestPatch as onRequestPatchUser } from '../../functions/api/users/[username].js';
+import { onRequestGet as onRequestHistory } from '../../functions/api/history.js';
+import { onRequestPost as onRequestLogin } from '../../functions/api/auth.js';
+import { onRequestPost as onRequestLogout } from '../../functions/api/auth/logout.js';
+import { resetLocalStorage } from '../../functions/api/_storage.js';
+import { resetAuditLog, recordAuthEvent, listAuditEntries } from '../../functions/api/_audit.js';
+import { resetRateLimits } from '../../functions/api/_ratelimit.js';
+import { localEnv, apiRequest } from './_helpers.js';
+
+function requestAs(username, role, url, method, body) {
+  return apiRequest(url, {
+    method: method,
+    body: body,
+    user: { sub: username, role: role },
+    headers: { 'CF-Connecting-IP': '203.0.113.7' }
+  });
+}
+
+async function queryAudit(query = '') {
+  const request = await requestAs('admin', 'admin', `http://localhost/api/audit${query}`, 'GET');
+  const response = await onRequestGet({ request, env: localEnv });
+  return { status: response.status, data: await response.json() };
+}
+
+async function createRestaurant(username, name) {
+  const request = await requestAs(username, 'editor', 'http://localhost/api/restaurants', 'POST', {
+    name: name,
+    foodTypes: ['Pizza'],
+    serviceTypes: ['takeout']
+  });
+  const response = await onRequestCreateRestaurant({ request, env: localEnv });
+  return (await response.json()).restaurant;
+}
+
+describe('Audit Log', () => {
+  beforeEach(() => {
+    resetLocalStorage({ profiles: [{ id: 'all', name: 'All Restaurants' }], restaurants: [] });
+    resetLocalStorage({ users: [] }, 'users');
+    resetAuditLog();
+    resetRateLimits();
+  });
+
+  it('should record who changed what, from where', async () => {
+    const restaurant = await createRestaurant('sam', 'Pizza Palace');
+
+    const request = await requestAs(
+      'alex',
+      'editor',
+      `http://localhost/api/restaurants/${restaurant.id}`,
+      'DELETE'
+    );
+    await onRequestDeleteRestaurant({ request, env: localEnv, params: { id: restaurant.id } });
+
+    const { data } = await queryAudit();
+
+    expect(data.entries).toHaveLength(2);
+    expect(data.entries[0]).toMatchObject({
+      actor: { sub: 'alex', role: 'editor' },
+      ip: '203.0.113.7',
+      method: 'DELETE',
+      path: `/api/restaurants/${restaurant.id}`,
+      action: 'Delete restaurant: Pizza Palace',
+      document: 'restaurants'
+    });
+    expect(data.entries[0].changes.restaurants.removed[0].name).toBe('Pizza Palace');
+    expect(data.entries[1].actor.sub).toBe('sam');
+    expect(data.entries[1].changes.restaurants.added[0].id).toBe(restaurant.id);
+  });
+
+  it('should name the actor in the change history', async () => {
+    await createRestaurant('sam', 'Pizza Palace');
+
+    const request = await requestAs('sam', 'viewer', 'http://localhost/api/history', 'GET');
+    const { history } = await (await onRequestHistory({ request, env: localEnv })).json();
+
+    expect(history[0]).toMatchObject({ message: 'Add restaurant: Pizza Palace', author: 'sam' });
+  });
+
+  it('should filter entries', async () => {
+    await createRestaurant('sam', 'Pizza Palace');
+    await createRestaurant('alex', 'Taco Town');
+
+    expect((await queryAudit('?actor=sam')).data.entries.map((e) => e.action)).toEqual([
+      'Add restaurant: Pizza Palace'
+    ]);
+    expect((await queryAudit('?q=taco')).data.entries).toHaveLength(1);
+    expect((await queryAudit('?document=users')).data.entries).toHaveLength(0);
+    expect((await queryAudit('?since=2999-01-01')).data.entries).toHaveLength(0);
+    expect((await queryAudit('?document=menus')).status).toBe(400);
+  });
+
+  it('should page through entries with a cursor', async () => {
+    await createRestaurant('sam', 'Pizza Palace');
+    await createRestaurant('sam', 'Taco Town');
+    await createRestaurant('sam', 'Noodle Bar');
+
+    const first = await queryAudit('?limit=2');
+    const second = await queryAudit(`?limit=2&cursor=${first.data.cursor}`);
+
+    expect(first.data.entries).toHaveLength(2);
+    expect(second.data.entries.map((e) => e.action)).toEqual(['Add restaurant: Pizza Palace']);
+    expect(second.data.cursor).toBeNull();
+  });
+
+  it('should redact password hashes', async () => {
+    const create = await requestAs('admin', 'admin', 'http://localhost/api/users', 'POST', {
+      username: 'sam',
+      password: 'a-long-password',
+      role: 'editor'
+    });
+    await onRequestCreateUser({ request: create, env: localEnv });
+
+    const patch = await requestAs('admin', 'admin', 'http://localhost/api/users/sam', 'PATCH', {
+      password: 'another-long-password'
+    });
+    await onRequestPatchUser({ request: patch, env: localEnv, params: { username: 'sam' } });
+
+    const { data } = await queryAudit('?document=users');
+
+    expect(JSON.stringify(data)).not.toContain('pbkdf2');
+    expect(data.entries[0].changes.users.changed[0].fields).toEqual([
+      { field: 'passwordHash', before: '[redacted]', after: '[redacted]' }
+    ]);
+    expect(data.entries[1].changes.users.added[0]).toMatchObject({ username: 'sam' });
+  });
+
+  it('should record failed logins, lockouts and revoked sessions', async () => {
+    const post = async (handler, url, body) =>
+      handler({
+        request: await apiRequest(url, {
+          method: 'POST',
+          body: body,
+          headers: { 'CF-Connecting-IP': '203.0.113.7' }
+        }),
+        env: localEnv
+      });
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      await post(onRequestLogin, 'http://localhost/api/auth', {
+        username: 'sam',
+        password: 'wrong-password'
+      });
+    }
+    const login = await post(onRequestLogin, 'http://localhost/api/auth', {
+      password: env.ADMIN_PASSWORD
+    });
+    const { refreshToken } = await login.json();
+    await post(onRequestLogout, 'http://localhost/api/auth/logout', { refreshToken });
+
+    const { data } = await queryAudit('?document=auth');
+
+    expect(data.entries.map((e) => e.action)).toEqual([
+      'Session revoked: logged out',
+      'Account locked out after failed logins',
+      'Failed login',
+      'Failed login',
+      'Failed login',
+      'Failed login'
+    ]);
+    expect(data.entries[0]).toMatchObject({ actor: { sub: 'admin' }, path: '/api/auth/logout' });
+    expect(data.entries[1]).toMatchObject({
+      actor: { sub: 'anonymous' },
+      ip: '203.0.113.7',
+      details: { username: 'sam', retryAfter: expect.any(Number) }
+    });
+    expect(data.entries[2].details).toEqual({ username: 'sam' });
+    expect(JSON.stringify(data)).not.toContain('wrong-password');
+  });
+
+  it('should keep only the newest entries in memory without AUDIT_KV', async () => {
+    const context = { request: new Request('http://localhost/api/auth'), env: {} };
+    for (let attempt = 0; attempt < 1005; attempt++) {
+      await recordAuthEvent(context, { sub: 'anonymous' }, 'Failed login', { attempt });
+    }
+
+    const { entries, cursor } = await listAuditEntries({}, {}, { limit: 1000 });
+
+    expect(entries).toHaveLength(1000);
+    expect(entries[0].details.attempt).toBe(1004);
+    expect(cursor).toBeNull();
+  });
+
+  it('should only let admins read the audit log', async () => {
+    const request = await requestAs('sam', 'editor', 'http://localhost/api/audit', 'GET');
+    const response = await onRequestGet({ request, env: localEnv });
+
+    expect(response.status).toBe(403);
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Batch API Tests
+ *
+ * Tests for /api/batch against the local storage backend
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { onRequestPost } from '../../functions/api/batch.js';
+import { getStorage, resetLocalStorage } from '../../functions/api/_storage.js';
+import { localEnv, ADMIN, apiRequest } from './_helpers.js';
+
+function batchRequest(operations) {
+  return apiRequest('http://localhost/api/batch', {
+    method: 'POST',
+    body: { operations },
+    user: ADMIN
+  });
+}
+
+describe('Batch API', () => {
+  beforeEach(() => {
+    resetLocalStorage({
+      profiles: [{ id: 'all', name: 'All Restaurants' }],
+      restaurants: [
+        { id: 1, name: 'Taco Fiesta', foodTypes: ['Mexican'], serviceTypes: ['takeout'] }
+      ]
+    });
+  });
+
+  it('should apply all operations in a single write', async () => {
+    const { version } = await getStorage(localEnv).read();
+
+    const request = await batchRequest([
+      { type: 'profile', action: 'create', data: { id: 'brunch', name: 'Brunch' } },
+      {
+        type: 'restaurant',
+        action: 'create',
+        data: { name: 'Pizza Palace', foodTypes: ['Pizza'], serviceTypes: ['delivery'] }
+      },
+      { type: 'restaurant', action: 'delete', id: 1 }
+    ]);
+    const response = await onRequestPost({ request, env: localEnv });
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body.results.every((r) => r.success)).toBe(true);
+
+    const stored = await getStorage(localEnv).read();
+    expect(Number(stored.version)).toBe(Number(version) + 1);
+    expect(stored.data.profiles).toHaveLength(2);
+    expect(stored.data.restaurants.map((r) => r.name)).toEqual(['Pizza Palace']);
+  });
+
+  it('should reject the whole batch when one operation is invalid', async () => {
+    const request = await batchRequest([
+      { type: 'profile', action: 'create', data: { id: 'brunch', name: 'Brunch' } },
+      { type: 'restaurant', action: 'create', data: { name: '' } }
+    ]);
+    const response = await onRequestPost({ request, env: localEnv });
+    const body = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(body.results[0].success).toBe(true);
+    expect(body.results[1].success).toBe(false);
+
+    const stored = await getStorage(localEnv).read();
+    expect(stored.data.profiles).toHaveLength(1);
+  });
+
+  it('should save nothing when an operation cannot be applied', async () => {
+    const request = await batchRequest([
+      { type: 'profile', action: 'create', data: { id: 'brunch', name: 'Brunch' } },
+      { type: 'restaurant', action: 'delete', id: 'missing' }
+    ]);
+    const response = await onRequestPost({ request, env: localEnv });
+
+    expect(response.status).toBe(404);
+
+    const stored = await getStorage(localEnv).read();
+    expect(stored.data.profiles).toHaveLength(1);
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Group Session Tests
+ *
+ * Tests for starting, joining and voting in group sessions with /api/groups
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { onRequestPost as onRequestCreate } from '../../functions/api/groups.js';
+import { onRequestGet } from '../../functions/api/groups/[code].js';
+import { onRequestPost as onRequestJoin } from '../../functions/api/groups/[code]/participants.js';
+import { onRequestPut as onRequestVote } from '../../functions/api/groups/[code]/votes.js';
+import { onRequestPost as onRequestResult } from '../../functions/api/groups/[code]/result.js';
+import { resetLocalStorage } from '../../functions/api/_storage.js';
+import { localEnv, apiRequest } from './_helpers.js';
+
+const TACOS = '0b6a4a3e-8c53-4d0e-9b5a-2f1f6f2f0a01';
+const PIZZA = '0b6a4a3e-8c53-4d0e-9b5a-2f1f6f2f0a02';
+const NOODLES = '0b6a4a3e-8c53-4d0e-9b5a-2f1f6f2f0a03';
+
+async function call(handler, method, path, params, body, token) {
+  const request = await apiRequest(`http://localhost/api/groups${path}`, {
+    method: method,
+    body: body,
+    headers: token ? { 'X-Group-Token': token } : {}
+  });
+  const response = await handler({ request, env: localEnv, params: params });
+  return { status: response.status, data: await response.json() };
+}
+
+async function startGroup(details = {}) {
+  const { data } = await call(
+    onRequestCreate,
+    'POST',
+    '',
+    {},
+    {
+      candidates: [TACOS, PIZZA, NOODLES],
+      ...details
+    }
+  );
+  return data;
+}
+
+async function join(code, name) {
+  const { data } = await call(onRequestJoin, 'POST', `/${code}/participants`, { code }, { name });
+  return data;
+}
+
+function vote(code, token, votes) {
+  return call(onRequestVote, 'PUT', `/${code}/votes`, { code }, votes, token);
+}
+
+describe('Group Sessions', () => {
+  beforeEach(() => {
+    resetLocalStorage({
+      schemaVersion: 2,
+      profiles: [{ id: 'all', name: 'All Restaurants' }],
+      restaurants: [
+        { id: TACOS, name: 'Taco Town', foodTypes: ['Mexican'], serviceTypes: ['takeout'] },
+        { id: PIZZA, name: 'Pizza Palace', foodTypes: ['Pizza'], serviceTypes: ['delivery'] },
+        { id: NOODLES, name: 'Noodle Bar', foodTypes: ['Asian'], serviceTypes: ['dine-in'] }
+      ]
+    });
+  });
+
+  it('should start a session over the candidates with a short code', async () => {
+    const data = await startGroup({ upvotes: 2 });
+
+    expect(data.group.code).toMatch(/^[A-Z2-9]{6}$/);
+    expect(data.group.candidates.map((c) => c.name)).toEqual([
+      'Taco Town',
+      'Pizza Palace',
+      'Noodle Bar'
+    ]);
+    expect(data.group.limits).toEqual({ upvotes: 2, vetoes: 1 });
+    expect(data.hostToken).toMatch(/^[0-9a-f]{64}$/);
+    expect(data.group.hostTokenHash).toBeUndefined();
+
+    const missing = await call(onRequestCreate, 'POST', '', {}, { candidates: ['nope'] });
+    expect(missing.status).toBe(404);
+  });
+
+  it('should count votes and leave vetoed candidates off the wheel', async () => {
+    const { group } = await startGroup();
+    const sam = await join(group.code, 'Sam');
+    const alex = await join(group.code.toLowerCase(), 'Alex');
+
+    await vote(group.code, sam.token, { upvotes: [TACOS, PIZZA], vetoes: [] });
+    const { status, data } = await vote(group.code, alex.token, {
+      upvotes: [TACOS],
+      vetoes: [NOODLES]
+    });
+
+    expect(status).toBe(200);
+    expect(data.candidates).toMatchObject([
+      { id: TACOS, upvotes: 2, eliminated: false, weight: 3 },
+      { id: PIZZA, upvotes: 1, eliminated: false, weight: 2 },
+      { id: NOODLES, vetoes: 1, vetoedBy: ['Alex'], eliminated: true }
+    ]);
+
+    const state = await call(onRequestGet, 'GET', `/${group.code}`, { code: group.code });
+    expect(state.data.participants.map((p) => p.name)).toEqual(['Sam', 'Alex']);
+    expect(JSON.stringify(state.data)).not.toContain('tokenHash');
+  });
+
+  it('should enforce vote limits and require a participant token', async () => {
+    const { group } = await startGroup();
+    const sam = await join(group.code, 'Sam');
+
+    expect((await vote(group.code, null, { upvotes: [], vetoes: [] })).status).toBe(401);
+    expect((await vote(group.code, 'not-a-token', { upvotes: [], vetoes: [] })).status).toBe(401);
+
+    const tooMany = await vote(group.code, sam.token, { upvotes: [], vetoes: [TACOS, PIZZA] });
+    expect(tooMany.status).toBe(400);
+    expect(tooMany.data.error).toContain('No more than 1 vetoes');
+
+    const both = await vote(group.code, sam.token, { upvotes: [TACOS], vetoes: [TACOS] });
+    expect(both.status).toBe(400);
+  });
+
+  it('should let only the host record a result, which closes the session', async () => {
+    const { group, hostToken } = await startGroup();
+    const sam = await join(group.code, 'Sam');
+    await vote(group.code, sam.token, { upvotes: [], vetoes: [PIZZA] });
+
+    const path = `/${group.code}/result`;
+    const params = { code: group.code };
+    expect(
+      (await call(onRequestResult, 'POST', path, params, { restaurantId: TACOS }, sam.token)).status
+    ).toBe(403);
+    expect(
+      (await call(onRequestResult, 'POST', path, params, { restaurantId: PIZZA }, hostToken)).status
+    ).toBe(400);
+
+    const { status, data } = await call(
+      onRequestResult,
+      'POST',
+      path,
+      params,
+      { restaurantId: TACOS },
+      hostToken
+    );
+    expect(status).toBe(200);
+    expect(data.group.result).toMatchObject({ id: TACOS, name: 'Taco Town' });
+
+    expect((await vote(group.code, sam.token, { upvotes: [], vetoes: [] })).status).toBe(409);
+    const late = await call(onRequestJoin, 'POST', `/${group.code}/participants`, params, {
+      name: 'Jo'
+    });
+    expect(late.status).toBe(409);
+  });
+
+  it('should turn off group voting without GROUPS_KV', async () => {
+    const request = await apiRequest('http://localhost/api/groups', {
+      method: 'POST',
+      body: { candidates: [TACOS, PIZZA] }
+    });
+    const response = await onRequestCreate({
+      request,
+      env: { ...localEnv, GROUPS_KV: undefined },
+      params: {}
+    });
+
+    expect(response.status).toBe(501);
+    expect((await response.json()).error).toContain('GROUPS_KV');
+  });
+});
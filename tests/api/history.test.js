@@ -0,0 +1,86 @@
+/**
+ * History API Tests
+ *
+ * Tests for /api/history against the local storage backend
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { onRequestGet as onRequestList } from '../../functions/api/history.js';
+import { onRequestGet as onRequestDetails } from '../../functions/api/history/[sha].js';
+import { onRequestPost as onRequestRevert } from '../../functions/api/history/[sha]/revert.js';
+import { commitOperations } from '../../functions/api/_shared.js';
+import { getStorage, resetLocalStorage } from '../../functions/api/_storage.js';
+import { localEnv, ADMIN, apiRequest } from './_helpers.js';
+
+function authorizedRequest(url, method = 'GET') {
+  return apiRequest(url, { method: method, user: ADMIN });
+}
+
+describe('History API', () => {
+  beforeEach(async () => {
+    resetLocalStorage({
+      profiles: [{ id: 'all', name: 'All Restaurants' }],
+      restaurants: [
+        { id: 1, name: 'Taco Fiesta', foodTypes: ['Mexican'], serviceTypes: ['takeout'] }
+      ]
+    });
+
+    await commitOperations(localEnv, [
+      {
+        type: 'restaurant',
+        action: 'patch',
+        id: 1,
+        data: { notes: 'Cash only' }
+      }
+    ]);
+  });
+
+  it('should require authentication', async () => {
+    const request = new Request('http://localhost/api/history');
+    const response = await onRequestList({ request, env: localEnv });
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should list changes newest first', async () => {
+    const request = await authorizedRequest('http://localhost/api/history');
+    const response = await onRequestList({ request, env: localEnv });
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body.history.map((entry) => entry.version)).toEqual(['2', '1']);
+    expect(body.history[0].message).toBe('Update restaurant: Taco Fiesta');
+  });
+
+  it('should diff a version against its parent', async () => {
+    const request = await authorizedRequest('http://localhost/api/history/2');
+    const response = await onRequestDetails({ request, env: localEnv, params: { sha: '2' } });
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body.entry.parent).toBe('1');
+    expect(body.diff.restaurants.changed[0].fields).toEqual([
+      { field: 'notes', before: undefined, after: 'Cash only' }
+    ]);
+  });
+
+  it('should return 404 for unknown versions', async () => {
+    const request = await authorizedRequest('http://localhost/api/history/99');
+    const response = await onRequestDetails({ request, env: localEnv, params: { sha: '99' } });
+
+    expect(response.status).toBe(404);
+  });
+
+  it('should restore a previous version as a new change', async () => {
+    const request = await authorizedRequest('http://localhost/api/history/1/revert', 'POST');
+    const response = await onRequestRevert({ request, env: localEnv, params: { sha: '1' } });
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body.revertedTo).toBe('1');
+    expect(body.version).toBe('3');
+
+    const { data } = await getStorage(localEnv).read();
+    expect(data.restaurants[0].notes).toBeUndefined();
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * JWT Helper Tests
+ *
+ * Tests for token signing and verification, and for signing key rotation in _sessions.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { env } from 'cloudflare:test';
+import { sign, decode, verify } from '../../functions/api/jwt-helper.js';
+import { signToken, verifyToken } from '../../functions/api/_sessions.js';
+
+const SECRET = 'test-secret-for-jwt-helper-at-least-32-characters';
+
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+// Encode a token part the way jwt-helper does
+function encodePart(value) {
+  return btoa(JSON.stringify(value)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=/g, '');
+}
+
+describe('jwt-helper', () => {
+  it('should return the verified header and payload', async () => {
+    const token = await sign({ sub: 'sam', exp: now() + 60 }, SECRET);
+
+    const decoded = await decode(token, SECRET);
+
+    expect(decoded.header).toEqual({ alg: 'HS256', typ: 'JWT' });
+    expect(decoded.payload.sub).toBe('sam');
+    expect(await verify(token, SECRET)).toBe(true);
+  });
+
+  it('should reject a wrong secret', async () => {
+    const token = await sign({ sub: 'sam' }, SECRET);
+
+    expect(await decode(token, 'another-secret-that-is-at-least-32-chars')).toBeNull();
+  });
+
+  it('should reject tokens with a different alg', async () => {
+    const token = await sign({ sub: 'sam' }, SECRET);
+    const [, payload, signature] = token.split('.');
+
+    const noneToken = `${encodePart({ alg: 'none', typ: 'JWT' })}.${payload}.`;
+    const otherToken = `${encodePart({ alg: 'HS512', typ: 'JWT' })}.${payload}.${signature}`;
+
+    expect(await decode(noneToken, SECRET)).toBeNull();
+    expect(await decode(otherToken, SECRET)).toBeNull();
+  });
+
+  it('should check the key named by kid', async () => {
+    const keys = [
+      { kid: 'new', secret: 'new-secret-that-is-at-least-32-characters' },
+      { kid: 'old', secret: 'old-secret-that-is-at-least-32-characters' }
+    ];
+    const oldToken = await sign({ sub: 'sam' }, keys[1].secret, { kid: 'old' });
+    const wrongKid = await sign({ sub: 'sam' }, keys[1].secret, { kid: 'new' });
+    const unknownKid = await sign({ sub: 'sam' }, keys[1].secret, { kid: 'gone' });
+
+    expect(await verify(oldToken, keys)).toBe(true);
+    expect(await verify(wrongKid, keys)).toBe(false);
+    expect(await verify(unknownKid, keys)).toBe(false);
+  });
+
+  it('should allow clock skew for exp and nbf', async () => {
+    const justExpired = await sign({ exp: now() - 10 }, SECRET);
+    const longExpired = await sign({ exp: now() - 120 }, SECRET);
+    const almostValid = await sign({ nbf: now() + 10 }, SECRET);
+    const notYetValid = await sign({ nbf: now() + 120 }, SECRET);
+
+    expect(await verify(justExpired, SECRET)).toBe(true);
+    expect(await verify(longExpired, SECRET)).toBe(false);
+    expect(await verify(almostValid, SECRET)).toBe(true);
+    expect(await verify(notYetValid, SECRET)).toBe(false);
+    expect(await verify(justExpired, SECRET, { clockTolerance: 0 })).toBe(false);
+  });
+
+  it('should check issuer and audience when given', async () => {
+    const token = await sign({ iss: 'picker', aud: ['picker-api', 'other'] }, SECRET);
+
+    expect(await verify(token, SECRET, { issuer: 'picker', audience: 'picker-api' })).toBe(true);
+    expect(await verify(token, SECRET, { issuer: 'someone-else' })).toBe(false);
+    expect(await verify(token, SECRET, { audience: 'another-api' })).toBe(false);
+  });
+});
+
+describe('signing key rotation', () => {
+  const rotatedEnv = {
+    JWT_SECRETS: JSON.stringify({
+      '2025-02': 'current-secret-that-is-at-least-32-characters',
+      '2025-01': 'previous-secret-that-is-at-least-32-characters'
+    }),
+    JWT_SECRET: env.JWT_SECRET
+  };
+
+  it('should sign with the first key and name the issuer and audience', async () => {
+    const token = await signToken(rotatedEnv, { sub: 'sam', exp: now() + 60 });
+
+    const decoded = await decode(token, [
+      { kid: '2025-02', secret: 'current-secret-that-is-at-least-32-characters' }
+    ]);
+
+    expect(decoded.header.kid).toBe('2025-02');
+    expect(decoded.payload).toMatchObject({
+      iss: 'restaurant-picker',
+      aud: 'restaurant-picker-api'
+    });
+  });
+
+  it('should accept tokens signed with an older key or JWT_SECRET', async () => {
+    const olderEnv = {
+      JWT_SECRETS: JSON.stringify({
+        '2025-01': 'previous-secret-that-is-at-least-32-characters'
+      })
+    };
+    const oldToken = await signToken(olderEnv, { sub: 'sam', exp: now() + 60 });
+    const legacyToken = await signToken({ JWT_SECRET: env.JWT_SECRET }, { sub: 'sam' });
+
+    expect((await verifyToken(rotatedEnv, oldToken)).sub).toBe('sam');
+    expect((await verifyToken(rotatedEnv, legacyToken)).sub).toBe('sam');
+  });
+
+  it('should reject tokens without the expected issuer or audience', async () => {
+    const bare = await sign({ sub: 'sam', exp: now() + 60 }, env.JWT_SECRET);
+    const foreign = await signToken({ ...env, JWT_AUDIENCE: 'another-api' }, { sub: 'sam' });
+
+    expect(await verifyToken(env, bare)).toBeNull();
+    expect(await verifyToken(env, foreign)).toBeNull();
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * API Keys Tests
+ *
+ * Tests for /api/keys and requests authenticated with API keys
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { onRequestGet, onRequestPost } from '../../functions/api/keys.js';
+import { onRequestDelete } from '../../functions/api/keys/[id].js';
+import { onRequestPost as onRequestCreateRestaurant } from '../../functions/api/restaurants.js';
+import { onRequestGet as onRequestHistory } from '../../functions/api/history.js';
+import { resetLocalStorage } from '../../functions/api/_storage.js';
+import { resetApiKeyUsage } from '../../functions/api/_apikeys.js';
+import { localEnv, ADMIN, apiRequest } from './_helpers.js';
+
+function adminRequest(url, method, body) {
+  return apiRequest(url, { method: method, body: body, user: ADMIN });
+}
+
+async function createKey(details) {
+  const request = await adminRequest('http://localhost/api/keys', 'POST', details);
+  const response = await onRequestPost({ request, env: localEnv });
+  return { status: response.status, data: await response.json() };
+}
+
+function restaurantRequest(headers, restaurant) {
+  return apiRequest('http://localhost/api/restaurants', {
+    method: 'POST',
+    body: restaurant,
+    headers: headers
+  });
+}
+
+const PIZZA = { name: 'Pizza Palace', foodTypes: ['Pizza'], serviceTypes: ['takeout'] };
+
+describe('API Keys', () => {
+  beforeEach(() => {
+    resetLocalStorage({
+      profiles: [
+        { id: 'all', name: 'All Restaurants' },
+        { id: 'quick-lunch', name: 'Quick Lunch' }
+      ],
+      restaurants: []
+    });
+    resetLocalStorage({ apiKeys: [] }, 'apiKeys');
+    resetApiKeyUsage();
+  });
+
+  it('should return the key once and list it without its hash', async () => {
+    const { status, data } = await createKey({ label: 'Lunch bot', scope: 'read' });
+
+    expect(status).toBe(200);
+    expect(data.key).toMatch(/^rpk_[0-9a-f]{12}_[0-9a-f]{64}$/);
+    expect(data.apiKey).toMatchObject({ label: 'Lunch bot', scope: 'read', createdBy: 'admin' });
+
+    const request = await adminRequest('http://localhost/api/keys', 'GET');
+    const list = await (await onRequestGet({ request, env: localEnv })).json();
+
+    expect(list.apiKeys).toHaveLength(1);
+    expect(list.apiKeys[0].keyHash).toBeUndefined();
+    expect(JSON.stringify(list)).not.toContain(data.key);
+  });
+
+  it('should validate the label and scope', async () => {
+    const { status, data } = await createKey({ label: '', scope: 'admin' });
+
+    expect(status).toBe(400);
+    expect(data.fieldErrors.map((e) => e.field)).toEqual(['label', 'scope']);
+  });
+
+  it('should accept write keys in either header and record their use', async () => {
+    const { data } = await createKey({ label: 'Cron job', scope: 'write' });
+
+    const viaHeader = await onRequestCreateRestaurant({
+      request: await restaurantRequest({ 'X-API-Key': data.key }, PIZZA),
+      env: localEnv
+    });
+    const viaBearer = await onRequestCreateRestaurant({
+      request: await restaurantRequest(
+        { Authorization: `Bearer ${data.key}` },
+        { ...PIZZA, name: 'Taco Town' }
+      ),
+      env: localEnv
+    });
+
+    expect(viaHeader.status).toBe(200);
+    expect(viaBearer.status).toBe(200);
+
+    const request = await adminRequest('http://localhost/api/keys', 'GET');
+    const list = await (await onRequestGet({ request, env: localEnv })).json();
+    expect(list.apiKeys[0].lastUsedAt).not.toBeNull();
+  });
+
+  it('should limit read keys to viewer access', async () => {
+    const { data } = await createKey({ label: 'Lunch bot', scope: 'read' });
+
+    const write = await onRequestCreateRestaurant({
+      request: await restaurantRequest({ 'X-API-Key': data.key }, PIZZA),
+      env: localEnv
+    });
+    const read = await onRequestHistory({
+      request: new Request('http://localhost/api/history', {
+        headers: { 'X-API-Key': data.key }
+      }),
+      env: localEnv
+    });
+
+    expect(write.status).toBe(403);
+    expect(read.status).toBe(200);
+  });
+
+  it('should limit keys to their profiles', async () => {
+    const { data } = await createKey({
+      label: 'Lunch bot',
+      scope: 'write',
+      profiles: ['quick-lunch']
+    });
+
+    const outside = await onRequestCreateRestaurant({
+      request: await restaurantRequest({ 'X-API-Key': data.key }, PIZZA),
+      env: localEnv
+    });
+    const inside = await onRequestCreateRestaurant({
+      request: await restaurantRequest(
+        { 'X-API-Key': data.key },
+        { ...PIZZA, profiles: ['quick-lunch'] }
+      ),
+      env: localEnv
+    });
+
+    expect(outside.status).toBe(403);
+    expect(inside.status).toBe(200);
+  });
+
+  it('should reject revoked, unknown and tampered keys', async () => {
+    const { data } = await createKey({ label: 'Cron job', scope: 'write' });
+    const tampered = data.key.slice(0, -1) + (data.key.endsWith('0') ? '1' : '0');
+
+    const tamperedResponse = await onRequestCreateRestaurant({
+      request: await restaurantRequest({ 'X-API-Key': tampered }, PIZZA),
+      env: localEnv
+    });
+    expect(tamperedResponse.status).toBe(401);
+
+    const request = await adminRequest(`http://localhost/api/keys/${data.apiKey.id}`, 'DELETE');
+    const revoke = await onRequestDelete({
+      request,
+      env: localEnv,
+      params: { id: data.apiKey.id }
+    });
+    expect((await revoke.json()).apiKey.revokedAt).toBeDefined();
+
+    const revokedResponse = await onRequestCreateRestaurant({
+      request: await restaurantRequest({ 'X-API-Key': data.key }, PIZZA),
+      env: localEnv
+    });
+    expect(revokedResponse.status).toBe(401);
+
+    const unknown = await onRequestDelete({
+      request: await adminRequest('http://localhost/api/keys/000000000000', 'DELETE'),
+      env: localEnv,
+      params: { id: '000000000000' }
+    });
+    expect(unknown.status).toBe(404);
+  });
+
+  it('should not let API keys manage keys', async () => {
+    const { data } = await createKey({ label: 'Cron job', scope: 'write' });
+
+    const response = await onRequestPost({
+      request: await apiRequest('http://localhost/api/keys', {
+        method: 'POST',
+        body: { label: 'Another', scope: 'write' },
+        headers: { 'X-API-Key': data.key }
+      }),
+      env: localEnv
+    });
+
+    expect(response.status).toBe(403);
+  });
+});
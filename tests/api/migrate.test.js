@@ -0,0 +1,111 @@
+/**
+ * Migration API Tests
+ *
+ * Tests for /api/migrate and server-assigned restaurant IDs against the local storage backend
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { onRequestPost as onRequestMigrate } from '../../functions/api/migrate.js';
+import { onRequestPost as onRequestCreate } from '../../functions/api/restaurants.js';
+import { onRequestGet as onRequestGetOne } from '../../functions/api/restaurants/[id].js';
+import { getStorage, resetLocalStorage } from '../../functions/api/_storage.js';
+import { localEnv, ADMIN, apiRequest } from './_helpers.js';
+
+function authorizedRequest(url, body) {
+  return apiRequest(url, { method: 'POST', body: body, user: ADMIN });
+}
+
+describe('Migration API', () => {
+  beforeEach(() => {
+    resetLocalStorage({
+      profiles: [
+        { id: 'all', name: 'All Restaurants' },
+        { id: 'quick-lunch', name: 'Quick Lunch' }
+      ],
+      restaurants: [
+        {
+          id: 1,
+          name: 'Taco Fiesta',
+          foodTypes: ['Mexican'],
+          serviceTypes: ['takeout'],
+          profiles: ['quick-lunch']
+        }
+      ]
+    });
+  });
+
+  it('should require authentication', async () => {
+    const request = new Request('http://localhost/api/migrate', { method: 'POST' });
+    const response = await onRequestMigrate({ request, env: localEnv });
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should convert legacy IDs to UUIDs in one change', async () => {
+    const request = await authorizedRequest('http://localhost/api/migrate');
+    const response = await onRequestMigrate({ request, env: localEnv });
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body).toMatchObject({ migrated: true, fromVersion: 1, schemaVersion: 2 });
+
+    const { data } = await getStorage(localEnv).read();
+    expect(data.schemaVersion).toBe(2);
+    expect(data.restaurants[0]).toMatchObject({
+      id: body.idMap['1'],
+      legacyId: 1,
+      profiles: ['quick-lunch']
+    });
+
+    const history = await getStorage(localEnv).listVersions(1);
+    expect(history[0].message).toBe('Migrate data to schema version 2');
+  });
+
+  it('should do nothing when the data is already current', async () => {
+    await onRequestMigrate({
+      request: await authorizedRequest('http://localhost/api/migrate'),
+      env: localEnv
+    });
+    const { version } = await getStorage(localEnv).read();
+
+    const response = await onRequestMigrate({
+      request: await authorizedRequest('http://localhost/api/migrate'),
+      env: localEnv
+    });
+    const body = await response.json();
+
+    expect(body.migrated).toBe(false);
+    expect((await getStorage(localEnv).read()).version).toBe(version);
+  });
+
+  it('should keep serving migrated restaurants at their old ID', async () => {
+    await onRequestMigrate({
+      request: await authorizedRequest('http://localhost/api/migrate'),
+      env: localEnv
+    });
+
+    const request = new Request('http://localhost/api/restaurants/1');
+    const response = await onRequestGetOne({ request, env: localEnv, params: { id: '1' } });
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body.restaurant.name).toBe('Taco Fiesta');
+  });
+
+  it('should assign restaurant IDs on the server', async () => {
+    const request = await authorizedRequest('http://localhost/api/restaurants', {
+      id: 1,
+      name: 'Pizza Palace',
+      foodTypes: ['Pizza'],
+      serviceTypes: ['delivery']
+    });
+    const response = await onRequestCreate({ request, env: localEnv });
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body.restaurant.id).toMatch(/^[0-9a-f-]{36}$/);
+
+    const { data } = await getStorage(localEnv).read();
+    expect(data.restaurants.map((r) => r.name)).toEqual(['Taco Fiesta', 'Pizza Palace']);
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * Profile API Tests
+ *
+ * Tests for /api/profiles endpoints against the local storage backend
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { onRequestGet, onRequestPost, onRequestPut } from '../../functions/api/profiles.js';
+import { onRequestDelete } from '../../functions/api/profiles/[id].js';
+import { onRequestPost as onRequestRename } from '../../functions/api/profiles/[id]/rename.js';
+import { onRequestPost as onRequestMerge } from '../../functions/api/profiles/[id]/merge.js';
+import { getStorage, resetLocalStorage } from '../../functions/api/_storage.js';
+import { localEnv, ADMIN, apiRequest } from './_helpers.js';
+
+function authorizedRequest(url, method, body, claims = ADMIN) {
+  return apiRequest(url, { method: method, body: body, user: claims });
+}
+
+describe('Profile API', () => {
+  beforeEach(() => {
+    resetLocalStorage({
+      profiles: [
+        { id: 'all', name: 'All Restaurants' },
+        { id: 'quick-lunch', name: 'Quick Lunch' }
+      ],
+      restaurants: [
+        {
+          id: 1,
+          name: 'Taco Fiesta',
+          foodTypes: ['Mexican'],
+          serviceTypes: ['takeout'],
+          profiles: ['quick-lunch']
+        }
+      ]
+    });
+  });
+
+  it('should list profiles', async () => {
+    const request = new Request('http://localhost/api/profiles');
+    const response = await onRequestGet({ request, env: localEnv });
+    const data = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data.profiles).toHaveLength(2);
+  });
+
+  it('should require authentication to create profiles', async () => {
+    const request = new Request('http://localhost/api/profiles', {
+      method: 'POST',
+      body: JSON.stringify({ id: 'brunch', name: 'Brunch' })
+    });
+    const response = await onRequestPost({ request, env: localEnv });
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should create and rename a profile', async () => {
+    let request = await authorizedRequest('http://localhost/api/profiles', 'POST', {
+      id: 'brunch',
+      name: 'Brunch'
+    });
+    let response = await onRequestPost({ request, env: localEnv });
+    expect(response.status).toBe(200);
+
+    request = await authorizedRequest('http://localhost/api/profiles', 'PUT', {
+      id: 'brunch',
+      name: 'Weekend Brunch'
+    });
+    response = await onRequestPut({ request, env: localEnv });
+    expect(response.status).toBe(200);
+
+    const { data } = await getStorage(localEnv).read();
+    expect(data.profiles.find((p) => p.id === 'brunch').name).toBe('Weekend Brunch');
+  });
+
+  it('should reject duplicate profile IDs', async () => {
+    const request = await authorizedRequest('http://localhost/api/profiles', 'POST', {
+      id: 'quick-lunch',
+      name: 'Quick Lunch'
+    });
+    const response = await onRequestPost({ request, env: localEnv });
+
+    expect(response.status).toBe(409);
+  });
+
+  it('should delete a profile and clean up restaurant references', async () => {
+    const request = await authorizedRequest('http://localhost/api/profiles/quick-lunch', 'DELETE');
+    const response = await onRequestDelete({
+      request,
+      env: localEnv,
+      params: { id: 'quick-lunch' }
+    });
+    expect(response.status).toBe(200);
+
+    const { data } = await getStorage(localEnv).read();
+    expect(data.profiles).toHaveLength(1);
+    expect(data.restaurants[0].profiles).toEqual([]);
+  });
+
+  it('should rename a profile ID, retag restaurants and keep the old ID as an alias', async () => {
+    const request = await authorizedRequest(
+      'http://localhost/api/profiles/quick-lunch/rename',
+      'POST',
+      { id: 'fast-lunch', name: 'Fast Lunch' }
+    );
+    const response = await onRequestRename({
+      request,
+      env: localEnv,
+      params: { id: 'quick-lunch' }
+    });
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body.profile).toEqual({
+      id: 'fast-lunch',
+      name: 'Fast Lunch',
+      aliases: ['quick-lunch']
+    });
+
+    const { data } = await getStorage(localEnv).read();
+    expect(data.restaurants[0].profiles).toEqual(['fast-lunch']);
+  });
+
+  it('should not rename a profile onto an existing ID', async () => {
+    const request = await authorizedRequest(
+      'http://localhost/api/profiles/quick-lunch/rename',
+      'POST',
+      { id: 'all' }
+    );
+    const response = await onRequestRename({
+      request,
+      env: localEnv,
+      params: { id: 'quick-lunch' }
+    });
+    const body = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(body.fieldErrors[0].code).toBe('reserved');
+  });
+
+  it('should merge one profile into another without duplicate tags', async () => {
+    const storage = getStorage(localEnv);
+    const { data: seed, version } = await storage.read();
+    seed.profiles.push({ id: 'lunch', name: 'Lunch' });
+    seed.restaurants[0].profiles.push('lunch');
+    await storage.write(seed, version, 'Seed');
+
+    const request = await authorizedRequest(
+      'http://localhost/api/profiles/quick-lunch/merge',
+      'POST',
+      { into: 'lunch' }
+    );
+    const response = await onRequestMerge({
+      request,
+      env: localEnv,
+      params: { id: 'quick-lunch' }
+    });
+    expect(response.status).toBe(200);
+
+    const { data } = await storage.read();
+    expect(data.profiles.map((p) => p.id)).toEqual(['all', 'lunch']);
+    expect(data.profiles[1].aliases).toEqual(['quick-lunch']);
+    expect(data.restaurants[0].profiles).toEqual(['lunch']);
+  });
+
+  it('should let editors scoped to a profile change only that profile', async () => {
+    const claims = { sub: 'sam', role: 'editor', profiles: ['quick-lunch'] };
+
+    const own = await authorizedRequest(
+      'http://localhost/api/profiles',
+      'PUT',
+      { id: 'quick-lunch', name: 'Speedy Lunch' },
+      claims
+    );
+    expect((await onRequestPut({ request: own, env: localEnv })).status).toBe(200);
+
+    const other = await authorizedRequest(
+      'http://localhost/api/profiles',
+      'POST',
+      { id: 'date-night', name: 'Date Night' },
+      claims
+    );
+    const response = await onRequestPost({ request: other, env: localEnv });
+    const data = await response.json();
+
+    expect(response.status).toBe(403);
+    expect(data.error).toContain('can only change profiles quick-lunch');
+  });
+
+  it('should not let editors delete profiles, even ones they are scoped to', async () => {
+    const request = await authorizedRequest(
+      'http://localhost/api/profiles/quick-lunch',
+      'DELETE',
+      undefined,
+      { sub: 'sam', role: 'editor', profiles: ['quick-lunch'] }
+    );
+    const response = await onRequestDelete({
+      request,
+      env: localEnv,
+      params: { id: 'quick-lunch' }
+    });
+
+    expect(response.status).toBe(403);
+    expect((await getStorage(localEnv).read()).data.profiles).toHaveLength(2);
+  });
+});
@@ -0,0 +1,269 @@
+/**
+ * Restaurant API Tests
+ *
+ * Tests for /api/restaurants against the local backend and a mocked GitHub Contents API
+ */
+
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import { env, fetchMock } from 'cloudflare:test';
+import { onRequestGet, onRequestPost, onRequestPut } from '../../functions/api/restaurants.js';
+import {
+  onRequestGet as onRequestGetOne,
+  onRequestPatch
+} from '../../functions/api/restaurants/[id].js';
+import { resetLocalStorage } from '../../functions/api/_storage.js';
+import { localEnv, apiRequest } from './_helpers.js';
+
+const githubEnv = {
+  ...env,
+  GITHUB_TOKEN: 'test-token',
+  GITHUB_REPO: 'owner/repo',
+  GITHUB_BRANCH: 'main'
+};
+
+const CONTENTS_PATH = '/repos/owner/repo/contents/restaurants.json';
+
+const baseData = {
+  profiles: [{ id: 'all', name: 'All Restaurants' }],
+  restaurants: [
+    { id: 1, name: 'Taco Fiesta', foodTypes: ['Mexican'], serviceTypes: ['takeout'] },
+    { id: 2, name: 'Golden Dragon', foodTypes: ['Chinese'], serviceTypes: ['delivery'] }
+  ]
+};
+
+function mockRead(data, sha) {
+  fetchMock
+    .get('https://api.github.com')
+    .intercept({ path: `${CONTENTS_PATH}?ref=main` })
+    .reply(200, { content: btoa(JSON.stringify(data)), sha: sha });
+}
+
+function mockWrite(status, onBody) {
+  fetchMock
+    .get('https://api.github.com')
+    .intercept({ path: CONTENTS_PATH, method: 'PUT' })
+    .reply(status, (options) => {
+      if (onBody) {
+        onBody(JSON.parse(options.body));
+      }
+      return status === 200 ? { content: {} } : { message: 'sha does not match' };
+    });
+}
+
+function authorizedRequest(method, body, url = 'http://localhost/api/restaurants') {
+  return apiRequest(url, { method: method, body: body, user: { sub: 'sam', role: 'editor' } });
+}
+
+describe('Restaurant API', () => {
+  beforeAll(() => {
+    fetchMock.activate();
+    fetchMock.disableNetConnect();
+  });
+
+  afterEach(() => {
+    fetchMock.assertNoPendingInterceptors();
+  });
+
+  it('should return the full document without query parameters', async () => {
+    resetLocalStorage(baseData);
+
+    const request = new Request('http://localhost/api/restaurants');
+    const response = await onRequestGet({ request, env: localEnv });
+    const data = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data).toEqual(baseData);
+  });
+
+  it('should ignore unrelated query parameters such as cache-busters', async () => {
+    resetLocalStorage(baseData);
+
+    const request = new Request('http://localhost/api/restaurants?v=2');
+    const response = await onRequestGet({ request, env: localEnv });
+
+    expect(await response.json()).toEqual(baseData);
+  });
+
+  it('should filter and page restaurants from query parameters', async () => {
+    resetLocalStorage(baseData);
+
+    const request = new Request('http://localhost/api/restaurants?service=delivery&limit=10');
+    const response = await onRequestGet({ request, env: localEnv });
+    const data = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data.total).toBe(1);
+    expect(data.restaurants[0].name).toBe('Golden Dragon');
+    expect(data.profiles).toHaveLength(1);
+  });
+
+  it('should reject invalid query parameters', async () => {
+    const request = new Request('http://localhost/api/restaurants?sort=rating');
+    const response = await onRequestGet({ request, env: localEnv });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should answer 304 when the client already has the current version', async () => {
+    resetLocalStorage(baseData);
+
+    const first = await onRequestGet({
+      request: new Request('http://localhost/api/restaurants'),
+      env: localEnv
+    });
+    const etag = first.headers.get('ETag');
+
+    const second = await onRequestGet({
+      request: new Request('http://localhost/api/restaurants', {
+        headers: { 'If-None-Match': etag }
+      }),
+      env: localEnv
+    });
+
+    expect(etag).toBe('"1"');
+    expect(second.status).toBe(304);
+    expect(second.headers.get('ETag')).toBe(etag);
+  });
+
+  it('should serve repeat reads from the edge cache until a write invalidates it', async () => {
+    const latest = structuredClone(baseData);
+    latest.restaurants.push({
+      id: 3,
+      name: 'Pizza Palace',
+      foodTypes: ['Pizza'],
+      serviceTypes: ['delivery']
+    });
+
+    // First read hits GitHub, the second is answered from the cache
+    mockRead(baseData, 'sha-1');
+    await onRequestGet({
+      request: new Request('http://localhost/api/restaurants'),
+      env: githubEnv
+    });
+    const cached = await onRequestGet({
+      request: new Request('http://localhost/api/restaurants'),
+      env: githubEnv
+    });
+    expect(cached.headers.get('ETag')).toBe('"sha-1"');
+
+    // Writes read live data and drop the cached copy
+    mockRead(baseData, 'sha-1');
+    mockWrite(200);
+    const request = await authorizedRequest('POST', latest.restaurants[2]);
+    await onRequestPost({ request, env: githubEnv });
+
+    mockRead(latest, 'sha-2');
+    const response = await onRequestGet({
+      request: new Request('http://localhost/api/restaurants'),
+      env: githubEnv
+    });
+    const data = await response.json();
+
+    expect(response.headers.get('ETag')).toBe('"sha-2"');
+    expect(data.restaurants).toHaveLength(3);
+  });
+
+  it('should get a single restaurant by integer or string ID', async () => {
+    resetLocalStorage(baseData);
+
+    const request = new Request('http://localhost/api/restaurants/2');
+    const response = await onRequestGetOne({
+      request,
+      env: localEnv,
+      params: { id: '2' }
+    });
+    const data = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data.restaurant.name).toBe('Golden Dragon');
+  });
+
+  it('should patch only the fields sent', async () => {
+    resetLocalStorage(baseData);
+
+    const request = await authorizedRequest(
+      'PATCH',
+      { notes: 'Cash only' },
+      'http://localhost/api/restaurants/1'
+    );
+    const response = await onRequestPatch({
+      request,
+      env: localEnv,
+      params: { id: '1' }
+    });
+    const data = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data.restaurant).toEqual({ ...baseData.restaurants[0], notes: 'Cash only' });
+  });
+
+  it('should reject patches that leave the restaurant invalid', async () => {
+    resetLocalStorage(baseData);
+
+    const request = await authorizedRequest(
+      'PATCH',
+      { foodTypes: [] },
+      'http://localhost/api/restaurants/1'
+    );
+    const response = await onRequestPatch({
+      request,
+      env: localEnv,
+      params: { id: '1' }
+    });
+    const data = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(data.fieldErrors).toEqual([
+      { field: 'foodTypes', code: 'required', message: 'At least one food type is required' }
+    ]);
+  });
+
+  it('should retry on a stale SHA when another record changed', async () => {
+    const latest = structuredClone(baseData);
+    latest.restaurants[1].notes = 'Edited by someone else';
+
+    let committed;
+    mockRead(baseData, 'sha-1');
+    mockWrite(409);
+    mockRead(latest, 'sha-2');
+    mockWrite(200, (body) => {
+      committed = body;
+    });
+
+    const request = await authorizedRequest('POST', {
+      name: 'Pizza Palace',
+      foodTypes: ['Pizza'],
+      serviceTypes: ['delivery']
+    });
+    const response = await onRequestPost({ request, env: githubEnv });
+
+    expect(response.status).toBe(200);
+    expect(committed.sha).toBe('sha-2');
+
+    const saved = JSON.parse(atob(committed.content));
+    expect(saved.restaurants).toHaveLength(3);
+    expect(saved.restaurants[1].notes).toBe('Edited by someone else');
+  });
+
+  it('should report a conflict when the same record changed concurrently', async () => {
+    const latest = structuredClone(baseData);
+    latest.restaurants[0].notes = 'Closed Mondays';
+
+    mockRead(baseData, 'sha-1');
+    mockWrite(409);
+    mockRead(latest, 'sha-2');
+
+    const request = await authorizedRequest('PUT', {
+      ...baseData.restaurants[0],
+      notes: 'Cash only'
+    });
+    const response = await onRequestPut({ request, env: githubEnv });
+
+    expect(response.status).toBe(409);
+
+    const data = await response.json();
+    expect(data.conflicts).toHaveLength(1);
+    expect(data.conflicts[0].ours.notes).toBe('Cash only');
+    expect(data.conflicts[0].theirs.notes).toBe('Closed Mondays');
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Session API Tests
+ *
+ * Tests for /api/auth/refresh and /api/auth/logout
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { env } from 'cloudflare:test';
+import { onRequestPost as onRequestLogin } from '../../functions/api/auth.js';
+import { onRequestPost as onRequestRefresh } from '../../functions/api/auth/refresh.js';
+import { onRequestPost as onRequestLogout } from '../../functions/api/auth/logout.js';
+import { verifyAuth } from '../../functions/api/_shared.js';
+import { resetLocalStorage } from '../../functions/api/_storage.js';
+import { localEnv, apiRequest } from './_helpers.js';
+
+// Each login comes from its own address so the login rate limit does not apply
+let loginCount = 0;
+
+async function login() {
+  const request = await apiRequest('http://localhost/api/auth', {
+    method: 'POST',
+    body: { password: env.ADMIN_PASSWORD },
+    headers: { 'CF-Connecting-IP': `198.51.100.${++loginCount}` }
+  });
+  const response = await onRequestLogin({ request, env: localEnv });
+  return response.json();
+}
+
+async function refresh(refreshToken) {
+  const request = await apiRequest('http://localhost/api/auth/refresh', {
+    method: 'POST',
+    body: { refreshToken }
+  });
+  return onRequestRefresh({ request, env: localEnv });
+}
+
+function bearerRequest(token) {
+  return new Request('http://localhost/api/history', {
+    headers: { Authorization: `Bearer ${token}` }
+  });
+}
+
+describe('Session API', () => {
+  beforeEach(() => {
+    resetLocalStorage({ users: [] }, 'users');
+  });
+
+  it('should issue a short-lived access token and a refresh token', async () => {
+    const session = await login();
+
+    expect(session.refreshToken).toBeDefined();
+    expect(session.expiresIn).toBe(15 * 60);
+  });
+
+  it('should rotate tokens on refresh', async () => {
+    const session = await login();
+
+    const response = await refresh(session.refreshToken);
+    const data = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data.refreshToken).not.toBe(session.refreshToken);
+    expect(data.user).toEqual({ username: 'admin', role: 'admin' });
+    expect(await verifyAuth(bearerRequest(data.token), localEnv, 'admin')).toBeTruthy();
+  });
+
+  it('should revoke the session when a refresh token is reused', async () => {
+    const session = await login();
+    const rotated = await (await refresh(session.refreshToken)).json();
+
+    const reuse = await refresh(session.refreshToken);
+    expect(reuse.status).toBe(401);
+
+    expect(await verifyAuth(bearerRequest(rotated.token), localEnv)).toBeNull();
+    expect((await refresh(rotated.refreshToken)).status).toBe(401);
+  });
+
+  it('should not accept a refresh token as an access token', async () => {
+    const session = await login();
+
+    expect(await verifyAuth(bearerRequest(session.refreshToken), localEnv)).toBeNull();
+  });
+
+  it('should revoke the session on logout', async () => {
+    const session = await login();
+    expect(await verifyAuth(bearerRequest(session.token), localEnv)).toBeTruthy();
+
+    const request = new Request('http://localhost/api/auth/logout', {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${session.token}` }
+    });
+    const response = await onRequestLogout({ request, env: localEnv });
+
+    expect(response.status).toBe(200);
+    expect(await verifyAuth(bearerRequest(session.token), localEnv)).toBeNull();
+    expect((await refresh(session.refreshToken)).status).toBe(401);
+  });
+
+  it('should turn off refresh and logout without AUTH_KV', async () => {
+    const session = await login();
+    const unbound = { ...localEnv, AUTH_KV: undefined };
+
+    const refreshRequest = await apiRequest('http://localhost/api/auth/refresh', {
+      method: 'POST',
+      body: { refreshToken: session.refreshToken }
+    });
+    const logoutRequest = await apiRequest('http://localhost/api/auth/logout', {
+      method: 'POST',
+      body: { refreshToken: session.refreshToken }
+    });
+
+    expect((await onRequestRefresh({ request: refreshRequest, env: unbound })).status).toBe(501);
+    expect((await onRequestLogout({ request: logoutRequest, env: unbound })).status).toBe(501);
+    expect(await verifyAuth(bearerRequest(session.token), unbound)).toBeTruthy();
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Server-Side Spin Tests
+ *
+ * Tests for commit-reveal spins with /api/spin/commit, /api/spin and /api/spin/:id
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { onRequestPost as onRequestCommit } from '../../functions/api/spin/commit.js';
+import { onRequestPost as onRequestSpin } from '../../functions/api/spin.js';
+import { onRequestGet as onRequestResult } from '../../functions/api/spin/[id].js';
+import { resetLocalStorage } from '../../functions/api/_storage.js';
+import { pickWinner } from '../../functions/api/_spins.js';
+import { sha256Hex } from '../../functions/api/_crypto.js';
+import { localEnv, apiRequest } from './_helpers.js';
+
+const TACOS = '0b6a4a3e-8c53-4d0e-9b5a-2f1f6f2f0a01';
+const PIZZA = '0b6a4a3e-8c53-4d0e-9b5a-2f1f6f2f0a02';
+
+async function post(handler, url, body) {
+  const request = await apiRequest(url, { method: 'POST', body: body });
+  const response = await handler({ request, env: localEnv });
+  return { status: response.status, data: await response.json() };
+}
+
+async function commit(clientSeed, filters = {}) {
+  const body = { clientSeedHash: await sha256Hex(clientSeed), ...filters };
+  return (await post(onRequestCommit, 'http://localhost/api/spin/commit', body)).data;
+}
+
+function spin(body) {
+  return post(onRequestSpin, 'http://localhost/api/spin', body);
+}
+
+describe('Server-Side Spin', () => {
+  beforeEach(() => {
+    resetLocalStorage({
+      schemaVersion: 2,
+      profiles: [
+        { id: 'all', name: 'All Restaurants' },
+        { id: 'quick-lunch', name: 'Quick Lunch' }
+      ],
+      restaurants: [
+        {
+          id: TACOS,
+          name: 'Taco Town',
+          foodTypes: ['Mexican'],
+          serviceTypes: ['takeout'],
+          profiles: ['quick-lunch'],
+          weight: 2,
+          profileWeights: { 'quick-lunch': 5 }
+        },
+        { id: PIZZA, name: 'Pizza Palace', foodTypes: ['Pizza'], serviceTypes: ['delivery'] }
+      ]
+    });
+  });
+
+  it('should reveal the committed seed and a winner anyone can recompute', async () => {
+    const { commitId, commitment } = await commit('lunch-42');
+
+    const { status, data } = await spin({ commitId, clientSeed: 'lunch-42' });
+
+    expect(status).toBe(200);
+    const { result } = data;
+    expect(result.id).toBe(commitId);
+    expect(await sha256Hex(result.serverSeed)).toBe(commitment);
+    expect(result.candidates).toEqual([
+      { id: TACOS, name: 'Taco Town', weight: 2 },
+      { id: PIZZA, name: 'Pizza Palace', weight: 1 }
+    ]);
+
+    const recomputed = await pickWinner(result.candidates, result.serverSeed, 'lunch-42');
+    expect(result.winner).toEqual(recomputed.winner);
+    expect(result.hash).toBe(recomputed.hash);
+
+    const request = new Request(`http://localhost/api/spin/${result.id}`);
+    const stored = await onRequestResult({ request, env: localEnv, params: { id: result.id } });
+    expect((await stored.json()).result).toEqual(result);
+  });
+
+  it('should spin over the filtered restaurants with profile weights', async () => {
+    const { commitId } = await commit('abc', { profile: 'quick-lunch' });
+
+    const { data } = await spin({ commitId, clientSeed: 'abc' });
+
+    expect(data.result.candidates).toEqual([{ id: TACOS, name: 'Taco Town', weight: 5 }]);
+    expect(data.result.winner.id).toBe(TACOS);
+  });
+
+  it('should use each commitment once', async () => {
+    const { commitId } = await commit('a');
+
+    // Rejected requests leave the commitment unused
+    expect((await spin({ commitId, clientSeed: 'b' })).status).toBe(400);
+    expect((await spin({ commitId, clientSeed: 'a', profile: 'all' })).status).toBe(400);
+    expect((await spin({ commitId, clientSeed: 'a' })).status).toBe(200);
+    expect((await spin({ commitId, clientSeed: 'a' })).status).toBe(404);
+    expect((await spin({ clientSeed: 'a' })).status).toBe(400);
+  });
+
+  it('should give reveals racing on one commitment the same result', async () => {
+    const { commitId } = await commit('race');
+
+    const [first, second] = await Promise.all([
+      spin({ commitId, clientSeed: 'race' }),
+      spin({ commitId, clientSeed: 'race' })
+    ]);
+    const winners = [first, second]
+      .filter((response) => response.status === 200)
+      .map((response) => response.data.result);
+
+    expect(winners.length).toBeGreaterThan(0);
+    winners.forEach((result) => {
+      expect(result.id).toBe(commitId);
+      expect(result.winner).toEqual(winners[0].winner);
+    });
+  });
+
+  it('should bind the filters when committing', async () => {
+    const rejected = await post(onRequestCommit, 'http://localhost/api/spin/commit', {
+      clientSeedHash: 'not-a-hash',
+      service: 'at-home'
+    });
+    expect(rejected.status).toBe(400);
+
+    const { commitId } = await commit('x', { service: 'delivery' });
+    const { data } = await spin({ commitId, clientSeed: 'x' });
+
+    expect(data.result.service).toBe('delivery');
+    expect(data.result.candidates.map((c) => c.id)).toEqual([PIZZA]);
+  });
+
+  it('should turn off server-side spins without SPINS_KV', async () => {
+    const request = await apiRequest('http://localhost/api/spin/commit', {
+      method: 'POST',
+      body: { clientSeedHash: await sha256Hex('x') }
+    });
+    const response = await onRequestCommit({ request, env: { ...localEnv, SPINS_KV: undefined } });
+
+    expect(response.status).toBe(501);
+  });
+
+  it('should pick the candidate under the pointer at the returned rotation', async () => {
+    const candidates = [
+      { id: 'a', name: 'A', weight: 1 },
+      { id: 'b', name: 'B', weight: 3 }
+    ];
+
+    for (const clientSeed of ['1', '2', '3', '4', '5', '6']) {
+      const { fraction, rotation, winner } = await pickWinner(candidates, 'seed', clientSeed);
+
+      expect(winner.id).toBe(fraction < 0.25 ? 'a' : 'b');
+      // Same pointer math as showResult() in the wheel UI
+      const selectedAngle = (2 * Math.PI - rotation + (3 * Math.PI) / 2) % (2 * Math.PI);
+      expect(selectedAngle).toBeCloseTo(fraction * 2 * Math.PI, 9);
+    }
+  });
+});
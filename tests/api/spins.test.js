@@ -0,0 +1,138 @@
+/**
+ * Spin History Tests
+ *
+ * Tests for recording and listing wheel spins with /api/spins
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { onRequestGet, onRequestPost } from '../../functions/api/spins.js';
+import { resetLocalStorage } from '../../functions/api/_storage.js';
+import { resetSpinHistory, recordSpin, listSpins } from '../../functions/api/_spins.js';
+import { localEnv, apiRequest } from './_helpers.js';
+
+const TACOS = '0b6a4a3e-8c53-4d0e-9b5a-2f1f6f2f0a01';
+const PIZZA = '0b6a4a3e-8c53-4d0e-9b5a-2f1f6f2f0a02';
+
+async function postSpin(spin) {
+  const request = await apiRequest('http://localhost/api/spins', { method: 'POST', body: spin });
+  const response = await onRequestPost({ request, env: localEnv });
+  return { status: response.status, data: await response.json() };
+}
+
+async function getSpins(query = '') {
+  const request = new Request(`http://localhost/api/spins${query}`);
+  const response = await onRequestGet({ request, env: localEnv });
+  return { status: response.status, data: await response.json() };
+}
+
+describe('Spin History', () => {
+  beforeEach(() => {
+    resetLocalStorage({
+      schemaVersion: 2,
+      profiles: [
+        { id: 'all', name: 'All Restaurants' },
+        { id: 'quick-lunch', name: 'Quick Lunch' }
+      ],
+      restaurants: [
+        { id: TACOS, name: 'Taco Town', foodTypes: ['Mexican'], serviceTypes: ['takeout'] },
+        { id: PIZZA, name: 'Pizza Palace', foodTypes: ['Pizza'], serviceTypes: ['delivery'] }
+      ]
+    });
+    resetSpinHistory();
+  });
+
+  it('should record spins and list them newest first', async () => {
+    const first = await postSpin({
+      restaurantId: TACOS,
+      at: new Date(Date.now() - 60000).toISOString()
+    });
+    await postSpin({
+      restaurantId: PIZZA,
+      mode: 'bracket',
+      profile: 'quick-lunch',
+      service: 'delivery',
+      foodTypes: ['Pizza']
+    });
+
+    expect(first.status).toBe(200);
+    expect(first.data.spin).toMatchObject({
+      restaurantId: TACOS,
+      restaurantName: 'Taco Town',
+      mode: 'wheel',
+      profile: 'all',
+      service: 'all',
+      foodTypes: []
+    });
+
+    const { data } = await getSpins();
+    expect(data.spins.map((s) => s.restaurantName)).toEqual(['Pizza Palace', 'Taco Town']);
+    expect(data.spins[0]).toMatchObject({
+      mode: 'bracket',
+      profile: 'quick-lunch',
+      service: 'delivery'
+    });
+    expect(data.cursor).toBeNull();
+  });
+
+  it('should store a spin sent twice once', async () => {
+    const spin = {
+      id: crypto.randomUUID(),
+      at: new Date().toISOString(),
+      restaurantId: TACOS
+    };
+
+    await postSpin(spin);
+    await postSpin(spin);
+
+    expect((await getSpins()).data.spins).toHaveLength(1);
+  });
+
+  it('should filter by profile and time', async () => {
+    await postSpin({ restaurantId: TACOS, at: new Date(Date.now() - 3 * 86400000).toISOString() });
+    await postSpin({ restaurantId: PIZZA, profile: 'quick-lunch' });
+
+    const since = new Date(Date.now() - 86400000).toISOString();
+    expect((await getSpins('?profile=quick-lunch')).data.spins).toHaveLength(1);
+    expect((await getSpins(`?since=${since}`)).data.spins.map((s) => s.restaurantId)).toEqual([
+      PIZZA
+    ]);
+    expect((await getSpins('?limit=0')).status).toBe(400);
+  });
+
+  it('should reject invalid spins', async () => {
+    const invalid = await postSpin({ restaurantId: TACOS, service: 'drive-thru', rating: 5 });
+    expect(invalid.status).toBe(400);
+    expect(invalid.data.fieldErrors.map((e) => e.field)).toEqual(['rating', 'service']);
+
+    const future = await postSpin({
+      restaurantId: TACOS,
+      at: new Date(Date.now() + 3600000).toISOString()
+    });
+    expect(future.status).toBe(400);
+    expect((await postSpin({ restaurantId: TACOS, mode: 'dice' })).status).toBe(400);
+
+    expect((await postSpin({ restaurantId: crypto.randomUUID() })).status).toBe(404);
+    expect((await postSpin({ restaurantId: TACOS, profile: 'late-night' })).status).toBe(404);
+    expect((await getSpins()).data.spins).toHaveLength(0);
+  });
+
+  it('should expire and cap spins kept in memory', async () => {
+    const at = (daysAgo) => new Date(Date.now() - daysAgo * 86400000).toISOString();
+    await recordSpin({}, { id: crypto.randomUUID(), at: at(91), restaurantId: TACOS });
+    expect((await listSpins({})).spins).toEqual([]);
+
+    for (let i = 0; i < 1005; i++) {
+      await recordSpin({}, { id: crypto.randomUUID(), at: at(i / 1000), restaurantId: PIZZA });
+    }
+
+    let count = 0;
+    let cursor = null;
+    do {
+      const page = await listSpins({}, {}, { limit: 200, cursor: cursor });
+      count += page.spins.length;
+      expect(page.spins.every((spin) => spin.restaurantId === PIZZA)).toBe(true);
+      cursor = page.cursor;
+    } while (cursor);
+    expect(count).toBe(1000);
+  });
+});
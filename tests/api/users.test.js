@@ -0,0 +1,183 @@
+/**
+ * User Accounts API Tests
+ *
+ * Tests for /api/users, named logins and role checks against the local storage backend
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { env } from 'cloudflare:test';
+import { onRequestGet, onRequestPost } from '../../functions/api/users.js';
+import { onRequestPatch, onRequestDelete } from '../../functions/api/users/[username].js';
+import { onRequestPost as onRequestLogin } from '../../functions/api/auth.js';
+import { onRequestPost as onRequestCreateProfile } from '../../functions/api/profiles.js';
+import { onRequestPost as onRequestCreateRestaurant } from '../../functions/api/restaurants.js';
+import { resetLocalStorage } from '../../functions/api/_storage.js';
+import { hashPassword, verifyPassword } from '../../functions/api/_users.js';
+import { decodeUnverified } from '../../functions/api/jwt-helper.js';
+import { localEnv, apiRequest } from './_helpers.js';
+
+function requestAs(username, role, url, method, body) {
+  return apiRequest(url, { method: method, body: body, user: { sub: username, role: role } });
+}
+
+async function createUser(username, role) {
+  const request = await requestAs('admin', 'admin', 'http://localhost/api/users', 'POST', {
+    username: username,
+    password: 'a-long-password',
+    role: role
+  });
+  return onRequestPost({ request, env: localEnv });
+}
+
+describe('User Accounts API', () => {
+  beforeEach(() => {
+    resetLocalStorage({ profiles: [{ id: 'all', name: 'All Restaurants' }], restaurants: [] });
+    resetLocalStorage({ users: [] }, 'users');
+  });
+
+  it('should hash and verify passwords', async () => {
+    const passwordHash = await hashPassword('a-long-password');
+
+    expect(passwordHash).toMatch(/^pbkdf2-sha256\$\d+\$/);
+    expect(passwordHash).not.toContain('a-long-password');
+    expect(await verifyPassword('a-long-password', passwordHash)).toBe(true);
+    expect(await verifyPassword('wrong-password', passwordHash)).toBe(false);
+  });
+
+  it('should let admins create and list users without password hashes', async () => {
+    const created = await createUser('sam', 'editor');
+    expect(created.status).toBe(200);
+
+    const request = await requestAs('admin', 'admin', 'http://localhost/api/users', 'GET');
+    const response = await onRequestGet({ request, env: localEnv });
+    const data = await response.json();
+
+    expect(data.users).toHaveLength(1);
+    expect(data.users[0]).toMatchObject({ username: 'sam', role: 'editor' });
+    expect(data.users[0].passwordHash).toBeUndefined();
+  });
+
+  it('should reject duplicate and reserved usernames', async () => {
+    await createUser('sam', 'editor');
+
+    expect((await createUser('sam', 'viewer')).status).toBe(409);
+    expect((await createUser('admin', 'viewer')).status).toBe(400);
+  });
+
+  it('should not let editors manage users', async () => {
+    const request = await requestAs('sam', 'editor', 'http://localhost/api/users', 'POST', {
+      username: 'alex',
+      password: 'a-long-password',
+      role: 'admin'
+    });
+    const response = await onRequestPost({ request, env: localEnv });
+
+    expect(response.status).toBe(403);
+  });
+
+  it('should sign in named users with their role', async () => {
+    await createUser('sam', 'editor');
+
+    const request = await apiRequest('http://localhost/api/auth', {
+      method: 'POST',
+      body: { username: 'sam', password: 'a-long-password' },
+      headers: { 'CF-Connecting-IP': '192.0.2.10' }
+    });
+    const response = await onRequestLogin({ request, env: localEnv });
+    const data = await response.json();
+
+    expect(data.authenticated).toBe(true);
+    expect(data.user).toEqual({ username: 'sam', role: 'editor' });
+    expect((await decodeUnverified(data.token)).payload).toMatchObject({
+      sub: 'sam',
+      role: 'editor'
+    });
+  });
+
+  it('should reject a wrong password for a named user', async () => {
+    await createUser('sam', 'editor');
+
+    const request = await apiRequest('http://localhost/api/auth', {
+      method: 'POST',
+      body: { username: 'sam', password: env.ADMIN_PASSWORD },
+      headers: { 'CF-Connecting-IP': '192.0.2.10' }
+    });
+    const response = await onRequestLogin({ request, env: localEnv });
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should let editors change restaurants but not profiles', async () => {
+    const restaurant = await requestAs(
+      'sam',
+      'editor',
+      'http://localhost/api/restaurants',
+      'POST',
+      {
+        name: 'Taco Fiesta',
+        foodTypes: ['Mexican'],
+        serviceTypes: ['takeout']
+      }
+    );
+    expect((await onRequestCreateRestaurant({ request: restaurant, env: localEnv })).status).toBe(
+      200
+    );
+
+    const profile = await requestAs('sam', 'editor', 'http://localhost/api/profiles', 'POST', {
+      id: 'date-night',
+      name: 'Date Night'
+    });
+    expect((await onRequestCreateProfile({ request: profile, env: localEnv })).status).toBe(403);
+  });
+
+  it('should not let viewers change restaurants', async () => {
+    const request = await requestAs('kim', 'viewer', 'http://localhost/api/restaurants', 'POST', {
+      name: 'Taco Fiesta',
+      foodTypes: ['Mexican'],
+      serviceTypes: ['takeout']
+    });
+    const response = await onRequestCreateRestaurant({ request, env: localEnv });
+
+    expect(response.status).toBe(403);
+  });
+
+  it('should let users change their own password but not their role', async () => {
+    await createUser('sam', 'editor');
+
+    const password = await requestAs('sam', 'editor', 'http://localhost/api/users/sam', 'PATCH', {
+      password: 'another-long-password'
+    });
+    const passwordResponse = await onRequestPatch({
+      request: password,
+      env: localEnv,
+      params: { username: 'sam' }
+    });
+    expect(passwordResponse.status).toBe(200);
+
+    const role = await requestAs('sam', 'editor', 'http://localhost/api/users/sam', 'PATCH', {
+      role: 'admin'
+    });
+    const roleResponse = await onRequestPatch({
+      request: role,
+      env: localEnv,
+      params: { username: 'sam' }
+    });
+    expect(roleResponse.status).toBe(403);
+  });
+
+  it('should not let admins delete themselves', async () => {
+    await createUser('sam', 'admin');
+
+    const request = await requestAs('sam', 'admin', 'http://localhost/api/users/sam', 'DELETE');
+    const response = await onRequestDelete({ request, env: localEnv, params: { username: 'sam' } });
+
+    expect(response.status).toBe(403);
+  });
+
+  it('should reject tokens without a role', async () => {
+    const request = await apiRequest('http://localhost/api/users', { user: {} });
+    const response = await onRequestGet({ request, env: localEnv });
+
+    expect(response.status).toBe(401);
+  });
+});
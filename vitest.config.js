@@ -4,7 +4,10 @@ export default defineWorkersConfig({
   test: {
     poolOptions: {
       workers: {
-        wrangler: { configPath: './wrangler.toml' }
+        wrangler: { configPath: './wrangler.toml' },
+        miniflare: {
+          kvNamespaces: ['AUTH_KV', 'GROUPS_KV', 'SPINS_KV']
+        }
       }
     },
     coverage: {